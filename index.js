@@ -21,18 +21,46 @@ module.exports = (function () {
     ManyToManyTable: require('./lib/AbstractManyToManyTable.js'),
     ApiClient: require('./lib/AbstractApiClient.js'),
     SolrClient: require('./lib/SolrClient.js'),
+    SearchIndexer: require('./lib/SearchIndexer.js'),
+    BatchContext: require('./lib/BatchContext.js'),
+    ModelCache: require('./lib/ModelCache.js'),
+    MemoryCache: require('./lib/MemoryCache.js'),
+    RedisCache: require('./lib/RedisCache.js'),
     File: require('./lib/AbstractFile.js'),
+    Hash: require('./lib/AbstractHash.js'),
+    Record: require('./lib/Record.js'),
     Validator: require('./lib/AbstractValidator.js'),
     SequelizeOrm: require('./lib/SequelizeOrm.js'),
     MongoOdm: require('./lib/MongoOdm.js'),
-    Collection: require('./lib/AbstractCollection.js')
+    RedisOdm: require('./lib/RedisOdm.js'),
+    Collection: require('./lib/AbstractCollection.js'),
+    ModelFactory: require('./lib/ModelFactory.js'),
+    ConnectionRegistry: require('./lib/ConnectionRegistry.js')
   };
 
-  // TODO: Think of a way to provide convenience methods to make it easier to use
-  //       this library
+  /**
+   * Create a registry of named connections from a configuration map.  Call
+   * initialize() on the result to open all of the connections.
+   *
+   * @see ConnectionRegistry
+   */
+  exports.createOrmConnection = function (config, libraries) {
+    return new exports.ConnectionRegistry(config, libraries);
+  };
+
+  /**
+   * Build a model class from a plain object specification.
+   *
+   * @see ModelFactory.createModel
+   */
+  exports.createModel = exports.ModelFactory.createModel;
 
-  exports.createOrmConnection = function () {};
-  exports.createModel = function () {};
+  /**
+   * The created, updated and removed events of every model.
+   *
+   * @see AbstractModel.events
+   */
+  exports.events = exports.Model.events;
 
   return exports;
 }());
\ No newline at end of file
@@ -8,18 +8,749 @@
  ******************************************************************************/
 
 var AbstractSource = require('./AbstractSource.js');
+var PromiseAdapter = require('./PromiseAdapter.js');
+var QUERY_OPERATORS = require('./QueryOperators.js');
+var Record = require('./Record.js');
 
 /**
- * A common set of interfaces for an API client wrapper
+ * A configurable source for a REST API.  Subclasses describe the API with
+ * properties and the client takes care of the requests:
+ *
+ * ```
+ * var Photos = function () {
+ *   this.name = 'Photos';
+ *   this.http = require('https');
+ *   this.conn = {host: 'api.example.com', port: 443, base_path: '/v1', token: '...'};
+ *   this.endpoints = {
+ *     read: 'GET /photos/{id}',
+ *     list: 'GET /photos',
+ *     create: 'POST /photos',
+ *     update: 'PATCH /photos/{id}',
+ *     remove: 'DELETE /photos/{id}'
+ *   };
+ *   this.paramMap = {user_id: 'owner', 'created_at.$gte': 'since'};
+ *   this.optionMap = {limit: 'per_page', offset: 'skip'};
+ *   this.responsePaths = {item: 'data', items: 'data', total: 'meta.total'};
+ *
+ *   AbstractApiClient.call(this);
+ * };
+ * ```
+ *
+ * - endpoints: `METHOD /path` templates, `{field}` is replaced with the value of
+ *   the field from the params (reads) or the record (writes).  Without a read
+ *   endpoint reads use the list endpoint, without a count endpoint counts use
+ *   the total of the list endpoint.
+ * - paramMap: query parameter names for fields, and for `field.$operator` pairs.
+ *   Other operators are rejected with a 400.
+ * - optionMap: query parameter names for limit, offset, sortField and sortOrder,
+ *   null to leave the option out.
+ * - responsePaths: dot paths to the record, records and total in the responses,
+ *   null when the response body is the value itself.
+ *
+ * The records are Record instances, updates with a PATCH endpoint only send the
+ * changed fields.  Authentication headers come from getAuthHeaders().
  *
  * @class AbstractApiClient
  * @constructor
  * @extends {AbstractSource}
  */
 var AbstractApiClient = function () {
+  var i;
+  var conn = this.conn || {};
+  var optionMap = this.optionMap || {};
+  var responsePaths = this.responsePaths || {};
+
+  this.primaryKey = this.primaryKey || 'id';
+
+  // The node.js http or https library
+  this.http = this.http || null;
+
+  this.conn = {
+    host: 'localhost',
+    port: 80,
+    base_path: '',
+    headers: {},     // Sent with every request
+    token: null,     // Sent as an Authorization: Bearer header
+    user: null,      // Sent as basic auth along with the pass
+    pass: null,
+    socket_timeout: 5000
+  };
+
+  for (i in conn) {
+    this.conn[i] = conn[i];
+  }
+
+  this.endpoints = this.endpoints || {};
+  this.paramMap = this.paramMap || {};
+
+  this.optionMap = {limit: 'limit', offset: 'offset', sortField: null, sortOrder: null};
+  for (i in optionMap) {
+    this.optionMap[i] = optionMap[i];
+  }
+
+  this.responsePaths = {item: null, items: null, total: null};
+  for (i in responsePaths) {
+    this.responsePaths[i] = responsePaths[i];
+  }
+
+  // Whether or not this is the primary source of the model
+  this.isPrimary = false;
+
   AbstractSource.call(this);
 };
 
 AbstractApiClient.prototype = new AbstractSource();
 
-module.exports = AbstractApiClient;
\ No newline at end of file
+/**
+ *
+ * @param isPrimary A boolean indicating whether or not this client is primary
+ */
+AbstractApiClient.prototype.setIsPrimary = function (isPrimary) {
+  this.isPrimary = isPrimary;
+};
+
+/**
+ * Creates a record and binds seed data to it
+ *
+ * @method createInstance
+ * @param {Object} data
+ * @returns {Record}
+ */
+AbstractApiClient.prototype.createInstance = function (data) {
+  return new Record(this, data);
+};
+
+// REQUESTS ====================================================================
+
+/**
+ * Parse an endpoint into its method and path template
+ *
+ * @method getEndpoint
+ * @param {String} action read, list, count, create, update or remove
+ * @returns {Object} {method: 'GET', path: '/photos/{id}'}, null if not configured
+ */
+AbstractApiClient.prototype.getEndpoint = function (action) {
+  var endpoint = this.endpoints[action];
+  var parts;
+
+  if (!endpoint) {
+    return null;
+  }
+
+  if (typeof endpoint === 'object') {
+    return {method: (endpoint.method || 'GET').toUpperCase(), path: endpoint.path};
+  }
+
+  parts = String(endpoint).trim().split(/\s+/);
+
+  if (parts.length === 1) {
+    return {method: 'GET', path: parts[0]};
+  }
+
+  return {method: parts[0].toUpperCase(), path: parts[1]};
+};
+
+/**
+ * Replace the {field} placeholders of a path template.  The fields that are used
+ * are removed from the data so they are not sent again in the query string.
+ *
+ * @method renderPath
+ * @param {String} template
+ * @param {Object} data
+ * @returns {String}
+ */
+AbstractApiClient.prototype.renderPath = function (template, data) {
+  return template.replace(/\{([^}]+)\}/g, function (match, field) {
+    var value = (data[field] instanceof String) ? data[field].valueOf() : data[field];
+
+    if (typeof value === 'undefined' || value === null || typeof value === 'object') {
+      throw new Error('Missing a value for ' + field + ' in ' + template);
+    }
+
+    delete data[field];
+    return encodeURIComponent(value);
+  });
+};
+
+/**
+ * Convert the query params and options into query string pairs using the param
+ * and option maps
+ *
+ * @method buildQueryString
+ * @param {Object} params
+ * @param {Object} options
+ * @returns {String} Without the leading ?
+ */
+AbstractApiClient.prototype.buildQueryString = function (params, options) {
+  var pairs = [];
+  var value;
+  var name;
+  var i;
+  var j;
+
+  var add = function (key, value) {
+    var values = (value instanceof Array) ? value : [value];
+
+    for (var k = 0; k < values.length; k++) {
+      if (values[k] instanceof Date) {
+        values[k] = values[k].toISOString();
+      }
+
+      pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(values[k] === null ? '' : values[k]));
+    }
+  };
+
+  for (i in params) {
+    value = params[i];
+
+    if (QUERY_OPERATORS.isLogicalKey(i)) {
+      throw new Error('The ' + this.name + ' API does not support ' + i);
+    }
+
+    if (QUERY_OPERATORS.isOperatorObject(value)) {
+      for (j in value) {
+        name = this.paramMap[i + '.' + j];
+
+        if (!name) {
+          throw new Error('The ' + this.name + ' API does not support ' + j + ' on ' + i);
+        }
+
+        add(name, value[j]);
+      }
+
+      continue;
+    }
+
+    if (typeof value !== 'undefined') {
+      add(this.paramMap[i] || i, value);
+    }
+  }
+
+  for (i in this.optionMap) {
+    value = options ? options[i] : null;
+
+    if (this.optionMap[i] && typeof value !== 'undefined' && value !== null) {
+      add(this.optionMap[i], value);
+    }
+  }
+
+  return pairs.join('&');
+};
+
+/**
+ * The headers that authenticate a request.  Override to sign requests or fetch
+ * tokens, the default sends the configured token.
+ *
+ * @method getAuthHeaders
+ * @param {Object} request {method, path, body}
+ * @param {Function} callback Called with a hash of headers
+ */
+AbstractApiClient.prototype.getAuthHeaders = function (request, callback) {
+  var headers = {};
+
+  if (this.conn.token) {
+    headers.Authorization = 'Bearer ' + this.conn.token;
+  }
+
+  callback(null, headers);
+};
+
+/**
+ * Make a request to the API and parse the JSON response.  Responses that are
+ * not 2xx are converted into errors, keeping the status of 4xx responses.
+ *
+ * @method request
+ * @param {String} method
+ * @param {String} path The path after the base path, including the query string
+ * @param {Object} body Optional, sent as JSON
+ * @param {Function} callback Called with the parsed response and the status code
+ */
+AbstractApiClient.prototype.request = function (method, path, body, callback) {
+  var self = this;
+  var payload = (body !== null && typeof body !== 'undefined') ? JSON.stringify(body) : null;
+  var isCalled = false;
+
+  var done = function (err, data, status) {
+    if (isCalled) {
+      return;
+    }
+
+    isCalled = true;
+    callback(err, data, status);
+  };
+
+  this.getAuthHeaders({method: method, path: path, body: body}, function (err, authHeaders) {
+    var headers = {Accept: 'application/json'};
+    var httpOptions;
+    var request;
+    var i;
+
+    if (err) {
+      done(err);
+      return;
+    }
+
+    for (i in self.conn.headers) {
+      headers[i] = self.conn.headers[i];
+    }
+
+    for (i in authHeaders) {
+      headers[i] = authHeaders[i];
+    }
+
+    if (payload !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    httpOptions = {
+      host: self.conn.host,
+      port: self.conn.port,
+      method: method,
+      path: self.conn.base_path + path,
+      headers: headers
+    };
+
+    // Add basic auth headers if it exists
+    if (self.conn.user && self.conn.pass) {
+      httpOptions.auth = self.conn.user + ':' + self.conn.pass;
+    }
+
+    console.debug('API ' + method + ':', JSON.stringify({host: httpOptions.host, path: httpOptions.path}));
+
+    request = self.http.request(httpOptions, function (response) {
+      var chunks = [];
+
+      response.setEncoding('utf8');
+
+      response.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+
+      response.on('error', function (err) {
+        done(err);
+      });
+
+      response.on('end', function () {
+        self.handleResponse(response.statusCode, chunks.join(''), done);
+      });
+    });
+
+    // Do not let a hanging API hang the request that depends on it
+    request.setTimeout(self.conn.socket_timeout, function () {
+      done({code: 504, msg: self.name + ' API timed out after ' + self.conn.socket_timeout + 'ms', error: 'Gateway Timeout'});
+      request.abort();
+    });
+
+    request.on('error', function (err) {
+      done(err);
+    });
+
+    if (payload !== null) {
+      request.write(payload);
+    }
+
+    request.end();
+  });
+};
+
+/**
+ * Convert a response into data or an error
+ *
+ * @method handleResponse
+ * @param {Number} status
+ * @param {String} text
+ * @param {Function} callback
+ */
+AbstractApiClient.prototype.handleResponse = function (status, text, callback) {
+  var data = null;
+
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (e) {
+    if (status >= 200 && status < 300) {
+      callback({code: 502, msg: 'Invalid JSON from the ' + this.name + ' API', error: 'Bad Gateway'});
+      return;
+    }
+  }
+
+  if (status >= 200 && status < 300) {
+    callback(null, data, status);
+  } else if (status >= 400 && status < 500) {
+    callback({
+      code: status,
+      msg: this.name + ' API responded with ' + status,
+      error: (this.http.STATUS_CODES && this.http.STATUS_CODES[status]) || 'Client Error',
+      response: data
+    }, null, status);
+  } else {
+    callback({code: 502, msg: this.name + ' API responded with ' + status, error: 'Bad Gateway'}, null, status);
+  }
+};
+
+/**
+ * Read a value with a dot path, the value itself when there is no path
+ *
+ * @method extract
+ * @param {Object} data
+ * @param {String} path
+ * @returns {*}
+ * @static
+ */
+AbstractApiClient.extract = function (data, path) {
+  var parts;
+
+  if (!path) {
+    return data;
+  }
+
+  parts = path.split('.');
+
+  for (var i = 0; i < parts.length; i++) {
+    if (data === null || typeof data !== 'object') {
+      return undefined;
+    }
+
+    data = data[parts[i]];
+  }
+
+  return data;
+};
+
+/**
+ * Render an endpoint and its query string
+ *
+ * @method generatePath
+ * @param {Object} endpoint
+ * @param {Object} params
+ * @param {Object} options
+ * @returns {String}
+ */
+AbstractApiClient.prototype.generatePath = function (endpoint, params, options) {
+  var remaining = {};
+  var path;
+  var query;
+
+  for (var i in params) {
+    remaining[i] = params[i];
+  }
+
+  path = this.renderPath(endpoint.path, remaining);
+  query = this.buildQueryString(remaining, options);
+
+  return query ? path + (path.indexOf('?') === -1 ? '?' : '&') + query : path;
+};
+
+// READING =====================================================================
+
+/**
+ * Render the read endpoint for the params, null if there is no read endpoint or
+ * the params do not fill in its placeholders
+ *
+ * @method getReadPath
+ * @param {Object} params
+ * @param {Boolean} isExact Whether every param must be used by a placeholder
+ * @returns {String}
+ */
+AbstractApiClient.prototype.getReadPath = function (params, isExact) {
+  var endpoint = this.getEndpoint('read');
+  var remaining = {};
+  var path;
+
+  if (!endpoint || endpoint.method !== 'GET') {
+    return null;
+  }
+
+  for (var i in params) {
+    remaining[i] = params[i];
+  }
+
+  try {
+    path = this.renderPath(endpoint.path, remaining);
+
+    if (isExact && Object.keys(remaining).length) {
+      return null;
+    }
+
+    return this.generatePath({path: path}, remaining, null);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Request a single record from the read endpoint
+ *
+ * @method fetchRecord
+ * @param {String} path
+ * @param {Function} callback Called with the record, null if the API responds
+ *   with a 404
+ */
+AbstractApiClient.prototype.fetchRecord = function (path, callback) {
+  var self = this;
+
+  this.request('GET', path, null, function (err, data, status) {
+    var item;
+
+    if (status === 404) {
+      callback(null, null);
+      return;
+    }
+
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    item = AbstractApiClient.extract(data, self.responsePaths.item);
+    callback(null, item ? new Record(self, item, false) : null);
+  });
+};
+
+/**
+ * Read a single record, null if none matches.  Uses the read endpoint when the
+ * params fill in its placeholders and the list endpoint otherwise.
+ *
+ * @method read
+ * @param {Object} params Query parameters
+ * @param {Object} options
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractApiClient.prototype.read = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var path = this.getReadPath(params || {}, false);
+  var opts = {};
+
+  if (path) {
+    this.fetchRecord(path, deferred.callback);
+    return deferred.promise;
+  }
+
+  for (var i in options) {
+    opts[i] = options[i];
+  }
+
+  opts.limit = 1;
+  opts.offset = 0;
+
+  this.list(params, opts, function (err, records) {
+    deferred.callback(err, (records && records[0]) || null);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Read a list of records.  Lists by exactly the placeholders of the read endpoint
+ * (like a model reading by id) use the read endpoint.
+ *
+ * @method list
+ * @param {Object} params Query parameters
+ * @param {Object} options limit, offset, sortField and sortOrder
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractApiClient.prototype.list = function (params, options, callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+  var path = (params && Object.keys(params).length) ? this.getReadPath(params, true) : null;
+
+  if (path) {
+    this.fetchRecord(path, function (err, record) {
+      deferred.callback(err, (record && !(options && options.offset > 0)) ? [record] : []);
+    });
+
+    return deferred.promise;
+  }
+
+  this.fetchList('list', params, options, function (err, data) {
+    var items;
+    var records = [];
+
+    if (err) {
+      deferred.callback(err);
+      return;
+    }
+
+    items = AbstractApiClient.extract(data, self.responsePaths.items) || [];
+
+    for (var i = 0; i < items.length; i++) {
+      records.push(new Record(self, items[i], false));
+    }
+
+    deferred.callback(null, records);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Count the records matching the query params, using the count endpoint or the
+ * total of the list endpoint
+ *
+ * @method count
+ * @param {Object} params Query parameters
+ * @param {Object} options
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractApiClient.prototype.count = function (params, options, callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+  var action = this.getEndpoint('count') ? 'count' : 'list';
+
+  this.fetchList(action, params, {limit: (action === 'count') ? null : 1, offset: 0}, function (err, data) {
+    var total;
+    var items;
+
+    if (err) {
+      deferred.callback(err);
+      return;
+    }
+
+    total = AbstractApiClient.extract(data, self.responsePaths.total);
+
+    if (typeof total === 'undefined' || total === null || typeof total === 'object') {
+      items = AbstractApiClient.extract(data, self.responsePaths.items);
+      total = (items instanceof Array) ? items.length : 0;
+    }
+
+    deferred.callback(null, parseInt(total, 10) || 0);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Request the list or count endpoint
+ *
+ * @method fetchList
+ * @param {String} action
+ * @param {Object} params
+ * @param {Object} options
+ * @param {Function} callback Called with the parsed response
+ */
+AbstractApiClient.prototype.fetchList = function (action, params, options, callback) {
+  var endpoint = this.getEndpoint(action);
+  var path;
+
+  params = params || {};
+  options = options || {};
+
+  if (!endpoint) {
+    callback({code: 500, msg: 'The ' + this.name + ' API has no ' + action + ' endpoint', error: 'Internal Server Error'});
+    return;
+  }
+
+  if (this.isSource && params.parent_id) {
+    params[this.foreignKey] = params.parent_id;
+    delete params.parent_id;
+  }
+
+  try {
+    path = this.generatePath(endpoint, params, options);
+  } catch (e) {
+    callback({code: 400, msg: e.message, error: 'Bad Request'});
+    return;
+  }
+
+  this.request(endpoint.method, path, null, callback);
+};
+
+// WRITING =====================================================================
+
+/**
+ * Create or update a record through the API.  The record in the response, if
+ * any, is merged back into the record (e.g. to pick up a generated id).
+ *
+ * @method saveRecord
+ * @param {Record} record
+ * @param {Function} callback Called with the record
+ */
+AbstractApiClient.prototype.saveRecord = function (record, callback) {
+  var self = this;
+  var action = record.isNewRecord ? 'create' : 'update';
+  var endpoint = this.getEndpoint(action);
+  var body = {};
+  var changed;
+  var path;
+  var i;
+
+  if (!endpoint) {
+    callback({code: 500, msg: 'The ' + this.name + ' API has no ' + action + ' endpoint', error: 'Internal Server Error'});
+    return;
+  }
+
+  if (endpoint.method === 'PATCH') {
+    changed = record.changed();
+    for (i = 0; i < changed.length; i++) {
+      body[changed[i]] = record.get(changed[i]);
+    }
+  } else {
+    body = record.toObject();
+  }
+
+  try {
+    path = this.renderPath(endpoint.path, record.toObject());
+  } catch (e) {
+    callback({code: 400, msg: e.message, error: 'Bad Request'});
+    return;
+  }
+
+  this.request(endpoint.method, path, body, function (err, data) {
+    var item;
+
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    item = AbstractApiClient.extract(data, self.responsePaths.item);
+
+    if (item && typeof item === 'object') {
+      for (var j in item) {
+        record.set(j, item[j]);
+      }
+    }
+
+    record.markPersisted();
+    callback(null, record);
+  });
+};
+
+/**
+ * Delete a record through the API, records that are already gone (404) count
+ * as removed
+ *
+ * @method removeRecord
+ * @param {Record} record
+ * @param {Function} callback
+ */
+AbstractApiClient.prototype.removeRecord = function (record, callback) {
+  var endpoint = this.getEndpoint('remove');
+  var path;
+
+  if (!endpoint) {
+    callback({code: 500, msg: 'The ' + this.name + ' API has no remove endpoint', error: 'Internal Server Error'});
+    return;
+  }
+
+  try {
+    path = this.renderPath(endpoint.path, record.toObject());
+  } catch (e) {
+    callback({code: 400, msg: e.message, error: 'Bad Request'});
+    return;
+  }
+
+  this.request(endpoint.method, path, null, function (err, data, status) {
+    if (err && status !== 404) {
+      callback(err);
+      return;
+    }
+
+    callback(null, record);
+  });
+};
+
+module.exports = AbstractApiClient;
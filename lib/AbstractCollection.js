@@ -8,6 +8,8 @@
  ******************************************************************************/
 
 var AbstractSource = require('./AbstractSource.js');
+var PromiseAdapter = require('./PromiseAdapter.js');
+var QUERY_OPERATORS = require('./QueryOperators.js');
 
 /**
  * Defines a mongoose collection schem in a mongoose-like definition language
@@ -119,12 +121,16 @@ AbstractCollection.prototype.createInstance = function (data) {
  * @returns {undefined}
  */
 AbstractCollection.prototype.read = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
   // Coerce the field types to the proper object ID type
   //if (params._id) {
   //  params._id = new this.types.ObjectId(params._id);
   //}
 
-  this.model.findOne(params, callback);
+  this.model.findOne(params, deferred.callback);
+
+  return deferred.promise;
 };
 
 /**
@@ -133,6 +139,7 @@ AbstractCollection.prototype.read = function (params, options, callback) {
  * @method list
  */
 AbstractCollection.prototype.list = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
   var query;
 
   // Coerce the field types to the proper object ID type
@@ -140,14 +147,7 @@ AbstractCollection.prototype.list = function (params, options, callback) {
   //  params._id = new this.types.ObjectId(params._id);
   //}
 
-  // Convert an array to the proper query format
-  for (var i in params) {
-    if (params[i] instanceof Array) {
-      params[i] = {$in: params[i]};
-    }
-  }
-
-  query = this.model.find(params);
+  query = this.model.find(this.buildMongoQuery(params));
 
   if (options.limit) {
     query.limit(options.limit);
@@ -157,13 +157,24 @@ AbstractCollection.prototype.list = function (params, options, callback) {
     query.skip(options.offset);
   }
 
-  var sortOrder;
-  if (options.sortField && options.sortOrder) {
-    sortOrder = (options.sortOrder === 'ASC') ? '' : '-';
-    query.sort(sortOrder + options.sortField);
+  var sort = [];
+  var sortFields = [];
+
+  if ((options.sortFields && options.sortFields.length) || (options.sortField && options.sortOrder)) {
+    sortFields = QUERY_OPERATORS.getSortFields(options);
+  }
+
+  for (var i = 0; i < sortFields.length; i++) {
+    sort.push(((sortFields[i].order === 'ASC') ? '' : '-') + sortFields[i].field);
   }
 
-  query.exec(callback);
+  if (sort.length) {
+    query.sort(sort.join(' '));
+  }
+
+  query.exec(deferred.callback);
+
+  return deferred.promise;
 };
 
 /**
@@ -172,7 +183,83 @@ AbstractCollection.prototype.list = function (params, options, callback) {
  * @method list
  */
 AbstractCollection.prototype.count = function (params, options, callback) {
-  this.model.count(params, callback);
+  var deferred = PromiseAdapter.defer(callback);
+  this.model.count(this.buildMongoQuery(params), deferred.callback);
+  return deferred.promise;
+};
+
+/**
+ * Convert the query parameters to a mongo query.  Arrays become $in, and the
+ * operators mongo does not have natively ($like, $prefix, $between, $null) are
+ * rewritten into their mongo equivalents.
+ *
+ * @method buildMongoQuery
+ * @param {Object} params
+ * @returns {Object}
+ */
+AbstractCollection.prototype.buildMongoQuery = function (params) {
+  var query = {};
+  var branches;
+  var j;
+
+  for (var i in params) {
+    if (QUERY_OPERATORS.isLogicalKey(i)) {
+      branches = [];
+      for (j = 0; j < params[i].length; j++) {
+        branches.push(this.buildMongoQuery(params[i][j]));
+      }
+
+      query[i] = branches;
+    } else if (params[i] instanceof Array) {
+      query[i] = {$in: params[i]};
+    } else if (QUERY_OPERATORS.isOperatorObject(params[i])) {
+      query[i] = this.buildMongoCondition(params[i]);
+    } else {
+      query[i] = params[i];
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Convert a single operator object into a mongo condition.
+ *
+ * @method buildMongoCondition
+ * @param {Object} operators
+ * @returns {Object}
+ */
+AbstractCollection.prototype.buildMongoCondition = function (operators) {
+  var condition = {};
+  var operand;
+
+  for (var i in operators) {
+    operand = operators[i];
+
+    switch (i) {
+      case QUERY_OPERATORS.LIKE:
+        condition.$regex = QUERY_OPERATORS.likeToRegExp(operand);
+        break;
+      case QUERY_OPERATORS.PREFIX:
+        condition.$regex = new RegExp('^' + QUERY_OPERATORS.escapeRegExp(operand));
+        break;
+      case QUERY_OPERATORS.BETWEEN:
+        condition.$gte = operand[0];
+        condition.$lte = operand[1];
+        break;
+      case QUERY_OPERATORS.NULL:
+        if (operand) {
+          condition.$eq = null;
+        } else {
+          condition.$ne = null;
+        }
+        break;
+      default:
+        condition[i] = operand;
+    }
+  }
+
+  return condition;
 };
 
 module.exports = AbstractCollection;
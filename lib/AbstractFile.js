@@ -7,25 +7,76 @@
  *
  ******************************************************************************/
 
+var AbstractSource = require('./AbstractSource.js');
+var FILE_PARSERS = require('./FileParsers.js');
+var PromiseAdapter = require('./PromiseAdapter.js');
+var QUERY_OPERATORS = require('./QueryOperators.js');
+var Record = require('./Record.js');
+
+/**
+ * A source backed by a file of records, suitable for fixtures and small
+ * configuration datasets.  The `parse_strategy` option selects the format:
+ *
+ * - json: a JSON array of records (the default)
+ * - ndjson: newline-delimited JSON, one record per line
+ * - csv: comma separated values with a header row, see FILE_PARSERS.csv
+ *
+ * By default the whole file is kept in memory, lists are filtered and sorted there
+ * and every write rewrites the file atomically by writing a temporary file and
+ * renaming it over the original.
+ *
+ * With the `incremental` cache strategy, ndjson and csv files are streamed on
+ * every read instead so that large exports can be listed with bounded memory:
+ * lists without a sort are read in file order, and sorted lists hold at most
+ * `max_sorted_rows` rows.  Incremental sources are read only.
+ *
+ * The node.js fs library must be injected as the `fs` property.  CSV cells are
+ * coerced to the types in the `schema` property, which is filled in from the
+ * model definition for the fields it does not list.
+ *
+ * @class AbstractFile
+ * @constructor
+ * @extends {AbstractSource}
+ * @param {Object} options cache_strategy, parse_strategy, max_sorted_rows for
+ *   incremental files (10000), and for csv files the delimiter and the columns
+ *   hash of header names to field names
+ */
 var AbstractFile = function (options) {
   var self = this;
   this.filename = this.filename || 'tmp.json';
   this.filepath = this.filepath || '/tmp.json';
+  this.name = this.name || this.filename;
+  this.primaryKey = this.primaryKey || 'id';
+
+  // The types of the fields, used to coerce CSV cells: {field: {type: 'INTEGER'}}
+  this.schema = this.schema || {};
 
   // The node.js fs library
-  this.fs = null;
+  this.fs = this.fs || null;
 
-  // There could be an incremental cache_strategy where part of the file is loaded
-  // into memory...
-  this.options = {cache_strategy: 'all', parse_strategy: 'json'};
+  this.options = {
+    cache_strategy: 'all',
+    parse_strategy: 'json',
+    delimiter: ',',
+    columns: null,
+    max_sorted_rows: 10000
+  };
 
   options = options || {};
   for (var i in this.options) {
     this.options[i] = options[i] || this.options[i];
   }
 
+  // Whether or not this is the primary source of the model
+  this.isPrimary = false;
+
   this.data = null;
 
+  // Writes are done one at a time, the callbacks of the writes requested while
+  // one is in progress are called once the next write finishes
+  this.isWriting = false;
+  this.writeQueue = [];
+
   /**
    *
    * @param err
@@ -36,56 +87,749 @@ var AbstractFile = function (options) {
       throw new Error(err);
     }
 
-    if (self.options.parse_strategy === 'json') {
-      self.data = JSON.parse(file);
-    } else {
-      self.data = file;
-    }
+    self.data = self.parse(file);
   };
+
+  AbstractSource.call(this);
 };
 
+AbstractFile.prototype = new AbstractSource();
+
 /**
  *
- * @param callback
+ * @param isPrimary A boolean indicating whether or not this file is primary
+ */
+AbstractFile.prototype.setIsPrimary = function (isPrimary) {
+  this.isPrimary = isPrimary;
+};
+
+/**
+ * Fill in the types of the fields that are not in the schema, called with the
+ * types of the model definition when the source is added to a model.
+ *
+ * @method setFieldTypes
+ * @param {Object} types A hash of field names to types
+ */
+AbstractFile.prototype.setFieldTypes = function (types) {
+  for (var i in types) {
+    if (!this.schema[i]) {
+      this.schema[i] = {type: types[i]};
+    }
+  }
+};
+
+/**
+ * @method isIncremental
+ * @returns {Boolean} Whether the file is streamed on every read
+ */
+AbstractFile.prototype.isIncremental = function () {
+  return this.options.cache_strategy === 'incremental';
+};
+
+/**
+ * Load the whole file into memory when the cache strategy is `all`.  Otherwise
+ * the file is loaded the first time it is needed, or streamed on every read when
+ * the strategy is `incremental`.
+ *
+ * @method initialize
  */
 AbstractFile.prototype.initialize = function () {
+  var parser = FILE_PARSERS.get(this.options.parse_strategy);
+  var file;
+
+  if (this.isIncremental() && !(parser && parser.createRowParser)) {
+    throw new Error(
+      'The incremental cache strategy of ' + this.name + ' requires a line based parse strategy (ndjson or csv)'
+    );
+  }
+
   if (this.options.cache_strategy !== 'all') {
-    callback();
     return;
   }
 
-  this.data = this.fs.readFileSync(this.filepath, {encoding: 'UTF-8'});
+  try {
+    file = this.fs.readFileSync(this.filepath, {encoding: 'UTF-8'});
+  } catch (e) {
+    // A file that does not exist yet is created by the first write
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
 
-  if (this.options.parse_strategy === 'json') {
-    this.data = JSON.parse(this.data);
+    file = null;
   }
+
+  this.data = this.parse(file);
+};
+
+/**
+ * @method getParserOptions
+ * @returns {Object} The options of the parse strategy
+ */
+AbstractFile.prototype.getParserOptions = function () {
+  var types = {};
+
+  for (var i in this.schema) {
+    types[i] = this.schema[i].type;
+  }
+
+  return {
+    delimiter: this.options.delimiter,
+    columns: this.options.columns,
+    types: types
+  };
 };
 
 /**
- * Read one document from the file.
+ * Parse the contents of the file according to the parse strategy.  The contents
+ * of files without a known strategy are returned as is.
  *
- * @param offset
- * @param callback
+ * @method parse
+ * @param {String} file Null if the file does not exist
+ * @returns {Array|String}
+ */
+AbstractFile.prototype.parse = function (file) {
+  var parser = FILE_PARSERS.get(this.options.parse_strategy);
+
+  if (!parser) {
+    return file;
+  }
+
+  return parser.parse(file, this.getParserOptions());
+};
+
+/**
+ * Stream the rows of the file, returning false from onRow stops reading
+ *
+ * @method streamRows
+ * @param {Function} onRow Called with each row and its position
+ * @param {Function} callback
+ */
+AbstractFile.prototype.streamRows = function (onRow, callback) {
+  var stream;
+
+  try {
+    stream = this.fs.createReadStream(this.filepath, {encoding: 'utf8'});
+  } catch (e) {
+    setImmediate(function () {
+      callback(e);
+    });
+    return;
+  }
+
+  FILE_PARSERS.readRows(
+    stream,
+    FILE_PARSERS.get(this.options.parse_strategy),
+    this.getParserOptions(),
+    onRow,
+    callback
+  );
+};
+
+/**
+ * Make sure the file is in memory before calling back.  Always calls back
+ * asynchronously, like a file that has to be read, so that the reads of a file
+ * behave the same as the reads of other sources.
+ *
+ * @method load
+ * @param {Function} callback
+ */
+AbstractFile.prototype.load = function (callback) {
+  var self = this;
+
+  if (this.data !== null) {
+    setImmediate(function () {
+      callback(null, self.data);
+    });
+    return;
+  }
+
+  this.fs.readFile(this.filepath, {encoding: 'UTF-8'}, function (err, file) {
+    if (err && err.code !== 'ENOENT') {
+      callback(err);
+      return;
+    }
+
+    try {
+      self.data = self.parse(err ? null : file);
+    } catch (e) {
+      callback({code: 500, msg: 'Failed to parse ' + self.filepath + ': ' + e.message, error: 'Internal Server Error'});
+      return;
+    }
+
+    callback(null, self.data);
+  });
+};
+
+/**
+ * Creates a record and binds seed data to it
+ *
+ * @method createInstance
+ * @param {Object} data
+ * @returns {Record}
+ */
+AbstractFile.prototype.createInstance = function (data) {
+  return new Record(this, data);
+};
+
+// READING =====================================================================
+
+/**
+ * Filter, sort and page the records of the file
+ *
+ * @method query
+ * @param {Object} params
+ * @param {Object} options limit, offset, and sortFields or sortField and sortOrder
+ * @returns {Array} The matching rows
+ */
+AbstractFile.prototype.query = function (params, options) {
+  var sortFields = QUERY_OPERATORS.getSortFields(options, this.primaryKey);
+  var offset = parseInt(options.offset, 10) || 0;
+  var limit = parseInt(options.limit, 10);
+  var rows = [];
+
+  for (var i = 0; i < this.data.length; i++) {
+    if (QUERY_OPERATORS.matches(this.data[i], params)) {
+      rows.push(this.data[i]);
+    }
+  }
+
+  rows.sort(function (a, b) {
+    return QUERY_OPERATORS.compareBySort(a, b, sortFields);
+  });
+
+  return rows.slice(offset, (limit > 0) ? offset + limit : undefined);
+};
+
+/**
+ * Filter, sort and page the records while streaming the file.  Lists without a
+ * sort are paged in file order and stop reading at the end of the page.  Sorted
+ * lists keep the rows up to the end of the requested page, in order, while
+ * reading, and fail with a 400 once more than `max_sorted_rows` rows would have
+ * to be kept, e.g. for a deep offset or a sorted list without a limit.
+ *
+ * @method streamQuery
+ * @param {Object} params
+ * @param {Object} options limit, offset, and sortFields or sortField and sortOrder
+ * @param {Function} callback Called with the matching rows
+ */
+AbstractFile.prototype.streamQuery = function (params, options, callback) {
+  var self = this;
+  var isSorted = !!(options.sortField || (options.sortFields && options.sortFields.length));
+  var sortFields = QUERY_OPERATORS.getSortFields(options, this.primaryKey);
+  var offset = parseInt(options.offset, 10) || 0;
+  var limit = parseInt(options.limit, 10);
+  var size = (limit > 0) ? offset + limit : Infinity;
+  var max = this.options.max_sorted_rows;
+  var matched = 0;
+  var rows = [];
+  var error = null;
+
+  this.streamRows(function (row) {
+    var low = 0;
+    var high = rows.length;
+    var middle;
+
+    try {
+      if (!QUERY_OPERATORS.matches(row, params)) {
+        return true;
+      }
+    } catch (e) {
+      error = {code: 400, msg: e.message, error: 'Bad Request'};
+      return false;
+    }
+
+    if (!isSorted) {
+      if (matched++ >= offset) {
+        rows.push(row);
+      }
+
+      return !(limit > 0) || rows.length < limit;
+    }
+
+    if (rows.length >= max && size > max) {
+      error = {
+        code: 400,
+        msg: 'Cannot sort more than ' + max + ' rows of ' + self.name + ', list a page within the first ' + max + ' rows',
+        error: 'Bad Request'
+      };
+      return false;
+    }
+
+    // Without a limit every row is kept, and they are sorted once read
+    if (size === Infinity) {
+      rows.push(row);
+      return true;
+    }
+
+    // Insert after the rows that sort the same to keep the file order
+    while (low < high) {
+      middle = (low + high) >>> 1;
+
+      if (QUERY_OPERATORS.compareBySort(rows[middle], row, sortFields) <= 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    if (low < size) {
+      rows.splice(low, 0, row);
+
+      if (rows.length > size) {
+        rows.pop();
+      }
+    }
+
+    return true;
+  }, function (err) {
+    if (err || error) {
+      callback(err || error);
+      return;
+    }
+
+    if (!isSorted) {
+      callback(null, rows);
+      return;
+    }
+
+    // Array.prototype.sort is stable, so equal rows stay in file order
+    if (size === Infinity) {
+      rows.sort(function (a, b) {
+        return QUERY_OPERATORS.compareBySort(a, b, sortFields);
+      });
+    }
+
+    callback(null, rows.slice(offset));
+  });
+};
+
+/**
+ * Read a single record, null if none matches.  For backwards compatibility a
+ * numeric first argument reads the document at that offset of the file.
+ *
+ * @method read
+ * @param {Object} params Query parameters
+ * @param {Object} options
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
  */
-AbstractFile.prototype.read = function (offset, callback) {
-  callback(null, this.data[offset]);
+AbstractFile.prototype.read = function (params, options, callback) {
+  var deferred;
+  var opts = {};
+
+  if (typeof params === 'number' && this.isIncremental()) {
+    deferred = PromiseAdapter.defer(options);
+    this.readMany(1, params, function (err, rows) {
+      deferred.callback(err, (rows && rows[0]) || null);
+    });
+    return deferred.promise;
+  }
+
+  if (typeof params === 'number') {
+    deferred = PromiseAdapter.defer(options);
+    this.load(function (err, data) {
+      deferred.callback(err, data ? data[params] : null);
+    });
+    return deferred.promise;
+  }
+
+  deferred = PromiseAdapter.defer(callback);
+
+  for (var i in options) {
+    opts[i] = options[i];
+  }
+
+  opts.limit = 1;
+  opts.offset = 0;
+
+  this.list(params, opts, function (err, records) {
+    deferred.callback(err, (records && records[0]) || null);
+  });
+
+  return deferred.promise;
 };
 
 /**
- * For now assume all reads come from memory rather than from a file.  Otherwise
- * we'll have to build a streaming JSON parser like a SAX XML parser...
+ * Read a list of records
+ *
+ * @method list
+ * @param {Object} params Query parameters
+ * @param {Object} options limit, offset, and sortFields or sortField and sortOrder
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractFile.prototype.list = function (params, options, callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+
+  params = params || {};
+  options = options || {};
+
+  if (this.isSource && params.parent_id) {
+    params[this.foreignKey] = params.parent_id;
+    delete params.parent_id;
+  }
+
+  var generateRecords = function (err, rows) {
+    var records = [];
+
+    if (err) {
+      deferred.callback(err);
+      return;
+    }
+
+    for (var i = 0; i < rows.length; i++) {
+      records.push(new Record(self, rows[i], false));
+    }
+
+    deferred.callback(null, records);
+  };
+
+  if (this.isIncremental()) {
+    this.streamQuery(params, options, generateRecords);
+    return deferred.promise;
+  }
+
+  this.load(function (err) {
+    var rows;
+
+    if (err) {
+      deferred.callback(err);
+      return;
+    }
+
+    try {
+      rows = self.query(params, options);
+    } catch (e) {
+      deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+      return;
+    }
+
+    generateRecords(null, rows);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Count the records matching the query params
+ *
+ * @method count
+ * @param {Object} params Query parameters
+ * @param {Object} options
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractFile.prototype.count = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var total = 0;
+  var error = null;
+
+  if (this.isIncremental()) {
+    this.streamRows(function (row) {
+      try {
+        total += QUERY_OPERATORS.matches(row, params || {}) ? 1 : 0;
+      } catch (e) {
+        error = {code: 400, msg: e.message, error: 'Bad Request'};
+        return false;
+      }
+
+      return true;
+    }, function (err) {
+      deferred.callback(err || error, (err || error) ? null : total);
+    });
+
+    return deferred.promise;
+  }
+
+  this.list(params, {limit: null, offset: 0}, function (err, records) {
+    deferred.callback(err, records ? records.length : 0);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Read the documents of the file in file order.  With the incremental cache
+ * strategy the file is only read up to the end of the requested page.
  *
  * @param limit
  * @param offset
- * @param callback
+ * @param callback Optional, a promise is returned without it
+ * @returns {Promise}
  */
 AbstractFile.prototype.readMany = function (limit, offset, callback) {
-  var i, result = [];
-  for (i = offset; i < offset + limit && i < this.data.length; i++) {
-    result.push(this.data[i]);
+  var deferred = PromiseAdapter.defer(callback);
+  var rows = [];
+
+  if (this.isIncremental()) {
+    this.streamRows(function (row, index) {
+      if (index >= offset) {
+        rows.push(row);
+      }
+
+      return rows.length < limit;
+    }, function (err) {
+      deferred.callback(err, err ? null : rows);
+    });
+
+    return deferred.promise;
+  }
+
+  this.load(function (err, data) {
+    var i, result = [];
+
+    if (err) {
+      deferred.callback(err);
+      return;
+    }
+
+    for (i = offset; i < offset + limit && i < data.length; i++) {
+      result.push(data[i]);
+    }
+
+    deferred.callback(null, result);
+  });
+
+  return deferred.promise;
+};
+
+// WRITING =====================================================================
+
+/**
+ * @method isWritable
+ * @returns {Boolean} Whether records can be saved to the file
+ */
+AbstractFile.prototype.isWritable = function () {
+  var parser = FILE_PARSERS.get(this.options.parse_strategy);
+  return !!parser && !this.isIncremental();
+};
+
+/**
+ * @method generateReadOnlyError
+ * @returns {Object}
+ */
+AbstractFile.prototype.generateReadOnlyError = function () {
+  return {
+    code: 500,
+    msg: 'The file ' + this.filepath + ' is read only with the ' + this.options.cache_strategy +
+      ' cache strategy and the ' + this.options.parse_strategy + ' parse strategy',
+    error: 'Internal Server Error'
+  };
+};
+
+/**
+ * @method findIndex
+ * @param {*} id
+ * @returns {Number} The position of the row with the primary key, -1 if none
+ */
+AbstractFile.prototype.findIndex = function (id) {
+  for (var i = 0; i < this.data.length; i++) {
+    if (QUERY_OPERATORS.compare(this.data[i][this.primaryKey], id) === 0) {
+      return i;
+    }
   }
 
-  callback(null, result);
+  return -1;
+};
+
+/**
+ * @method getNextId
+ * @returns {Number} One more than the largest numeric primary key
+ */
+AbstractFile.prototype.getNextId = function () {
+  var max = 0;
+  var id;
+
+  for (var i = 0; i < this.data.length; i++) {
+    id = Number(this.data[i][this.primaryKey]);
+
+    if (!isNaN(id) && id > max) {
+      max = id;
+    }
+  }
+
+  return max + 1;
+};
+
+/**
+ * Insert or update the row of a record and write the file.  The row is restored
+ * if the file could not be written.
+ *
+ * @method saveRecord
+ * @param {Record} record
+ * @param {Function} callback Called with the record
+ */
+AbstractFile.prototype.saveRecord = function (record, callback) {
+  var self = this;
+
+  if (!this.isWritable()) {
+    callback(this.generateReadOnlyError());
+    return;
+  }
+
+  this.load(function (err) {
+    var id;
+    var index;
+    var previous;
+
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    id = record.get(self.primaryKey);
+
+    if (typeof id === 'undefined' || id === null) {
+      id = self.getNextId();
+      record.set(self.primaryKey, id);
+    }
+
+    index = self.findIndex(id);
+
+    if (record.isNewRecord && index !== -1) {
+      callback({code: 400, msg: 'Duplicate ' + self.primaryKey + ' in ' + self.name + ': ' + id, error: 'Bad Request'});
+      return;
+    }
+
+    if (index === -1) {
+      self.data.push(record.toObject());
+    } else {
+      previous = self.data[index];
+      self.data[index] = record.toObject();
+    }
+
+    self.persist(function (err) {
+      if (err) {
+        if (previous) {
+          self.data[self.findIndex(id)] = previous;
+        } else {
+          self.data.splice(self.findIndex(id), 1);
+        }
+
+        callback(err);
+        return;
+      }
+
+      record.markPersisted();
+      callback(null, record);
+    });
+  });
+};
+
+/**
+ * Remove the row of a record and write the file.  The row is restored if the
+ * file could not be written.
+ *
+ * @method removeRecord
+ * @param {Record} record
+ * @param {Function} callback
+ */
+AbstractFile.prototype.removeRecord = function (record, callback) {
+  var self = this;
+
+  if (!this.isWritable()) {
+    callback(this.generateReadOnlyError());
+    return;
+  }
+
+  this.load(function (err) {
+    var index;
+    var row;
+
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    index = self.findIndex(record.get(self.primaryKey));
+
+    if (index === -1) {
+      callback(null, record);
+      return;
+    }
+
+    row = self.data.splice(index, 1)[0];
+
+    self.persist(function (err) {
+      if (err) {
+        self.data.splice(index, 0, row);
+        callback(err);
+        return;
+      }
+
+      callback(null, record);
+    });
+  });
+};
+
+/**
+ * Write the data to a temporary file next to the original and rename it over
+ * the original, so that readers never see a partially written file.  Writes
+ * requested while one is in progress are combined into the next one.
+ *
+ * @method persist
+ * @param {Function} callback
+ */
+AbstractFile.prototype.persist = function (callback) {
+  this.writeQueue.push(callback);
+
+  if (!this.isWriting) {
+    this.writeFile();
+  }
+};
+
+/**
+ * Write the current data for every queued write
+ *
+ * @method writeFile
+ */
+AbstractFile.prototype.writeFile = function () {
+  var self = this;
+  var tmpPath = this.filepath + '.' + process.pid + '.tmp';
+  var callbacks = this.writeQueue;
+  var contents;
+
+  this.isWriting = true;
+  this.writeQueue = [];
+
+  var done = function (err) {
+    self.isWriting = false;
+
+    for (var i = 0; i < callbacks.length; i++) {
+      callbacks[i](err || null);
+    }
+
+    // Write the changes made since this write started
+    if (self.writeQueue.length && !self.isWriting) {
+      self.writeFile();
+    }
+  };
+
+  try {
+    contents = FILE_PARSERS.get(this.options.parse_strategy).stringify(this.data, this.getParserOptions());
+  } catch (e) {
+    done({code: 500, msg: 'Failed to serialize ' + this.filepath + ': ' + e.message, error: 'Internal Server Error'});
+    return;
+  }
+
+  this.fs.writeFile(tmpPath, contents, {encoding: 'UTF-8'}, function (err) {
+    if (err) {
+      done(err);
+      return;
+    }
+
+    self.fs.rename(tmpPath, self.filepath, function (err) {
+      if (err) {
+        self.fs.unlink(tmpPath, function () {
+          done(err);
+        });
+        return;
+      }
+
+      done();
+    });
+  });
 };
 
-module.exports = AbstractFile;
\ No newline at end of file
+module.exports = AbstractFile;
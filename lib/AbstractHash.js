@@ -0,0 +1,794 @@
+/*******************************************************************************
+ *
+ * AbstractHash.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var AbstractSource = require('./AbstractSource.js');
+var PromiseAdapter = require('./PromiseAdapter.js');
+var QUERY_OPERATORS = require('./QueryOperators.js');
+var TYPES = require('./Types.js');
+var Record = require('./Record.js');
+
+/**
+ * A source that stores its records as Redis hashes keyed by primary key on a
+ * RedisOdm connection:
+ *
+ * ```
+ * <prefix><name>:<id>          a hash of the record's fields
+ * <prefix><name>:ids           a sorted set of every id
+ * <prefix><name>:idx:<field>   a sorted set of ids scored by the field's value
+ * <prefix><name>:seq           the counter used to assign new ids
+ * ```
+ *
+ * Lists by primary key read the hashes directly.  A filter on an indexed field
+ * reads the matching ids from its index and a sort on an indexed field pages
+ * through its index, every other filter and sort is applied in memory.  Only
+ * numeric, boolean and date fields can be indexed.
+ *
+ * The records are Record instances.  Only HGETALL, HMSET, HDEL, DEL, INCR, ZADD,
+ * ZREM, ZCARD, ZCOUNT, ZRANGE, ZREVRANGE, ZRANGEBYSCORE, ZREVRANGEBYSCORE and
+ * MULTI/EXEC are used.
+ *
+ * @class AbstractHash
+ * @constructor
+ * @extends {AbstractSource}
+ */
+var AbstractHash = function () {
+  this.database = this.database || 'redis';
+  this.name = this.name || 'abstract';
+  this.primaryKey = this.primaryKey || 'id';
+
+  // The fields of the records and their types, fields that are not listed are
+  // stored as strings
+  this.schema = this.schema || {
+    "id": {type: TYPES.INTEGER}
+  };
+
+  // The fields with a sorted set index for sorting and range filters
+  this.indexes = this.indexes || [];
+
+  // Whether or not this is the primary source of the model
+  this.isPrimary = false;
+
+  /**
+   * During initialization this gets set to the RedisOdm connection
+   *
+   * @property connection
+   * @type {RedisOdm}
+   */
+  this.connection = null;
+
+  AbstractSource.call(this);
+};
+
+AbstractHash.prototype = new AbstractSource();
+
+/**
+ * The additional field types that can be stored, on top of TYPES
+ *
+ * @property FIELD_TYPES
+ * @type Object
+ * @static
+ */
+AbstractHash.FIELD_TYPES = {
+  FLOAT: 'FLOAT',
+  OBJECT: 'OBJECT'
+};
+
+/**
+ * The operators that can be answered from a sorted set index
+ *
+ * @property RANGE_OPERATORS
+ * @type Array
+ * @static
+ */
+AbstractHash.RANGE_OPERATORS = [
+  QUERY_OPERATORS.GT,
+  QUERY_OPERATORS.GTE,
+  QUERY_OPERATORS.LT,
+  QUERY_OPERATORS.LTE,
+  QUERY_OPERATORS.BETWEEN
+];
+
+/**
+ *
+ * @param isPrimary A boolean indicating whether or not this hash is primary
+ */
+AbstractHash.prototype.setIsPrimary = function (isPrimary) {
+  this.isPrimary = isPrimary;
+};
+
+/**
+ * Find the redis connection and make sure the indexes can be scored.
+ *
+ * @method initialize
+ */
+AbstractHash.prototype.initialize = function () {
+  var type;
+
+  if (this.isInitialized) {
+    return;
+  }
+
+  this.connection = this.getConnection(this.database);
+
+  for (var i = 0; i < this.indexes.length; i++) {
+    type = this.getFieldType(this.indexes[i]);
+
+    if (!AbstractHash.isScoredType(type)) {
+      throw new Error(
+        'The index on ' + this.name + '.' + this.indexes[i] + ' must be on a numeric, boolean or date field'
+      );
+    }
+  }
+
+  this.isInitialized = true;
+};
+
+/**
+ * Whether the values of a type can be used as sorted set scores
+ *
+ * @method isScoredType
+ * @param {String} type
+ * @returns {Boolean}
+ * @static
+ */
+AbstractHash.isScoredType = function (type) {
+  return (
+    type === TYPES.INTEGER || type === AbstractHash.FIELD_TYPES.FLOAT ||
+    type === TYPES.BOOLEAN || type === TYPES.DATE
+  );
+};
+
+/**
+ * @method getFieldType
+ * @param {String} field
+ * @returns {String} The type of the field in the schema, STRING if it is not listed
+ */
+AbstractHash.prototype.getFieldType = function (field) {
+  return (this.schema[field] && this.schema[field].type) || TYPES.STRING;
+};
+
+/**
+ * @method getClient
+ * @returns {RedisClient} The client of the redis connection
+ */
+AbstractHash.prototype.getClient = function () {
+  return this.connection.getClient();
+};
+
+/**
+ * @method getRecordKey
+ * @param {String|Number} id
+ * @returns {String} The key of the hash holding a record
+ */
+AbstractHash.prototype.getRecordKey = function (id) {
+  return this.connection.key(this.name, id);
+};
+
+/**
+ * @method getIdsKey
+ * @returns {String} The key of the sorted set of every id
+ */
+AbstractHash.prototype.getIdsKey = function () {
+  return this.connection.key(this.name, 'ids');
+};
+
+/**
+ * @method getIndexKey
+ * @param {String} field
+ * @returns {String} The key of the sorted set indexing a field
+ */
+AbstractHash.prototype.getIndexKey = function (field) {
+  return this.connection.key(this.name, 'idx', field);
+};
+
+/**
+ * @method getSequenceKey
+ * @returns {String} The key of the counter used to assign ids
+ */
+AbstractHash.prototype.getSequenceKey = function () {
+  return this.connection.key(this.name, 'seq');
+};
+
+/**
+ * Creates a record and binds seed data to it
+ *
+ * @method createInstance
+ * @param {Object} data
+ * @returns {Record}
+ */
+AbstractHash.prototype.createInstance = function (data) {
+  return new Record(this, data);
+};
+
+// SERIALIZATION ===============================================================
+
+/**
+ * Convert the data of a record into hash fields.  Null and undefined values are
+ * returned separately so they can be removed from the hash.
+ *
+ * @method serialize
+ * @param {Object} data
+ * @returns {Object} {fields: {field: 'value'}, removed: ['field']}
+ */
+AbstractHash.prototype.serialize = function (data) {
+  var result = {fields: {}, removed: []};
+  var value;
+  var type;
+
+  for (var i in data) {
+    value = data[i];
+    type = this.getFieldType(i);
+
+    if (typeof value === 'undefined' || value === null) {
+      result.removed.push(i);
+    } else if (type === TYPES.DATE) {
+      result.fields[i] = new Date(value).toISOString();
+    } else if (type === TYPES.BOOLEAN) {
+      result.fields[i] = value ? '1' : '0';
+    } else if (type === TYPES.ARRAY || type === AbstractHash.FIELD_TYPES.OBJECT) {
+      result.fields[i] = JSON.stringify(value);
+    } else {
+      result.fields[i] = String(value);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Convert the fields of a hash back into typed data
+ *
+ * @method deserialize
+ * @param {Object} hash
+ * @returns {Object}
+ */
+AbstractHash.prototype.deserialize = function (hash) {
+  var data = {};
+  var value;
+  var type;
+
+  for (var i in hash) {
+    value = hash[i];
+    type = this.getFieldType(i);
+
+    if (type === TYPES.INTEGER) {
+      data[i] = parseInt(value, 10);
+    } else if (type === AbstractHash.FIELD_TYPES.FLOAT) {
+      data[i] = parseFloat(value);
+    } else if (type === TYPES.DATE) {
+      data[i] = new Date(value);
+    } else if (type === TYPES.BOOLEAN) {
+      data[i] = (value === '1' || value === 'true');
+    } else if (type === TYPES.ARRAY || type === AbstractHash.FIELD_TYPES.OBJECT) {
+      try {
+        data[i] = JSON.parse(value);
+      } catch (e) {
+        data[i] = null;
+      }
+    } else {
+      data[i] = value;
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Convert a value into a sorted set score
+ *
+ * @method getScore
+ * @param {String} field
+ * @param {*} value
+ * @returns {Number} NaN if the value cannot be scored
+ */
+AbstractHash.prototype.getScore = function (field, value) {
+  var type = this.getFieldType(field);
+
+  if (typeof value === 'undefined' || value === null || value === '') {
+    return NaN;
+  }
+
+  if (type === TYPES.DATE) {
+    return new Date(value).getTime();
+  }
+
+  if (type === TYPES.BOOLEAN) {
+    return (value === true || value === 'true' || value === 1 || value === '1') ? 1 : 0;
+  }
+
+  return Number(value);
+};
+
+/**
+ * The score of an id in the set of every id, numeric ids are kept in order
+ *
+ * @method getIdScore
+ * @param {String|Number} id
+ * @returns {Number}
+ */
+AbstractHash.prototype.getIdScore = function (id) {
+  return isNaN(id) ? 0 : Number(id);
+};
+
+// QUERYING ====================================================================
+
+/**
+ * Decide how the ids of a list are found:
+ *
+ * - `keys`: the primary key is given, the hashes are read directly
+ * - `range`: an indexed field is filtered, the ids are read from its index
+ * - `scan`: the ids are read from the sort field's index or the set of every id
+ *
+ * When the index that is read also answers the whole query (the filter is on the
+ * sort field or there is no filter), the sorting and paging are done by redis.
+ *
+ * @method planQuery
+ * @param {Object} params
+ * @param {Object} options
+ * @returns {Object}
+ */
+AbstractHash.prototype.planQuery = function (params, options) {
+  var sortFields = QUERY_OPERATORS.getSortFields(options, this.primaryKey);
+  var keys = Object.keys(params);
+  var sortField;
+  var plan = {
+    strategy: 'scan',
+    key: this.getIdsKey(),
+    isDescending: sortFields[0].order === 'DESC',
+    isPaged: false,
+    min: '-inf',
+    max: '+inf'
+  };
+  var range;
+  var value;
+  var i;
+
+  for (i = 0; i < sortFields.length; i++) {
+    if (!this.hasColumn(sortFields[i].field)) {
+      throw new Error('Invalid sort field for ' + this.name + ': ' + sortFields[i].field);
+    }
+  }
+
+  // Redis can only order the ids on a single field
+  sortField = (sortFields.length === 1) ? sortFields[0].field : null;
+
+  // Look the records up by their keys
+  value = params[this.primaryKey];
+  if (typeof value !== 'undefined' && value !== null) {
+    plan.strategy = 'keys';
+
+    if (QUERY_OPERATORS.isOperatorObject(value) && value[QUERY_OPERATORS.IN]) {
+      plan.ids = value[QUERY_OPERATORS.IN];
+    } else if (!QUERY_OPERATORS.isOperatorObject(value)) {
+      plan.ids = [].concat(value);
+    } else {
+      plan.strategy = 'scan';
+    }
+
+    if (plan.strategy === 'keys') {
+      return plan;
+    }
+  }
+
+  // Read the ids from the index of a filtered field
+  for (i = 0; i < this.indexes.length; i++) {
+    range = this.getIndexRange(this.indexes[i], params[this.indexes[i]]);
+
+    if (range) {
+      plan.strategy = 'range';
+      plan.key = this.getIndexKey(this.indexes[i]);
+      plan.min = range.min;
+      plan.max = range.max;
+      plan.isPaged = (keys.length === 1 && sortField === this.indexes[i]);
+      return plan;
+    }
+  }
+
+  // Read every id in the order of the sort field if it is indexed
+  if (this.indexes.indexOf(sortField) !== -1) {
+    plan.key = this.getIndexKey(sortField);
+    plan.isPaged = (keys.length === 0);
+  } else if (sortField === this.primaryKey) {
+    plan.isPaged = (keys.length === 0);
+  }
+
+  return plan;
+};
+
+/**
+ * Convert a parameter on an indexed field into a score range, or null if the
+ * parameter cannot be answered by the index
+ *
+ * @method getIndexRange
+ * @param {String} field
+ * @param {*} param
+ * @returns {Object} {min: score, max: score} using redis' exclusive '(' syntax
+ */
+AbstractHash.prototype.getIndexRange = function (field, param) {
+  var range = {min: '-inf', max: '+inf'};
+  var score;
+
+  if (typeof param === 'undefined' || param === null || param instanceof Array) {
+    return null;
+  }
+
+  if (!QUERY_OPERATORS.isOperatorObject(param)) {
+    score = this.getScore(field, param);
+    return isNaN(score) ? null : {min: score, max: score};
+  }
+
+  for (var i in param) {
+    if (AbstractHash.RANGE_OPERATORS.indexOf(i) === -1) {
+      return null;
+    }
+
+    if (i === QUERY_OPERATORS.BETWEEN) {
+      range.min = this.getScore(field, param[i][0]);
+      range.max = this.getScore(field, param[i][1]);
+    } else {
+      score = this.getScore(field, param[i]);
+
+      if (i === QUERY_OPERATORS.GT) {
+        range.min = '(' + score;
+      } else if (i === QUERY_OPERATORS.GTE) {
+        range.min = score;
+      } else if (i === QUERY_OPERATORS.LT) {
+        range.max = '(' + score;
+      } else {
+        range.max = score;
+      }
+    }
+  }
+
+  return range;
+};
+
+/**
+ * Whether a field can be filtered or sorted on
+ *
+ * @method hasColumn
+ * @param {String} field
+ * @returns {Boolean}
+ */
+AbstractHash.prototype.hasColumn = function (field) {
+  return field === this.primaryKey || !!this.schema[field];
+};
+
+/**
+ * Read the ids of a query plan from redis
+ *
+ * @method findIds
+ * @param {Object} plan
+ * @param {Object} options
+ * @param {Function} callback
+ */
+AbstractHash.prototype.findIds = function (plan, options, callback) {
+  var client = this.getClient();
+  var offset = parseInt(options.offset, 10) || 0;
+  var limit = parseInt(options.limit, 10);
+  var args;
+
+  if (plan.strategy === 'keys') {
+    callback(null, plan.ids);
+    return;
+  }
+
+  if (plan.strategy === 'range') {
+    args = plan.isDescending ? [plan.key, plan.max, plan.min] : [plan.key, plan.min, plan.max];
+
+    if (plan.isPaged && limit > 0) {
+      args.push('LIMIT', offset, limit);
+    }
+
+    args.push(callback);
+    client[plan.isDescending ? 'zrevrangebyscore' : 'zrangebyscore'].apply(client, args);
+    return;
+  }
+
+  if (plan.isPaged) {
+    args = [plan.key, offset, (limit > 0) ? offset + limit - 1 : -1, callback];
+  } else {
+    args = [plan.key, 0, -1, callback];
+  }
+
+  client[plan.isDescending ? 'zrevrange' : 'zrange'].apply(client, args);
+};
+
+/**
+ * Read the hashes of a list of ids in a single round trip
+ *
+ * @method loadRecords
+ * @param {Array} ids
+ * @param {Function} callback Called with the records that exist, in order
+ */
+AbstractHash.prototype.loadRecords = function (ids, callback) {
+  var self = this;
+  var multi;
+
+  if (!ids || ids.length === 0) {
+    callback(null, []);
+    return;
+  }
+
+  multi = this.getClient().multi();
+
+  for (var i = 0; i < ids.length; i++) {
+    multi.hgetall(this.getRecordKey(ids[i]));
+  }
+
+  multi.exec(function (err, hashes) {
+    var records = [];
+
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    for (var i = 0; i < hashes.length; i++) {
+      if (hashes[i] && Object.keys(hashes[i]).length) {
+        records.push(new Record(self, self.deserialize(hashes[i]), false));
+      }
+    }
+
+    callback(null, records);
+  });
+};
+
+/**
+ * Filter, sort and page the records in memory for the parts of the query that
+ * redis did not answer
+ *
+ * @method applyQuery
+ * @param {Array} records
+ * @param {Object} params
+ * @param {Object} plan
+ * @param {Object} options
+ * @returns {Array}
+ */
+AbstractHash.prototype.applyQuery = function (records, params, plan, options) {
+  var sortFields = QUERY_OPERATORS.getSortFields(options, this.primaryKey);
+  var getValue = function (record, field) {
+    return record.get(field);
+  };
+  var offset = parseInt(options.offset, 10) || 0;
+  var limit = parseInt(options.limit, 10);
+  var list = [];
+
+  if (plan.isPaged) {
+    return records;
+  }
+
+  for (var i = 0; i < records.length; i++) {
+    if (QUERY_OPERATORS.matches(records[i].dataValues, params)) {
+      list.push(records[i]);
+    }
+  }
+
+  list.sort(function (a, b) {
+    return QUERY_OPERATORS.compareBySort(a, b, sortFields, getValue);
+  });
+
+  return list.slice(offset, (limit > 0) ? offset + limit : undefined);
+};
+
+/**
+ * Read a single record, null if none matches
+ *
+ * @method read
+ * @param {Object} params Query parameters
+ * @param {Object} options
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractHash.prototype.read = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var opts = {};
+
+  for (var i in options) {
+    opts[i] = options[i];
+  }
+
+  opts.limit = 1;
+  opts.offset = 0;
+
+  this.list(params, opts, function (err, records) {
+    deferred.callback(err, (records && records[0]) || null);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Read a list of records
+ *
+ * @method list
+ * @param {Object} params Query parameters
+ * @param {Object} options limit, offset, sortField and sortOrder
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractHash.prototype.list = function (params, options, callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+  var plan;
+
+  params = params || {};
+  options = options || {};
+
+  if (this.isSource && params.parent_id) {
+    params[this.foreignKey] = params.parent_id;
+    delete params.parent_id;
+  }
+
+  try {
+    plan = this.planQuery(params, options);
+  } catch (e) {
+    deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+    return deferred.promise;
+  }
+
+  this.findIds(plan, options, function (err, ids) {
+    if (err) {
+      deferred.callback(err);
+      return;
+    }
+
+    self.loadRecords(ids, function (err, records) {
+      if (err) {
+        deferred.callback(err);
+        return;
+      }
+
+      try {
+        deferred.callback(null, self.applyQuery(records, params, plan, options));
+      } catch (e) {
+        deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+      }
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Count the records matching the query params.  Counts of every record and of a
+ * range on an indexed field are answered by redis.
+ *
+ * @method count
+ * @param {Object} params Query parameters
+ * @param {Object} options
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractHash.prototype.count = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var keys = Object.keys(params || {});
+  var range;
+  var opts;
+
+  if (keys.length === 0) {
+    this.getClient().zcard(this.getIdsKey(), deferred.callback);
+    return deferred.promise;
+  }
+
+  range = (keys.length === 1 && this.indexes.indexOf(keys[0]) !== -1)
+    ? this.getIndexRange(keys[0], params[keys[0]])
+    : null;
+
+  if (range) {
+    this.getClient().zcount(this.getIndexKey(keys[0]), range.min, range.max, deferred.callback);
+    return deferred.promise;
+  }
+
+  opts = {limit: null, offset: 0};
+
+  this.list(params, opts, function (err, records) {
+    deferred.callback(err, records ? records.length : 0);
+  });
+
+  return deferred.promise;
+};
+
+// PERSISTENCE =================================================================
+
+/**
+ * Write a record's hash and update the id set and indexes atomically.  New
+ * records without a primary key are assigned the next id of the sequence.
+ *
+ * @method saveRecord
+ * @param {Record} record
+ * @param {Function} callback Called with the record
+ */
+AbstractHash.prototype.saveRecord = function (record, callback) {
+  var self = this;
+  var id = record.get(this.primaryKey);
+
+  if (typeof id !== 'undefined' && id !== null) {
+    this.writeRecord(record, callback);
+    return;
+  }
+
+  this.getClient().incr(this.getSequenceKey(), function (err, nextId) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    record.set(self.primaryKey, nextId);
+    self.writeRecord(record, callback);
+  });
+};
+
+/**
+ * @method writeRecord
+ * @param {Record} record
+ * @param {Function} callback
+ */
+AbstractHash.prototype.writeRecord = function (record, callback) {
+  var id = record.get(this.primaryKey);
+  var key = this.getRecordKey(id);
+  var serialized = this.serialize(record.dataValues);
+  var multi = this.getClient().multi();
+  var score;
+  var field;
+
+  multi.hmset(key, serialized.fields);
+
+  if (serialized.removed.length) {
+    multi.hdel.apply(multi, [key].concat(serialized.removed));
+  }
+
+  multi.zadd(this.getIdsKey(), this.getIdScore(id), id);
+
+  for (var i = 0; i < this.indexes.length; i++) {
+    field = this.indexes[i];
+    score = this.getScore(field, record.get(field));
+
+    if (isNaN(score)) {
+      multi.zrem(this.getIndexKey(field), id);
+    } else {
+      multi.zadd(this.getIndexKey(field), score, id);
+    }
+  }
+
+  multi.exec(function (err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    record.markPersisted();
+    callback(null, record);
+  });
+};
+
+/**
+ * Delete a record's hash and remove it from the id set and indexes atomically
+ *
+ * @method removeRecord
+ * @param {Record} record
+ * @param {Function} callback
+ */
+AbstractHash.prototype.removeRecord = function (record, callback) {
+  var id = record.get(this.primaryKey);
+  var multi = this.getClient().multi();
+
+  multi.del(this.getRecordKey(id));
+  multi.zrem(this.getIdsKey(), id);
+
+  for (var i = 0; i < this.indexes.length; i++) {
+    multi.zrem(this.getIndexKey(this.indexes[i]), id);
+  }
+
+  multi.exec(function (err) {
+    callback(err || null, err ? null : record);
+  });
+};
+
+module.exports = AbstractHash;
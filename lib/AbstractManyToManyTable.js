@@ -8,6 +8,7 @@
  ******************************************************************************/
 
 var AbstractTable = require('./AbstractTable.js');
+var PromiseAdapter = require('./PromiseAdapter.js');
 
  /**
   *
@@ -20,6 +21,10 @@ var AbstractManyToManyTable = function () {
   this.joinTable = this.joinTable || '';
   this.secondaryJoinKey = this.secondaryJoinKey || '';
 
+  // The columns of the join table (same format as the schema), required to sort
+  // or group by a join table column
+  this.joinSchema = this.joinSchema || null;
+
   this.baseQuery =
     'SELECT * ' +
     'FROM ' + this.primaryTable + ' p ' +
@@ -35,13 +40,26 @@ AbstractManyToManyTable.prototype = new AbstractTable();
 
 
 AbstractManyToManyTable.prototype.read = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
   if (options && options.should_resolve_references) {
     options.limit = 1;
-    this.readWithReferences(params, options, callback);
-    return;
+    this.readWithReferences(params, options, deferred.callback);
   } else {
-    AbstractTable.prototype.read.call(this, params, options, callback);
+    AbstractTable.prototype.read.call(this, params, options, deferred.callback);
   }
+
+  return deferred.promise;
+};
+
+/**
+ * Many-to-many tables already join their join table and cannot join others
+ *
+ * @method canJoin
+ * @returns {Boolean}
+ */
+AbstractManyToManyTable.prototype.canJoin = function () {
+  return false;
 };
 
 /**
@@ -50,19 +68,28 @@ AbstractManyToManyTable.prototype.read = function (params, options, callback) {
  * @method list
  */
 AbstractManyToManyTable.prototype.list = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
   options = options || {};
 
   if (options.should_resolve_references) {
     options.sortField = 'p.' + options.sortField;
 
+    if (options.sortFields) {
+      options.sortFields = options.sortFields.map(function (sortField) {
+        return {field: 'p.' + sortField.field, order: sortField.order};
+      });
+    }
+
     if (options.is_limited_by_key) {
-      this.listItemsForKeys(params, options, callback);
+      this.listItemsForKeys(params, options, deferred.callback);
     } else {
-      this.readWithReferences(params, options, callback);
+      this.readWithReferences(params, options, deferred.callback);
     }
   } else {
-    AbstractTable.prototype.list.call(this, params, options, callback);
+    AbstractTable.prototype.list.call(this, params, options, deferred.callback);
   }
+
+  return deferred.promise;
 };
 
 /**
@@ -76,6 +103,8 @@ AbstractManyToManyTable.prototype.list = function (params, options, callback) {
  * @method listForListDecoration
  */
 AbstractManyToManyTable.prototype.listItemsForKeys = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
   // Copy options
   var i, j;
 
@@ -87,9 +116,10 @@ AbstractManyToManyTable.prototype.listItemsForKeys = function (params, options,
     opts[i] = options[i];
   }
 
-  // Delete the sort field and sort order for the union
+  // Delete the sort fields and sort order for the union
   delete opts.sortField;
   delete opts.sortOrder;
+  delete opts.sortFields;
 
   for (i in params) {
     // TODO: This is a hack - how do we know this is the right foreign key?
@@ -99,43 +129,70 @@ AbstractManyToManyTable.prototype.listItemsForKeys = function (params, options,
     }
   }
 
-  // Create an array of queries to union together
+  // Create an array of queries to union together, the replacements of each
+  // query are bound in the same order
   var queries = [];
+  var replacements = [];
 
   // Create a dummy query because for some reason sequelize freaks out when the
   // query starts with parentheses
-  queries.push(this.buildQuery({1: 2}, {limit: null}));
+  queries.push(this.baseQuery + ' WHERE 1 = 0');
 
   var query;
+  var built;
 
-  for (i in ids) {
-    query = {};
+  try {
+    for (i in ids) {
+      query = {};
 
-    for (j in params) {
-      if (j !== foreignKey) {
+      for (j in params) {
+        if (j !== foreignKey) {
 
+        }
       }
-    }
 
-    query[foreignKey] = ids[i];
-    queries.push('(' + this.buildQuery(query, opts) + ')');
+      query[foreignKey] = ids[i];
+      built = this.buildQuery(query, opts);
+      queries.push('(' + built.sql + ')');
+      replacements = replacements.concat(built.replacements);
+    }
+  } catch (e) {
+    deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+    return deferred.promise;
   }
 
   // We use a union of queri
   var finalQuery = queries.join(' UNION ');
-  this.connection.sequelizeInstance.query(finalQuery).complete(callback);
+  this.connection.sequelizeInstance
+    .query(finalQuery, null, {raw: true}, replacements)
+    .complete(deferred.callback);
+
+  return deferred.promise;
 };
 
 AbstractManyToManyTable.prototype.readWithReferences = function (params, options, callback) {
   var _this = this;
-  var query = this.buildQuery(params, options);
-  this.connection.sequelizeInstance.query(query).complete(function (err, instances) {
-    for (var i in instances) {
-      _this.conformSequelizeInstanceApiToFrankenstein(instances[i]);
-    }
+  var deferred = PromiseAdapter.defer(callback);
+  var query;
+
+  try {
+    query = this.buildQuery(params, options);
+  } catch (e) {
+    deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+    return deferred.promise;
+  }
+
+  this.connection.sequelizeInstance
+    .query(query.sql, null, {raw: true}, query.replacements)
+    .complete(function (err, instances) {
+      for (var i in instances) {
+        _this.conformSequelizeInstanceApiToFrankenstein(instances[i]);
+      }
+
+      deferred.callback(err, instances);
+    });
 
-    callback(err, instances);
-  });
+  return deferred.promise;
 };
 
 
@@ -7,12 +7,21 @@
  *
  ******************************************************************************/
 
+var EventEmitter = require('events').EventEmitter;
 var AbstractSource = require('./AbstractSource.js');
 var Instance = require('./Instance.js');
+var PromiseAdapter = require('./PromiseAdapter.js');
 
 var TYPES = require('./Types');
 var FIELD_MAPPING_TYPES = require('./FieldMappingTypes');
 var SOURCE_MAPPING_TYPES = require('./SourceMappingTypes');
+var QUERY_OPERATORS = require('./QueryOperators.js');
+var DELETE_POLICIES = require('./DeletePolicies.js');
+var LifecycleHooks = require('./LifecycleHooks.js');
+var SearchIndexer = require('./SearchIndexer.js');
+var CrossSourceQuery = require('./CrossSourceQuery.js');
+var BatchContext = require('./BatchContext.js');
+var ModelCache = require('./ModelCache.js');
 
 /**
  * Define an arbitrarily complex model that maps to one or more sources of data.
@@ -94,6 +103,24 @@ var AbstractModel = function () {
   // translational layer model
   this.sources = this.sources || {};
 
+  /**
+   * The configuration of the read-through cache of lists and reads, none by
+   * default, see setupCache()
+   *
+   * @property cache
+   * @type {Object}
+   */
+  this.cache = this.cache || null;
+  this.modelCache = null;
+
+  // Models emit created, updated and removed events for their instances
+  EventEmitter.call(this);
+
+  // The hooks run around the lifecycle of instances, filling in default values
+  // is built in
+  this.hooks = new LifecycleHooks();
+  this.hooks.add(LifecycleHooks.STAGES.BEFORE_VALIDATE, LifecycleHooks.applyDefaultValues);
+
   // Modify the definitions to make it more convenient to work with
   AbstractModel.modifyDefinitions(this.definition);
   this.setFieldOnSources(this.definition);
@@ -272,6 +299,29 @@ AbstractModel.setChildWithDotNotation = function (reference, object, value) {
 
 AbstractModel.prototype = new AbstractSource();
 
+// Models are event emitters as well as sources
+for (var method in EventEmitter.prototype) {
+  if (typeof EventEmitter.prototype[method] === 'function') {
+    AbstractModel.prototype[method] = EventEmitter.prototype[method];
+  }
+}
+
+/**
+ * Every event of every model is also emitted here, so that subscribers can
+ * listen across all models:
+ *
+ * ```
+ * AbstractModel.events.on('updated', function (event) {
+ *   cache.bust(event.model, event.instance.id);
+ * });
+ * ```
+ *
+ * @property events
+ * @type EventEmitter
+ * @static
+ */
+AbstractModel.events = new EventEmitter();
+
 AbstractModel.prototype.setFieldOnSources = function (definitions, prefix) {
   var mapping;
   var shouldSetField;
@@ -289,6 +339,7 @@ AbstractModel.prototype.setFieldOnSources = function (definitions, prefix) {
       mapping &&
       (
         mapping.type === this.FIELD_MAPPING_TYPES.SUBMODEL_ARRAY ||
+        mapping.type === this.FIELD_MAPPING_TYPES.SUBMODEL_PROPERTY ||
         mapping.type === this.FIELD_MAPPING_TYPES.MODEL_REFERENCE
       )
     );
@@ -352,6 +403,40 @@ AbstractModel.prototype.QUERY_OPTIONS = {
   IGNORE: "__query_ignore_field__"
 };
 
+/**
+ * The events emitted after instances have been written.  Comes from Instance.
+ *
+ * @property EVENTS
+ * @type Object
+ */
+AbstractModel.prototype.EVENTS = Instance.EVENTS;
+
+/**
+ * The lifecycle stages that hooks can be added to.  Comes from LifecycleHooks.
+ *
+ * @property HOOKS
+ * @type Object
+ */
+AbstractModel.prototype.HOOKS = LifecycleHooks.STAGES;
+
+/**
+ * The operators that can be used in list parameters and named queries.  Comes
+ * from QueryOperators.
+ *
+ * @property QUERY_OPERATORS
+ * @type Object
+ */
+AbstractModel.prototype.QUERY_OPERATORS = QUERY_OPERATORS;
+
+/**
+ * The policies for the records of a source when an instance is removed, set with
+ * the `on_delete` property of the source.  Comes from DeletePolicies.
+ *
+ * @property DELETE_POLICIES
+ * @type Object
+ */
+AbstractModel.prototype.DELETE_POLICIES = DELETE_POLICIES;
+
 
 // UTILITY FUNCTIONS ===========================================================
 
@@ -476,9 +561,74 @@ AbstractModel.prototype.addSource = function (source) {
 //    source.setForeignKey('id');
   }
 
+  if (sourceDefinition.resilience) {
+    source.enableResilience(sourceDefinition.resilience);
+  }
+
+  // Let sources that store untyped values (like CSV files) coerce them
+  if (typeof source.setFieldTypes === 'function') {
+    source.setFieldTypes(this.getSourceFieldTypes(source.name, !!sourceDefinition.is_primary));
+  }
+
   sourceDefinition.source = source;
 };
 
+/**
+ * The types of the top-level fields stored in a source, keyed by the source's
+ * alias for each field.
+ *
+ * @method getSourceFieldTypes
+ * @param {String} sourceName
+ * @param {Boolean} isPrimary
+ * @returns {Object}
+ */
+AbstractModel.prototype.getSourceFieldTypes = function (sourceName, isPrimary) {
+  var types = {};
+  var definition;
+  var alias;
+
+  for (var i in this.definition) {
+    definition = this.definition[i];
+
+    if (
+      !definition || !definition.type || definition.type === TYPES.VIRTUAL ||
+      AbstractModel.isSubDocumentDefinition(definition)
+    ) {
+      continue;
+    }
+
+    alias = this.transformQueryParamKeyToAlias(i, sourceName, isPrimary);
+
+    if (alias) {
+      types[alias] = definition.type;
+    }
+  }
+
+  return types;
+};
+
+/**
+ * Report the circuit breaker state of every source with resilience enabled, e.g.
+ * for a health check endpoint.
+ *
+ * @method getCircuitStates
+ * @returns {Object} Breaker states keyed by source name
+ */
+AbstractModel.prototype.getCircuitStates = function () {
+  var states = {};
+  var state;
+
+  for (var i in this.sources) {
+    state = this.sources[i].source ? this.sources[i].source.getCircuitState() : null;
+
+    if (state) {
+      states[i] = state;
+    }
+  }
+
+  return states;
+};
+
 /**
  * Getter for sources to reduce coupling
  *
@@ -490,6 +640,67 @@ AbstractModel.prototype.getSource = function (name) {
   return this.sources[name];
 };
 
+/**
+ * The source a field is stored on, other than the primary source
+ *
+ * @method getFieldSource
+ * @param {String} field A field path
+ * @returns {Object} The source and its metadata, null for the primary source
+ */
+AbstractModel.prototype.getFieldSource = function (field) {
+  var mapping = AbstractModel.getChildWithDotNotation(field + '.mapping', this.definition);
+  var sourceInfo = (mapping && mapping.source) ? this.sources[mapping.source] : null;
+
+  return (sourceInfo && !sourceInfo.is_primary && sourceInfo.source) ? sourceInfo : null;
+};
+
+/**
+ * Add a hook to a stage of the lifecycle of this model's instances, see
+ * LifecycleHooks.  Hooks run in the order they were added.
+ *
+ * @method addHook
+ * @param {String} stage One of HOOKS (beforeValidate, beforeCreate, afterCreate,
+ *   beforeUpdate, afterUpdate, beforeRemove, afterRead)
+ * @param {Function} hook Called with (instance, next) or returning a promise
+ * @returns {AbstractModel} This model, for chaining
+ */
+AbstractModel.prototype.addHook = function (stage, hook) {
+  this.hooks.add(stage, hook);
+  return this;
+};
+
+/**
+ * Emit an event about an instance on this model and on AbstractModel.events.  A
+ * subscriber that throws does not affect the operation that was completed, nor
+ * the subscribers of the other emitter.
+ *
+ * @method emitChange
+ * @param {String} event One of EVENTS
+ * @param {Instance} instance
+ * @param {Object} changes The changed field paths and previous values, see
+ *   Instance.getChanges()
+ */
+AbstractModel.prototype.emitChange = function (event, instance, changes) {
+  var payload = {
+    model: this.name,
+    instance: instance,
+    changed: changes.changed,
+    previous: changes.previous
+  };
+
+  try {
+    this.emit(event, payload);
+  } catch (e) {
+    console.error('A subscriber to the ' + event + ' event of ' + this.name + ' failed', e);
+  }
+
+  try {
+    AbstractModel.events.emit(event, payload);
+  } catch (e) {
+    console.error('A global subscriber to the ' + event + ' event of ' + this.name + ' failed', e);
+  }
+};
+
 /**
  * Pass the appropriate fields to the Instance constructor.
  *
@@ -538,6 +749,9 @@ AbstractModel.prototype.initialize = function () {
       this.primarySource = sources[i];
     }
   }
+
+  this.setupSearchIndexing();
+  this.setupCache();
 };
 
 
@@ -624,6 +838,12 @@ AbstractModel.prototype.prepareModelOptions = function (params, rawOptions) {
 
   options.query = options.query || 'default';
 
+  // Cursor scans continue after the cursor instead of skipping an offset, the
+  // primary key breaks ties between records with the same sort value
+  if (options.cursor) {
+    options.cursorKey = (idMapping && idMapping.alias) ? idMapping.alias : this.primaryKey;
+  }
+
   // Set a clone of the original parameters on the options object to be passed
   // through for the submodels to interact with
   options.original_params = AbstractModel.clone(params);
@@ -638,6 +858,7 @@ AbstractModel.prototype.prepareModelOptions = function (params, rawOptions) {
  */
 AbstractModel.prototype.count = function (params, rawOptions, callback) {
   var i;
+  var deferred = PromiseAdapter.defer(callback);
   var options = this.prepareModelOptions(params, rawOptions);
 
   // Set the foreign key ID if this is a submodel
@@ -650,6 +871,7 @@ AbstractModel.prototype.count = function (params, rawOptions, callback) {
   var sourceInfo;
   var source;
   var query;
+  var crossQuery;
 
   for (i in sources) {
     sourceInfo = sources[i];
@@ -657,13 +879,25 @@ AbstractModel.prototype.count = function (params, rawOptions, callback) {
 
     // Create a query object per source based on the params and the named query
     // specified
-    query = this.getQueryForSource(options.query, params, sourceInfo);
+    try {
+      query = this.getQueryForSource(options.query, params, sourceInfo);
+
+      // Parameters of other sources are queried along with the primary source
+      if (sourceInfo.is_primary) {
+        crossQuery = CrossSourceQuery.create(this, params, options, sourceInfo, true);
+      }
+    } catch (e) {
+      deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+      break;
+    }
 
     if (sourceInfo.is_primary) {
-      source.count(query, options, callback);
+      (crossQuery || source).count(query, options, deferred.callback);
       break;
     }
   }
+
+  return deferred.promise;
 };
 
 /**
@@ -673,14 +907,27 @@ AbstractModel.prototype.count = function (params, rawOptions, callback) {
  * to support the resolve references option, but only if the AbstractTable source
  * supports using a JOIN on the referenced model.
  *
+ * Parameters and sort fields of the other one-to-one sources are queried along
+ * with the primary source, see CrossSourceQuery.  Models with a `cache` read
+ * lists through it unless the `should_skip_cache` option is set, see setupCache().
  *
  * @param params
  * @param options
- * @param callback
+ * @param callback Optional, a promise is returned without it
+ * @returns {Promise}
  */
 AbstractModel.prototype.list = function (params, rawOptions, callback) {
   var i;
-  var options = this.prepareModelOptions(params, rawOptions);
+  var deferred;
+  var options;
+
+  // Read through the cache, which lists again with should_skip_cache on a miss
+  if (this.modelCache && this.modelCache.isCached(rawOptions)) {
+    return this.modelCache.list(params, rawOptions, callback);
+  }
+
+  deferred = PromiseAdapter.defer(callback);
+  options = this.prepareModelOptions(params, rawOptions);
 
   // Set the foreign key ID if this is a submodel
   if (this.isSource && !options.should_disable_foreign_key) {
@@ -692,6 +939,8 @@ AbstractModel.prototype.list = function (params, rawOptions, callback) {
   var sourceInfo;
   var source;
   var query;
+  var crossQuery;
+  var reader;
 
   for (i in sources) {
     sourceInfo = sources[i];
@@ -699,18 +948,41 @@ AbstractModel.prototype.list = function (params, rawOptions, callback) {
 
     // Create a query object per source based on the params and the named query
     // specified
-    query = this.getQueryForSource(options.query, params, sourceInfo, options.check_query_params);
+    try {
+      if (sourceInfo.is_primary && options.sort) {
+        this.applySort(options, sourceInfo, true);
+      }
+
+      if (sourceInfo.is_primary && options.cursor) {
+        this.applyCursor(options, source);
+      }
+
+      query = this.getQueryForSource(options.query, params, sourceInfo, options.check_query_params);
+
+      // Parameters and sort fields of other sources are queried along with the
+      // primary source
+      if (sourceInfo.is_primary) {
+        crossQuery = CrossSourceQuery.create(this, params, options, sourceInfo, false);
+      }
+    } catch (e) {
+      deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+      break;
+    }
 
     if (sourceInfo.is_primary) {
+      reader = crossQuery || source;
+
       if (options.should_include_meta) {
-        source.count(query, options, this.generateGetListDataCallback(query, options, source, callback));
+        reader.count(query, options, this.generateGetListDataCallback(query, options, source, deferred.callback, reader));
       } else {
-        source.list(query, options, this.generateListFromSourceCallback(source, {}, options, callback));
+        reader.list(query, options, this.generateListFromSourceCallback(source, {}, options, deferred.callback));
       }
 
       break;
     }
   }
+
+  return deferred.promise;
 };
 
 /**
@@ -753,18 +1025,7 @@ AbstractModel.prototype.getQueryForSource = function (queryName, customParams, s
   if (type === this.SOURCE_MAPPING_TYPES.ONE_TO_ONE || type === this.SOURCE_MAPPING_TYPES.ONE_TO_ONE_REF) {
     // Loop through the query and transform the items into their aliases depending
     // on their definition
-    var key;
-    for (i in query) {
-      if (isStrict) {
-        query[i] = this.cleanQueryParam(i, query[i]);
-      }
-
-      key = this.transformQueryParamKeyToAlias(i, sourceName, isPrimary);
-
-      if (key && key !== 'undefined') {
-        finalQuery[key] = query[i];
-      }
-    }
+    finalQuery = this.transformQueryToAliases(query, sourceName, isPrimary, isStrict);
   } else {
     // If this is not a one-to-one relationship, strip out any parameters that do
     // not start with the field referencing this property and then return the fields
@@ -787,6 +1048,96 @@ AbstractModel.prototype.getQueryForSource = function (queryName, customParams, s
   return finalQuery;
 };
 
+/**
+ * Transform every key of a query into its alias for the given source, including
+ * the keys nested in $and/$or groups.  Operator objects are validated and kept
+ * as-is (other than type coercion in strict mode) for the source to render.
+ *
+ * Keys that do not apply to the source are dropped.  An $or group that loses
+ * any key of one of its branches cannot be evaluated by this source: dropping
+ * the key would widen the results of the branch, so it is an error for the
+ * primary source.  Other sources do not filter the list, and drop the whole
+ * group.
+ *
+ * @method transformQueryToAliases
+ * @param {Object} query
+ * @param {String} sourceName
+ * @param {Boolean} isPrimary
+ * @param {Boolean} isStrict Whether to coerce the values to the field types
+ * @param {Array} dropped Optional, the keys that were dropped are added to it
+ * @returns {Object}
+ */
+AbstractModel.prototype.transformQueryToAliases = function (query, sourceName, isPrimary, isStrict, dropped) {
+  var finalQuery = {};
+  var branchDropped;
+  var branches;
+  var branch;
+  var value;
+  var key;
+  var i, j;
+
+  dropped = dropped || [];
+
+  for (i in query) {
+    if (QUERY_OPERATORS.isLogicalKey(i)) {
+      if (!(query[i] instanceof Array)) {
+        throw new Error('The ' + i + ' operator requires an array of parameter objects');
+      }
+
+      branches = [];
+      for (j = 0; j < query[i].length; j++) {
+        branchDropped = [];
+        branch = this.transformQueryToAliases(query[i][j], sourceName, isPrimary, isStrict, branchDropped);
+
+        if (branchDropped.length && i === QUERY_OPERATORS.OR && isPrimary) {
+          throw new Error(
+            'Every key of the branches of the ' + i + ' operator must be a field of the ' + sourceName +
+            ' source, not: ' + branchDropped.join(', ')
+          );
+        }
+
+        if (branchDropped.length && i === QUERY_OPERATORS.OR) {
+          dropped.push(i);
+          branches = [];
+          break;
+        }
+
+        dropped.push.apply(dropped, branchDropped);
+
+        if (Object.keys(branch).length) {
+          branches.push(branch);
+        }
+      }
+
+      if (branches.length) {
+        finalQuery[i] = branches;
+      }
+
+      continue;
+    }
+
+    value = query[i];
+
+    if (QUERY_OPERATORS.isOperatorObject(value)) {
+      QUERY_OPERATORS.validate(i, value);
+    }
+
+    if (isStrict) {
+      value = this.cleanQueryParam(i, value);
+    }
+
+    key = this.transformQueryParamKeyToAlias(i, sourceName, isPrimary);
+
+    if (key && key !== 'undefined') {
+      finalQuery[key] = value;
+    } else {
+      dropped.push(i);
+    }
+  }
+
+  return finalQuery;
+};
+
 
 /**
  * Compares the definition type to the parameter being passed in and tries to
@@ -808,6 +1159,11 @@ AbstractModel.prototype.cleanQueryParam = function (key, value) {
     }
 
     cleaned = value;
+  } else if (QUERY_OPERATORS.isOperatorObject(value)) {
+    cleaned = {};
+    for (var op in value) {
+      cleaned[op] = this.coerceQueryOperand(definition.type, key, op, value[op]);
+    }
   } else if ((definition.type === 'NUMBER' || definition.type === 'INTEGER' || definition.type === 'STRING') && typeof value === 'object') {
     cleaned = [];
     for (var i in value) {
@@ -820,6 +1176,44 @@ AbstractModel.prototype.cleanQueryParam = function (key, value) {
   return cleaned;
 };
 
+/**
+ * Coerce the operand of a single query operator to the field type.  List
+ * operators coerce each of their values, the pattern operators are always
+ * strings and $null is a flag.
+ *
+ * @method coerceQueryOperand
+ * @param type
+ * @param key
+ * @param operator
+ * @param operand
+ * @returns {*}
+ */
+AbstractModel.prototype.coerceQueryOperand = function (type, key, operator, operand) {
+  var coerced;
+
+  switch (operator) {
+    case QUERY_OPERATORS.NULL:
+      coerced = !!operand;
+      break;
+    case QUERY_OPERATORS.LIKE:
+    case QUERY_OPERATORS.PREFIX:
+      coerced = String(operand);
+      break;
+    case QUERY_OPERATORS.IN:
+    case QUERY_OPERATORS.NIN:
+    case QUERY_OPERATORS.BETWEEN:
+      coerced = [];
+      for (var i = 0; i < operand.length; i++) {
+        coerced.push(this.coerceQueryParamType(type, key, operand[i]));
+      }
+      break;
+    default:
+      coerced = (operand === null) ? null : this.coerceQueryParamType(type, key, operand);
+  }
+
+  return coerced;
+};
+
 /**
  * Separate out the actual coercion to types into a separate function so it can
  * be applied multiple times on a single param in the case that it's an array.
@@ -893,11 +1287,12 @@ AbstractModel.prototype.transformQueryParamKeyToAlias = function (key, sourceNam
 
 /**
  * After counting the total, create a callback for actually retrieving the list
- * of data to be attached to the result.
+ * of data to be attached to the result.  The list is read from the source unless
+ * a reader, like a CrossSourceQuery, is given.
  *
  * @method generateGetListDataCallback
  */
-AbstractModel.prototype.generateGetListDataCallback = function (params, options, source, callback) {
+AbstractModel.prototype.generateGetListDataCallback = function (params, options, source, callback, reader) {
   var self = this;
 
   return function (err, count) {
@@ -910,7 +1305,7 @@ AbstractModel.prototype.generateGetListDataCallback = function (params, options,
     var meta = {};
     meta.total = count;
 
-    source.list(params, options, self.generateListFromSourceCallback(source, meta, options, callback));
+    (reader || source).list(params, options, self.generateListFromSourceCallback(source, meta, options, callback));
   };
 };
 
@@ -961,29 +1356,63 @@ AbstractModel.prototype.generateListFromSourceCallback = function (source, meta,
 
     result.list = list;
 
+    if (options.cursor) {
+      result.meta.next_cursor = self.generateNextCursor(instances, options);
+    }
+
     if (!options.should_include_meta) {
       result = list;
     }
 
     // Decorate the list with items from the various disparate data sources
-    self.decorateList(list, options, function (err, decoratedInstances) {
+    self.decorateList(list, options, function (err, decoratedInstances, degraded) {
+      if (err) {
+        callback(err, result);
+        return;
+      }
+
+      // Report the optional sources that could not be read
+      if (result.meta && degraded && degraded.length) {
+        result.meta.degraded = degraded;
+      }
+
       // Return the result with meta if it is necessary
-      callback(err, result);
+      self.runAfterReadHooks(list, function (err) {
+        callback(err, err ? null : result);
+      });
     });
   };
 };
 
 
 
+/**
+ * Run the afterRead hooks on every instance of a list once it has been bound and
+ * decorated.  A failing hook fails the whole list.
+ *
+ * @method runAfterReadHooks
+ * @param {Array} instances
+ * @param {Function} callback
+ */
+AbstractModel.prototype.runAfterReadHooks = function (instances, callback) {
+  this.hooks.runEach(LifecycleHooks.STAGES.AFTER_READ, instances, function (err) {
+    callback(err ? Instance.normalizeSourceOpError(err) : null);
+  });
+};
+
 /**
  * Manage the asynchronous nature of decorating data by creating a closure and
  * managing the state of the callback chain based on the status object which should
  * look like:
  *
  * ```
- * {cnt: 1, isFailed: false}
+ * {cnt: 1, isFailed: false, degraded: []}
  * ```
  *
+ * A failure of a source that is marked `optional` does not fail the list.  The
+ * source is added to `status.degraded` and to each instance's degraded sources
+ * and its fields are left unset.
+ *
  * @method method
  */
 AbstractModel.prototype.generateDecoratorCallback = function (status, instances, sourceInfo, callback) {
@@ -999,6 +1428,23 @@ AbstractModel.prototype.generateDecoratorCallback = function (status, instances,
   var type = sourceInfo.relationship;
 
   return function (err, data) {
+    var degraded;
+
+    // Optional sources leave their fields unset rather than failing the list
+    if (err && sourceInfo.optional) {
+      console.warn('Skipping the optional source', source.name, 'after error:', JSON.stringify(err));
+
+      degraded = {source: source.name, error: Instance.normalizeSourceOpError(err)};
+      status.degraded.push(degraded);
+
+      for (var k in instances) {
+        instances[k].markDegraded(degraded);
+      }
+
+      err = null;
+      data = [];
+    }
+
     if (err) {
       if (!status.isFailed) {
         status.isFailed = true;
@@ -1036,7 +1482,7 @@ AbstractModel.prototype.generateDecoratorCallback = function (status, instances,
 
     status.cnt--;
     if (status.cnt === 0) {
-      callback(null, instances);
+      callback(null, instances, status.degraded);
     }
   }
 };
@@ -1059,12 +1505,23 @@ AbstractModel.pluck = function (field, array) {
 };
 
 /**
- * Another lodash-like utility function for recursively cloning an object
+ * Another lodash-like utility function for recursively cloning an object.
+ * Arrays and dates are preserved so that query operands survive the copy.
  *
  * @method clone
  */
 AbstractModel.clone = function (obj) {
-  var copy = {};
+  var copy = (obj instanceof Array) ? [] : {};
+
+  // A batch context is shared by every read of a request rather than copied
+  if (obj instanceof BatchContext) {
+    return obj;
+  }
+
+  if (obj instanceof Date) {
+    return new Date(obj.getTime());
+  }
+
   for (var i in obj) {
     if (typeof obj[i] === 'object' && obj[i] !== null) {
       copy[i] = AbstractModel.clone(obj[i]);
@@ -1108,7 +1565,8 @@ AbstractModel.prototype.decorateList = function (instances, options, callback) {
 
   // Use an object as a counter so it's reference can be passed around to sub-funcs
   // TODO: Consider using Async or similar JS lib to handle this
-  var status = {cnt: 0, isFailed: false};
+  var status = {cnt: 0, isFailed: false, degraded: []};
+  var requests = [];
 
   for (i in sources) {
     sourceInfo = sources[i];
@@ -1131,6 +1589,14 @@ AbstractModel.prototype.decorateList = function (instances, options, callback) {
     opts.should_include_meta = false;
     delete opts.offset;
     delete opts.random_seed;
+    delete opts.sort;
+    delete opts.sortFields;
+    delete opts.cursor;
+    delete opts.cursorSortFields;
+    delete opts.cursorSort;
+    delete opts.cursorAfter;
+    delete opts.cursorKey;
+    delete opts.cursorMark;
 
     // Create a query object per source based on the params and the named query
     // specified - make sure to make a clone of the original request parameters
@@ -1166,25 +1632,144 @@ AbstractModel.prototype.decorateList = function (instances, options, callback) {
       continue;
     }
 
-    // Make the request for data and setup a callback to decorate the instance
-    // list properly
-    source.list(
-      query,
-      opts,
-      this.generateDecoratorCallback(status, instances, sourceInfo, callback)
-    );
+    // Setup a callback to decorate the instance list properly.  Generating it
+    // counts the source as pending.
+    requests.push({
+      sourceInfo: sourceInfo,
+      query: query,
+      opts: opts,
+      callback: this.generateDecoratorCallback(status, instances, sourceInfo, callback)
+    });
   }
 
   // If there is no decoration necessary, call the callback
   if (status.cnt === 0) {
+    callback(null, instances, status.degraded);
+    return;
+  }
+
+  // Every source is counted before any request is made, so a source that calls
+  // back synchronously cannot complete the decoration early
+  for (var j = 0; j < requests.length; j++) {
+    this.requestDecoration(requests[j]);
+  }
+};
+
+/**
+ * Make the request for the data that decorates a list, see decorateList()
+ *
+ * @method requestDecoration
+ * @param {Object} request {sourceInfo, query, opts, callback}
+ */
+AbstractModel.prototype.requestDecoration = function (request) {
+  var sourceInfo = request.sourceInfo;
+
+  // References by id within a batch context are read along with the other
+  // reads of the referenced model in the same turn of the event loop
+  if (this.isBatchableReference(sourceInfo, request.query, request.opts)) {
+    this.readReferences(sourceInfo.source, request.query.parent_id, request.opts, request.callback);
+    return;
+  }
+
+  sourceInfo.source.list(request.query, request.opts, request.callback);
+};
+
+/**
+ * Whether the references of a source can be read through the batch context of
+ * the list, which requires a model referenced by its primary key alone
+ *
+ * @method isBatchableReference
+ * @param {Object} sourceInfo
+ * @param {Object} query The query for the source
+ * @param {Object} options The list options for the source
+ * @returns {Boolean}
+ */
+AbstractModel.prototype.isBatchableReference = function (sourceInfo, query, options) {
+  var source = sourceInfo.source;
+
+  return (
+    sourceInfo.relationship === this.SOURCE_MAPPING_TYPES.ONE_TO_ONE_REF &&
+    options.batch_context instanceof BatchContext &&
+    source instanceof AbstractModel &&
+    sourceInfo.foreign_key === source.primaryKey &&
+    Object.keys(query).length === 1
+  );
+};
+
+/**
+ * Read referenced instances by id through the batch context in the options.
+ * Ids that are not found are left out like they are from a list.
+ *
+ * @method readReferences
+ * @param {AbstractModel} model The referenced model
+ * @param {Array} ids
+ * @param {Object} options The list options for the source, view and fields
+ * @param {Function} callback Called with the list of instances
+ */
+AbstractModel.prototype.readReferences = function (model, ids, options, callback) {
+  var opts = {view: options.view, batch_context: options.batch_context};
+  var instances = [];
+  var isFailed = false;
+  var unique = [];
+  var seen = {};
+  var count;
+  var i;
+
+  if (options.fields) {
+    opts.fields = options.fields;
+  }
+
+  var read = function (id) {
+    var params = {};
+
+    params[model.primaryKey] = id;
+
+    model.read(params, opts, function (err, instance) {
+      if (isFailed) {
+        return;
+      }
+
+      if (err && err.code !== 404) {
+        isFailed = true;
+        callback(err);
+        return;
+      }
+
+      if (instance) {
+        instances.push(instance);
+      }
+
+      count--;
+      if (count === 0) {
+        callback(null, instances);
+      }
+    });
+  };
+
+  for (i = 0; i < ids.length; i++) {
+    if (!seen[String(ids[i])]) {
+      seen[String(ids[i])] = true;
+      unique.push(ids[i]);
+    }
+  }
+
+  count = unique.length;
+
+  if (count === 0) {
     callback(null, instances);
+    return;
+  }
+
+  for (i = 0; i < unique.length; i++) {
+    read(unique[i]);
   }
 };
 
 /**
  *
  * @param data
- * @param callback
+ * @param callback Optional, a promise is returned without it
+ * @returns {Promise}
  */
 AbstractModel.prototype.create = function (data, callback) {
   // Create the new instance to save
@@ -1192,30 +1777,43 @@ AbstractModel.prototype.create = function (data, callback) {
 
   // Bind the raw data to it as an "update" to its original form
   instance.bind(data, true);
-  instance.create(callback);
+  return instance.create(callback);
 };
 
 
 /**
- * Just wraps the list method b/c the logic is the same.
+ * Just wraps the list method b/c the logic is the same.  Reads by id with a
+ * `batch_context` option are batched and cached, see BatchContext.
  *
  * @method read
  */
 AbstractModel.prototype.read = function (params, options, callback) {
-  var opts = AbstractModel.clone(options);
+  var deferred = PromiseAdapter.defer(callback);
+  var opts;
+
+  // Reads by id within a batch context are coalesced with the other reads of
+  // the same turn of the event loop
+  if (options && options.batch_context instanceof BatchContext && BatchContext.isBatchable(this, params)) {
+    options.batch_context.read(this, params[this.primaryKey], options, deferred.callback);
+    return deferred.promise;
+  }
+
+  opts = AbstractModel.clone(options);
   opts.limit = 1;
   opts.offset = 0;
   opts.should_include_meta = false;
 
   this.list(params, opts, function (err, list) {
     if (err) {
-      callback(err);
+      deferred.callback(err);
     } else if (!list || !list[0]) {
-      callback({code: 404, msg: "Not Found", error: "Not Found"});
+      deferred.callback({code: 404, msg: "Not Found", error: "Not Found"});
     } else {
-      callback(null, list[0]);
+      deferred.callback(null, list[0]);
     }
   });
+
+  return deferred.promise;
 };
 
 
@@ -1315,43 +1913,50 @@ AbstractModel.prototype.isFieldIncludedInResult = function (field, view, reqFiel
 
 /**
  * Updating complex documents is a very tricky procedure.  All updates across
- * data sources must succeed or be rolled back.
- *
- * For now protect against failed transactions by only allowing updates to one
- * data source per request.
- *
- * @TODO: We need to experiment with a transaction rollback strategy that works
+ * data sources must succeed or be rolled back, the instance writes its sources
+ * as a unit of work (see UnitOfWork) so a failed update reports the sources that
+ * were rolled back in the error.
  *
  * @param params
  * @param data
- * @param callback
+ * @param callback Optional, a promise is returned without it
+ * @returns {Promise}
  */
 AbstractModel.prototype.update = function (params, data, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
   this.read(params, {view: this.updateView, should_resolve_references: false}, function (err, instance) {
     if (err || !instance) {
-      callback(err);
+      deferred.callback(err);
       return;
     }
 
     instance.bind(data, true);
-    instance.save(callback);
+    instance.save(deferred.callback);
   });
+
+  return deferred.promise;
 };
 
 /**
  *
  * @param params
- * @param callback
+ * @param callback Optional, a promise is returned without it
+ * @returns {Promise}
  */
 AbstractModel.prototype['delete'] = function (params, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
   this.read(params, {view: 'delete'}, function (err, instance) {
     if (err || !instance) {
-      callback(err);
+      deferred.callback(err);
       return;
     }
 
-    instance.remove(callback);
+    instance.remove(deferred.callback);
   });
+
+  return deferred.promise;
 };
 
 /**
@@ -1362,6 +1967,7 @@ AbstractModel.prototype['delete'] = function (params, callback) {
  */
 AbstractModel.prototype.search = function (params, options, callback) {
   var self = this;
+  var deferred = PromiseAdapter.defer(callback);
 
   var i;
   var source;
@@ -1382,16 +1988,23 @@ AbstractModel.prototype.search = function (params, options, callback) {
 
   searchSource.source.list(params, options, function (err, results) {
     if (err) {
-      callback(err);
+      deferred.callback(err);
       return;
     }
 
     var meta = results.meta;
     var list = results.list;
 
+    // Keep the snippets of the search results for the instances returned
+    var highlights = {};
+
     var ids = [];
     for (var i in list) {
       ids.push(list[i].id);
+
+      if (typeof list[i].getHighlights === 'function') {
+        highlights[list[i].id] = list[i].getHighlights();
+      }
     }
 
     // Get the instances for the IDs returned by the search results
@@ -1408,13 +2021,742 @@ AbstractModel.prototype.search = function (params, options, callback) {
     opts.offset = 0;
 
     self.list(params, opts, function (err, results) {
+      var id;
+
       if (err) {
-        callback(err);
-      } else {
-        callback(null, {meta: meta, list: results});
+        deferred.callback(err);
+        return;
       }
+
+      for (var j = 0; j < results.length; j++) {
+        id = AbstractModel.getChildWithDotNotation(searchField, results[j]);
+
+        if (highlights[id]) {
+          results[j].setHighlights(highlights[id]);
+        }
+      }
+
+      deferred.callback(null, {meta: meta, list: results});
     });
   });
+
+  return deferred.promise;
+};
+
+
+// SORTING =====================================================================
+
+/**
+ * Translate the `sort` list option, a list of model fields to sort on in order:
+ *
+ * ```
+ * sort: [{field: 'date', order: 'DESC'}, {field: 'id', order: 'ASC'}]
+ * ```
+ *
+ * into the `sortFields` of the source, see QUERY_OPERATORS.getSortFields().  The
+ * first entry is also set as the sortField and sortOrder for the sources that
+ * can only sort on a single field.
+ *
+ * Fields of other one-to-one sources can be allowed, their sort fields have the
+ * name of their `source` and are sorted on by a CrossSourceQuery.
+ *
+ * @method applySort
+ * @param {Object} options Prepared list options
+ * @param {Object} sourceInfo The source that is listed
+ * @param {Boolean} isCrossSource Whether fields of other sources are allowed
+ * @throws {Error} If a field cannot be sorted on or an order is invalid
+ */
+AbstractModel.prototype.applySort = function (options, sourceInfo, isCrossSource) {
+  var sourceName = sourceInfo.source ? sourceInfo.source.name : null;
+  var sort = [].concat(options.sort);
+  var sortFields = [];
+  var sortField;
+  var definition;
+  var mapping;
+  var fieldSource;
+  var alias;
+  var order;
+
+  for (var i = 0; i < sort.length; i++) {
+    if (!sort[i] || typeof sort[i].field !== 'string') {
+      throw new Error('Invalid sort: ' + JSON.stringify(sort[i]));
+    }
+
+    definition = AbstractModel.getChildWithDotNotation(sort[i].field, this.definition);
+    mapping = definition && definition.mapping;
+    fieldSource = null;
+    alias = null;
+
+    // Only fields stored on the source itself (or another one-to-one source) can
+    // be sorted on
+    if (
+      definition && definition.type && definition.type !== TYPES.VIRTUAL &&
+      !AbstractModel.isSubDocumentDefinition(definition) &&
+      (!mapping || !mapping.type || mapping.type === FIELD_MAPPING_TYPES.FIELD || mapping.type === FIELD_MAPPING_TYPES.DB_FIELD)
+    ) {
+      fieldSource = isCrossSource ? this.getFieldSource(sort[i].field) : null;
+      fieldSource = (fieldSource && fieldSource.relationship === SOURCE_MAPPING_TYPES.ONE_TO_ONE) ? fieldSource : null;
+
+      alias = (fieldSource) ?
+        this.transformQueryParamKeyToAlias(sort[i].field, fieldSource.source.name, false) :
+        this.transformQueryParamKeyToAlias(sort[i].field, sourceName, sourceInfo.is_primary);
+    }
+
+    if (!alias) {
+      throw new Error('Cannot sort on the field: ' + sort[i].field);
+    }
+
+    order = String(sort[i].order || 'ASC').toUpperCase();
+
+    if (order !== 'ASC' && order !== 'DESC') {
+      throw new Error('Invalid sort order: ' + sort[i].order);
+    }
+
+    sortField = {field: alias, order: order};
+
+    if (fieldSource) {
+      sortField.source = fieldSource.source.name;
+    }
+
+    sortFields.push(sortField);
+  }
+
+  if (!sortFields.length) {
+    return;
+  }
+
+  options.sortFields = sortFields;
+  options.sortField = sortFields[0].field;
+  options.sortOrder = sortFields[0].order;
+};
+
+
+// CURSOR PAGING ===============================================================
+
+/**
+ * Set up a cursor scan from the `cursor` list option: '*' (or true) starts a
+ * scan and the `meta.next_cursor` of a page continues it.  The cursor is bound
+ * to the sort of the scan that created it.
+ *
+ * @method applyCursor
+ * @param {Object} options Prepared list options
+ * @param {AbstractSource} source The source that is listed
+ * @throws {Error} If the source does not support cursors or the cursor is invalid
+ */
+AbstractModel.prototype.applyCursor = function (options, source) {
+  var state = (options.cursor === '*' || options.cursor === true) ? {} : AbstractModel.decodeCursor(options.cursor);
+
+  if (typeof source.supportsCursor !== 'function' || !source.supportsCursor()) {
+    throw new Error('The ' + source.name + ' source does not support cursor paging');
+  }
+
+  if (options.randomSeed) {
+    throw new Error('Cursor paging cannot be used with a random sort');
+  }
+
+  // Sources may prefix the sort fields with a table alias, so keep a copy
+  options.cursorSortFields = QUERY_OPERATORS.getSortFields(options);
+  options.cursorSort = AbstractModel.getSortSignature(options.cursorSortFields);
+
+  if (state.sort && state.sort !== options.cursorSort) {
+    throw new Error('The cursor was created for a different sort');
+  }
+
+  options.offset = 0;
+  options.cursorAfter = state.after || null;
+  options.cursorMark = state.mark || '*';
+};
+
+/**
+ * Describe a sort, e.g. `date DESC,id ASC`, to bind cursors to it
+ *
+ * @method getSortSignature
+ * @param {Array} sortFields [{field, order}]
+ * @returns {String}
+ * @static
+ */
+AbstractModel.getSortSignature = function (sortFields) {
+  var parts = [];
+
+  for (var i = 0; i < sortFields.length; i++) {
+    parts.push(sortFields[i].field + ' ' + sortFields[i].order);
+  }
+
+  return parts.join(',');
+};
+
+/**
+ * Encode the state of a cursor scan as an opaque string.  Dates are kept as
+ * dates.
+ *
+ * @method encodeCursor
+ * @param {Object} state {sort, after: [...sortValues, keyValue]} or {sort, mark}
+ * @returns {String}
+ * @static
+ */
+AbstractModel.encodeCursor = function (state) {
+  var json = JSON.stringify(state, function (key, value) {
+    var raw = this[key];
+    return (raw instanceof Date) ? {$date: raw.toISOString()} : value;
+  });
+
+  return Buffer.from(json).toString('base64');
+};
+
+/**
+ * @method decodeCursor
+ * @param {String} cursor
+ * @returns {Object} The state of the scan
+ * @throws {Error} If the cursor is invalid
+ * @static
+ */
+AbstractModel.decodeCursor = function (cursor) {
+  var state;
+
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64').toString(), function (key, value) {
+      return (value && typeof value === 'object' && typeof value.$date === 'string') ? new Date(value.$date) : value;
+    });
+  } catch (e) {
+    state = null;
+  }
+
+  if (!state || typeof state !== 'object' || (!(state.after instanceof Array) && typeof state.mark !== 'string')) {
+    throw new Error('Invalid cursor: ' + cursor);
+  }
+
+  return state;
+};
+
+/**
+ * Generate the cursor of the page after a list of source records, null once the
+ * scan is done
+ *
+ * @method generateNextCursor
+ * @param {Array} records The records read from the source
+ * @param {Object} options Prepared list options
+ * @returns {String}
+ */
+AbstractModel.prototype.generateNextCursor = function (records, options) {
+  var sortFields = options.cursorSortFields || [];
+  var after = [];
+  var hasKey = false;
+  var last;
+
+  if (!records || !records.length || options.limit === null || records.length < options.limit) {
+    return null;
+  }
+
+  last = records[records.length - 1];
+
+  // The values of the sort fields, then of the key unless it is sorted on
+  for (var i = 0; i < sortFields.length; i++) {
+    after.push(AbstractModel.getRecordValue(last, sortFields[i].field));
+    hasKey = hasKey || sortFields[i].field === options.cursorKey;
+  }
+
+  if (!hasKey) {
+    after.push(AbstractModel.getRecordValue(last, options.cursorKey));
+  }
+
+  return AbstractModel.encodeCursor({sort: options.cursorSort, after: after});
+};
+
+/**
+ * Read a field of a source record, whether it is a plain object or a bridge
+ * instance
+ *
+ * @method getRecordValue
+ * @param {Object} record
+ * @param {String} field
+ * @returns {*}
+ * @static
+ */
+AbstractModel.getRecordValue = function (record, field) {
+  // Sort fields like p.created_at are read without their table prefix
+  field = String(field).split('.').pop();
+
+  if (record.dataValues) {
+    return record.dataValues[field];
+  }
+
+  return (typeof record.get === 'function') ? record.get(field) : record[field];
+};
+
+
+// SEARCH INDEXING =============================================================
+
+/**
+ * Keep the core behind every SEARCH source with a `projection` in sync with the
+ * instances of this model.  Created and updated instances are projected into a
+ * document that is added to the core, removed instances are deleted from it.
+ * The projection is configured on the source:
+ *
+ * ```
+ * "WeddingSearch": {
+ *   "relationship": this.SOURCE_MAPPING_TYPES.SEARCH,
+ *   "projection": {
+ *     "view": "search",        // the fields of a view, or
+ *     "fields": ["id", "name"], // or a hash of field paths to solr field names
+ *     "connection": "search",  // the SolrClient connection, found by type otherwise
+ *     "core": "weddings",      // the client's core by default
+ *     "queue": true            // plus the other options of SearchIndexer
+ *   }
+ * }
+ * ```
+ *
+ * @method setupSearchIndexing
+ */
+AbstractModel.prototype.setupSearchIndexing = function () {
+  var sourceInfo;
+  var client;
+
+  for (var i in this.sources) {
+    sourceInfo = this.sources[i];
+
+    if (sourceInfo.relationship !== SOURCE_MAPPING_TYPES.SEARCH || !sourceInfo.projection) {
+      continue;
+    }
+
+    client = this.getSearchClient(sourceInfo.projection.connection);
+
+    if (!client) {
+      throw new Error('No solr connection was found to index the ' + i + ' source of ' + this.name);
+    }
+
+    sourceInfo.projectedFields = this.getProjectedFields(i);
+    sourceInfo.indexer = new SearchIndexer(client, sourceInfo.projection);
+
+    this.on(Instance.EVENTS.CREATED, this.generateSearchIndexListener(i, Instance.EVENTS.CREATED));
+    this.on(Instance.EVENTS.UPDATED, this.generateSearchIndexListener(i, Instance.EVENTS.UPDATED));
+    this.on(Instance.EVENTS.REMOVED, this.generateSearchIndexListener(i, Instance.EVENTS.REMOVED));
+  }
+};
+
+/**
+ * Find the solr client that a projection writes to: the named connection, or
+ * the only connection of the model that can index documents
+ *
+ * @method getSearchClient
+ * @param {String} name Optional
+ * @returns {SolrClient} null if there is none
+ */
+AbstractModel.prototype.getSearchClient = function (name) {
+  var clients = [];
+
+  if (name) {
+    return this.getConnection(name) || null;
+  }
+
+  for (var i = 0; i < this.connections.length; i++) {
+    if (
+      typeof this.connections[i].add === 'function' &&
+      typeof this.connections[i].deleteById === 'function'
+    ) {
+      clients.push(this.connections[i]);
+    }
+  }
+
+  return (clients.length === 1) ? clients[0] : null;
+};
+
+/**
+ * The fields of the projection of a SEARCH source, as a hash of field paths to
+ * the names of the solr fields.  Fields listed or taken from a view are indexed
+ * under their path.
+ *
+ * @method getProjectedFields
+ * @param {String} sourceName
+ * @returns {Object}
+ */
+AbstractModel.prototype.getProjectedFields = function (sourceName) {
+  var projection = this.sources[sourceName].projection;
+  var fields = {};
+  var paths;
+  var i;
+
+  if (projection.fields && !(projection.fields instanceof Array)) {
+    for (i in projection.fields) {
+      fields[i] = projection.fields[i];
+    }
+
+    return fields;
+  }
+
+  paths = projection.fields || this.getViewFieldPaths(this.definition, projection.view || 'search', '');
+
+  for (i = 0; i < paths.length; i++) {
+    fields[paths[i]] = paths[i];
+  }
+
+  return fields;
+};
+
+/**
+ * List the paths of the fields that are part of a view
+ *
+ * @method getViewFieldPaths
+ * @param {Object} definitions
+ * @param {String} view
+ * @param {String} prefix
+ * @returns {Array}
+ */
+AbstractModel.prototype.getViewFieldPaths = function (definitions, view, prefix) {
+  var paths = [];
+
+  for (var i in definitions) {
+    if (AbstractModel.isSubDocumentDefinition(definitions[i])) {
+      paths = paths.concat(this.getViewFieldPaths(definitions[i], view, prefix + i + '.'));
+    } else if (definitions[i] && definitions[i].views && definitions[i].views[view]) {
+      paths.push(prefix + i);
+    }
+  }
+
+  return paths;
+};
+
+/**
+ * Project an instance into the document indexed by a SEARCH source.  The
+ * document always has the uniqueKey of the core, set to the primary key if the
+ * projection does not include it.
+ *
+ * @method projectDocument
+ * @param {Instance} instance
+ * @param {String} sourceName
+ * @returns {Object}
+ */
+AbstractModel.prototype.projectDocument = function (instance, sourceName) {
+  var sourceInfo = this.sources[sourceName];
+  var fields = sourceInfo.projectedFields;
+  var uniqueKey = sourceInfo.indexer.getUniqueKey();
+  var doc = {};
+  var value;
+
+  for (var i in fields) {
+    value = AbstractModel.getChildWithDotNotation(i, instance);
+
+    if (typeof value === 'undefined') {
+      continue;
+    }
+
+    if (value && typeof value.toObject === 'function') {
+      value = value.toObject();
+    }
+
+    doc[fields[i]] = value;
+  }
+
+  if (typeof doc[uniqueKey] === 'undefined' || doc[uniqueKey] === null) {
+    doc[uniqueKey] = instance[this.primaryKey];
+  }
+
+  return doc;
+};
+
+/**
+ * Generate the listener that indexes the instances of an event.  Updates that
+ * do not change any projected field are skipped.  Solr replaces the whole
+ * document, so the instance is read again with the fields of the projection
+ * rather than indexed with the fields it was loaded with.
+ *
+ * @method generateSearchIndexListener
+ * @param {String} sourceName
+ * @param {String} eventName One of EVENTS
+ * @returns {Function}
+ */
+AbstractModel.prototype.generateSearchIndexListener = function (sourceName, eventName) {
+  var self = this;
+
+  var logError = function (err) {
+    if (err) {
+      console.error('Failed to update the ' + sourceName + ' search index of ' + self.name, err);
+    }
+  };
+
+  return function (event) {
+    var sourceInfo = self.sources[sourceName];
+    var instance = event.instance;
+    var params = {};
+
+    if (eventName === Instance.EVENTS.REMOVED) {
+      sourceInfo.indexer.remove(instance[self.primaryKey], logError);
+      return;
+    }
+
+    if (eventName === Instance.EVENTS.UPDATED && !AbstractModel.hasProjectedChange(event.changed, sourceInfo.projectedFields)) {
+      return;
+    }
+
+    params[self.primaryKey] = instance[self.primaryKey];
+
+    self.read(params, {
+      view: sourceInfo.projection.view || 'all',
+      should_skip_cache: true
+    }, function (err, read) {
+      // A removed instance is deleted from the index by its own event
+      if (err && err.code === 404) {
+        return;
+      }
+
+      if (err) {
+        logError(err);
+        return;
+      }
+
+      sourceInfo.indexer.add(self.projectDocument(read, sourceName), logError);
+    });
+  };
+};
+
+/**
+ * Whether any of the changed field paths is projected, or is the parent or
+ * child of a projected field
+ *
+ * @method hasProjectedChange
+ * @param {Array} changed
+ * @param {Object} fields
+ * @returns {Boolean}
+ * @static
+ */
+AbstractModel.hasProjectedChange = function (changed, fields) {
+  var path;
+
+  for (var i = 0; i < changed.length; i++) {
+    for (path in fields) {
+      if (
+        path === changed[i] ||
+        path.indexOf(changed[i] + '.') === 0 ||
+        changed[i].indexOf(path + '.') === 0
+      ) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Get the indexer of a SEARCH source, e.g. to flush() its queue on shutdown
+ *
+ * @method getSearchIndexer
+ * @param {String} sourceName Optional, the first source with a projection otherwise
+ * @returns {SearchIndexer} null if the source has no projection
+ */
+AbstractModel.prototype.getSearchIndexer = function (sourceName) {
+  var name = this.getProjectedSourceName(sourceName);
+  return name ? this.sources[name].indexer : null;
+};
+
+/**
+ * @method getProjectedSourceName
+ * @param {String} sourceName Optional
+ * @returns {String} The name of the SEARCH source with a projection, null if
+ *   there is none
+ */
+AbstractModel.prototype.getProjectedSourceName = function (sourceName) {
+  for (var i in this.sources) {
+    if ((!sourceName || sourceName === i) && this.sources[i].indexer) {
+      return i;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Rebuild the core of a SEARCH source by paging through list() and adding the
+ * projected documents.  The options are:
+ *
+ * - source: the SEARCH source, the first one with a projection by default
+ * - page_size: the number of instances listed and sent at a time (500)
+ * - clean: remove every document from the core first, which cannot be combined
+ *   with params since they may not be projected into the documents
+ * - view: the view to list the instances with, the projection's view by default
+ *
+ * The changes are committed once every page has been sent, so searches see the
+ * old documents until the rebuild is done.
+ *
+ * ```
+ * weddings.reindex({}, {clean: true}, function (err, result) {
+ *   // result.count is the number of documents indexed
+ * });
+ * ```
+ *
+ * @method reindex
+ * @param {Object} params List parameters selecting the instances to index
+ * @param {Object} options
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractModel.prototype.reindex = function (params, options, callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+  var sourceName;
+  var sourceInfo;
+  var indexer;
+  var pageSize;
+  var idMapping;
+  var count = 0;
+  var pages = 0;
+
+  options = options || {};
+  sourceName = this.getProjectedSourceName(options.source);
+
+  if (!sourceName) {
+    deferred.callback({
+      code: 400,
+      msg: 'You cannot call the reindex() method on a model that has no search projection.',
+      error: 'Bad Request'
+    });
+    return deferred.promise;
+  }
+
+  if (options.clean && params && Object.keys(params).length) {
+    deferred.callback({
+      code: 400,
+      msg: 'You cannot clean the core of ' + sourceName + ' while reindexing only some instances of ' + this.name + '.',
+      error: 'Bad Request'
+    });
+    return deferred.promise;
+  }
+
+  sourceInfo = this.sources[sourceName];
+  indexer = sourceInfo.indexer;
+  pageSize = parseInt(options.page_size, 10) || 500;
+  idMapping = this.definition[this.primaryKey].mapping;
+
+  // Leave committing to the end of the rebuild
+  var updateOptions = indexer.getUpdateOptions({commit_within: 0, batch_size: pageSize});
+
+  var listOptions = function () {
+    return {
+      view: options.view || sourceInfo.projection.view || 'all',
+      limit: pageSize,
+      offset: pages * pageSize,
+      sort_field: (idMapping && idMapping.alias) ? idMapping.alias : self.primaryKey,
+      sort_order: 'ASC',
+      should_include_meta: false,
+      should_skip_cache: true
+    };
+  };
+
+  var indexPage = function (err) {
+    if (err) {
+      deferred.callback(err);
+      return;
+    }
+
+    self.list(AbstractModel.clone(params || {}), listOptions(), function (err, instances) {
+      var docs = [];
+
+      if (err) {
+        deferred.callback(err);
+        return;
+      }
+
+      for (var i = 0; i < instances.length; i++) {
+        docs.push(self.projectDocument(instances[i], sourceName));
+      }
+
+      pages++;
+      count += docs.length;
+
+      var next = (instances.length < pageSize) ? commit : indexPage;
+
+      if (docs.length) {
+        indexer.client.add(docs, updateOptions, next);
+      } else {
+        next(null);
+      }
+    });
+  };
+
+  var commit = function (err) {
+    if (err) {
+      deferred.callback(err);
+      return;
+    }
+
+    indexer.client.commit({core: indexer.options.core}, function (err) {
+      deferred.callback(err, err ? null : {count: count, pages: pages});
+    });
+  };
+
+  if (options.clean) {
+    indexer.client.deleteByQuery('*:*', updateOptions, indexPage);
+  } else {
+    indexPage(null);
+  }
+
+  return deferred.promise;
+};
+
+
+// CACHING =====================================================================
+
+/**
+ * Read lists and reads of this model through a cache when the model is
+ * configured with one:
+ *
+ * ```
+ * this.cache = {
+ *   adapter: 'redis',          // 'memory' (an LRU) by default, see ModelCache
+ *   connection: 'cache',       // the RedisOdm connection of the redis adapter
+ *   ttl: 60000,                // milliseconds
+ *   views: {
+ *     admin: false,            // never cached
+ *     summary: {ttl: 300000}
+ *   }
+ * };
+ * ```
+ *
+ * Created, updated and removed instances invalidate the lists of the model and
+ * the reads of their id.
+ *
+ * @method setupCache
+ */
+AbstractModel.prototype.setupCache = function () {
+  var self = this;
+
+  if (!this.cache) {
+    return;
+  }
+
+  this.modelCache = new ModelCache(this, ModelCache.createAdapter(this, this.cache), this.cache);
+
+  var invalidate = function (event) {
+    self.modelCache.invalidate(event.instance.get(self.primaryKey), function (err) {
+      if (err) {
+        console.warn('Could not invalidate the cache of', self.name, 'after error:', JSON.stringify(err.msg || err.message || err));
+      }
+    });
+  };
+
+  this.on(Instance.EVENTS.CREATED, invalidate);
+  this.on(Instance.EVENTS.UPDATED, invalidate);
+  this.on(Instance.EVENTS.REMOVED, invalidate);
+};
+
+/**
+ * Invalidate the cached lists and reads that were tagged through the
+ * `cache_tags` option
+ *
+ * @method invalidateCacheTag
+ * @param {String|Array} tags
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractModel.prototype.invalidateCacheTag = function (tags, callback) {
+  var deferred;
+
+  if (this.modelCache) {
+    return this.modelCache.invalidateTags([].concat(tags), callback);
+  }
+
+  deferred = PromiseAdapter.defer(callback);
+  deferred.callback(null);
+  return deferred.promise;
 };
 
 module.exports = AbstractModel;
@@ -8,6 +8,8 @@
  ******************************************************************************/
 
 var AbstractModel = require('./AbstractModel');
+var PromiseAdapter = require('./PromiseAdapter');
+var SolrClient = require('./SolrClient');
 
 /**
  * Create a wrapper for the Solr search client that optimizes the way that lists
@@ -32,10 +34,12 @@ AbstractSolrSearchModel.prototype = new AbstractModel();
  *
  * @param params
  * @param options
- * @param callback
+ * @param callback Optional, a promise is returned without it
+ * @returns {Promise}
  */
 AbstractSolrSearchModel.prototype.list = function (params, options, callback) {
   var i;
+  var deferred = PromiseAdapter.defer(callback);
   var idMapping = this.definition[this.primaryKey].mapping;
   var idAlias = (idMapping && idMapping.alias) ? idMapping.alias : 'id';
 
@@ -72,11 +76,53 @@ AbstractSolrSearchModel.prototype.list = function (params, options, callback) {
     if (sourceInfo.is_primary) {
       // Create a query object per source based on the params and the named query
       // specified
-      query = this.getQueryForSource(options.query, params, sourceInfo);
-      source.list(query, options, this.generateListFromSourceCallback(source, {}, options, callback));
+      try {
+        query = this.getQueryForSource(options.query, params, sourceInfo);
+
+        if (options.sort) {
+          this.applySort(options, sourceInfo);
+        }
+
+        if (options.cursor) {
+          this.applyCursor(options, source);
+        }
+
+        if (options.facets) {
+          options.facetParams = this.getFacetParams(options.facets, sourceInfo);
+        }
+
+        if (options.highlight) {
+          options.highlightParams = this.getHighlightParams(options.highlight, sourceInfo);
+        }
+      } catch (e) {
+        deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+        break;
+      }
+
+      source.list(query, options, this.generateListFromSourceCallback(source, {}, options, deferred.callback));
       break;
     }
   }
+
+  return deferred.promise;
+};
+
+/**
+ * The filter query (`fq`) is a nested set of field parameters, so translate its
+ * keys (including $and/$or groups) into their solr aliases the same way the
+ * top-level parameters are translated for every other source.
+ *
+ * @method getQueryForSource
+ */
+AbstractSolrSearchModel.prototype.getQueryForSource = function (queryName, customParams, sourceInfo, isStrict) {
+  var query = AbstractModel.prototype.getQueryForSource.call(this, queryName, customParams, sourceInfo, isStrict);
+  var sourceName = sourceInfo.source ? sourceInfo.source.name : null;
+
+  if (query.fq && typeof query.fq === 'object') {
+    query.fq = this.transformQueryToAliases(query.fq, sourceName, sourceInfo.is_primary, isStrict);
+  }
+
+  return query;
 };
 
 /**
@@ -100,6 +146,7 @@ AbstractSolrSearchModel.prototype.generateListFromSourceCallback = function (sou
     }
 
     var result;
+    var list;
 
     if (options.search_type === 'faceted') {
       result = self.createInstancesFromFacets(source, options, solrResponse);
@@ -116,12 +163,36 @@ AbstractSolrSearchModel.prototype.generateListFromSourceCallback = function (sou
       result.meta[i] = options[i];
     }
 
+    // The facet data, spellcheck and suggestions replace their requests
+    if (options.facetParams) {
+      result.meta.facets = self.translateFacets(SolrClient.parseFacetCounts(solrResponse.facet_counts), source.name);
+    }
+
+    if (options.spellcheck) {
+      result.meta.spellcheck = SolrClient.parseSpellcheck(solrResponse.spellcheck);
+    }
+
+    if (options.suggest) {
+      result.meta.suggest = SolrClient.parseSuggest(solrResponse.suggest);
+    }
+
+    // Solr is done with a scan once the next cursor mark stops changing
+    if (options.cursor) {
+      result.meta.next_cursor = (solrResponse.nextCursorMark && solrResponse.nextCursorMark !== options.cursorMark) ?
+        AbstractModel.encodeCursor({sort: options.cursorSort, mark: solrResponse.nextCursorMark}) :
+        null;
+    }
+
+    list = result.list;
+
     // Return only the list if the meta is not included
     if (!options.should_include_meta) {
-      result = result.list;
+      result = list;
     }
 
-    callback(null, result);
+    self.runAfterReadHooks(list, function (err) {
+      callback(err, err ? null : result);
+    });
   };
 };
 
@@ -143,11 +214,21 @@ AbstractSolrSearchModel.prototype.createInstancesFromDocs = function (source, so
   var list = [];
   var sourceInstance;
   var newInstance;
+  var highlighting = solrResponse.highlighting;
+  var uniqueKey = (source.options && source.options.search && source.options.search.unique_key) || 'id';
+  var fieldNames = highlighting ? this.getAliasFieldNames(source.name) : null;
 
   for (i in instances) {
     sourceInstance = instances[i];
     newInstance = this.createInstance();
     newInstance.bindFromSourceInstance(source, sourceInstance);
+
+    if (highlighting && highlighting[sourceInstance[uniqueKey]]) {
+      newInstance.setHighlights(
+        AbstractSolrSearchModel.translateHighlights(highlighting[sourceInstance[uniqueKey]], fieldNames)
+      );
+    }
+
     list.push(newInstance);
   }
 
@@ -206,4 +287,206 @@ AbstractSolrSearchModel.prototype.createInstancesFromFacets = function (source,
   return result;
 };
 
+// FACETS ======================================================================
+
+/**
+ * Translate the facets requested with the `facets` list option from model field
+ * names to the source's aliases, see SolrClient.generateFacetQueryParams().  The
+ * facet queries can be lucene strings or list parameters.
+ *
+ * @method getFacetParams
+ * @param {Object} facets
+ * @param {Object} sourceInfo
+ * @returns {Object}
+ */
+AbstractSolrSearchModel.prototype.getFacetParams = function (facets, sourceInfo) {
+  var self = this;
+  var sourceName = sourceInfo.source ? sourceInfo.source.name : null;
+  var params = {fields: [], ranges: {}, queries: {}, pivots: []};
+  var query;
+  var i;
+
+  var toAlias = function (field) {
+    return self.getSourceFieldAlias(field, sourceName, sourceInfo.is_primary);
+  };
+
+  params.limit = facets.limit;
+  params.mincount = facets.mincount;
+  params.sort = facets.sort;
+  params.fields = [].concat(facets.fields || []).map(toAlias);
+
+  for (i in facets.ranges) {
+    params.ranges[toAlias(i)] = facets.ranges[i];
+  }
+
+  for (i in facets.queries) {
+    query = facets.queries[i];
+
+    if (query && typeof query === 'object') {
+      query = SolrClient.buildLuceneClauses(
+        this.transformQueryToAliases(query, sourceName, sourceInfo.is_primary)
+      ).join(' AND ');
+    }
+
+    params.queries[i] = query;
+  }
+
+  for (i = 0; i < (facets.pivots || []).length; i++) {
+    params.pivots.push([].concat(facets.pivots[i]).map(toAlias));
+  }
+
+  return params;
+};
+
+/**
+ * @method getSourceFieldAlias
+ * @param {String} field A model field name
+ * @param {String} sourceName
+ * @param {Boolean} isPrimary
+ * @returns {String} The alias of the field on the source
+ * @throws {Error} If the field does not exist on the source
+ */
+AbstractSolrSearchModel.prototype.getSourceFieldAlias = function (field, sourceName, isPrimary) {
+  var alias = AbstractModel.getChildWithDotNotation(field, this.definition) ?
+    this.transformQueryParamKeyToAlias(field, sourceName, isPrimary) :
+    false;
+
+  if (!alias) {
+    throw new Error('The field: ' + field + ' is not part of the ' + sourceName + ' source');
+  }
+
+  return alias;
+};
+
+// HIGHLIGHTING ================================================================
+
+/**
+ * Translate the highlighting requested with the `highlight` list option from
+ * model field names to the source's aliases, see
+ * SolrClient.generateHighlightQueryParams()
+ *
+ * @method getHighlightParams
+ * @param {Object} highlight
+ * @param {Object} sourceInfo
+ * @returns {Object}
+ */
+AbstractSolrSearchModel.prototype.getHighlightParams = function (highlight, sourceInfo) {
+  var sourceName = sourceInfo.source ? sourceInfo.source.name : null;
+  var params = {};
+  var fields = [].concat(highlight.fields || []);
+
+  for (var i in highlight) {
+    params[i] = highlight[i];
+  }
+
+  params.fields = [];
+
+  for (i = 0; i < fields.length; i++) {
+    params.fields.push(this.getSourceFieldAlias(fields[i], sourceName, sourceInfo.is_primary));
+  }
+
+  return params;
+};
+
+/**
+ * Key the snippets of a document by model field names
+ *
+ * @method translateHighlights
+ * @param {Object} snippets Lists of snippets keyed by alias
+ * @param {Object} fieldNames See getAliasFieldNames()
+ * @returns {Object}
+ * @static
+ */
+AbstractSolrSearchModel.translateHighlights = function (snippets, fieldNames) {
+  var highlights = {};
+
+  for (var i in snippets) {
+    highlights[fieldNames[i] || i] = snippets[i];
+  }
+
+  return highlights;
+};
+
+/**
+ * Map the aliases of a source back to the model's field names
+ *
+ * @method getAliasFieldNames
+ * @param {String} sourceName
+ * @returns {Object} Field names keyed by alias
+ */
+AbstractSolrSearchModel.prototype.getAliasFieldNames = function (sourceName) {
+  var self = this;
+  var names = {};
+
+  var walk = function (definitions, prefix) {
+    var alias;
+
+    for (var i in definitions) {
+      if (AbstractModel.isSubDocumentDefinition(definitions[i])) {
+        walk(definitions[i], prefix + i + '.');
+        continue;
+      }
+
+      alias = self.transformQueryParamKeyToAlias(prefix + i, sourceName, true);
+
+      if (alias) {
+        names[alias] = prefix + i;
+      }
+    }
+  };
+
+  walk(this.definition, '');
+  return names;
+};
+
+/**
+ * Key the facet data parsed from a solr response by model field names
+ *
+ * @method translateFacets
+ * @param {Object} facets See SolrClient.parseFacetCounts()
+ * @param {String} sourceName
+ * @returns {Object}
+ */
+AbstractSolrSearchModel.prototype.translateFacets = function (facets, sourceName) {
+  var names = this.getAliasFieldNames(sourceName);
+  var translated = {fields: {}, ranges: {}, queries: facets.queries, pivots: {}};
+  var i;
+
+  var toField = function (alias) {
+    return names[alias] || alias;
+  };
+
+  var translatePivot = function (entries) {
+    var list = [];
+
+    for (var j = 0; j < (entries || []).length; j++) {
+      list.push({
+        field: toField(entries[j].field),
+        value: entries[j].value,
+        count: entries[j].count
+      });
+
+      if (entries[j].pivot) {
+        list[j].pivot = translatePivot(entries[j].pivot);
+      }
+    }
+
+    return list;
+  };
+
+  for (i in facets.fields) {
+    translated.fields[toField(i)] = facets.fields[i];
+  }
+
+  for (i in facets.ranges) {
+    translated.ranges[toField(i)] = facets.ranges[i];
+  }
+
+  for (i in facets.pivots) {
+    translated.pivots[i.split(',').map(toField).join(',')] = translatePivot(facets.pivots[i]);
+  }
+
+  return translated;
+};
+
 module.exports =  AbstractSolrSearchModel;
\ No newline at end of file
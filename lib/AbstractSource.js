@@ -2,6 +2,9 @@
  * @module loverly-frankenstein
  */
 
+var PromiseAdapter = require('./PromiseAdapter.js');
+var CircuitBreaker = require('./CircuitBreaker.js');
+
 /**
  * A
  * @class AbstractSource
@@ -57,31 +60,232 @@ AbstractSource.prototype.initialize = function () {
 
 };
 
+/**
+ * Whether writes to this source can take part in a transaction.  Sources that
+ * return true must expose a `connection` with beginTransaction(),
+ * commitTransaction() and rollbackTransaction(), and their instances must accept
+ * `{transaction: transaction}` as the second argument of flushChanges() and
+ * remove().
+ *
+ * @method supportsTransactions
+ * @returns {Boolean}
+ */
+AbstractSource.prototype.supportsTransactions = function () {
+  return false;
+};
+
+/**
+ * Whether list() can continue a scan after the last record of the previous page
+ * instead of skipping an offset.  Sources that return true must handle the
+ * `cursorAfter` list option ([lastSortValue, lastKeyValue], null on the first
+ * page) by only returning the records that sort after it on `sortField` and
+ * `cursorKey`, see AbstractModel.applyCursor().
+ *
+ * @method supportsCursor
+ * @returns {Boolean}
+ */
+AbstractSource.prototype.supportsCursor = function () {
+  return false;
+};
+
+/**
+ * The methods that are guarded by enableResilience().  They are idempotent so
+ * they can be retried safely.
+ *
+ * @property RESILIENT_METHODS
+ * @type Array
+ * @static
+ */
+AbstractSource.RESILIENT_METHODS = ['read', 'list', 'count'];
+
+/**
+ * Guard the reads of this source with a timeout, retries with exponential
+ * backoff and a circuit breaker:
+ *
+ * ```
+ * source.enableResilience({
+ *   timeout: 2000,  // ms before a call fails with a 504, null for none
+ *   retries: 2,     // additional attempts after a failure
+ *   backoff: 100,   // ms before the first retry, doubled for every retry
+ *   breaker: {failure_threshold: 5, reset_timeout: 30000} // false for none
+ * });
+ * ```
+ *
+ * Only failures that are not the caller's fault (no status, 5xx, 408 and 429)
+ * are retried and count towards the breaker.  While the breaker is open calls
+ * fail immediately with a 503.  Writes go through the source's instances and are
+ * not retried.
+ *
+ * @method enableResilience
+ * @param {Object} options
+ */
+AbstractSource.prototype.enableResilience = function (options) {
+  var self = this;
+  var isEnabled = !!this.resilience;
+  var name;
+  var i;
+
+  this.resilience = {timeout: 5000, retries: 2, backoff: 100, breaker: {}};
+
+  for (i in options) {
+    this.resilience[i] = options[i];
+  }
+
+  this.circuitBreaker = this.resilience.breaker ? new CircuitBreaker(this.resilience.breaker) : null;
+
+  // Only wrap the methods once, calling again just changes the settings
+  if (isEnabled) {
+    return;
+  }
+
+  var wrap = function (method) {
+    var original = self[method];
+
+    self[method] = function (params, options, callback) {
+      var deferred = PromiseAdapter.defer(callback);
+      self.callWithResilience(original, params, options, deferred.callback);
+      return deferred.promise;
+    };
+  };
+
+  for (i = 0; i < AbstractSource.RESILIENT_METHODS.length; i++) {
+    name = AbstractSource.RESILIENT_METHODS[i];
+
+    if (typeof this[name] === 'function') {
+      wrap(name);
+    }
+  }
+};
+
+/**
+ * Whether a failure may be resolved by trying again
+ *
+ * @method isRetryableError
+ * @param {Object} err
+ * @returns {Boolean}
+ * @static
+ */
+AbstractSource.isRetryableError = function (err) {
+  var code = err ? err.code : null;
+  return typeof code !== 'number' || code >= 500 || code === 408 || code === 429;
+};
+
+/**
+ * Call a read method with the resilience settings
+ *
+ * @method callWithResilience
+ * @param {Function} method The unwrapped method
+ * @param {Object} params
+ * @param {Object} options
+ * @param {Function} callback
+ */
+AbstractSource.prototype.callWithResilience = function (method, params, options, callback) {
+  var self = this;
+  var settings = this.resilience;
+  var breaker = this.circuitBreaker;
+  var attempt = 0;
+
+  var run = function () {
+    var isDone = false;
+    var timer = null;
+    var copy = {};
+
+    if (breaker && !breaker.isAllowed()) {
+      callback(breaker.generateOpenError(self.name));
+      return;
+    }
+
+    var done = function (err, result) {
+      if (isDone) {
+        return;
+      }
+
+      isDone = true;
+      clearTimeout(timer);
+
+      if (!err || !AbstractSource.isRetryableError(err)) {
+        if (breaker) {
+          breaker.recordSuccess();
+        }
+
+        callback(err || null, result);
+        return;
+      }
+
+      if (breaker) {
+        breaker.recordFailure();
+      }
+
+      if (attempt < settings.retries) {
+        console.warn('Retrying', self.name, 'after error:', JSON.stringify(err.msg || err.message || err));
+        setTimeout(run, settings.backoff * Math.pow(2, attempt++));
+        return;
+      }
+
+      callback(err);
+    };
+
+    if (settings.timeout) {
+      timer = setTimeout(function () {
+        done({code: 504, msg: 'The ' + self.name + ' source timed out after ' + settings.timeout + 'ms', error: 'Gateway Timeout'});
+      }, settings.timeout);
+    }
+
+    // Sources may rewrite their params, so every attempt gets its own copy
+    for (var i in params) {
+      copy[i] = params[i];
+    }
+
+    method.call(self, copy, options, done);
+  };
+
+  run();
+};
+
+/**
+ * Report the state of the circuit breaker of this source
+ *
+ * @method getCircuitState
+ * @returns {Object} See CircuitBreaker.getState(), null if resilience is not enabled
+ */
+AbstractSource.prototype.getCircuitState = function () {
+  return this.circuitBreaker ? this.circuitBreaker.getState() : null;
+};
+
 AbstractSource.prototype.list = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
   var err = 'Calling undefined list function for Source ' + this.name;
   console.error(err);
-  callback({
+  deferred.callback({
     code: 400,
     msg: err
   });
+
+  return deferred.promise;
 };
 
 AbstractSource.prototype.read = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
   var err = 'Calling undefined read function for Source ' + this.name;
   console.error(err);
-  callback({
+  deferred.callback({
     code: 400,
     msg: err
   });
+
+  return deferred.promise;
 };
 
 AbstractSource.prototype.count = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
   var err = 'Calling undefined count function for Source ' + this.name;
   console.error(err);
-  callback({
+  deferred.callback({
     code: 400,
     msg: err
   });
+
+  return deferred.promise;
 };
 
 module.exports = AbstractSource;
@@ -8,6 +8,8 @@
  ******************************************************************************/
 
 var AbstractSource = require('./AbstractSource.js');
+var PromiseAdapter = require('./PromiseAdapter.js');
+var QUERY_OPERATORS = require('./QueryOperators.js');
 
 /**
  * Use a MySQL ORM to define a physical table schema.
@@ -82,6 +84,7 @@ AbstractTable.prototype.initialize = function (ormWrapper) {
 
   // For backwards compatability
   connection = this.connection || ormWrapper;
+  this.connection = connection;
 
   this.model = connection.createModel(this.name, this.schema, this.options);
 };
@@ -105,20 +108,26 @@ AbstractTable.prototype.createInstance = function (data) {
  * @method read
  * @param {Object} param Query parameters
  * @param {Object} options Sequelize options, if any
- * @returns {undefined}
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
  */
 AbstractTable.prototype.read = function (params, options, callback) {
+  var _this = this;
+  var deferred = PromiseAdapter.defer(callback);
   var query = {where: params};
 
   this.model
     .find(query, options)
     .complete(function (err, instance) {
       if (instance) {
-        callback(err, this.conformSequelizeInstanceApiToFrankenstein(instance));
+        _this.conformSequelizeInstanceApiToFrankenstein(instance);
+        deferred.callback(err, instance);
       } else {
-        callback(err, null);
+        deferred.callback(err, null);
       }
     });
+
+  return deferred.promise;
 };
 
 /**
@@ -131,14 +140,32 @@ AbstractTable.bridgeMethods = {
   isModified: function () {
     return this.isDirty;
   },
-  flushChanges: function (callback) {
-    this.save(this.changed()).complete(callback);
+  flushChanges: function (callback, options) {
+    if (options && options.transaction) {
+      this.save(this.changed(), {transaction: options.transaction}).complete(callback);
+    } else {
+      this.save(this.changed()).complete(callback);
+    }
   },
-  remove: function (callback) {
-    this.destroy().complete(callback);
+  remove: function (callback, options) {
+    if (options && options.transaction) {
+      this.destroy({transaction: options.transaction}).complete(callback);
+    } else {
+      this.destroy().complete(callback);
+    }
   }
 };
 
+/**
+ * Tables take part in instance transactions when their connection supports them
+ *
+ * @method supportsTransactions
+ * @returns {Boolean}
+ */
+AbstractTable.prototype.supportsTransactions = function () {
+  return !!(this.connection && typeof this.connection.beginTransaction === 'function');
+};
+
 /**
  * Add the appropriate methods to the sequelize instance to ensure that it conforms
  * to the frankenstein instance API.
@@ -158,6 +185,8 @@ AbstractTable.prototype.conformSequelizeInstanceApiToFrankenstein = function (in
  */
 AbstractTable.prototype.list = function (params, options, callback) {
   var _this = this;
+  var deferred = PromiseAdapter.defer(callback);
+  var where;
 
   if (this.isSource && params.parent_id) {
     params[this.foreignKey] = params.parent_id;
@@ -172,7 +201,21 @@ AbstractTable.prototype.list = function (params, options, callback) {
   // Set the options into the query object
   query.limit = options.limit;
   query.offset = options.offset;
-  query.order = options.randomSeed ? ('rand(' + options.randomSeed + ')') : (options.sortField + ' ' + options.sortOrder);
+
+  try {
+    // Sequelize hashes only support equality, render operators (and the seek
+    // condition of a cursor) as a where string with bound replacements
+    if (QUERY_OPERATORS.hasOperators(params) || options.cursorAfter) {
+      where = this.buildWhereClause((params instanceof Array) ? {} : params);
+      where.sql = AbstractTable.joinConditions(where.sql, this.buildSeekCondition(options, null, where.replacements));
+      query.where = [where.sql].concat(where.replacements);
+    }
+
+    query.order = this.buildOrderClause(options);
+  } catch (e) {
+    deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+    return deferred.promise;
+  }
 
   this.model
     .findAll(query)
@@ -181,8 +224,20 @@ AbstractTable.prototype.list = function (params, options, callback) {
         _this.conformSequelizeInstanceApiToFrankenstein(instances[i]);
       }
 
-      callback(err, instances);
+      deferred.callback(err, instances);
     });
+
+  return deferred.promise;
+};
+
+/**
+ * Tables continue cursor scans with a seek condition, see buildSeekCondition()
+ *
+ * @method supportsCursor
+ * @returns {Boolean}
+ */
+AbstractTable.prototype.supportsCursor = function () {
+  return true;
 };
 
 /**
@@ -191,82 +246,769 @@ AbstractTable.prototype.list = function (params, options, callback) {
  * @method list
  */
 AbstractTable.prototype.count = function (params, options, callback) {
-
+  var deferred = PromiseAdapter.defer(callback);
   var query = {where: params};
+  var where;
 
   // Cannot have an empty query object
   query.where = (params instanceof Array) ? null : params;
 
+  if (QUERY_OPERATORS.hasOperators(params)) {
+    try {
+      where = this.buildWhereClause(params);
+    } catch (e) {
+      deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+      return deferred.promise;
+    }
+
+    query.where = [where.sql].concat(where.replacements);
+  }
+
   this.model
     .count(query)
-    .complete(callback);
+    .complete(deferred.callback);
+
+  return deferred.promise;
 };
 
-AbstractTable.prototype.buildQuery = function (params, options) {
-  var query = this.baseQuery;
-  var whereClause;
-  var isFirst = true;
-  var val;
+/**
+ * Matches a single unquoted SQL identifier
+ *
+ * @property IDENTIFIER_REGEX
+ * @type {RegExp}
+ * @static
+ */
+AbstractTable.IDENTIFIER_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
 
-  options = options || {};
+/**
+ * Whether a column exists on this table (or on the join table of a many-to-many
+ * table, if its `joinSchema` is defined).
+ *
+ * @method hasColumn
+ * @param {String} column
+ * @returns {Boolean}
+ */
+AbstractTable.prototype.hasColumn = function (column) {
+  if (this.schema && this.schema.hasOwnProperty(column)) {
+    return true;
+  }
 
-  var alias = (options.alias) ? options.alias + '.' : '';
+  if (this.joinSchema && this.joinSchema.hasOwnProperty(column)) {
+    return true;
+  }
 
-  // Only supports equals and IN in the where clause
-  if (params) {
-    whereClause = ' WHERE ';
+  // Sequelize adds columns that are not in the schema (id, timestamps)
+  return !!(this.model && this.model.rawAttributes && this.model.rawAttributes.hasOwnProperty(column));
+};
 
-    for (var i in params) {
-      if (isFirst) {
-        isFirst = false;
-      } else {
-        whereClause += ' AND ';
+/**
+ * Make sure an identifier (optionally prefixed with a table alias) is safe to
+ * interpolate into a SQL statement.  When `isColumnRequired` is set, the column
+ * must also exist in the schema.  Throws an error otherwise.
+ *
+ * @method validateIdentifier
+ * @param {String} identifier
+ * @param {String} purpose Used in the error message (sort, group, where)
+ * @param {Boolean} isColumnRequired
+ * @returns {String} The identifier
+ */
+AbstractTable.prototype.validateIdentifier = function (identifier, purpose, isColumnRequired) {
+  var parts = String(identifier).split('.');
+  var isValid = parts.length <= 2;
+
+  for (var i = 0; i < parts.length && isValid; i++) {
+    isValid = AbstractTable.IDENTIFIER_REGEX.test(parts[i]);
+  }
+
+  if (isValid && isColumnRequired) {
+    isValid = this.hasColumn(parts[parts.length - 1]);
+  }
+
+  if (!isValid) {
+    throw new Error('Invalid ' + purpose + ' field for ' + this.name + ': ' + identifier);
+  }
+
+  return identifier;
+};
+
+/**
+ * Build the ORDER BY expression (without the keyword) from the list options.
+ * The random seed must be an integer and the sort fields must be columns of the
+ * table.
+ *
+ * @method buildOrderClause
+ * @param {Object} options
+ * @param {String} alias An optional table alias to prefix the sort fields with
+ * @returns {String|null}
+ */
+AbstractTable.prototype.buildOrderClause = function (options, alias) {
+  var prefix = (alias) ? alias + '.' : '';
+  var seed = parseInt(options.randomSeed, 10);
+  var sortFields;
+  var clauses = [];
+  var hasKey = false;
+
+  if (options.randomSeed) {
+    if (isNaN(seed)) {
+      throw new Error('Invalid random seed: ' + options.randomSeed);
+    }
+
+    return 'rand(' + seed + ')';
+  }
+
+  sortFields = this.getSortFields(options);
+
+  if (!sortFields.length) {
+    return null;
+  }
+
+  for (var i = 0; i < sortFields.length; i++) {
+    clauses.push(prefix + this.validateIdentifier(sortFields[i].field, 'sort', true) + ' ' + sortFields[i].order);
+    hasKey = hasKey || AbstractTable.isCursorKey(sortFields[i].field, options);
+  }
+
+  // Cursor scans break ties on the key so that every record has a single place
+  if (options.cursorKey && !hasKey) {
+    clauses.push(this.getCursorKeyColumn(options, alias) + ' ' + sortFields[0].order);
+  }
+
+  return clauses.join(', ');
+};
+
+/**
+ * The sort of a list, see QUERY_OPERATORS.getSortFields().  A single sort field
+ * is only used along with a sort order.
+ *
+ * @method getSortFields
+ * @param {Object} options
+ * @returns {Array} [{field, order}]
+ * @throws {Error} If a sort order is not ASC or DESC
+ */
+AbstractTable.prototype.getSortFields = function (options) {
+  var sortFields = options.sortFields;
+  var order;
+
+  if (!sortFields || !sortFields.length) {
+    if (!options.sortField || !options.sortOrder) {
+      return [];
+    }
+
+    sortFields = [{field: options.sortField, order: options.sortOrder}];
+  }
+
+  for (var i = 0; i < sortFields.length; i++) {
+    order = String(sortFields[i].order || 'ASC').toUpperCase();
+
+    if (order !== 'ASC' && order !== 'DESC') {
+      throw new Error('Invalid sort order: ' + sortFields[i].order);
+    }
+  }
+
+  return QUERY_OPERATORS.getSortFields({sortFields: sortFields});
+};
+
+/**
+ * Whether a sort field is the key of a cursor scan, ignoring its table prefix
+ *
+ * @method isCursorKey
+ * @param {String} field
+ * @param {Object} options
+ * @returns {Boolean}
+ * @static
+ */
+AbstractTable.isCursorKey = function (field, options) {
+  return !!options.cursorKey && String(field).split('.').pop() === options.cursorKey;
+};
+
+/**
+ * The key column of a cursor scan, prefixed like the first sort field
+ *
+ * @method getCursorKeyColumn
+ * @param {Object} options
+ * @param {String} alias
+ * @returns {String}
+ */
+AbstractTable.prototype.getCursorKeyColumn = function (options, alias) {
+  var sortFields = this.getSortFields(options);
+  var sortParts = sortFields.length ? String(sortFields[0].field).split('.') : [];
+  var prefix = (alias) ? alias + '.' : '';
+
+  // Sort fields like p.created_at name the table the key belongs to
+  if (sortParts.length === 2) {
+    prefix += sortParts[0] + '.';
+  }
+
+  return prefix + this.validateIdentifier(options.cursorKey, 'cursor', true);
+};
+
+/**
+ * Build the condition (without the WHERE keyword) that continues a cursor scan
+ * after the last record of the previous page.  The `cursorAfter` option holds
+ * the values of the sort fields and then of the key (unless it is sorted on).
+ * For `created_at DESC`:
+ *
+ * ```
+ * (created_at < ? OR (created_at = ? AND id < ?))
+ * ```
+ *
+ * NULLs are compared the way MySQL sorts them, first in ascending order and
+ * last in descending order, see buildAfterCondition().
+ *
+ * @method buildSeekCondition
+ * @param {Object} options With cursorAfter, cursorKey and the sort
+ * @param {String} alias
+ * @param {Array} replacements
+ * @returns {String} An empty string on the first page
+ */
+AbstractTable.prototype.buildSeekCondition = function (options, alias, replacements) {
+  var after = options.cursorAfter;
+  var prefix = (alias) ? alias + '.' : '';
+  var sortFields;
+  var columns = [];
+  var branches = [];
+  var conditions;
+  var hasKey = false;
+  var i;
+  var j;
+
+  if (!after || !options.cursorKey) {
+    return '';
+  }
+
+  sortFields = this.getSortFields(options);
+
+  for (i = 0; i < sortFields.length; i++) {
+    columns.push({
+      name: prefix + this.validateIdentifier(sortFields[i].field, 'sort', true),
+      order: sortFields[i].order,
+      isNullable: !AbstractTable.isCursorKey(sortFields[i].field, options)
+    });
+
+    hasKey = hasKey || !columns[i].isNullable;
+  }
+
+  if (!hasKey) {
+    columns.push({
+      name: this.getCursorKeyColumn(options, alias),
+      order: (sortFields.length && sortFields[0].order === 'DESC') ? 'DESC' : 'ASC',
+      isNullable: false
+    });
+  }
+
+  if (after.length !== columns.length) {
+    throw new Error('Invalid cursor for the sort of ' + this.name);
+  }
+
+  // Either a column sorts after the cursor and the ones before it are equal.
+  // Nothing sorts after a NULL in descending order, so that branch is left out.
+  for (i = 0; i < columns.length; i++) {
+    if (after[i] === null && columns[i].order === 'DESC') {
+      continue;
+    }
+
+    conditions = [];
+
+    for (j = 0; j < i; j++) {
+      conditions.push(AbstractTable.buildEqualCondition(columns[j].name, after[j], replacements));
+    }
+
+    conditions.push(AbstractTable.buildAfterCondition(columns[i], after[i], replacements));
+
+    branches.push((conditions.length === 1) ? conditions[0] : '(' + conditions.join(' AND ') + ')');
+  }
+
+  // The cursor is the last record of the scan
+  if (!branches.length) {
+    return '1 = 0';
+  }
+
+  return (branches.length === 1) ? branches[0] : '(' + branches.join(' OR ') + ')';
+};
+
+/**
+ * The condition that a column is equal to a value of a cursor
+ *
+ * @method buildEqualCondition
+ * @param {String} column
+ * @param {*} value
+ * @param {Array} replacements
+ * @returns {String}
+ * @static
+ */
+AbstractTable.buildEqualCondition = function (column, value, replacements) {
+  if (value === null) {
+    return column + ' IS NULL';
+  }
+
+  replacements.push(value);
+  return column + ' = ?';
+};
+
+/**
+ * The condition that a column sorts after a value of a cursor.  MySQL sorts
+ * NULLs first, so every other value sorts after a NULL in ascending order and
+ * NULLs sort after every other value in descending order.  The key of the scan
+ * is never NULL.
+ *
+ * @method buildAfterCondition
+ * @param {Object} column name, order (ASC or DESC) and isNullable
+ * @param {*} value Not null in descending order
+ * @param {Array} replacements
+ * @returns {String}
+ * @static
+ */
+AbstractTable.buildAfterCondition = function (column, value, replacements) {
+  if (value === null) {
+    return column.name + ' IS NOT NULL';
+  }
+
+  replacements.push(value);
+
+  if (column.order !== 'DESC') {
+    return column.name + ' > ?';
+  }
+
+  if (column.isNullable) {
+    return '(' + column.name + ' < ? OR ' + column.name + ' IS NULL)';
+  }
+
+  return column.name + ' < ?';
+};
+
+/**
+ * Join two conditions with AND, either may be empty
+ *
+ * @method joinConditions
+ * @param {String} first
+ * @param {String} second
+ * @returns {String}
+ * @static
+ */
+AbstractTable.joinConditions = function (first, second) {
+  return (first && second) ? first + ' AND ' + second : (first || second);
+};
+
+/**
+ * Render the query parameters as a SQL condition (without the WHERE keyword).
+ * Supports equality, arrays (IN), operator objects and $and/$or groups.  Every
+ * value is bound with a `?` placeholder:
+ *
+ * ```
+ * {sql: 'p.date >= ? AND p.status IN (?,?)', replacements: ['2014-06-01', 'a', 'b']}
+ * ```
+ *
+ * @method buildWhereClause
+ * @param {Object} params
+ * @param {String} alias An optional table alias to prefix the columns with
+ * @returns {Object} {sql: String, replacements: Array}
+ */
+AbstractTable.prototype.buildWhereClause = function (params, alias) {
+  var replacements = [];
+  var sql = this.buildConditions(params, alias, replacements);
+
+  return {sql: sql, replacements: replacements};
+};
+
+/**
+ * Render the conditions for a set of parameters, pushing the bound values onto
+ * the replacements array in the order their placeholders appear.
+ *
+ * @method buildConditions
+ * @param {Object} params
+ * @param {String} alias
+ * @param {Array} replacements
+ * @returns {String}
+ */
+AbstractTable.prototype.buildConditions = function (params, alias, replacements) {
+  var prefix = (alias) ? alias + '.' : '';
+  var conditions = [];
+  var branches;
+  var j;
+
+  for (var i in params) {
+    if (QUERY_OPERATORS.isLogicalKey(i)) {
+      branches = [];
+      for (j = 0; j < params[i].length; j++) {
+        branches.push('(' + (this.buildConditions(params[i][j], alias, replacements) || '1 = 1') + ')');
       }
 
-      val = (typeof params[i] === 'string') ? "'" + params[i] + "'" : params[i];
+      if (branches.length) {
+        conditions.push('(' + branches.join((i === QUERY_OPERATORS.OR) ? ' OR ' : ' AND ') + ')');
+      }
+    } else {
+      this.validateIdentifier(i, 'where');
+      conditions.push(this.buildFieldCondition(prefix + i, params[i], replacements));
+    }
+  }
+
+  return conditions.join(' AND ');
+};
 
-      if (val instanceof Array) {
-        var processed = [];
-        var processedVal;
-        for (var j in val) {
-          processedVal = (typeof val[j] === 'string') ? "'" + val[j] + "'" : val[j];
-          processed.push(processedVal);
+/**
+ * Render the condition for a single column.
+ *
+ * @method buildFieldCondition
+ * @param {String} column
+ * @param {*} value A scalar, an array or an operator object
+ * @param {Array} replacements
+ * @returns {String}
+ */
+AbstractTable.prototype.buildFieldCondition = function (column, value, replacements) {
+  var conditions = [];
+  var placeholders;
+  var operand;
+  var j;
+
+  if (value instanceof Array) {
+    value = {$in: value};
+  } else if (value === null) {
+    value = {$null: true};
+  } else if (!QUERY_OPERATORS.isOperatorObject(value)) {
+    replacements.push(value);
+    return column + ' = ?';
+  }
+
+  for (var i in value) {
+    operand = value[i];
+
+    switch (i) {
+      case QUERY_OPERATORS.GT:
+        conditions.push(column + ' > ?');
+        replacements.push(operand);
+        break;
+      case QUERY_OPERATORS.GTE:
+        conditions.push(column + ' >= ?');
+        replacements.push(operand);
+        break;
+      case QUERY_OPERATORS.LT:
+        conditions.push(column + ' < ?');
+        replacements.push(operand);
+        break;
+      case QUERY_OPERATORS.LTE:
+        conditions.push(column + ' <= ?');
+        replacements.push(operand);
+        break;
+      case QUERY_OPERATORS.NE:
+        if (operand === null) {
+          conditions.push(column + ' IS NOT NULL');
+        } else {
+          conditions.push(column + ' <> ?');
+          replacements.push(operand);
+        }
+        break;
+      case QUERY_OPERATORS.IN:
+      case QUERY_OPERATORS.NIN:
+        // An empty list matches nothing for IN and everything for NOT IN
+        if (!operand.length) {
+          conditions.push((i === QUERY_OPERATORS.IN) ? '1 = 0' : '1 = 1');
+          break;
         }
 
-        whereClause += alias + i + ' IN (' + processed.join(',') + ')';
-      } else if (typeof val === 'object' && val !== null && val.$ne) {
-        val = val.$ne;
-        val = (typeof val === 'string') ? "'" + val + "'" : val;
-        whereClause += alias + i + ' <> ' + val;
-      } else {
-        whereClause += alias + i + ' = ' + val;
-      }
+        placeholders = [];
+        for (j = 0; j < operand.length; j++) {
+          placeholders.push('?');
+          replacements.push(operand[j]);
+        }
+
+        conditions.push(column + ((i === QUERY_OPERATORS.IN) ? ' IN (' : ' NOT IN (') + placeholders.join(',') + ')');
+        break;
+      case QUERY_OPERATORS.LIKE:
+        conditions.push(column + ' LIKE ?');
+        replacements.push(String(operand));
+        break;
+      case QUERY_OPERATORS.PREFIX:
+        conditions.push(column + ' LIKE ?');
+        replacements.push(String(operand).replace(/([\\%_])/g, '\\$1') + '%');
+        break;
+      case QUERY_OPERATORS.BETWEEN:
+        conditions.push(column + ' BETWEEN ? AND ?');
+        replacements.push(operand[0], operand[1]);
+        break;
+      case QUERY_OPERATORS.NULL:
+        conditions.push(column + (operand ? ' IS NULL' : ' IS NOT NULL'));
+        break;
     }
+  }
+
+  return (conditions.length === 1) ? conditions[0] : '(' + conditions.join(' AND ') + ')';
+};
+
+/**
+ * Build a raw query on top of the `baseQuery` for sources that cannot use the
+ * sequelize finders (many-to-many joins, unions).  Values are never interpolated,
+ * the result must be run with its replacements:
+ *
+ * ```
+ * var query = this.buildQuery(params, options);
+ * sequelizeInstance.query(query.sql, null, {raw: true}, query.replacements);
+ * ```
+ *
+ * The sort and group fields must be columns of the table and the limit, offset and
+ * random seed must be integers.  A cursor scan adds its seek condition, see
+ * buildSeekCondition().  Throws an error for invalid identifiers.
+ *
+ * @method buildQuery
+ * @param {Object} params
+ * @param {Object} options
+ * @returns {Object} {sql: String, replacements: Array}
+ */
+AbstractTable.prototype.buildQuery = function (params, options) {
+  var query = this.baseQuery;
+  var replacements = [];
+  var whereClause;
+  var orderClause;
+  var groupBy;
+  var limit;
+  var offset;
+  var i;
+
+  options = options || {};
+
+  whereClause = (params) ? this.buildConditions(params, options.alias, replacements) : '';
+  whereClause = AbstractTable.joinConditions(whereClause, this.buildSeekCondition(options, options.alias, replacements));
 
-    query += whereClause;
+  if (whereClause) {
+    query += ' WHERE ' + whereClause;
   }
 
   if (options.groupBy) {
-    query += ' GROUP BY ' + options.groupBy;
-  }
+    groupBy = String(options.groupBy).split(',');
+    for (i = 0; i < groupBy.length; i++) {
+      groupBy[i] = this.validateIdentifier(groupBy[i].trim(), 'group', true);
+    }
 
-  if (options.randomSeed){
-    query += ' ORDER BY rand(' + options.randomSeed + ')';
+    query += ' GROUP BY ' + groupBy.join(', ');
   }
-  else if (options.sortField && options.sortOrder) {
-    query += ' ORDER BY ' + alias + options.sortField + ' ' + options.sortOrder;
+
+  orderClause = this.buildOrderClause(options, options.alias);
+  if (orderClause) {
+    query += ' ORDER BY ' + orderClause;
   }
 
   // Default to a limit of 1 if none is specified
   if (options.limit !== null) {
-    query += ' LIMIT ' + (options.limit || 1);
+    limit = parseInt(options.limit, 10);
+    query += ' LIMIT ' + ((limit > 0) ? limit : 1);
+  }
+
+  offset = parseInt(options.offset, 10);
+  if (offset > 0) {
+    query += ' OFFSET ' + offset;
+  }
+
+  return {sql: query, replacements: replacements};
+};
+
+/**
+ * The name of the table in the database
+ *
+ * @method getTableName
+ * @returns {String}
+ */
+AbstractTable.prototype.getTableName = function () {
+  return (this.options && this.options.tableName) || this.name;
+};
+
+/**
+ * Whether a list of this table can join another source in SQL, which requires
+ * another plain table on the same connection
+ *
+ * @method canJoin
+ * @param {AbstractSource} source
+ * @returns {Boolean}
+ */
+AbstractTable.prototype.canJoin = function (source) {
+  return !!(
+    source && source !== this && this.connection && this.connection.sequelizeInstance &&
+    source instanceof AbstractTable && source.connection === this.connection &&
+    source.canJoin === AbstractTable.prototype.canJoin
+  );
+};
+
+/**
+ * Build a raw query that lists (or counts) the records of this table joined to
+ * other tables of the same connection, see CrossSourceQuery.  The `joins` option
+ * is a list of:
+ *
+ * ```
+ * {source: statsTable, localKey: 'id', foreignKey: 'image_id', params: {views: {$gt: 10}}, isRequired: true}
+ * ```
+ *
+ * where the params are in the joined table's columns.  Joins with params are
+ * INNER joins, the others are LEFT joins that only sort.  The `sortFields` that
+ * have a `source` sort on a joined table.  Throws an error for invalid
+ * identifiers.
+ *
+ * @method buildJoinQuery
+ * @param {Object} params
+ * @param {Object} options
+ * @param {Boolean} isCount Whether to count the records instead
+ * @returns {Object} {sql: String, replacements: Array}
+ */
+AbstractTable.prototype.buildJoinQuery = function (params, options, isCount) {
+  var joins = options.joins || [];
+  var replacements = [];
+  var conditions = [this.buildConditions(params || {}, 'p', replacements)];
+  var query;
+  var orderClause;
+  var limit;
+  var offset;
+  var join;
+  var alias;
+
+  query = 'SELECT ' + ((isCount) ? 'COUNT(*) AS count' : 'p.*') +
+    ' FROM ' + this.validateIdentifier(this.getTableName(), 'table') + ' p';
+
+  for (var i = 0; i < joins.length; i++) {
+    join = joins[i];
+    alias = 'j' + i;
+
+    query += ((join.isRequired) ? ' INNER JOIN ' : ' LEFT JOIN ') +
+      join.source.validateIdentifier(join.source.getTableName(), 'table') + ' ' + alias +
+      ' ON ' + alias + '.' + join.source.validateIdentifier(join.foreignKey, 'join', true) +
+      ' = p.' + this.validateIdentifier(join.localKey, 'join', true);
+
+    conditions.push(join.source.buildConditions(join.params || {}, alias, replacements));
+  }
+
+  conditions = conditions.filter(function (condition) {
+    return !!condition;
+  });
+
+  if (conditions.length) {
+    query += ' WHERE ' + conditions.join(' AND ');
   }
 
-  if (options.offset) {
-    query += ' OFFSET ' + options.offset;
+  if (isCount) {
+    return {sql: query, replacements: replacements};
   }
 
-  return query;
+  orderClause = this.buildJoinOrderClause(options);
+  if (orderClause) {
+    query += ' ORDER BY ' + orderClause;
+  }
+
+  if (options.limit !== null && typeof options.limit !== 'undefined') {
+    limit = parseInt(options.limit, 10);
+    query += ' LIMIT ' + ((limit > 0) ? limit : 1);
+  }
+
+  offset = parseInt(options.offset, 10);
+  if (offset > 0) {
+    query += ' OFFSET ' + offset;
+  }
+
+  return {sql: query, replacements: replacements};
+};
+
+/**
+ * Build the ORDER BY expression of a join query, the sort fields with a `source`
+ * are columns of the joined table of that source
+ *
+ * @method buildJoinOrderClause
+ * @param {Object} options
+ * @returns {String|null}
+ */
+AbstractTable.prototype.buildJoinOrderClause = function (options) {
+  var joins = options.joins || [];
+  var sortFields;
+  var clauses = [];
+  var column;
+  var j;
+
+  if (options.randomSeed) {
+    return this.buildOrderClause(options, 'p');
+  }
+
+  sortFields = this.getSortFields(options);
+
+  for (var i = 0; i < sortFields.length; i++) {
+    column = null;
+
+    if (!sortFields[i].source) {
+      column = 'p.' + this.validateIdentifier(sortFields[i].field, 'sort', true);
+    }
+
+    for (j = 0; j < joins.length && !column; j++) {
+      if (joins[j].source.name === sortFields[i].source) {
+        column = 'j' + j + '.' + joins[j].source.validateIdentifier(sortFields[i].field, 'sort', true);
+      }
+    }
+
+    if (!column) {
+      throw new Error('Invalid sort field for ' + this.name + ': ' + sortFields[i].field);
+    }
+
+    clauses.push(column + ' ' + sortFields[i].order);
+  }
+
+  return clauses.length ? clauses.join(', ') : null;
+};
+
+/**
+ * List the records of this table joined to other tables of the same connection,
+ * see buildJoinQuery()
+ *
+ * @method listWithJoins
+ * @param {Object} params
+ * @param {Object} options With the joins
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractTable.prototype.listWithJoins = function (params, options, callback) {
+  var _this = this;
+  var deferred = PromiseAdapter.defer(callback);
+  var query;
+
+  try {
+    query = this.buildJoinQuery(params, options, false);
+  } catch (e) {
+    deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+    return deferred.promise;
+  }
+
+  // Build instances of this table's model from the selected rows
+  this.connection.sequelizeInstance
+    .query(query.sql, this.model, {raw: false}, query.replacements)
+    .complete(function (err, instances) {
+      for (var i in instances) {
+        _this.conformSequelizeInstanceApiToFrankenstein(instances[i]);
+      }
+
+      deferred.callback(err, instances);
+    });
+
+  return deferred.promise;
+};
+
+/**
+ * Count the records of this table joined to other tables of the same connection,
+ * see buildJoinQuery()
+ *
+ * @method countWithJoins
+ * @param {Object} params
+ * @param {Object} options With the joins
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+AbstractTable.prototype.countWithJoins = function (params, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var query;
+
+  try {
+    query = this.buildJoinQuery(params, options, true);
+  } catch (e) {
+    deferred.callback({code: 400, msg: e.message, error: 'Bad Request'});
+    return deferred.promise;
+  }
+
+  this.connection.sequelizeInstance
+    .query(query.sql, null, {raw: true}, query.replacements)
+    .complete(function (err, rows) {
+      deferred.callback(err, err ? null : parseInt((rows && rows[0]) ? rows[0].count : 0, 10));
+    });
+
+  return deferred.promise;
 };
 
 module.exports = AbstractTable;
@@ -0,0 +1,277 @@
+/*******************************************************************************
+ *
+ * BatchContext.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var PromiseAdapter = require('./PromiseAdapter.js');
+
+/**
+ * Batches and caches the reads by id of a single request.  Reads on the same
+ * model and view that are made in the same turn of the event loop are
+ * coalesced into a single list by their ids, and the results are cached for
+ * the life of the context:
+ *
+ * ```
+ * var context = new BatchContext();
+ *
+ * // A single list({id: [1, 2]}) on the images model
+ * images.read({id: 1}, {batch_context: context}, callback);
+ * images.read({id: 2}, {batch_context: context}, callback);
+ * ```
+ *
+ * Each caller gets its own copy of the instance of its id, or a 404 error.  The
+ * copies are made from the cached instance, so call clear() after saving an
+ * instance that is read again.  Failed lists are not cached.
+ *
+ * Only reads by the primary key alone are batched, other reads with a context
+ * read as usual.  The options are:
+ *
+ * - max_batch_size: the most ids listed at once (100)
+ *
+ * @class BatchContext
+ * @constructor
+ * @param {Object} options
+ */
+var BatchContext = function (options) {
+  this.options = {
+    max_batch_size: 100
+  };
+
+  for (var i in options) {
+    this.options[i] = options[i];
+  }
+
+  // One loader per model and view, see getLoader()
+  this.loaders = [];
+};
+
+/**
+ * Whether a read can be batched, which requires reading by the primary key
+ * alone
+ *
+ * @method isBatchable
+ * @param {AbstractModel} model
+ * @param {Object} params
+ * @returns {Boolean}
+ * @static
+ */
+BatchContext.isBatchable = function (model, params) {
+  var keys = params ? Object.keys(params) : [];
+  var id = (keys.length === 1) ? params[model.primaryKey] : null;
+
+  return typeof id === 'string' || typeof id === 'number';
+};
+
+/**
+ * The loader of the reads on a model with the same view and fields
+ *
+ * @method getLoader
+ * @param {AbstractModel} model
+ * @param {Object} options The read options
+ * @returns {Object} {model, key, options, cache, queue}
+ */
+BatchContext.prototype.getLoader = function (model, options) {
+  var view = (options && options.view) || 'default';
+  var fields = (options && options.fields) || null;
+  var key = JSON.stringify({view: view, fields: fields});
+  var loader;
+
+  for (var i = 0; i < this.loaders.length; i++) {
+    if (this.loaders[i].model === model && this.loaders[i].key === key) {
+      return this.loaders[i];
+    }
+  }
+
+  loader = {
+    model: model,
+    key: key,
+    options: {view: view, fields: fields},
+
+    // Instances (null when not found) and the callbacks waiting for them, both
+    // keyed by id
+    cache: {},
+    queue: {}
+  };
+
+  this.loaders.push(loader);
+  return loader;
+};
+
+/**
+ * Read an instance by id, see AbstractModel.read()
+ *
+ * @method read
+ * @param {AbstractModel} model
+ * @param {String|Number} id
+ * @param {Object} options The read options, view and fields
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+BatchContext.prototype.read = function (model, id, options, callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+  var loader = this.getLoader(model, options);
+  var key = String(id);
+  var isScheduled = Object.keys(loader.queue).length > 0;
+  var cached;
+
+  // Cached reads call back asynchronously like the reads that are listed
+  if (loader.cache.hasOwnProperty(key)) {
+    cached = loader.cache[key];
+
+    process.nextTick(function () {
+      BatchContext.respond(cached, deferred.callback);
+    });
+
+    return deferred.promise;
+  }
+
+  if (!loader.queue[key]) {
+    loader.queue[key] = {id: id, callbacks: []};
+  }
+
+  loader.queue[key].callbacks.push(deferred.callback);
+
+  // Wait for the other reads of this turn of the event loop
+  if (!isScheduled) {
+    setImmediate(function () {
+      self.dispatch(loader);
+    });
+  }
+
+  return deferred.promise;
+};
+
+/**
+ * Call back with a copy of an instance, or a 404 error if there is none.  The
+ * cached instance itself is never handed out, so changes a caller makes to its
+ * instance are not seen by the other callers.
+ *
+ * @method respond
+ * @param {Instance} instance
+ * @param {Function} callback
+ * @static
+ */
+BatchContext.respond = function (instance, callback) {
+  if (instance) {
+    callback(null, instance.clone());
+  } else {
+    callback({code: 404, msg: 'Not Found', error: 'Not Found'});
+  }
+};
+
+/**
+ * List the queued ids of a loader in batches of max_batch_size
+ *
+ * @method dispatch
+ * @param {Object} loader
+ */
+BatchContext.prototype.dispatch = function (loader) {
+  var queue = loader.queue;
+  var keys = Object.keys(queue);
+  var size = this.options.max_batch_size;
+
+  loader.queue = {};
+
+  for (var i = 0; i < keys.length; i += size) {
+    this.listBatch(loader, queue, keys.slice(i, i + size));
+  }
+};
+
+/**
+ * List a batch of ids and call back every read waiting for them
+ *
+ * @method listBatch
+ * @param {Object} loader
+ * @param {Object} queue The reads keyed by id
+ * @param {Array} keys The ids of the batch
+ */
+BatchContext.prototype.listBatch = function (loader, queue, keys) {
+  var model = loader.model;
+  var params = {};
+  var options = {
+    view: loader.options.view,
+    limit: keys.length,
+    offset: 0,
+    should_include_meta: false,
+    should_disable_foreign_key: true,
+    batch_context: this
+  };
+  var i;
+
+  if (loader.options.fields) {
+    options.fields = loader.options.fields;
+  }
+
+  params[model.primaryKey] = [];
+
+  for (i = 0; i < keys.length; i++) {
+    params[model.primaryKey].push(queue[keys[i]].id);
+  }
+
+  model.list(params, options, function (err, list) {
+    var found = {};
+    var callbacks;
+    var j;
+
+    if (!err) {
+      for (i = 0; i < (list || []).length; i++) {
+        found[String(list[i].get(model.primaryKey))] = list[i];
+      }
+    }
+
+    for (i = 0; i < keys.length; i++) {
+      callbacks = queue[keys[i]].callbacks;
+
+      if (!err) {
+        loader.cache[keys[i]] = found[keys[i]] || null;
+      }
+
+      for (j = 0; j < callbacks.length; j++) {
+        if (err) {
+          callbacks[j](err);
+        } else {
+          BatchContext.respond(loader.cache[keys[i]], callbacks[j]);
+        }
+      }
+    }
+  });
+};
+
+/**
+ * Forget the cached instance of an id, or of every id of a model
+ *
+ * @method clear
+ * @param {AbstractModel} model
+ * @param {String|Number} id Optional
+ */
+BatchContext.prototype.clear = function (model, id) {
+  for (var i = 0; i < this.loaders.length; i++) {
+    if (this.loaders[i].model !== model) {
+      continue;
+    }
+
+    if (typeof id === 'undefined') {
+      this.loaders[i].cache = {};
+    } else {
+      delete this.loaders[i].cache[String(id)];
+    }
+  }
+};
+
+/**
+ * Forget every cached instance
+ *
+ * @method clearAll
+ */
+BatchContext.prototype.clearAll = function () {
+  for (var i = 0; i < this.loaders.length; i++) {
+    this.loaders[i].cache = {};
+  }
+};
+
+module.exports = BatchContext;
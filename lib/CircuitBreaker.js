@@ -0,0 +1,147 @@
+/*******************************************************************************
+ *
+ * CircuitBreaker.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+/**
+ * Stops calling a source that keeps failing so that an outage fails fast instead
+ * of tying up every request until it times out.
+ *
+ * The breaker starts `closed`.  After `failure_threshold` consecutive failures it
+ * `open`s and rejects every call.  Once `reset_timeout` milliseconds have passed
+ * it is `half_open` and lets a single trial call through: a success closes it
+ * again, a failure re-opens it.
+ *
+ * @class CircuitBreaker
+ * @constructor
+ * @param {Object} options failure_threshold and reset_timeout
+ */
+var CircuitBreaker = function (options) {
+  this.options = {
+    failure_threshold: 5,
+    reset_timeout: 30000
+  };
+
+  for (var i in options) {
+    this.options[i] = options[i];
+  }
+
+  this.state = CircuitBreaker.STATES.CLOSED;
+  this.failures = 0;
+  this.openedAt = null;
+  this.isTrialPending = false;
+};
+
+/**
+ * The states of a breaker
+ *
+ * @property STATES
+ * @type Object
+ * @static
+ */
+CircuitBreaker.STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Whether a call may go through, moving an open breaker to half open once the
+ * reset timeout has passed
+ *
+ * @method isAllowed
+ * @returns {Boolean}
+ */
+CircuitBreaker.prototype.isAllowed = function () {
+  if (this.state === CircuitBreaker.STATES.CLOSED) {
+    return true;
+  }
+
+  if (this.state === CircuitBreaker.STATES.OPEN) {
+    if (Date.now() - this.openedAt < this.options.reset_timeout) {
+      return false;
+    }
+
+    this.state = CircuitBreaker.STATES.HALF_OPEN;
+    this.isTrialPending = false;
+  }
+
+  // Only let one trial call through while half open
+  if (this.isTrialPending) {
+    return false;
+  }
+
+  this.isTrialPending = true;
+  return true;
+};
+
+/**
+ * @method recordSuccess
+ */
+CircuitBreaker.prototype.recordSuccess = function () {
+  this.state = CircuitBreaker.STATES.CLOSED;
+  this.failures = 0;
+  this.openedAt = null;
+  this.isTrialPending = false;
+};
+
+/**
+ * @method recordFailure
+ */
+CircuitBreaker.prototype.recordFailure = function () {
+  this.failures++;
+  this.isTrialPending = false;
+
+  if (
+    this.state === CircuitBreaker.STATES.HALF_OPEN ||
+    this.failures >= this.options.failure_threshold
+  ) {
+    this.state = CircuitBreaker.STATES.OPEN;
+    this.openedAt = Date.now();
+  }
+};
+
+/**
+ * The error calls are rejected with while the breaker is open
+ *
+ * @method generateOpenError
+ * @param {String} name The name of the source
+ * @returns {Object}
+ */
+CircuitBreaker.prototype.generateOpenError = function (name) {
+  var remaining = this.openedAt ? this.options.reset_timeout - (Date.now() - this.openedAt) : 0;
+
+  return {
+    code: 503,
+    msg: 'The ' + name + ' source is unavailable after ' + this.failures + ' failures',
+    error: 'Service Unavailable',
+    retry_after: Math.max(0, Math.ceil(remaining / 1000))
+  };
+};
+
+/**
+ * Report the state of the breaker, e.g. for health checks
+ *
+ * @method getState
+ * @returns {Object} {state, failures, opened_at}
+ */
+CircuitBreaker.prototype.getState = function () {
+  // Report an open breaker whose timeout has passed as half open
+  var state = this.state;
+
+  if (state === CircuitBreaker.STATES.OPEN && Date.now() - this.openedAt >= this.options.reset_timeout) {
+    state = CircuitBreaker.STATES.HALF_OPEN;
+  }
+
+  return {
+    state: state,
+    failures: this.failures,
+    opened_at: this.openedAt ? new Date(this.openedAt) : null
+  };
+};
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,353 @@
+/*******************************************************************************
+ *
+ * ConnectionRegistry.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var SequelizeOrm = require('./SequelizeOrm.js');
+var MongoOdm = require('./MongoOdm.js');
+var RedisOdm = require('./RedisOdm.js');
+var SolrClient = require('./SolrClient.js');
+
+/**
+ * Manages a set of named connections built from a configuration map like:
+ *
+ * ```
+ * {
+ *   loverly: {type: 'mysql', database: 'loverly', user: 'root', ...},
+ *   documents: {type: 'mongo', database: 'documents', host: 'localhost', ...},
+ *   search: {type: 'solr', conn: {host: 'localhost'}, search: {core: 'weddings'}}
+ * }
+ * ```
+ *
+ * The underlying libraries are injected the same way the individual wrappers
+ * receive them (Sequelize, Mongoose, Redis, http, buffer).  Every connection is
+ * named after its key in the configuration so that sources can find it by their
+ * `database` property.
+ *
+ * @class ConnectionRegistry
+ * @constructor
+ * @param {Object} config A hash of connection configurations keyed by name
+ * @param {Object} libraries The libraries used to build the connections
+ */
+var ConnectionRegistry = function (config, libraries) {
+  this.config = config || {};
+  this.libraries = libraries || {};
+
+  // Connection wrappers keyed by name
+  this.connections = {};
+
+  // Factories that build a connection wrapper for a given type
+  this.factories = {};
+
+  this.isInitialized = false;
+
+  var i;
+  for (i in ConnectionRegistry.factories) {
+    this.factories[i] = ConnectionRegistry.factories[i];
+  }
+};
+
+/**
+ * The built-in connection types.  Each factory is given the connection options
+ * and the injected libraries and returns an uninitialized connection wrapper.
+ *
+ * @property factories
+ * @type {Object}
+ * @static
+ */
+ConnectionRegistry.factories = {
+  mysql: function (options, libraries) {
+    return new SequelizeOrm(libraries.Sequelize, options);
+  },
+  mongo: function (options, libraries) {
+    return new MongoOdm(libraries.Mongoose, options);
+  },
+  redis: function (options, libraries) {
+    return new RedisOdm(libraries.Redis, options);
+  },
+  solr: function (options, libraries) {
+    return new SolrClient(options.conn || {}, options.search || {}, libraries.http, libraries.buffer);
+  }
+};
+
+/**
+ * Register a custom connection type.
+ *
+ * @method registerType
+ * @param {String} type The value of the `type` property in the configuration
+ * @param {Function} factory Builds the connection: function (options, libraries)
+ */
+ConnectionRegistry.prototype.registerType = function (type, factory) {
+  this.factories[type] = factory;
+};
+
+/**
+ * Build the connection wrapper for a single configuration entry.
+ *
+ * @method createConnection
+ * @param {String} name
+ * @param {Object} config
+ * @returns {Object} The connection wrapper
+ */
+ConnectionRegistry.prototype.createConnection = function (name, config) {
+  var factory = this.factories[config.type];
+  var options = {};
+  var connection;
+
+  if (typeof factory !== 'function') {
+    throw new Error('Unknown connection type: ' + config.type + ' for connection: ' + name);
+  }
+
+  // Do not pass the registry-specific type down to the wrapper
+  for (var i in config) {
+    if (i !== 'type') {
+      options[i] = config[i];
+    }
+  }
+
+  connection = factory(options, this.libraries);
+  connection.name = name;
+  connection.type = config.type;
+
+  return connection;
+};
+
+/**
+ * Create and open every configured connection in parallel.  The callback is
+ * called once all of the connections have finished, with an error describing
+ * every connection that failed:
+ *
+ * ```
+ * {code: 500, msg: 'Failed to open connections: search', errors: {search: err}}
+ * ```
+ *
+ * Connections that succeeded remain available even if another one failed.  The
+ * failed ones are removed from the registry and are retried by calling
+ * initialize() again.
+ *
+ * @method initialize
+ * @param {Function} callback
+ */
+ConnectionRegistry.prototype.initialize = function (callback) {
+  var self = this;
+  var names = [];
+  var errors = {};
+  var failed = [];
+  var pending;
+  var i;
+
+  for (i in this.config) {
+    if (!this.connections[i]) {
+      try {
+        this.connections[i] = this.createConnection(i, this.config[i]);
+      } catch (e) {
+        errors[i] = e;
+        failed.push(i);
+        continue;
+      }
+    }
+
+    names.push(i);
+  }
+
+  pending = names.length;
+
+  var finish = function () {
+    var err = null;
+
+    self.isInitialized = true;
+
+    if (failed.length) {
+      err = {
+        code: 500,
+        msg: 'Failed to open connections: ' + failed.join(', '),
+        errors: errors
+      };
+    }
+
+    callback(err, self);
+  };
+
+  var generateCallback = function (name) {
+    var isCalled = false;
+
+    return function (err) {
+      // Some drivers emit more than one error, only count the first outcome
+      if (isCalled) {
+        return;
+      }
+
+      isCalled = true;
+
+      // Drop failed connections so that sources never bind to them, calling
+      // initialize() again will retry them
+      if (err) {
+        console.error('Failed to open connection:', name, err);
+        errors[name] = err;
+        failed.push(name);
+        delete self.connections[name];
+      }
+
+      pending--;
+      if (pending === 0) {
+        finish();
+      }
+    };
+  };
+
+  if (pending === 0) {
+    setImmediate(finish);
+    return;
+  }
+
+  for (i = 0; i < names.length; i++) {
+    this.openConnection(this.connections[names[i]], generateCallback(names[i]));
+  }
+};
+
+/**
+ * Call initialize on a connection wrapper regardless of whether it is
+ * asynchronous (takes a callback) or not.
+ *
+ * @method openConnection
+ * @param {Object} connection
+ * @param {Function} callback
+ */
+ConnectionRegistry.prototype.openConnection = function (connection, callback) {
+  try {
+    if (connection.initialize.length === 0) {
+      connection.initialize();
+      callback();
+    } else {
+      connection.initialize(callback);
+    }
+  } catch (e) {
+    callback(e);
+  }
+};
+
+/**
+ * Return the connection registered under the given name.
+ *
+ * @method get
+ * @param {String} name
+ * @returns {Object}
+ */
+ConnectionRegistry.prototype.get = function (name) {
+  return this.connections[name];
+};
+
+/**
+ * Return all of the connections as an array, suitable for passing to
+ * AbstractSource.addConnections().
+ *
+ * @method getAll
+ * @returns {Array}
+ */
+ConnectionRegistry.prototype.getAll = function () {
+  var list = [];
+
+  for (var i in this.connections) {
+    list.push(this.connections[i]);
+  }
+
+  return list;
+};
+
+/**
+ * Close every connection in parallel for a graceful shutdown.  Errors are
+ * collected per connection just like initialize().
+ *
+ * @method closeAll
+ * @param {Function} callback
+ */
+ConnectionRegistry.prototype.closeAll = function (callback) {
+  var self = this;
+  var names = [];
+  var errors = {};
+  var failed = [];
+  var pending;
+  var i;
+
+  for (i in this.connections) {
+    names.push(i);
+  }
+
+  pending = names.length;
+
+  var finish = function () {
+    var err = null;
+
+    self.connections = {};
+    self.isInitialized = false;
+
+    if (failed.length) {
+      err = {
+        code: 500,
+        msg: 'Failed to close connections: ' + failed.join(', '),
+        errors: errors
+      };
+    }
+
+    if (callback) {
+      callback(err);
+    }
+  };
+
+  var generateCallback = function (name) {
+    var isCalled = false;
+
+    return function (err) {
+      if (isCalled) {
+        return;
+      }
+
+      isCalled = true;
+
+      if (err) {
+        errors[name] = err;
+        failed.push(name);
+      }
+
+      pending--;
+      if (pending === 0) {
+        finish();
+      }
+    };
+  };
+
+  if (pending === 0) {
+    setImmediate(finish);
+    return;
+  }
+
+  for (i = 0; i < names.length; i++) {
+    this.closeConnection(this.connections[names[i]], generateCallback(names[i]));
+  }
+};
+
+/**
+ * Close a single connection if the wrapper supports it.
+ *
+ * @method closeConnection
+ * @param {Object} connection
+ * @param {Function} callback
+ */
+ConnectionRegistry.prototype.closeConnection = function (connection, callback) {
+  if (typeof connection.close !== 'function') {
+    callback();
+    return;
+  }
+
+  try {
+    connection.close(callback);
+  } catch (e) {
+    callback(e);
+  }
+};
+
+module.exports = ConnectionRegistry;
@@ -0,0 +1,477 @@
+/*******************************************************************************
+ *
+ * CrossSourceQuery.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var PromiseAdapter = require('./PromiseAdapter.js');
+var QUERY_OPERATORS = require('./QueryOperators.js');
+var SOURCE_MAPPING_TYPES = require('./SourceMappingTypes');
+
+/**
+ * Lists (or counts) the instances of a model by parameters and sort fields that
+ * are stored on its one-to-one sources rather than on its primary source:
+ *
+ * ```
+ * images.list({'stats.views': {$gt: 100}}, {sort_field: 'stats.views', sort_order: 'DESC'}, callback);
+ * ```
+ *
+ * There are two strategies:
+ *
+ * - join: the primary source and the other sources are tables on the same
+ *   connection, so a single query joins them, see AbstractTable.buildJoinQuery()
+ * - keys: the other sources are queried first for the keys of the records that
+ *   match, and the primary source is then listed with an `$in` filter on them.
+ *   The keys are limited to `max_cross_source_keys` (MAX_KEYS) per source and
+ *   the other sources cannot be sorted on.
+ *
+ * @class CrossSourceQuery
+ * @constructor
+ * @param {AbstractModel} model
+ * @param {Object} primaryInfo The primary source of the model
+ * @param {Object} options Prepared list options
+ */
+var CrossSourceQuery = function (model, primaryInfo, options) {
+  this.model = model;
+  this.primaryInfo = primaryInfo;
+  this.source = primaryInfo.source;
+  this.maxKeys = options.max_cross_source_keys || CrossSourceQuery.MAX_KEYS;
+  this.isStrict = !!options.check_query_params;
+
+  // The other sources that are queried keyed by name, see addSource()
+  this.joins = {};
+  this.sortFields = [];
+  this.hasForeignSort = false;
+  this.strategy = null;
+};
+
+/**
+ * The ways the other sources are queried
+ *
+ * @property STRATEGIES
+ * @type Object
+ * @static
+ */
+CrossSourceQuery.STRATEGIES = {
+  JOIN: 'join',
+  KEYS: 'keys'
+};
+
+/**
+ * The most keys the keys strategy reads from a source
+ *
+ * @property MAX_KEYS
+ * @type Number
+ * @static
+ */
+CrossSourceQuery.MAX_KEYS = 1000;
+
+/**
+ * Plan the query of a list, if its parameters or sort use other sources
+ *
+ * @method create
+ * @param {AbstractModel} model
+ * @param {Object} params The model parameters of the list
+ * @param {Object} options Prepared list options
+ * @param {Object} primaryInfo The primary source of the model
+ * @param {Boolean} isCount Whether the records are only counted
+ * @returns {CrossSourceQuery} Null if only the primary source is used
+ * @throws {Error} If the query cannot be run across the sources
+ * @static
+ */
+CrossSourceQuery.create = function (model, params, options, primaryInfo, isCount) {
+  var query = new CrossSourceQuery(model, primaryInfo, options);
+
+  query.addParams(params);
+
+  if (!isCount) {
+    query.addSort(options);
+  }
+
+  if (!Object.keys(query.joins).length) {
+    return null;
+  }
+
+  if (options.cursor) {
+    throw new Error('Cursor paging cannot be used with the fields of other sources');
+  }
+
+  query.chooseStrategy();
+  return query;
+};
+
+/**
+ * The source a field of another source can be queried from, null for the fields
+ * of the primary source
+ *
+ * @method getJoinableSourceInfo
+ * @param {String} field
+ * @returns {Object}
+ * @throws {Error} If the field is stored on a source that is not one-to-one
+ */
+CrossSourceQuery.prototype.getJoinableSourceInfo = function (field) {
+  var sourceInfo = this.model.getFieldSource(field);
+
+  if (!sourceInfo) {
+    return null;
+  }
+
+  if (sourceInfo.relationship !== SOURCE_MAPPING_TYPES.ONE_TO_ONE) {
+    throw new Error(
+      'The field: ' + field + ' cannot be queried, the ' + sourceInfo.source.name + ' source is not one-to-one'
+    );
+  }
+
+  return sourceInfo;
+};
+
+/**
+ * Whether a list of $and/$or branches uses the fields of other sources
+ *
+ * @method hasForeignFields
+ * @param {Array} branches
+ * @returns {Boolean}
+ */
+CrossSourceQuery.prototype.hasForeignFields = function (branches) {
+  for (var i = 0; i < branches.length; i++) {
+    for (var j in branches[i]) {
+      if (QUERY_OPERATORS.isLogicalKey(j) ? this.hasForeignFields(branches[i][j]) : !!this.model.getFieldSource(j)) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Add a source that is queried along with the primary source
+ *
+ * @method addSource
+ * @param {Object} sourceInfo
+ * @returns {Object} {sourceInfo, source, localKey, foreignKey, rawParams, params, isRequired}
+ */
+CrossSourceQuery.prototype.addSource = function (sourceInfo) {
+  var name = sourceInfo.source.name;
+  var localKey;
+
+  if (!this.joins[name]) {
+    localKey = this.model.transformQueryParamKeyToAlias(sourceInfo.local_key || 'id', this.source.name, true);
+
+    this.joins[name] = {
+      sourceInfo: sourceInfo,
+      source: sourceInfo.source,
+      localKey: localKey,
+      foreignKey: sourceInfo.foreign_key,
+      rawParams: {},
+      params: {},
+      isRequired: false
+    };
+  }
+
+  return this.joins[name];
+};
+
+/**
+ * Add the parameters of other sources.  They can only be top-level parameters.
+ *
+ * @method addParams
+ * @param {Object} params
+ */
+CrossSourceQuery.prototype.addParams = function (params) {
+  var sourceInfo;
+
+  for (var i in params) {
+    if (QUERY_OPERATORS.isLogicalKey(i)) {
+      if (params[i] instanceof Array && this.hasForeignFields(params[i])) {
+        throw new Error('The ' + i + ' operator cannot be used with the fields of other sources');
+      }
+
+      continue;
+    }
+
+    sourceInfo = this.getJoinableSourceInfo(i);
+
+    if (sourceInfo) {
+      this.addSource(sourceInfo).rawParams[i] = params[i];
+    }
+  }
+};
+
+/**
+ * Add the sort fields of other sources, from the `sort` option (see
+ * AbstractModel.applySort()) or a `sort_field` of another source
+ *
+ * @method addSort
+ * @param {Object} options
+ */
+CrossSourceQuery.prototype.addSort = function (options) {
+  var sortFields = options.sortFields;
+  var sourceInfo;
+
+  if (!sortFields && options.sort_field && !options.randomSeed) {
+    sourceInfo = this.getJoinableSourceInfo(options.sort_field);
+
+    if (sourceInfo) {
+      sortFields = [{
+        field: this.model.transformQueryParamKeyToAlias(options.sort_field, sourceInfo.source.name, false),
+        order: options.sortOrder,
+        source: sourceInfo.source.name
+      }];
+    }
+  }
+
+  this.sortFields = sortFields || [];
+
+  for (var i = 0; i < this.sortFields.length; i++) {
+    if (this.sortFields[i].source) {
+      this.addSource(this.model.getSource(this.sortFields[i].source));
+      this.hasForeignSort = true;
+    }
+  }
+};
+
+/**
+ * Join the other sources if they are all tables on the primary source's
+ * connection, query them for keys otherwise
+ *
+ * @method chooseStrategy
+ * @throws {Error} If neither strategy can run the query
+ */
+CrossSourceQuery.prototype.chooseStrategy = function () {
+  var canJoin = typeof this.source.canJoin === 'function';
+  var names = Object.keys(this.joins);
+  var join;
+  var i;
+
+  for (i = 0; i < names.length; i++) {
+    join = this.joins[names[i]];
+
+    if (!join.localKey) {
+      throw new Error('The ' + this.source.name + ' source has no key to query the ' + names[i] + ' source by');
+    }
+
+    join.params = this.model.transformQueryToAliases(join.rawParams, names[i], false, this.isStrict);
+    join.isRequired = Object.keys(join.params).length > 0;
+    canJoin = canJoin && this.source.canJoin(join.source);
+  }
+
+  if (canJoin) {
+    this.strategy = CrossSourceQuery.STRATEGIES.JOIN;
+    return;
+  }
+
+  if (this.hasForeignSort) {
+    throw new Error(
+      'Sorting on the fields of the ' + names.join(', ') + ' source requires it to be a table on the connection of the ' +
+      this.source.name + ' source'
+    );
+  }
+
+  this.strategy = CrossSourceQuery.STRATEGIES.KEYS;
+};
+
+/**
+ * The list options of the join strategy
+ *
+ * @method getJoinOptions
+ * @param {Object} options
+ * @returns {Object}
+ */
+CrossSourceQuery.prototype.getJoinOptions = function (options) {
+  var joinOptions = {};
+  var join;
+
+  for (var i in options) {
+    joinOptions[i] = options[i];
+  }
+
+  joinOptions.joins = [];
+
+  for (i in this.joins) {
+    join = this.joins[i];
+
+    joinOptions.joins.push({
+      source: join.source,
+      localKey: join.localKey,
+      foreignKey: join.foreignKey,
+      params: join.params,
+      isRequired: join.isRequired
+    });
+  }
+
+  if (this.sortFields.length) {
+    joinOptions.sortFields = this.sortFields;
+  }
+
+  return joinOptions;
+};
+
+/**
+ * Read the keys of the records of the other sources that match their
+ * parameters.  Records match if every source has a match.
+ *
+ * @method listKeys
+ * @param {Function} callback Called with the keys keyed by the local key
+ */
+CrossSourceQuery.prototype.listKeys = function (callback) {
+  var self = this;
+  var names = Object.keys(this.joins);
+  var keys = {};
+  var count = names.length;
+  var isFailed = false;
+
+  var readKeys = function (join) {
+    var options = {limit: self.maxKeys + 1, offset: 0};
+
+    join.source.list(join.params, options, function (err, records) {
+      var values = [];
+      var existing;
+
+      if (isFailed) {
+        return;
+      }
+
+      if (!err && records && records.length > self.maxKeys) {
+        err = {
+          code: 400,
+          msg: 'The parameters of the ' + join.source.name + ' source match more than ' + self.maxKeys + ' records',
+          error: 'Bad Request'
+        };
+      }
+
+      if (err) {
+        isFailed = true;
+        callback(err);
+        return;
+      }
+
+      for (var i = 0; i < records.length; i++) {
+        values.push(records[i].get(join.foreignKey));
+      }
+
+      // Sources that share a local key have to match the same records
+      existing = keys[join.localKey];
+      keys[join.localKey] = existing ? values.filter(function (value) {
+        return existing.indexOf(value) !== -1;
+      }) : values;
+
+      count--;
+      if (count === 0) {
+        callback(null, keys);
+      }
+    });
+  };
+
+  for (var i = 0; i < names.length; i++) {
+    readKeys(this.joins[names[i]]);
+  }
+};
+
+/**
+ * Restrict the primary source's query to the keys read from the other sources
+ *
+ * @method restrictToKeys
+ * @param {Object} query
+ * @param {Object} keys Keyed by the local key, see listKeys()
+ * @returns {Object} The restricted query, null if no record can match
+ */
+CrossSourceQuery.prototype.restrictToKeys = function (query, keys) {
+  var restricted = {};
+  var conditions = [];
+  var condition;
+  var i;
+
+  for (i in query) {
+    restricted[i] = query[i];
+  }
+
+  for (i in keys) {
+    if (!keys[i].length) {
+      return null;
+    }
+
+    if (restricted.hasOwnProperty(i)) {
+      condition = {};
+      condition[i] = {$in: keys[i]};
+      conditions.push(condition);
+    } else {
+      restricted[i] = {$in: keys[i]};
+    }
+  }
+
+  if (conditions.length) {
+    restricted.$and = (restricted.$and || []).concat(conditions);
+  }
+
+  return restricted;
+};
+
+/**
+ * List the records of the primary source
+ *
+ * @method list
+ * @param {Object} query The query of the primary source
+ * @param {Object} options Prepared list options
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+CrossSourceQuery.prototype.list = function (query, options, callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+
+  if (this.strategy === CrossSourceQuery.STRATEGIES.JOIN) {
+    this.source.listWithJoins(query, this.getJoinOptions(options), deferred.callback);
+    return deferred.promise;
+  }
+
+  this.listKeys(function (err, keys) {
+    var restricted = err ? null : self.restrictToKeys(query, keys);
+
+    if (err || !restricted) {
+      deferred.callback(err || null, err ? null : []);
+      return;
+    }
+
+    self.source.list(restricted, options, deferred.callback);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Count the records of the primary source
+ *
+ * @method count
+ * @param {Object} query The query of the primary source
+ * @param {Object} options Prepared list options
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+CrossSourceQuery.prototype.count = function (query, options, callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+
+  if (this.strategy === CrossSourceQuery.STRATEGIES.JOIN) {
+    this.source.countWithJoins(query, this.getJoinOptions(options), deferred.callback);
+    return deferred.promise;
+  }
+
+  this.listKeys(function (err, keys) {
+    var restricted = err ? null : self.restrictToKeys(query, keys);
+
+    if (err || !restricted) {
+      deferred.callback(err || null, err ? null : 0);
+      return;
+    }
+
+    self.source.count(restricted, options, deferred.callback);
+  });
+
+  return deferred.promise;
+};
+
+module.exports = CrossSourceQuery;
@@ -0,0 +1,45 @@
+/**
+ * Constants defining what happens to the records of a source when an instance
+ * of the model is removed.  Configured with the `on_delete` property of an entry
+ * in the model's sources.
+ *
+ * @class DELETE_POLICIES
+ */
+var DELETE_POLICIES = {};
+
+/**
+ * Remove the dependent records along with the instance.  The default for
+ * one-to-one and one-to-many sources.
+ *
+ * @property DELETE_POLICIES.CASCADE
+ * @type string
+ */
+DELETE_POLICIES.CASCADE = "cascade";
+
+/**
+ * Refuse to remove the instance (409) while dependent records exist.
+ *
+ * @property DELETE_POLICIES.RESTRICT
+ * @type string
+ */
+DELETE_POLICIES.RESTRICT = "restrict";
+
+/**
+ * Keep the dependent records but unlink them by setting their foreign key to
+ * null.
+ *
+ * @property DELETE_POLICIES.SET_NULL
+ * @type string
+ */
+DELETE_POLICIES.SET_NULL = "set_null";
+
+/**
+ * Leave the dependent records alone.  The default for every relationship other
+ * than one-to-one and one-to-many.
+ *
+ * @property DELETE_POLICIES.IGNORE
+ * @type string
+ */
+DELETE_POLICIES.IGNORE = "ignore";
+
+module.exports = DELETE_POLICIES;
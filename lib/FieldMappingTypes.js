@@ -36,9 +36,8 @@ FIELD_MAPPING_TYPES.VIRTUAL = "virtual";
 
 /**
  * A one-to-one mapping of fields from one model to another. The property is an
- * instance of that model.
- *
- * TODO: Not sure what we'll use this for yet.
+ * instance of that model (a submodel added as a one-to-one source) that is read,
+ * validated, serialized and saved together with its parent.
  *
  * @property FIELD_MAPPING_TYPES.SUBMODEL_PROPERTY
  * @type string
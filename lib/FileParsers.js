@@ -0,0 +1,448 @@
+/*******************************************************************************
+ *
+ * FileParsers.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var TYPES = require('./Types.js');
+
+/**
+ * The parse strategies of AbstractFile keyed by name.  Each parser can:
+ *
+ * - parse(contents, options): turn the contents of a whole file into rows
+ * - stringify(rows, options): turn rows back into the contents of a file
+ * - createRowParser(options): line based parsers only, returns {push(line),
+ *   end()} where push() returns the row completed by the line, if any
+ *
+ * The options are:
+ *
+ * - delimiter: the CSV cell delimiter, a comma by default
+ * - columns: a hash of CSV header names to field names
+ * - types: a hash of field names to TYPES, CSV cells are coerced to them
+ *
+ * @class FILE_PARSERS
+ */
+var FILE_PARSERS = {};
+
+/**
+ * Look up a parser
+ *
+ * @method get
+ * @param {String} strategy
+ * @returns {Object} The parser, null if there is none
+ * @static
+ */
+FILE_PARSERS.get = function (strategy) {
+  var parser = FILE_PARSERS[strategy];
+  return (parser && typeof parser.parse === 'function') ? parser : null;
+};
+
+/**
+ * Read the rows of a file stream one line at a time, so that only the current
+ * chunk and row are held in memory.  Returning false from onRow stops reading.
+ *
+ * @method readRows
+ * @param {Stream} stream A readable stream with a string encoding
+ * @param {Object} parser A line based parser
+ * @param {Object} options
+ * @param {Function} onRow Called with each row and its position
+ * @param {Function} callback Called once the stream is done or stopped
+ * @static
+ */
+FILE_PARSERS.readRows = function (stream, parser, options, onRow, callback) {
+  var rowParser = parser.createRowParser(options);
+  var buffer = '';
+  var index = 0;
+  var isDone = false;
+  var lineNumber = 0;
+
+  var finish = function (err) {
+    if (isDone) {
+      return;
+    }
+
+    isDone = true;
+
+    if (typeof stream.destroy === 'function') {
+      stream.destroy();
+    }
+
+    callback(err || null);
+  };
+
+  // Returns false once reading should stop
+  var handleLine = function (line) {
+    var row;
+
+    lineNumber++;
+
+    try {
+      row = rowParser.push(line.replace(/\r$/, ''));
+    } catch (e) {
+      finish({code: 500, msg: 'Failed to parse line ' + lineNumber + ': ' + e.message, error: 'Internal Server Error'});
+      return false;
+    }
+
+    if (typeof row === 'undefined') {
+      return true;
+    }
+
+    if (onRow(row, index++) === false) {
+      finish();
+      return false;
+    }
+
+    return true;
+  };
+
+  stream.on('data', function (chunk) {
+    var lines;
+
+    if (isDone) {
+      return;
+    }
+
+    lines = (buffer + chunk).split('\n');
+    buffer = lines.pop();
+
+    for (var i = 0; i < lines.length; i++) {
+      if (!handleLine(lines[i])) {
+        return;
+      }
+    }
+  });
+
+  stream.on('end', function () {
+    if (isDone) {
+      return;
+    }
+
+    if (buffer && !handleLine(buffer)) {
+      return;
+    }
+
+    try {
+      rowParser.end();
+    } catch (e) {
+      finish({code: 500, msg: 'Failed to parse line ' + lineNumber + ': ' + e.message, error: 'Internal Server Error'});
+      return;
+    }
+
+    finish();
+  });
+
+  stream.on('error', function (err) {
+    // A file that does not exist yet has no rows
+    finish((err && err.code === 'ENOENT') ? null : err);
+  });
+};
+
+/**
+ * Parse whole contents with a line based parser
+ *
+ * @method parseLines
+ * @param {Object} parser
+ * @param {String} contents
+ * @param {Object} options
+ * @returns {Array}
+ * @static
+ */
+FILE_PARSERS.parseLines = function (parser, contents, options) {
+  var rowParser = parser.createRowParser(options);
+  var lines = contents ? contents.split('\n') : [];
+  var rows = [];
+  var row;
+
+  for (var i = 0; i < lines.length; i++) {
+    try {
+      row = rowParser.push(lines[i].replace(/\r$/, ''));
+    } catch (e) {
+      throw new Error('Failed to parse line ' + (i + 1) + ': ' + e.message);
+    }
+
+    if (typeof row !== 'undefined') {
+      rows.push(row);
+    }
+  }
+
+  rowParser.end();
+  return rows;
+};
+
+/**
+ * Convert a CSV cell into the type of its field.  Empty cells are null except
+ * for strings.
+ *
+ * @method coerce
+ * @param {String} value
+ * @param {String} type One of TYPES, or FLOAT/NUMBER
+ * @returns {*}
+ * @static
+ */
+FILE_PARSERS.coerce = function (value, type) {
+  var number;
+
+  if (!type || type === TYPES.STRING) {
+    return value;
+  }
+
+  if (value === '') {
+    return null;
+  }
+
+  switch (type) {
+    case TYPES.INTEGER:
+      number = parseInt(value, 10);
+      return isNaN(number) ? null : number;
+    case 'FLOAT':
+    case 'NUMBER':
+      number = parseFloat(value);
+      return isNaN(number) ? null : number;
+    case TYPES.BOOLEAN:
+      return ['true', '1', 'yes', 'y'].indexOf(value.toLowerCase()) !== -1;
+    case TYPES.DATE:
+      return new Date(value);
+    case TYPES.ARRAY:
+      return JSON.parse(value);
+    default:
+      return value;
+  }
+};
+
+// JSON ========================================================================
+
+/**
+ * A single JSON array of records.  It cannot be streamed.
+ *
+ * @property FILE_PARSERS.json
+ * @type Object
+ */
+FILE_PARSERS.json = {
+  parse: function (contents) {
+    return contents ? JSON.parse(contents) : [];
+  },
+  stringify: function (rows) {
+    return JSON.stringify(rows, null, 2);
+  }
+};
+
+// NDJSON ======================================================================
+
+/**
+ * Newline-delimited JSON, one record per line.  Blank lines are skipped.
+ *
+ * @property FILE_PARSERS.ndjson
+ * @type Object
+ */
+FILE_PARSERS.ndjson = {
+  parse: function (contents, options) {
+    return FILE_PARSERS.parseLines(FILE_PARSERS.ndjson, contents, options);
+  },
+  stringify: function (rows) {
+    var lines = [];
+
+    for (var i = 0; i < rows.length; i++) {
+      lines.push(JSON.stringify(rows[i]));
+    }
+
+    return lines.length ? lines.join('\n') + '\n' : '';
+  },
+  createRowParser: function () {
+    return {
+      push: function (line) {
+        return (line.trim() === '') ? undefined : JSON.parse(line);
+      },
+      end: function () {}
+    };
+  }
+};
+
+// CSV =========================================================================
+
+/**
+ * Split a CSV record into its cells, handling quoted cells with delimiters,
+ * escaped quotes ("") and line breaks
+ *
+ * @method splitCsvRecord
+ * @param {String} text
+ * @param {String} delimiter
+ * @returns {Array}
+ * @static
+ */
+FILE_PARSERS.splitCsvRecord = function (text, delimiter) {
+  var cells = [];
+  var cell = '';
+  var isQuoted = false;
+  var character;
+
+  for (var i = 0; i < text.length; i++) {
+    character = text[i];
+
+    if (isQuoted) {
+      if (character === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (character === '"') {
+        isQuoted = false;
+      } else {
+        cell += character;
+      }
+    } else if (character === '"') {
+      isQuoted = true;
+    } else if (character === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += character;
+    }
+  }
+
+  cells.push(cell);
+  return cells;
+};
+
+/**
+ * Quote a CSV cell if it contains a delimiter, quote or line break
+ *
+ * @method formatCsvCell
+ * @param {*} value
+ * @param {String} delimiter
+ * @returns {String}
+ * @static
+ */
+FILE_PARSERS.formatCsvCell = function (value, delimiter) {
+  var text;
+
+  if (typeof value === 'undefined' || value === null) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (text.indexOf(delimiter) !== -1 || /["\r\n]/.test(text)) {
+    text = '"' + text.replace(/"/g, '""') + '"';
+  }
+
+  return text;
+};
+
+/**
+ * Comma separated values with a header row.  The headers are mapped to field
+ * names with the `columns` option and the cells are coerced to the `types`.
+ *
+ * @property FILE_PARSERS.csv
+ * @type Object
+ */
+FILE_PARSERS.csv = {
+  parse: function (contents, options) {
+    return FILE_PARSERS.parseLines(FILE_PARSERS.csv, contents, options);
+  },
+  stringify: function (rows, options) {
+    var delimiter = (options && options.delimiter) || ',';
+    var columns = (options && options.columns) || {};
+    var headers = {};
+    var fields = [];
+    var lines = [];
+    var cells;
+    var i;
+    var j;
+
+    // Map the field names back to their headers
+    for (i in columns) {
+      headers[columns[i]] = i;
+    }
+
+    for (i = 0; i < rows.length; i++) {
+      for (j in rows[i]) {
+        if (fields.indexOf(j) === -1) {
+          fields.push(j);
+        }
+      }
+    }
+
+    if (!fields.length) {
+      return '';
+    }
+
+    cells = [];
+    for (i = 0; i < fields.length; i++) {
+      cells.push(FILE_PARSERS.formatCsvCell(headers[fields[i]] || fields[i], delimiter));
+    }
+    lines.push(cells.join(delimiter));
+
+    for (i = 0; i < rows.length; i++) {
+      cells = [];
+
+      for (j = 0; j < fields.length; j++) {
+        cells.push(FILE_PARSERS.formatCsvCell(rows[i][fields[j]], delimiter));
+      }
+
+      lines.push(cells.join(delimiter));
+    }
+
+    return lines.join('\n') + '\n';
+  },
+  createRowParser: function (options) {
+    var delimiter = (options && options.delimiter) || ',';
+    var columns = (options && options.columns) || {};
+    var types = (options && options.types) || {};
+    var fields = null;
+    var pending = null;
+
+    return {
+      push: function (line) {
+        var text = (pending !== null) ? pending + '\n' + line : line;
+        var cells;
+        var row;
+
+        // A quoted cell continues on the next line
+        if ((text.match(/"/g) || []).length % 2 === 1) {
+          pending = text;
+          return undefined;
+        }
+
+        pending = null;
+
+        if (text === '') {
+          return undefined;
+        }
+
+        cells = FILE_PARSERS.splitCsvRecord(text, delimiter);
+
+        if (!fields) {
+          fields = [];
+
+          for (var i = 0; i < cells.length; i++) {
+            fields.push(columns[cells[i]] || cells[i]);
+          }
+
+          return undefined;
+        }
+
+        row = {};
+
+        for (var j = 0; j < fields.length; j++) {
+          row[fields[j]] = FILE_PARSERS.coerce((j < cells.length) ? cells[j] : '', types[fields[j]]);
+        }
+
+        return row;
+      },
+      end: function () {
+        if (pending !== null) {
+          throw new Error('Unterminated quoted cell');
+        }
+      }
+    };
+  }
+};
+
+module.exports = FILE_PARSERS;
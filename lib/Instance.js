@@ -9,6 +9,11 @@
 
 var TYPES = require('./Types.js');
 var MAPPING_TYPES = require('./FieldMappingTypes.js');
+var PromiseAdapter = require('./PromiseAdapter.js');
+var UnitOfWork = require('./UnitOfWork.js');
+var SOURCE_MAPPING_TYPES = require('./SourceMappingTypes.js');
+var DELETE_POLICIES = require('./DeletePolicies.js');
+var LifecycleHooks = require('./LifecycleHooks.js');
 
 
 /**
@@ -29,6 +34,7 @@ var Instance = function (model, view, fields) {
   this.__meta = {};
   meta = this.__meta;
 
+  meta.model = model;
   meta.modelName = model.name;
   meta.definition = model.definition;
   meta.ERROR_MSGS = model.ERROR_MSGS;
@@ -36,6 +42,12 @@ var Instance = function (model, view, fields) {
   meta.primarySource = model.primarySource;
   meta.sources = model.sources;
 
+  // The lifecycle hooks registered on the model
+  meta.hooks = model.hooks || null;
+
+  // The model emits the events about its instances
+  meta.emitter = (typeof model.emitChange === 'function') ? model : null;
+
   meta.instances = {};
 
   // Submodel properties
@@ -48,6 +60,12 @@ var Instance = function (model, view, fields) {
   // When binding, did the object have extra fields?
   meta.hasExtraFields = false;
 
+  // The optional sources that failed while reading the instance
+  meta.degraded = [];
+
+  // Search result snippets keyed by field name
+  meta.highlights = {};
+
   // Create a metadata object from the definition to track field changes
   meta.fields = {};
   this.createFieldMetadata(meta.definition, meta.fields);
@@ -119,7 +137,7 @@ var Instance = function (model, view, fields) {
     meta.sourceOp.callback = null;
 
     // Log the error if the logger is available
-    if (err.code !== 404) {
+    if (err.code !== 404 && err.code !== 409) {
       console.error(
         'Error in source operation for an instance of ' + meta.modelName +
         ' failed with error: ' + JSON.stringify(err)
@@ -134,18 +152,7 @@ var Instance = function (model, view, fields) {
       meta.sourceOp.isFailed = true;
     }
 
-    if (err instanceof Array) {
-      err = err[0];
-    }
-
-    // Check for database constraint errors
-    if (err.code === 'ER_DUP_ENTRY') {
-      err = {code: 400, error: err.message};
-    } else if (err.code !== 404) {
-      err = {code: 500, error: 'Internal Server Error'};
-    }
-
-    cb(err, null);
+    cb(Instance.normalizeSourceOpError(err), null);
   };
 
   /**
@@ -257,6 +264,226 @@ Instance.prototype.isSourceOpFailed = function () {
   return (this.__meta.sourceOp.isFailed);
 };
 
+/**
+ * Clear the state of the last source operation before starting a new write, so
+ * that a write that failed does not short circuit the next one
+ *
+ * @method resetSourceOp
+ */
+Instance.prototype.resetSourceOp = function () {
+  var sourceOp = this.__meta.sourceOp;
+
+  sourceOp.count = 0;
+  sourceOp.callback = null;
+  sourceOp.isFailed = false;
+  sourceOp.error = null;
+};
+
+/**
+ * Record that an optional source could not be read, its fields are left unset
+ *
+ * @method markDegraded
+ * @param {Object} degraded {source: 'Name', error: {code: 503, ...}}
+ */
+Instance.prototype.markDegraded = function (degraded) {
+  this.__meta.degraded.push(degraded);
+};
+
+/**
+ * List the optional sources that failed while reading this instance, so callers
+ * can tell a missing value apart from an unavailable one.
+ *
+ * @method getDegradedSources
+ * @returns {Array} [{source: 'Name', error: {code: 503, ...}}]
+ */
+Instance.prototype.getDegradedSources = function () {
+  return this.__meta.degraded.slice();
+};
+
+/**
+ * @method isDegraded
+ * @returns {boolean} Whether any optional source failed while reading
+ */
+Instance.prototype.isDegraded = function () {
+  return this.__meta.degraded.length > 0;
+};
+
+/**
+ * Record that this instance was restored from the cache of its model, so it has
+ * no source records until they are read again by loadSourceInstances()
+ *
+ * @method markCached
+ * @param {AbstractModel} model The model to read the source records from
+ */
+Instance.prototype.markCached = function (model) {
+  this.__meta.cachedBy = model;
+};
+
+/**
+ * @method isCached
+ * @returns {boolean} Whether this instance was restored from a cache
+ */
+Instance.prototype.isCached = function () {
+  return !!this.__meta.cachedBy;
+};
+
+/**
+ * Read the source records of an instance that was restored from a cache before
+ * it is written.  The changes made to the instance are kept, the values of the
+ * records are the current ones of the sources.  Calls back right away for
+ * instances that were read from their sources.
+ *
+ * @method loadSourceInstances
+ * @param {Function} callback
+ */
+Instance.prototype.loadSourceInstances = function (callback) {
+  var meta = this.__meta;
+  var model = meta.cachedBy;
+  var params = {};
+
+  if (!model) {
+    callback(null);
+    return;
+  }
+
+  params[meta.primaryKey] = this.get(meta.primaryKey);
+
+  model.read(params, {view: model.updateView, should_resolve_references: false, should_skip_cache: true}, function (err, instance) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    meta.instances = instance.__meta.instances;
+    meta.cachedBy = null;
+    callback(null);
+  });
+};
+
+/**
+ * Copy this instance so that changes to the copy do not affect it.  The field
+ * values (including submodel instances) and the change tracking are copied, the
+ * copy writes through the same source records.
+ *
+ * @method clone
+ * @returns {Instance}
+ */
+Instance.prototype.clone = function () {
+  var meta = this.__meta;
+  var copy = meta.model.createInstance();
+  var copyMeta = copy.__meta;
+  var i;
+
+  copy.setView(meta.view);
+  copy.setFields(meta.view_fields);
+
+  this.copyFields(meta.definition, this, copy);
+
+  copyMeta.fields = Instance.copyValue(meta.fields);
+  copyMeta.cachedBy = meta.cachedBy || null;
+  copyMeta.degraded = meta.degraded.slice();
+  copyMeta.highlights = meta.highlights;
+  copyMeta.hasError = meta.hasError;
+  copyMeta.hasExtraFields = meta.hasExtraFields;
+
+  for (i in meta.instances) {
+    copyMeta.instances[i] = {
+      instance: meta.instances[i].instance,
+      source: meta.instances[i].source,
+      isNew: meta.instances[i].isNew
+    };
+  }
+
+  return copy;
+};
+
+/**
+ * A recursive helper of clone() that copies the values of the fields of a
+ * definition, virtual fields are getters of the copy already
+ *
+ * @method copyFields
+ * @param {Object} definition
+ * @param {Object} source
+ * @param {Object} target
+ * @private
+ */
+Instance.prototype.copyFields = function (definition, source, target) {
+  var mapping;
+
+  for (var i in definition) {
+    mapping = definition[i].mapping;
+
+    if (this.isSubDocumentDefinition(definition[i])) {
+      if (source[i] && typeof source[i] === 'object') {
+        target[i] = target[i] || {};
+        this.copyFields(definition[i], source[i], target[i]);
+      }
+    } else if (!(mapping && mapping.type === MAPPING_TYPES.VIRTUAL) && source.hasOwnProperty(i)) {
+      target[i] = Instance.copyValue(source[i]);
+    }
+  }
+};
+
+/**
+ * Deep copy a field value, see clone()
+ *
+ * @method copyValue
+ * @param {*} value
+ * @returns {*}
+ * @static
+ */
+Instance.copyValue = function (value) {
+  var copy;
+  var i;
+
+  if (value instanceof Instance) {
+    return value.clone();
+  }
+
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (value === null || typeof value !== 'object' || typeof value.toObject === 'function') {
+    return value;
+  }
+
+  copy = (value instanceof Array) ? [] : {};
+
+  for (i in value) {
+    if (value.hasOwnProperty(i)) {
+      copy[i] = Instance.copyValue(value[i]);
+    }
+  }
+
+  return copy;
+};
+
+/**
+ * Set the search result snippets of this instance
+ *
+ * @method setHighlights
+ * @param {Object} highlights Lists of snippets keyed by field name
+ */
+Instance.prototype.setHighlights = function (highlights) {
+  this.__meta.highlights = highlights || {};
+};
+
+/**
+ * Get the snippets a search highlighted in this instance
+ *
+ * @method getHighlights
+ * @param {String} field Optional
+ * @returns {Object|Array} The snippets of a field, or all of them keyed by field
+ */
+Instance.prototype.getHighlights = function (field) {
+  if (field) {
+    return this.__meta.highlights[field] || [];
+  }
+
+  return this.__meta.highlights;
+};
+
 /**
  * Recursively call this function to create a field metadata object that tracks
  * changes and errors to the field.
@@ -341,6 +568,7 @@ Instance.prototype.setFields = function (fields) {
 
 /**
  * Sets the value of a property using bind.  Does not handle dot notation.
+ * Binding skips null values, so a field is cleared by setting it directly.
  *
  * @method set
  * @param {string} key
@@ -348,6 +576,19 @@ Instance.prototype.setFields = function (fields) {
  */
 Instance.prototype.set = function (key, value) {
   var data = {};
+  var meta = this.__meta;
+  var definition = meta.definition[key];
+
+  if (value === null && definition && !this.isSubDocumentDefinition(definition)) {
+    if (!definition.readOnly && !(definition.mapping && definition.mapping.type === MAPPING_TYPES.VIRTUAL)) {
+      Instance.trackPreviousValue(meta.fields[key], this[key], true);
+      this[key] = null;
+      meta.fields[key].hasChanged = true;
+    }
+
+    return;
+  }
+
   data[key] = value;
   this.bind(data, true);
 };
@@ -392,7 +633,7 @@ Instance.prototype.getUpdatedFields = function (fieldMetadata, definition, data)
         hasUpdatedField = true;
         updatedFields[i] = subdocUpdatedFields;
       }
-    } else if (fieldMetadata[i].hasChanged) {
+    } else if (fieldMetadata[i].hasChanged || this.isSubmodelPropertyModified(definition[i], data && data[i])) {
       hasUpdatedField = true;
       updatedFields[i] = data[i];
     }
@@ -401,6 +642,127 @@ Instance.prototype.getUpdatedFields = function (fieldMetadata, definition, data)
   return (hasUpdatedField) ? updatedFields : false;
 };
 
+/**
+ * A submodel property counts as updated when its own fields were modified
+ *
+ * @method isSubmodelPropertyModified
+ * @param {Object} definition The field definition
+ * @param {*} value The value of the field
+ * @returns {Boolean}
+ */
+Instance.prototype.isSubmodelPropertyModified = function (definition, value) {
+  return !!(
+    definition.mapping &&
+    definition.mapping.type === MAPPING_TYPES.SUBMODEL_PROPERTY &&
+    value &&
+    typeof value.isModified === 'function' &&
+    value.isModified()
+  );
+};
+
+
+/**
+ * Remember the value a field had before its first change.  Binding data that
+ * is not an update (reading from a source) sets the value to compare against.
+ *
+ * @method trackPreviousValue
+ * @param {Object} fieldMetadata
+ * @param {*} value The current value, or the bound value if this is not an update
+ * @param {Boolean} isUpdate
+ * @static
+ */
+Instance.trackPreviousValue = function (fieldMetadata, value, isUpdate) {
+  if (isUpdate && fieldMetadata.hasChanged) {
+    return;
+  }
+
+  fieldMetadata.previousValue = (typeof value === 'undefined') ? null : value;
+};
+
+/**
+ * List the paths of the fields that have been changed (in dot notation) along
+ * with the values they had before they were changed.
+ *
+ * @method getChanges
+ * @returns {Object} {changed: ['name', 'address.city'], previous: {name: 'Old', ...}}
+ */
+Instance.prototype.getChanges = function () {
+  var changes = {changed: [], previous: {}};
+  this.collectChanges(this.__meta.definition, this.__meta.fields, this, '', changes);
+  return changes;
+};
+
+/**
+ * A recursive helper for getChanges()
+ *
+ * @method collectChanges
+ * @param {Object} definition
+ * @param {Object} fieldMetadata
+ * @param {Object} data
+ * @param {String} prefix
+ * @param {Object} changes
+ */
+Instance.prototype.collectChanges = function (definition, fieldMetadata, data, prefix, changes) {
+  var path;
+
+  for (var i in definition) {
+    path = prefix + i;
+
+    if (this.isSubDocumentDefinition(definition[i])) {
+      this.collectChanges(definition[i], fieldMetadata[i], data ? data[i] : null, path + '.', changes);
+    } else if (fieldMetadata[i].hasChanged || this.isSubmodelPropertyModified(definition[i], data && data[i])) {
+      changes.changed.push(path);
+      changes.previous[path] = fieldMetadata[i].previousValue;
+    }
+  }
+};
+
+/**
+ * The events emitted after instances have been written.  Each event is emitted
+ * with an object like:
+ *
+ * ```
+ * {
+ *   model: 'Wedding',
+ *   instance: instance,
+ *   changed: ['name', 'address.city'],         // the field paths written
+ *   previous: {name: 'Old', 'address.city': null} // their values before the change
+ * }
+ * ```
+ *
+ * @property EVENTS
+ * @type Object
+ * @static
+ */
+Instance.EVENTS = {
+  CREATED: 'created',
+  UPDATED: 'updated',
+  REMOVED: 'removed'
+};
+
+/**
+ * Emit an event about this instance on its model once the operation it is about
+ * has succeeded.  The changes are collected when the callback is generated, which
+ * is before the writes are made.  Removals do not report any changes.
+ *
+ * @method generateChangeEventCallback
+ * @param {String} event One of Instance.EVENTS
+ * @param {Function} callback
+ * @returns {Function}
+ */
+Instance.prototype.generateChangeEventCallback = function (event, callback) {
+  var self = this;
+  var emitter = this.__meta.emitter;
+  var changes = (event === Instance.EVENTS.REMOVED) ? {changed: [], previous: {}} : this.getChanges();
+
+  return function (err, result) {
+    if (!err && emitter) {
+      emitter.emitChange(event, self, changes);
+    }
+
+    callback(err, result);
+  };
+};
 
 /**
  * Does nothing except return an empty array to mirror the sequelize.js interface
@@ -413,6 +775,159 @@ Instance.prototype.changed = function () {
 };
 
 
+// LIFECYCLE HOOKS =============================================================
+
+/**
+ * Run the hooks the model registered for a lifecycle stage on this instance
+ *
+ * @method runHooks
+ * @param {String} stage One of LifecycleHooks.STAGES
+ * @param {Function} callback Called with the error of the hook that failed
+ */
+Instance.prototype.runHooks = function (stage, callback) {
+  var hooks = this.__meta.hooks;
+
+  if (!hooks || !hooks.has(stage)) {
+    callback(null);
+    return;
+  }
+
+  hooks.run(stage, this, callback);
+};
+
+/**
+ * Run the beforeValidate hooks, validate and then run the hooks of the stage
+ * before the write.  Validation errors are reported as is, hook errors are
+ * normalized by normalizeHookError().
+ *
+ * @method prepareWrite
+ * @param {String} stage The hook stage that runs before the write
+ * @param {Function} callback Called with the error if the write cannot proceed
+ * @param {Function} next Called once the write can proceed
+ */
+Instance.prototype.prepareWrite = function (stage, callback, next) {
+  var self = this;
+
+  this.resetSourceOp();
+
+  this.runHooks(LifecycleHooks.STAGES.BEFORE_VALIDATE, function (err) {
+    if (err) {
+      callback(Instance.normalizeHookError(err));
+      return;
+    }
+
+    if (!self.isValid()) {
+      callback(self.getErrors());
+      return;
+    }
+
+    self.runHooks(stage, function (err) {
+      if (err) {
+        callback(Instance.normalizeHookError(err));
+        return;
+      }
+
+      next();
+    });
+  });
+};
+
+/**
+ * Run the hooks of an after stage once the writes have succeeded but before
+ * they are committed, so a failing hook rolls the writes back.
+ *
+ * @method generateAfterHookCallback
+ * @param {String} stage
+ * @param {Function} callback
+ * @returns {Function}
+ */
+Instance.prototype.generateAfterHookCallback = function (stage, callback) {
+  var self = this;
+
+  return function (err, result) {
+    if (err) {
+      callback(err, result);
+      return;
+    }
+
+    self.runHooks(stage, function (err) {
+      if (err) {
+        callback(Instance.normalizeHookError(err));
+        return;
+      }
+
+      callback(null, result);
+    });
+  };
+};
+
+/**
+ * Fill in the default values of the fields that have not been set, including
+ * those of nested documents and submodel instances.  Runs as the built-in
+ * beforeValidate hook.  Read only fields keep their value.
+ *
+ * @method applyDefaultValues
+ * @param {Object} definition Optional, defaults to the model definition
+ * @param {Object} metadata Optional, defaults to the field metadata
+ * @param {Object} target Optional, defaults to this instance
+ */
+Instance.prototype.applyDefaultValues = function (definition, metadata, target) {
+  var i;
+  var j;
+  var mapping;
+  var defaultValue;
+
+  definition = definition || this.__meta.definition;
+  metadata = metadata || this.__meta.fields;
+  target = target || this;
+
+  for (i in definition) {
+    mapping = definition[i].mapping;
+    defaultValue = definition[i].defaultValue;
+
+    if (this.isSubDocumentDefinition(definition[i])) {
+      target[i] = target[i] || {};
+      this.applyDefaultValues(definition[i], metadata[i], target[i]);
+      continue;
+    }
+
+    if (mapping && mapping.type === MAPPING_TYPES.VIRTUAL) {
+      continue;
+    }
+
+    if (mapping && mapping.type === MAPPING_TYPES.SUBMODEL_PROPERTY) {
+      if (target[i] && typeof target[i].applyDefaultValues === 'function') {
+        target[i].applyDefaultValues();
+      }
+
+      continue;
+    }
+
+    if (mapping && mapping.type === MAPPING_TYPES.SUBMODEL_ARRAY) {
+      for (j in target[i]) {
+        if (typeof target[i][j].applyDefaultValues === 'function') {
+          target[i][j].applyDefaultValues();
+        }
+      }
+
+      continue;
+    }
+
+    if (
+      typeof defaultValue === 'undefined' || definition[i].readOnly ||
+      (typeof target[i] !== 'undefined' && target[i] !== null)
+    ) {
+      continue;
+    }
+
+    // If there is a function to generate the value, use it
+    Instance.trackPreviousValue(metadata[i], target[i], true);
+    target[i] = (typeof defaultValue === 'function') ? defaultValue() : defaultValue;
+    metadata[i].hasChanged = true;
+  }
+};
+
+
 // VALIDATION ==================================================================
 
 
@@ -449,7 +964,6 @@ Instance.prototype.isValid = function () {
 Instance.prototype.doDocumentFieldsHaveError = function (definition, metadata, data) {
   var hasError, constraints, field, i, j, subdocErrors;
   var mapping;
-  var defaultValue;
   var errorMessage;
 
   var modelErrorMessages = this.__meta.ERROR_MSGS;
@@ -464,7 +978,6 @@ Instance.prototype.doDocumentFieldsHaveError = function (definition, metadata, d
 
     constraints = definition[i].constraints;
     mapping = definition[i].mapping;
-    defaultValue = definition[i].defaultValue;
     isRequired = definition[i].required;
     errorMessage = null;
 
@@ -497,26 +1010,25 @@ Instance.prototype.doDocumentFieldsHaveError = function (definition, metadata, d
 
     // Submodel properties handle their own validation
     if (mapping && mapping.type === MAPPING_TYPES.SUBMODEL_PROPERTY) {
-      hasError = data[i].isValid();
-      metadata[i].hasError = hasError;
+      field = (typeof data === 'object' && data !== null) ? data[i] : null;
+
+      if (field && typeof field.isValid === 'function') {
+        if (!field.isValid()) {
+          hasError = true;
+          metadata[i].hasError = true;
+        }
+      } else if (isRequired) {
+        hasError = true;
+        metadata[i].hasError = true;
+        metadata[i].lastError = modelErrorMessages.isNotNull;
+      }
+
+      continue;
     }
 
 
     if (typeof data === 'object' && data !== null) {
       field = data[i];
-
-      // Try to set the default value for the field if none is set
-      if ((typeof field === 'undefined' || field === null) && typeof defaultValue !== 'undefined') {
-        // If there is a function to generate the value, use it
-        field = (typeof defaultValue === 'function') ? defaultValue() : defaultValue;
-
-        // Set the default value on the object
-        // TODO: This will not work for sub-documents - consider moving this to
-        //       a pre-validate function that fills out any default values
-        var bindData = {};
-        bindData[i] = field;
-        this.bind(bindData, true);
-      }
     } else {
       console.log("Field was null:", field)
       field = null;
@@ -694,6 +1206,21 @@ Instance.prototype.recursivelyGetFieldErrors = function (definition, metadata, d
       fieldErrors[i].childErrors = {};
       this.recursivelyGetFieldErrors(definition[i], metadata[i], currentFieldData, fieldErrors[i].childErrors);
 
+    } else if (definition[i].mapping && definition[i].mapping.type === MAPPING_TYPES.SUBMODEL_PROPERTY) {
+      fieldErrors[i] = {};
+
+      if (metadata[i].lastError) {
+        fieldErrors[i].error = metadata[i].lastError;
+      }
+
+      childError = (currentFieldData && typeof currentFieldData.getErrors === 'function')
+        ? currentFieldData.getErrors()
+        : null;
+
+      if (childError) {
+        fieldErrors[i].childErrors = childError.errors.fields;
+      }
+
     } else if ((definition[i] instanceof Array || definition[i].mapping && definition[i].mapping.type === MAPPING_TYPES.SUBMODEL_ARRAY) && metadata[i].hasError) {
       fieldErrors[i] = {};
 
@@ -786,6 +1313,7 @@ Instance.prototype.bind = function (data, isUpdate) {
 Instance.prototype.bindDataByDefinition = function (definition, metadata, target, data, resetAllFields, isUpdate) {
   var i, j, submodel, tempInst;
   var isSubmodelArray;
+  var isSubmodelProperty;
   var mapping;
   var submodelPrimarykey;
 
@@ -855,7 +1383,26 @@ Instance.prototype.bindDataByDefinition = function (definition, metadata, target
         tempInst.bind(instanceData, true);
       }
 
-      // Mark the field as updated (if this an update)
+      // Mark the field as updated (if this an update)
+      metadata[i].hasChanged = isUpdate;
+      continue;
+    }
+
+    isSubmodelProperty = (mapping && mapping.type === MAPPING_TYPES.SUBMODEL_PROPERTY);
+
+    if (isSubmodelProperty && data[i] && typeof data[i] === 'object') {
+      if (typeof data[i].isValid === 'function') {
+        // An instance of the submodel replaces the current one
+        target[i] = data[i];
+      } else {
+        // Raw data is bound to the current submodel instance or a new one
+        if (!target[i] || typeof target[i].bind !== 'function') {
+          target[i] = this.__meta.sources[mapping.source].source.createInstance();
+        }
+
+        target[i].bind(data[i], isUpdate);
+      }
+
       metadata[i].hasChanged = isUpdate;
       continue;
     }
@@ -871,12 +1418,12 @@ Instance.prototype.bindDataByDefinition = function (definition, metadata, target
     }
 
     // Reset the value of the target object and its associated metadata
+    Instance.trackPreviousValue(metadata[i], isUpdate ? target[i] : data[i], isUpdate);
     target[i] = (definition[i].coerceType === 'function')
       ? definition[i].coerceType(data[i])
       : data[i];
 
     metadata[i].hasChanged = isUpdate; // Track changes if this is an update
-    metadata[i].previousValue = data[i];
   }
 };
 
@@ -1114,6 +1661,10 @@ Instance.prototype.recursiveDeepCopy = function (source, target, definition, vie
 
       target[i] = source[i].getFullYear() + '-' + month + '-' + day;
       didUpdate = true;
+    } else if (source[i] instanceof Instance) {
+      // Submodel properties serialize themselves
+      target[i] = source[i].toObject(view, fields);
+      didUpdate = true;
     } else {
       target[i] = source[i];
       didUpdate = true;
@@ -1153,8 +1704,8 @@ Instance.prototype.recursiveDeepCopy = function (source, target, definition, vie
  * model has a system ID.
  *
  * @method save
- * @param callback {Function}
- * @returns {Object}
+ * @param callback {Function} Optional, a promise is returned without it
+ * @returns {Promise} Also supports setting the callback with .complete()
  */
 Instance.prototype.save = function (callback) {
 
@@ -1175,19 +1726,41 @@ Instance.prototype.save = function (callback) {
 Instance.prototype.flushChanges = Instance.prototype.save;
 
 /**
- * Validate the data bound to this instance and then
+ * Validate the data bound to this instance and then create the primary record
+ * followed by the records of the dependent sources.  The beforeValidate and
+ * beforeCreate hooks run first, the afterCreate hooks run before the writes are
+ * committed.
+ *
+ * The writes are made as a unit of work, if any of them fails the others are
+ * rolled back (see UnitOfWork) and the error lists them in `rolled_back`.
  *
  * @method create
- * @param callback {function}
+ * @param callback {function} Optional, a promise is returned without it
+ * @returns {Promise} Also supports setting the callback with .complete()
  */
 Instance.prototype.create = function (callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
 
-  if (!this.isValid()) {
-    callback(this.getErrors());
-    return;
-  }
+  this.prepareWrite(LifecycleHooks.STAGES.BEFORE_CREATE, deferred.callback, function () {
+    self.createSources(self.generateChangeEventCallback(Instance.EVENTS.CREATED, deferred.callback));
+  });
+
+  // Return a promise that also provides the ability to set the callback in the
+  // form of .complete()
+  return deferred.promise;
+};
 
+/**
+ * Write the records of a new instance to its sources
+ *
+ * @method createSources
+ * @param {Function} callback
+ */
+Instance.prototype.createSources = function (callback) {
+  var self = this;
   var meta = this.__meta;
+  var unitOfWork = new UnitOfWork(meta.modelName);
 
   // Find the fields to be saved
   var fieldsToSave = this.getUpdatedFields(meta.fields, meta.definition, this);
@@ -1202,7 +1775,8 @@ Instance.prototype.create = function (callback) {
   var instances = {
     primary: {
       instance: primarySource.source.createInstance(),
-      source: primarySource
+      source: primarySource,
+      isNew: true
     }
   };
   instances[primarySource.source.name] = instances.primary;
@@ -1224,21 +1798,121 @@ Instance.prototype.create = function (callback) {
   delete instances[primarySource.source.name];
   var saveDependentSourcesCallback = this.generateDependentSourcesClosure(
     primarySource.source,
-    instances
+    instances,
+    unitOfWork
   );
 
-  primaryInstance.flushChanges(saveDependentSourcesCallback);
+  unitOfWork.begin(Instance.getSourcesToWrite(primarySource, instances), function (err) {
+    if (err) {
+      self.setSourceOpCallback(callback);
+      self.failSourceOp(err);
+      return;
+    }
+
+    // Report the outcome of the source operations through the callback once
+    // they have been committed or rolled back
+    self.setSourceOpCallback(self.generateAfterHookCallback(
+      LifecycleHooks.STAGES.AFTER_CREATE,
+      unitOfWork.generateCompletionCallback(callback)
+    ));
+
+    unitOfWork.flush(
+      primarySource.source,
+      primaryInstance,
+      UnitOfWork.ACTIONS.CREATE,
+      saveDependentSourcesCallback
+    );
+  });
+};
+
+/**
+ * The errors of remote sources that are passed through to the caller so they can
+ * tell an outage (502, 503, 504) apart from a bug
+ *
+ * @property REMOTE_ERROR_CODES
+ * @type Array
+ * @static
+ */
+Instance.REMOTE_ERROR_CODES = [502, 503, 504];
+
+/**
+ * Convert the error of a failed source operation into the error reported to the
+ * caller.  Client errors (4xx) and REMOTE_ERROR_CODES are passed through,
+ * duplicate entries become a 400 and everything else is reported as a 500.
+ *
+ * @method normalizeSourceOpError
+ * @param {Object} err
+ * @returns {Object}
+ * @static
+ */
+Instance.normalizeSourceOpError = function (err) {
+  if (err instanceof Array) {
+    err = err[0];
+  }
+
+  // Check for database constraint errors, and keep the status of client errors
+  // and of unavailable remote sources
+  if (err.code === 'ER_DUP_ENTRY') {
+    return {code: 400, error: err.message};
+  } else if (!(err.code >= 400 && err.code < 500) && Instance.REMOTE_ERROR_CODES.indexOf(err.code) === -1) {
+    return {code: 500, error: 'Internal Server Error'};
+  }
+
+  return err;
+};
+
+/**
+ * Normalize the error a lifecycle hook aborted with.  Client errors (4xx) are
+ * passed on as is, anything else is reported as a 500 that keeps the message of
+ * the hook.
+ *
+ * @method normalizeHookError
+ * @param {Object|Error|String} err
+ * @returns {Object}
+ * @static
+ */
+Instance.normalizeHookError = function (err) {
+  if (err instanceof Array) {
+    err = err[0];
+  }
 
-  // If the callback was specified, use that as the default callback
-  this.setSourceOpCallback(callback);
+  if (err && err.code >= 400 && err.code < 500) {
+    return err;
+  }
 
-  // Return the ability to set the callback in the form of .complete()
   return {
-    done: this.setSourceOpCallback,
-    complete: this.setSourceOpCallback
+    code: 500,
+    msg: (err && (err.msg || err.message)) || String(err),
+    error: 'Internal Server Error'
   };
 };
 
+/**
+ * List the sources that will be written to from a set of source instance
+ * wrappers, used to open the transactions of a unit of work.
+ *
+ * @method getSourcesToWrite
+ * @param {Object} primarySource The primary source info, if it is written to
+ * @param {Object} instances Source instance wrappers keyed by source name
+ * @returns {Array}
+ * @static
+ */
+Instance.getSourcesToWrite = function (primarySource, instances) {
+  var sources = [];
+
+  if (primarySource) {
+    sources.push(primarySource.source);
+  }
+
+  for (var i in instances) {
+    if (instances[i].instance && instances[i].source) {
+      sources.push(instances[i].source.source);
+    }
+  }
+
+  return sources;
+};
+
 /**
  * Loop through the data and drop them into data source buckets so that way the
  * updates can be applied to each data source.
@@ -1297,7 +1971,8 @@ Instance.prototype.mapFieldsToSourceInstances = function (data, definition, sour
       if (!instanceWrapper) {
         instanceWrapper = {
           instance: sources[sourceName].source.createInstance(),
-          source: sources[sourceName]
+          source: sources[sourceName],
+          isNew: true
         };
 
 
@@ -1341,7 +2016,20 @@ Instance.prototype.mapFieldsToSourceInstances = function (data, definition, sour
       instanceWrapper.instances = instanceWrapper.instances.concat(serialized);
 
     } else if (mapping.type === MAPPING_TYPES.SUBMODEL_PROPERTY) {
-      throw new Error('Submodel properties have not been implemented');
+
+      // The submodel instance is itself the source instance of its source, it
+      // is saved with the parent once the foreign key is set
+      if (!serialized || typeof serialized.flushChanges !== 'function') {
+        continue;
+      }
+
+      if (!instanceWrapper || instanceWrapper.instance !== serialized) {
+        instances[sourceName] = {
+          instance: serialized,
+          source: sources[sourceName],
+          isNew: !serialized.get(sources[sourceName].source.primaryKey)
+        };
+      }
 
     } else {
 
@@ -1359,10 +2047,10 @@ Instance.prototype.mapFieldsToSourceInstances = function (data, definition, sour
  *
  * @param primaryTable
  * @param dependents
- * @param callback
+ * @param unitOfWork The unit of work the dependents are written in
  * @returns {Function}
  */
-Instance.prototype.generateDependentSourcesClosure = function (primarySource, instances) {
+Instance.prototype.generateDependentSourcesClosure = function (primarySource, instances, unitOfWork) {
   var self = this;
 
   return function (err, primaryInstance) {
@@ -1395,7 +2083,8 @@ Instance.prototype.generateDependentSourcesClosure = function (primarySource, in
 
           instance.set(source.foreign_key, self[self.__meta.primaryKey]);
 
-          submodelArrayInstances[j].flushChanges(self.generateSourceCreateCallback(source, self.finishSourceOp));
+          // Submodel instances keep their own source instances
+          unitOfWork.flush(source.source, instance, UnitOfWork.ACTIONS.CREATE, self.handleSourceOpCompletion);
         }
 
         continue;
@@ -1405,7 +2094,12 @@ Instance.prototype.generateDependentSourcesClosure = function (primarySource, in
       instance.set(source.foreign_key, self[self.__meta.primaryKey]);
 
       self.startSourceOp();
-      instance.flushChanges(self.generateSourceCreateCallback(source, self.finishSourceOp));
+      unitOfWork.flush(
+        source.source,
+        instance,
+        UnitOfWork.ACTIONS.CREATE,
+        self.generateSourceCreateCallback(source.source, self.finishSourceOp)
+      );
     }
 
     // Make sure at least one operation occurs
@@ -1438,32 +2132,55 @@ Instance.prototype.generateSourceCreateCallback = function (source, callback) {
 
 /**
  * Update the object by accessing the ORM instances embedded in this object after
- * validating that the updates are OK.
+ * validating that the updates are OK.  The beforeValidate and beforeUpdate hooks
+ * run first, the afterUpdate hooks run before the writes are committed.
+ *
+ * The writes are made as a unit of work, if any of them fails the others are
+ * rolled back (see UnitOfWork) and the error lists them in `rolled_back`.
  *
+ * @method update
+ * @param callback {function} Optional, a promise is returned without it
+ * @returns {Promise} Also supports setting the callback with .complete()
  */
 Instance.prototype.update = function (callback) {
-  if (!this.isValid()) {
-    callback(this.getErrors());
-    return;
-  }
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+
+  // Cached instances are written through the records of their sources
+  this.loadSourceInstances(function (err) {
+    if (err) {
+      deferred.callback(err);
+      return;
+    }
+
+    self.prepareWrite(LifecycleHooks.STAGES.BEFORE_UPDATE, deferred.callback, function () {
+      self.updateSources(self.generateChangeEventCallback(Instance.EVENTS.UPDATED, deferred.callback));
+    });
+  });
+
+  // Return a promise that also provides the ability to set the callback in the
+  // form of .complete()
+  return deferred.promise;
+};
 
+/**
+ * Write the modified fields of an existing instance to its sources
+ *
+ * @method updateSources
+ * @param {Function} callback
+ */
+Instance.prototype.updateSources = function (callback) {
   var self = this;
   var meta = this.__meta;
+  var unitOfWork = new UnitOfWork(meta.modelName);
 
   // Find the fields to be saved
   var fieldsToSave = this.getUpdatedFields(meta.fields, meta.definition, this);
 
   // Find the primary source
   var i;
-  var j;
   var primarySource = meta.primarySource;
   var sources = meta.sources;
-  var sourceInfo;
-  var source;
-  var instance;
-  var instanceWrapper;
-  var submodelArrayInstances;
-  var primaryKey = meta.primaryKey;
 
   // Create the source instances that will need to be saved. A primary record
   // must always be created, so make sure the primary instance exists under its
@@ -1475,10 +2192,15 @@ Instance.prototype.update = function (callback) {
   if (!instances.primary) {
     instances.primary = {
       instance: primarySource.source.createInstance(),
-      source: primarySource
+      source: primarySource,
+      isNew: true
     };
   }
 
+  // Remember the current state of the source instances that cannot be rolled
+  // back before the changes are applied to them
+  unitOfWork.snapshotInstances(instances);
+
   // Map field updates to source instances - this will create instances for
   // every source that needs saving and will ignore sources not used
   this.mapFieldsToSourceInstances(
@@ -1491,8 +2213,56 @@ Instance.prototype.update = function (callback) {
   // Prevent the primary instance from being saved twice
   delete instances.primary;
 
-  // If the callback was specified, use that as the default callback
-  this.setSourceOpCallback(callback);
+  // Only open transactions on the sources that will actually be written to
+  var modified = {};
+  for (i in instances) {
+    if (instances[i].instance && instances[i].instance.isModified()) {
+      modified[i] = instances[i];
+    }
+  }
+
+  unitOfWork.begin(Instance.getSourcesToWrite(null, modified), function (err) {
+    if (err) {
+      self.setSourceOpCallback(callback);
+      self.failSourceOp(err);
+      return;
+    }
+
+    // Report the outcome of the source operations through the callback once
+    // they have been committed or rolled back
+    self.setSourceOpCallback(self.generateAfterHookCallback(
+      LifecycleHooks.STAGES.AFTER_UPDATE,
+      unitOfWork.generateCompletionCallback(callback)
+    ));
+
+    // Hold an operation open while the writes are started so that a write that
+    // calls back synchronously cannot complete the update early.  This also
+    // makes sure at least one operation occurs.
+    self.startSourceOp();
+    self.flushSourceInstances(instances, unitOfWork);
+    self.finishSourceOp();
+  });
+};
+
+/**
+ * Write every modified source instance (and submodel array instance) of an update
+ * in parallel as part of the unit of work.
+ *
+ * @method flushSourceInstances
+ * @param {Object} instances Source instance wrappers keyed by source name
+ * @param {UnitOfWork} unitOfWork
+ */
+Instance.prototype.flushSourceInstances = function (instances, unitOfWork) {
+  var self = this;
+  var primaryKey = this.__meta.primaryKey;
+  var i;
+  var j;
+  var sourceInfo;
+  var source;
+  var instance;
+  var instanceWrapper;
+  var submodelArrayInstances;
+  var action;
 
   // Loop through all the tables and save them in parallel
   for (i in instances) {
@@ -1511,94 +2281,159 @@ Instance.prototype.update = function (callback) {
 
         if (instance.shouldDelete()) {
           self.startSourceOp();
-          instance.remove(self.generateSourceCreateCallback(source, self.finishSourceOp));
+          unitOfWork.flush(
+            source,
+            instance,
+            UnitOfWork.ACTIONS.REMOVE,
+            self.generateSourceCreateCallback(source, self.finishSourceOp)
+          );
         } else if (instance.isModified()) {
+          action = instance[source.primaryKey] ? UnitOfWork.ACTIONS.UPDATE : UnitOfWork.ACTIONS.CREATE;
           self.startSourceOp();
-          instance.flushChanges(self.handleSourceOpCompletion);
+          unitOfWork.flush(source, instance, action, self.handleSourceOpCompletion);
         }
       }
 
       continue;
     }
 
-    // Set the foreign key on non-primary sources
-    if (!sourceInfo.is_primary) {
+    // Set the foreign key on non-primary sources, leaving it alone when it is
+    // already set so that submodel instances are not marked as modified
+    if (!sourceInfo.is_primary && instance.get(source.foreignKey) !== this[primaryKey]) {
       instance.set(source.foreignKey, this[primaryKey]);
     }
 
     // Only update the instance if a field has changed
     if (instance.isModified()) {
+      action = instanceWrapper.isNew ? UnitOfWork.ACTIONS.CREATE : UnitOfWork.ACTIONS.UPDATE;
       self.startSourceOp();
-      instance.flushChanges(self.generateSourceCreateCallback(source, self.finishSourceOp));
+      unitOfWork.flush(source, instance, action, self.generateSourceCreateCallback(source, self.finishSourceOp));
     }
   }
-
-  // Make sure at least one operation occurs after any callback setting has been
-  // completed
-  setImmediate(function () {
-    self.startSourceOp();
-    self.finishSourceOp();
-  });
-
-  // Return the ability to set the callback in the form of .complete()
-  return {
-    done: this.setSourceOpCallback,
-    complete: this.setSourceOpCallback
-  };
 };
 
 
 /**
- * Delete each of the entries in the table, leaving the primary table for last
+ * Delete the instance along with its dependent records.  What happens to the
+ * records of each source is configured with the `on_delete` policy of the
+ * source (see DELETE_POLICIES):
  *
+ * - cascade: the records are removed, submodel instances cascade further
+ * - restrict: nothing is removed and a 409 is returned while records exist
+ * - set_null: the foreign key of the records is set to null
+ * - ignore: the records are left alone
+ *
+ * The beforeRemove hooks run first.  Restricted sources are checked before
+ * anything is written, the dependent records are then written as a unit of work
+ * with the primary record last.
+ *
+ * @method remove
+ * @param callback {function} Optional, a promise is returned without it
+ * @returns {Promise} Also supports setting the callback with .complete()
  */
 Instance.prototype.remove = function (callback) {
   var self = this;
   var meta = this.__meta;
+  var deferred = PromiseAdapter.defer(callback);
 
-  var i;
-  var instances = meta.instances;
-  var instanceWrapper;
-  var instance;
-  var sourceInfo;
-  var source;
+  // Cached instances are removed through the records of their sources
+  this.loadSourceInstances(function (err) {
+    var primaryWrapper = meta.instances[meta.primarySource.source.name];
 
-  var deletePrimarySourceCallback;
-  var finalCallbackSetter;
+    if (err) {
+      deferred.callback(err);
+      return;
+    }
 
-  for (i in instances) {
-    instanceWrapper = instances[i];
-    instance = instanceWrapper.instance;
-    sourceInfo = instanceWrapper.source;
-    source = sourceInfo.source;
+    if (!primaryWrapper || !primaryWrapper.instance) {
+      deferred.callback({
+        code: 500,
+        msg: 'The primary record of the ' + meta.modelName + ' was not loaded',
+        error: 'Internal Server Error'
+      });
+      return;
+    }
 
-    // Delete the primary instance last
-    if (meta.sources[source.name].is_primary) {
-      deletePrimarySourceCallback = this.generateDeletePrimarySourceCallback(instance, callback);
-      this.setSourceOpCallback(deletePrimarySourceCallback);
+    self.resetSourceOp();
 
-      // Provide a promise/async style interface to allow for .complete() chain
-      finalCallbackSetter = deletePrimarySourceCallback.finalCallbackSetter;
-      continue;
+    self.runHooks(LifecycleHooks.STAGES.BEFORE_REMOVE, function (err) {
+      if (err) {
+        deferred.callback(Instance.normalizeHookError(err));
+        return;
+      }
+
+      self.removeSources(
+        primaryWrapper,
+        self.generateChangeEventCallback(Instance.EVENTS.REMOVED, deferred.callback)
+      );
+    });
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Handle the dependent records according to their delete policies and then
+ * remove the primary record.
+ *
+ * @method removeSources
+ * @param {Object} primaryWrapper The wrapper of the primary source instance
+ * @param {Function} callback
+ */
+Instance.prototype.removeSources = function (primaryWrapper, callback) {
+  var self = this;
+  var meta = this.__meta;
+
+  this.loadDependents(function (err, dependents) {
+    var conflicts = [];
+    var unitOfWork;
+    var i;
+
+    if (err) {
+      self.setSourceOpCallback(callback);
+      self.failSourceOp(err);
+      return;
     }
 
-    // Destroy this data source instance
-    this.startSourceOp();
-    instance
-      .destroy()
-      .complete(this.handleSourceOpCompletion);
-  }
+    // Refuse the delete before anything is written
+    for (i = 0; i < dependents.length; i++) {
+      if (dependents[i].policy === DELETE_POLICIES.RESTRICT && dependents[i].count > 0) {
+        conflicts.push(dependents[i].name);
+      }
+    }
 
-  // Ensure that at least one operation finishes
-  setImmediate(function () {
-    self.startSourceOp();
-    self.finishSourceOp();
-  });
+    if (conflicts.length) {
+      callback({
+        code: 409,
+        msg: 'The ' + meta.modelName + ' cannot be removed while it has records in ' + conflicts.join(', '),
+        error: 'Conflict',
+        sources: conflicts
+      });
+      return;
+    }
 
-  return finalCallbackSetter;
+    unitOfWork = new UnitOfWork(meta.modelName);
 
-  // @TODO: Do not delete from sub-models, too difficult right now...
-  // @TODO: Should just make sub-model deletion a async task
+    unitOfWork.begin(Instance.getSourcesToRemove(primaryWrapper.source, dependents), function (err) {
+      if (err) {
+        self.setSourceOpCallback(callback);
+        self.failSourceOp(err);
+        return;
+      }
+
+      self.setSourceOpCallback(self.generateDeletePrimarySourceCallback(
+        primaryWrapper.source.source,
+        primaryWrapper.instance,
+        unitOfWork,
+        unitOfWork.generateCompletionCallback(callback)
+      ));
+
+      // Ensure that at least one operation finishes
+      self.startSourceOp();
+      self.flushDependents(dependents, unitOfWork);
+      self.finishSourceOp();
+    });
+  });
 };
 
 /**
@@ -1609,37 +2444,241 @@ Instance.prototype.remove = function (callback) {
  */
 Instance.prototype.destroy = Instance.prototype.remove;
 
+/**
+ * Determine the delete policy of a source, one-to-one and one-to-many sources
+ * cascade unless configured otherwise and every other relationship is ignored.
+ *
+ * @method getDeletePolicy
+ * @param {Object} sourceInfo
+ * @returns {String} One of DELETE_POLICIES
+ * @static
+ */
+Instance.getDeletePolicy = function (sourceInfo) {
+  if (sourceInfo.is_primary || sourceInfo.relationship === SOURCE_MAPPING_TYPES.SEARCH) {
+    return DELETE_POLICIES.IGNORE;
+  }
+
+  if (sourceInfo.on_delete) {
+    return sourceInfo.on_delete;
+  }
+
+  if (
+    sourceInfo.relationship === SOURCE_MAPPING_TYPES.ONE_TO_ONE ||
+    sourceInfo.relationship === SOURCE_MAPPING_TYPES.ONE_TO_MANY
+  ) {
+    return DELETE_POLICIES.CASCADE;
+  }
+
+  return DELETE_POLICIES.IGNORE;
+};
+
+/**
+ * List the sources written to when removing an instance, used to open the
+ * transactions of the unit of work.
+ *
+ * @method getSourcesToRemove
+ * @param {Object} primarySource The primary source info
+ * @param {Array} dependents The dependents found by loadDependents()
+ * @returns {Array}
+ * @static
+ */
+Instance.getSourcesToRemove = function (primarySource, dependents) {
+  var sources = [primarySource.source];
+
+  for (var i = 0; i < dependents.length; i++) {
+    if (dependents[i].records.length) {
+      sources.push(dependents[i].sourceInfo.source);
+    }
+  }
+
+  return sources;
+};
 
 /**
+ * Find the records of every source that depend on this instance and need to be
+ * handled by their delete policy.  Restricted sources are only counted.  Source
+ * instances that are already loaded are used instead of reading them again.
  *
- * @param instance
- * @param callback
+ * Calls back with a list of {name, sourceInfo, policy, records, count}.
+ *
+ * @method loadDependents
+ * @param {Function} callback
  */
-Instance.prototype.generateDeletePrimarySourceCallback = function (instance, callback) {
-  var finalCallback = callback;
+Instance.prototype.loadDependents = function (callback) {
+  var self = this;
+  var meta = this.__meta;
+  var dependents = [];
+  var pending = 1;
+  var isCalled = false;
+
+  var done = function (err) {
+    if (isCalled) {
+      return;
+    }
 
-  var deletePrimarySourceCallback = function (err) {
     if (err) {
-      finalCallback(err);
+      isCalled = true;
+      callback(err);
       return;
     }
 
-    instance
-      .destroy()
-      .complete(finalCallback);
+    pending--;
+
+    if (pending === 0) {
+      isCalled = true;
+      callback(null, dependents);
+    }
   };
 
-  // Provide a way to asynchronously set reset the callback to
-  deletePrimarySourceCallback.finalCallbackSetter = {
-    done: function (cb) {
-      finalCallback = cb;
-    },
-    complete: function (cb) {
-      finalCallback = cb;
+  var load = function (name, sourceInfo, policy) {
+    var source = sourceInfo.source;
+    var loaded = meta.instances[name];
+    var dependent = {name: name, sourceInfo: sourceInfo, policy: policy, records: [], count: 0};
+    var query = {};
+    var options = {
+      limit: null,
+      offset: 0,
+      view: 'delete',
+      should_include_meta: false,
+      should_disable_foreign_key: true
+    };
+
+    dependents.push(dependent);
+
+    // One-to-one source instances are read along with the instance
+    if (loaded && loaded.instance) {
+      if (policy !== DELETE_POLICIES.RESTRICT) {
+        dependent.records.push(loaded.instance);
+      }
+
+      dependent.count = 1;
+      return;
+    }
+
+    query[sourceInfo.foreign_key] = self.get(sourceInfo.local_key || meta.primaryKey);
+
+    // Nothing can depend on an instance without a key
+    if (query[sourceInfo.foreign_key] === undefined || query[sourceInfo.foreign_key] === null) {
+      return;
+    }
+
+    pending++;
+
+    if (policy === DELETE_POLICIES.RESTRICT) {
+      source.count(query, options, function (err, count) {
+        dependent.count = count || 0;
+        done(err);
+      });
+    } else {
+      source.list(query, options, function (err, list) {
+        dependent.records = list || [];
+        dependent.count = dependent.records.length;
+        done(err);
+      });
     }
   };
 
-  return deletePrimarySourceCallback;
+  var sourceInfo;
+  var policy;
+
+  for (var i in meta.sources) {
+    sourceInfo = meta.sources[i];
+    policy = Instance.getDeletePolicy(sourceInfo);
+
+    if (policy === DELETE_POLICIES.IGNORE) {
+      continue;
+    }
+
+    if (
+      policy !== DELETE_POLICIES.CASCADE &&
+      policy !== DELETE_POLICIES.RESTRICT &&
+      policy !== DELETE_POLICIES.SET_NULL
+    ) {
+      done({code: 500, msg: 'Unknown on_delete policy ' + policy + ' on ' + i, error: 'Internal Server Error'});
+      return;
+    }
+
+    load(i, sourceInfo, policy);
+  }
+
+  done();
+};
+
+/**
+ * Remove or unlink the dependent records as part of the unit of work.
+ *
+ * @method flushDependents
+ * @param {Array} dependents The dependents found by loadDependents()
+ * @param {UnitOfWork} unitOfWork
+ */
+Instance.prototype.flushDependents = function (dependents, unitOfWork) {
+  var dependent;
+  var foreignKey;
+  var record;
+  var snapshot;
+  var i;
+  var j;
+
+  for (i = 0; i < dependents.length; i++) {
+    dependent = dependents[i];
+    foreignKey = dependent.sourceInfo.foreign_key;
+
+    for (j = 0; j < dependent.records.length; j++) {
+      record = dependent.records[j];
+      this.startSourceOp();
+
+      if (dependent.policy === DELETE_POLICIES.CASCADE) {
+        unitOfWork.flush(
+          dependent.sourceInfo.source,
+          record,
+          UnitOfWork.ACTIONS.REMOVE,
+          this.handleSourceOpCompletion
+        );
+      } else if (dependent.policy === DELETE_POLICIES.SET_NULL) {
+        // Only the foreign key needs to be restored if the delete fails
+        snapshot = {};
+        snapshot[foreignKey] = (typeof record.get === 'function') ? record.get(foreignKey) : record[foreignKey];
+
+        if (typeof record.set === 'function') {
+          record.set(foreignKey, null);
+        } else {
+          record[foreignKey] = null;
+        }
+
+        unitOfWork.flush(
+          dependent.sourceInfo.source,
+          record,
+          UnitOfWork.ACTIONS.UPDATE,
+          this.handleSourceOpCompletion,
+          snapshot
+        );
+      }
+    }
+  }
+};
+
+/**
+ * Remove the primary record once the dependent records have been handled.
+ *
+ * @method generateDeletePrimarySourceCallback
+ * @param {AbstractSource} source The primary source
+ * @param {Object} instance The primary source instance
+ * @param {UnitOfWork} unitOfWork
+ * @param {Function} callback
+ */
+Instance.prototype.generateDeletePrimarySourceCallback = function (source, instance, unitOfWork, callback) {
+  var self = this;
+
+  return function (err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    unitOfWork.flush(source, instance, UnitOfWork.ACTIONS.REMOVE, function (err) {
+      callback(err, err ? null : self);
+    });
+  };
 };
 
 module.exports = Instance;
@@ -0,0 +1,226 @@
+/*******************************************************************************
+ *
+ * LifecycleHooks.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+/**
+ * The hooks registered on a model for each stage of an instance's lifecycle.
+ * Hooks run one after another in the order they were added and are called with
+ * the instance as both `this` and the first argument:
+ *
+ * ```
+ * model.addHook('beforeCreate', function (instance, next) {
+ *   instance.set('slug', model.slugify(instance.name));
+ *   next();
+ * });
+ *
+ * model.addHook('afterRead', function (instance) {
+ *   return loadAvatar(instance); // a promise
+ * });
+ * ```
+ *
+ * A hook with a second argument is asynchronous and must call `next(err)`,
+ * otherwise it may return a promise.  Passing an error to `next()`, throwing or
+ * rejecting aborts the operation with that error.
+ *
+ * @class LifecycleHooks
+ * @constructor
+ */
+var LifecycleHooks = function () {
+  this.hooks = {};
+
+  for (var i in LifecycleHooks.STAGES) {
+    this.hooks[LifecycleHooks.STAGES[i]] = [];
+  }
+};
+
+/**
+ * The stages hooks can be added to
+ *
+ * @property STAGES
+ * @type Object
+ * @static
+ */
+LifecycleHooks.STAGES = {
+  BEFORE_VALIDATE: 'beforeValidate',
+  BEFORE_CREATE: 'beforeCreate',
+  AFTER_CREATE: 'afterCreate',
+  BEFORE_UPDATE: 'beforeUpdate',
+  AFTER_UPDATE: 'afterUpdate',
+  BEFORE_REMOVE: 'beforeRemove',
+  AFTER_READ: 'afterRead'
+};
+
+/**
+ * Call a single hook and make sure that the callback is called exactly once no
+ * matter which style the hook is written in.
+ *
+ * @method invoke
+ * @param {Function} hook
+ * @param {Instance} instance
+ * @param {Function} callback
+ * @static
+ */
+LifecycleHooks.invoke = function (hook, instance, callback) {
+  var isCalled = false;
+  var isRunning = true;
+  var outcome = null;
+  var thrown = null;
+  var result;
+
+  var next = function (err) {
+    if (isCalled) {
+      return;
+    }
+
+    isCalled = true;
+
+    // Only the hook itself is guarded, so the callback of a hook that calls
+    // next() synchronously runs after the try below
+    if (isRunning) {
+      outcome = {err: err || null};
+      return;
+    }
+
+    callback(err || null);
+  };
+
+  try {
+    result = hook.call(instance, instance, next);
+  } catch (e) {
+    thrown = {err: e};
+  }
+
+  isRunning = false;
+
+  if (outcome) {
+    callback(outcome.err);
+    return;
+  }
+
+  if (thrown) {
+    next(thrown.err);
+    return;
+  }
+
+  // Hooks without a next argument are done when they return or resolve
+  if (hook.length < 2) {
+    if (result && typeof result.then === 'function') {
+      result.then(function () {
+        next();
+      }, function (err) {
+        next(err || {code: 500, error: 'Internal Server Error'});
+      });
+    } else {
+      next();
+    }
+  }
+};
+
+/**
+ * Add a hook to a stage
+ *
+ * @method add
+ * @param {String} stage One of LifecycleHooks.STAGES
+ * @param {Function} hook
+ */
+LifecycleHooks.prototype.add = function (stage, hook) {
+  if (!this.hooks[stage]) {
+    throw new Error('Unknown lifecycle stage: ' + stage);
+  }
+
+  if (typeof hook !== 'function') {
+    throw new Error('The ' + stage + ' hook must be a function');
+  }
+
+  this.hooks[stage].push(hook);
+};
+
+/**
+ * Whether any hooks have been added to a stage
+ *
+ * @method has
+ * @param {String} stage
+ * @returns {Boolean}
+ */
+LifecycleHooks.prototype.has = function (stage) {
+  return !!this.hooks[stage] && this.hooks[stage].length > 0;
+};
+
+/**
+ * Run the hooks of a stage in order on an instance, stopping at the first error
+ *
+ * @method run
+ * @param {String} stage
+ * @param {Instance} instance
+ * @param {Function} callback Called with the error of the hook that failed
+ */
+LifecycleHooks.prototype.run = function (stage, instance, callback) {
+  var hooks = this.hooks[stage] || [];
+  var index = 0;
+
+  var next = function (err) {
+    if (err || index >= hooks.length) {
+      callback(err || null);
+      return;
+    }
+
+    LifecycleHooks.invoke(hooks[index++], instance, next);
+  };
+
+  next();
+};
+
+/**
+ * Run the hooks of a stage on each instance of a list, the instances are handled
+ * in parallel.
+ *
+ * @method runEach
+ * @param {String} stage
+ * @param {Array} instances
+ * @param {Function} callback Called with the first error
+ */
+LifecycleHooks.prototype.runEach = function (stage, instances, callback) {
+  var pending = instances.length;
+  var isCalled = false;
+
+  var done = function (err) {
+    if (isCalled) {
+      return;
+    }
+
+    pending--;
+
+    if (err || pending <= 0) {
+      isCalled = true;
+      callback(err || null);
+    }
+  };
+
+  if (!this.has(stage) || pending === 0) {
+    callback(null);
+    return;
+  }
+
+  for (var i = 0; i < instances.length; i++) {
+    this.run(stage, instances[i], done);
+  }
+};
+
+/**
+ * The built-in beforeValidate hook that fills in the default values of fields
+ * that have not been set.
+ *
+ * @method applyDefaultValues
+ * @param {Instance} instance
+ * @static
+ */
+LifecycleHooks.applyDefaultValues = function (instance) {
+  instance.applyDefaultValues();
+};
+
+module.exports = LifecycleHooks;
@@ -0,0 +1,184 @@
+/*******************************************************************************
+ *
+ * MemoryCache.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var PromiseAdapter = require('./PromiseAdapter.js');
+
+/**
+ * An in-process least recently used cache of strings, the built-in adapter of
+ * ModelCache.  Every cache adapter implements:
+ *
+ * - get(key, callback): calls back asynchronously with the value, null if
+ *   there is none
+ * - set(key, value, options, callback): options are the `ttl` in milliseconds
+ *   and the `tags` of the entry
+ * - invalidateTags(tags, callback): removes the entries with any of the tags
+ *
+ * The options are:
+ *
+ * - max_entries: the number of entries kept, the least recently used entry is
+ *   evicted beyond it (1000)
+ *
+ * @class MemoryCache
+ * @constructor
+ * @param {Object} options
+ */
+var MemoryCache = function (options) {
+  this.options = {
+    max_entries: 1000
+  };
+
+  for (var i in options) {
+    this.options[i] = options[i];
+  }
+
+  // Entries keyed by cache key in the order they were last used, and the keys of
+  // each tag
+  this.entries = {};
+  this.count = 0;
+  this.tags = {};
+};
+
+/**
+ * @method get
+ * @param {String} key
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+MemoryCache.prototype.get = function (key, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var entry = this.entries[key];
+
+  if (entry && entry.expires_at !== null && entry.expires_at <= Date.now()) {
+    this.remove(key);
+    entry = null;
+  }
+
+  // Move the entry to the end of the eviction order
+  if (entry) {
+    delete this.entries[key];
+    this.entries[key] = entry;
+  }
+
+  // Hits call back asynchronously like the misses that are read through
+  setImmediate(function () {
+    deferred.callback(null, entry ? entry.value : null);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * @method set
+ * @param {String} key
+ * @param {String} value
+ * @param {Object} options ttl and tags
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+MemoryCache.prototype.set = function (key, value, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var tags = (options && options.tags) || [];
+  var ttl = options && options.ttl;
+  var oldest;
+
+  this.remove(key);
+
+  this.entries[key] = {
+    value: value,
+    expires_at: (ttl > 0) ? Date.now() + ttl : null,
+    tags: tags
+  };
+  this.count++;
+
+  for (var i = 0; i < tags.length; i++) {
+    this.tags[tags[i]] = this.tags[tags[i]] || {};
+    this.tags[tags[i]][key] = true;
+  }
+
+  while (this.count > this.options.max_entries) {
+    for (oldest in this.entries) {
+      break;
+    }
+
+    this.remove(oldest);
+  }
+
+  deferred.callback(null);
+  return deferred.promise;
+};
+
+/**
+ * @method invalidateTags
+ * @param {Array} tags
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+MemoryCache.prototype.invalidateTags = function (tags, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var keys;
+
+  for (var i = 0; i < tags.length; i++) {
+    keys = Object.keys(this.tags[tags[i]] || {});
+
+    for (var j = 0; j < keys.length; j++) {
+      this.remove(keys[j]);
+    }
+
+    delete this.tags[tags[i]];
+  }
+
+  deferred.callback(null);
+  return deferred.promise;
+};
+
+/**
+ * Remove an entry and its tags
+ *
+ * @method remove
+ * @param {String} key
+ */
+MemoryCache.prototype.remove = function (key) {
+  var entry = this.entries[key];
+  var tag;
+
+  if (!entry) {
+    return;
+  }
+
+  delete this.entries[key];
+  this.count--;
+
+  for (var i = 0; i < entry.tags.length; i++) {
+    tag = this.tags[entry.tags[i]];
+
+    if (tag) {
+      delete tag[key];
+    }
+  }
+};
+
+/**
+ * Remove every entry
+ *
+ * @method clear
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+MemoryCache.prototype.clear = function (callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
+  this.entries = {};
+  this.count = 0;
+  this.tags = {};
+
+  deferred.callback(null);
+  return deferred.promise;
+};
+
+module.exports = MemoryCache;
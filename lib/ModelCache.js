@@ -0,0 +1,485 @@
+/*******************************************************************************
+ *
+ * ModelCache.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var crypto = require('crypto');
+var PromiseAdapter = require('./PromiseAdapter.js');
+var MemoryCache = require('./MemoryCache.js');
+var RedisCache = require('./RedisCache.js');
+
+/**
+ * A read-through cache of the lists and reads of a model.  The serialized
+ * instances of a list are stored under a key made of the model, view, fields,
+ * params and options of the list, and are tagged so that they can be invalidated:
+ *
+ * - reads by primary key are tagged with the ids they asked for
+ * - every other list is tagged as a list of the model, plus the ids it returned
+ * - the `cache_tags` option adds custom tags to an entry
+ *
+ * Creating, updating or removing an instance invalidates the lists of the model
+ * and the entries of its id.  The options are:
+ *
+ * - ttl: milliseconds after which an entry expires (60000)
+ * - views: a hash of view names to false to skip caching the view, or to an
+ *   object that overrides the ttl of the view
+ *
+ * @class ModelCache
+ * @constructor
+ * @param {AbstractModel} model
+ * @param {Object} adapter A cache adapter, see MemoryCache
+ * @param {Object} options
+ */
+var ModelCache = function (model, adapter, options) {
+  this.options = {
+    ttl: 60000,
+    views: {}
+  };
+
+  for (var i in options) {
+    this.options[i] = options[i];
+  }
+
+  this.model = model;
+  this.adapter = adapter;
+};
+
+/**
+ * Options that do not change the result of a list, and are left out of its key
+ *
+ * @property IGNORED_OPTIONS
+ * @type Array
+ * @static
+ */
+ModelCache.IGNORED_OPTIONS = ['batch_context', 'should_skip_cache', 'cache_tags'];
+
+/**
+ * Create the cache adapter that a model is configured with:
+ *
+ * ```
+ * {
+ *   adapter: 'redis',     // 'memory' by default, or an object that implements
+ *                         // get(), set() and invalidateTags()
+ *   connection: 'cache',  // the RedisOdm connection of the redis adapter
+ *   max_entries: 1000     // plus the other options of the adapter
+ * }
+ * ```
+ *
+ * @method createAdapter
+ * @param {AbstractModel} model
+ * @param {Object} config
+ * @returns {Object}
+ * @static
+ */
+ModelCache.createAdapter = function (model, config) {
+  var adapter = config.adapter || 'memory';
+  var connection;
+
+  if (adapter === 'memory') {
+    return new MemoryCache(config);
+  }
+
+  if (adapter === 'redis') {
+    connection = model.getConnection(config.connection);
+
+    if (!connection || typeof connection.getClient !== 'function') {
+      throw new Error('No redis connection named ' + config.connection + ' was found for the cache of ' + model.name);
+    }
+
+    return new RedisCache(connection, config);
+  }
+
+  if (
+    typeof adapter === 'object' &&
+    typeof adapter.get === 'function' &&
+    typeof adapter.set === 'function' &&
+    typeof adapter.invalidateTags === 'function'
+  ) {
+    return adapter;
+  }
+
+  throw new Error('Invalid cache adapter for ' + model.name + ': ' + adapter);
+};
+
+/**
+ * Serialize a value to JSON with the keys of its objects sorted, so that equal
+ * params and options produce the same key
+ *
+ * @method stringify
+ * @param {*} value
+ * @returns {String}
+ * @static
+ */
+ModelCache.stringify = function (value) {
+  var keys;
+  var parts = [];
+  var i;
+
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+
+  if (value instanceof RegExp) {
+    return JSON.stringify(String(value));
+  }
+
+  if (value instanceof Array) {
+    for (i = 0; i < value.length; i++) {
+      parts.push(ModelCache.stringify(value[i]));
+    }
+
+    return '[' + parts.join(',') + ']';
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    keys = Object.keys(value).sort();
+
+    for (i = 0; i < keys.length; i++) {
+      if (typeof value[keys[i]] !== 'undefined' && typeof value[keys[i]] !== 'function') {
+        parts.push(JSON.stringify(keys[i]) + ':' + ModelCache.stringify(value[keys[i]]));
+      }
+    }
+
+    return '{' + parts.join(',') + '}';
+  }
+
+  return (typeof value === 'undefined') ? 'null' : JSON.stringify(value);
+};
+
+/**
+ * Whether a list is missing the fields of a decorating source that failed
+ *
+ * @method isDegraded
+ * @param {Array|Object} result A list, or a list and its meta
+ * @returns {Boolean}
+ * @static
+ */
+ModelCache.isDegraded = function (result) {
+  var list = (result instanceof Array) ? result : result.list;
+
+  if (!(result instanceof Array) && result.meta && result.meta.degraded && result.meta.degraded.length) {
+    return true;
+  }
+
+  for (var i = 0; i < list.length; i++) {
+    if (list[i].isDegraded()) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Whether a list with these options is read through the cache
+ *
+ * @method isCached
+ * @param {Object} options The list options
+ * @returns {Boolean}
+ */
+ModelCache.prototype.isCached = function (options) {
+  var view = (options && options.view) || 'default';
+
+  if (options && options.should_skip_cache) {
+    return false;
+  }
+
+  return this.options.views[view] !== false;
+};
+
+/**
+ * The ttl of the entries of a view
+ *
+ * @method getTtl
+ * @param {String} view
+ * @returns {Number}
+ */
+ModelCache.prototype.getTtl = function (view) {
+  var config = this.options.views[view];
+
+  return (config && typeof config.ttl !== 'undefined') ? config.ttl : this.options.ttl;
+};
+
+/**
+ * The key of a list by its model, view, fields, params and options
+ *
+ * @method generateKey
+ * @param {Object} params
+ * @param {Object} options The list options
+ * @returns {String}
+ */
+ModelCache.prototype.generateKey = function (params, options) {
+  var view = (options && options.view) || 'default';
+  var opts = {};
+  var hash;
+
+  for (var i in options) {
+    if (ModelCache.IGNORED_OPTIONS.indexOf(i) === -1) {
+      opts[i] = options[i];
+    }
+  }
+
+  hash = crypto.createHash('sha1')
+    .update(ModelCache.stringify({fields: opts.fields || null, params: params || {}, options: opts}))
+    .digest('hex');
+
+  return this.model.name + ':' + view + ':' + hash;
+};
+
+/**
+ * The tag of the entries of an id
+ *
+ * @method getIdTag
+ * @param {String|Number} id
+ * @returns {String}
+ */
+ModelCache.prototype.getIdTag = function (id) {
+  return this.model.name + ':id:' + id;
+};
+
+/**
+ * The tag of the entries of every list that is not a read by primary key
+ *
+ * @method getListTag
+ * @returns {String}
+ */
+ModelCache.prototype.getListTag = function () {
+  return this.model.name + ':list';
+};
+
+/**
+ * The tags of an entry
+ *
+ * @method getTags
+ * @param {Object} params
+ * @param {Object} options The list options
+ * @param {Array} list The instances of the list
+ * @returns {Array}
+ */
+ModelCache.prototype.getTags = function (params, options, list) {
+  var primaryKey = this.model.primaryKey;
+  var keys = params ? Object.keys(params) : [];
+  var ids = (keys.length === 1 && keys[0] === primaryKey) ? [].concat(params[primaryKey]) : null;
+  var tags = [];
+  var i;
+
+  // Reads by primary key only change along with the instances of their ids
+  if (ids && ids.every(function (id) { return typeof id === 'string' || typeof id === 'number'; })) {
+    for (i = 0; i < ids.length; i++) {
+      tags.push(this.getIdTag(ids[i]));
+    }
+  } else {
+    tags.push(this.getListTag());
+
+    for (i = 0; i < list.length; i++) {
+      tags.push(this.getIdTag(list[i].get(primaryKey)));
+    }
+  }
+
+  return tags.concat((options && options.cache_tags) || []);
+};
+
+/**
+ * List the instances of a model through the cache, see AbstractModel.list().
+ * Lists that are read from the cache report `meta.cache` as 'hit', lists that
+ * are read from the sources as 'miss'.  Errors of the adapter are logged and the
+ * list is read from the sources.
+ *
+ * @method list
+ * @param {Object} params
+ * @param {Object} rawOptions
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+ModelCache.prototype.list = function (params, rawOptions, callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+  var options = rawOptions || {};
+  var view = options.view || 'default';
+  var key = this.generateKey(params, options);
+
+  this.adapter.get(key, function (err, value) {
+    var entry = null;
+
+    if (err) {
+      console.warn('Skipping the cache of', self.model.name, 'after error:', JSON.stringify(err.msg || err.message || err));
+    }
+
+    try {
+      entry = value ? JSON.parse(value) : null;
+    } catch (e) {
+      entry = null;
+    }
+
+    if (entry) {
+      deferred.callback(null, self.restore(entry, view));
+      return;
+    }
+
+    self.readThrough(key, params, options, deferred.callback);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * List from the sources and store the serialized list.  Degraded lists, that
+ * are missing the fields of a failed decorating source, are not stored.
+ *
+ * @method readThrough
+ * @param {String} key
+ * @param {Object} params
+ * @param {Object} options The list options
+ * @param {Function} callback
+ */
+ModelCache.prototype.readThrough = function (key, params, options, callback) {
+  var self = this;
+  var view = options.view || 'default';
+  var tagParams = {};
+  var opts = {};
+  var i;
+
+  // The params are tagged as they were given, before the list of a submodel
+  // adds its foreign key to them
+  for (i in params) {
+    tagParams[i] = params[i];
+  }
+
+  for (i in options) {
+    opts[i] = options[i];
+  }
+
+  opts.should_skip_cache = true;
+
+  this.model.list(params, opts, function (err, result) {
+    var list;
+    var entry;
+
+    if (err) {
+      callback(err, result);
+      return;
+    }
+
+    list = (result instanceof Array) ? result : result.list;
+    entry = {meta: null, list: []};
+
+    if (!(result instanceof Array)) {
+      delete result.meta.should_skip_cache;
+      result.meta.cache = 'miss';
+      entry.meta = self.serializeMeta(result.meta);
+    }
+
+    if (ModelCache.isDegraded(result)) {
+      callback(null, result);
+      return;
+    }
+
+    for (i = 0; i < list.length; i++) {
+      entry.list.push(list[i].toObject());
+    }
+
+    self.adapter.set(key, JSON.stringify(entry), {
+      ttl: self.getTtl(view),
+      tags: self.getTags(tagParams, options, list)
+    }, function (err) {
+      if (err) {
+        console.warn('Could not cache a list of', self.model.name, 'after error:', JSON.stringify(err.msg || err.message || err));
+      }
+    });
+
+    callback(null, result);
+  });
+};
+
+/**
+ * Copy the meta of a list without the options that cannot be serialized
+ *
+ * @method serializeMeta
+ * @param {Object} meta
+ * @returns {Object}
+ */
+ModelCache.prototype.serializeMeta = function (meta) {
+  var copy = {};
+
+  for (var i in meta) {
+    if (i !== 'batch_context') {
+      copy[i] = meta[i];
+    }
+  }
+
+  return copy;
+};
+
+/**
+ * Turn a cached entry back into the result of a list.  The instances are marked
+ * as cached, so they read their source records again before they are written.
+ *
+ * @method restore
+ * @param {Object} entry {meta, list}
+ * @param {String} view
+ * @returns {Array|Object} The instances, or the instances and the meta
+ */
+ModelCache.prototype.restore = function (entry, view) {
+  var list = [];
+  var instance;
+  var meta = {};
+  var i;
+
+  for (i = 0; i < entry.list.length; i++) {
+    instance = this.model.createInstance();
+    instance.setView(view);
+    instance.bind(entry.list[i], false);
+    instance.markCached(this.model);
+    list.push(instance);
+  }
+
+  if (!entry.meta) {
+    return list;
+  }
+
+  for (i in entry.meta) {
+    meta[i] = entry.meta[i];
+  }
+
+  meta.cache = 'hit';
+  return {list: list, meta: meta};
+};
+
+/**
+ * Invalidate the entries of an instance and every list of the model
+ *
+ * @method invalidate
+ * @param {String|Number} id
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+ModelCache.prototype.invalidate = function (id, callback) {
+  var tags = [this.getListTag()];
+
+  if (id !== null && typeof id !== 'undefined') {
+    tags.push(this.getIdTag(id));
+  }
+
+  return this.invalidateTags(tags, callback);
+};
+
+/**
+ * Invalidate the entries with any of the tags
+ *
+ * @method invalidateTags
+ * @param {Array} tags
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+ModelCache.prototype.invalidateTags = function (tags, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
+  this.adapter.invalidateTags(tags, deferred.callback);
+  return deferred.promise;
+};
+
+module.exports = ModelCache;
@@ -0,0 +1,279 @@
+/*******************************************************************************
+ *
+ * ModelFactory.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var AbstractModel = require('./AbstractModel.js');
+
+/**
+ * Build model classes from plain object specifications so that model
+ * definitions can live in data files instead of hand-written constructors.
+ *
+ * @class ModelFactory
+ * @static
+ */
+var ModelFactory = {};
+
+/**
+ * Copy a definition tree so that every constructed model gets its own copy.
+ * AbstractModel.modifyDefinitions() rewrites the views arrays into lookup hashes
+ * in place, so a shared definition could only ever be processed once.
+ *
+ * Functions (serializers, custom validators, virtual getters) and non-plain
+ * objects (source instances, dates, etc) are copied by reference.
+ *
+ * @method cloneSpecValue
+ * @param {*} value
+ * @returns {*}
+ * @static
+ */
+ModelFactory.cloneSpecValue = function (value) {
+  var copy;
+  var i;
+
+  if (value instanceof Array) {
+    copy = [];
+    for (i = 0; i < value.length; i++) {
+      copy.push(ModelFactory.cloneSpecValue(value[i]));
+    }
+
+    return copy;
+  }
+
+  if (typeof value !== 'object' || value === null || Object.getPrototypeOf(value) !== Object.prototype) {
+    return value;
+  }
+
+  copy = {};
+  for (i in value) {
+    copy[i] = ModelFactory.cloneSpecValue(value[i]);
+  }
+
+  return copy;
+};
+
+/**
+ * Make sure the spec has the minimum information necessary to build a model.
+ *
+ * @method validateSpec
+ * @param {Object} spec
+ * @static
+ */
+ModelFactory.validateSpec = function (spec) {
+  var primaryKey;
+  var hasPrimarySource = false;
+  var i;
+
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('createModel() requires a model specification object');
+  }
+
+  if (!spec.name || typeof spec.name !== 'string') {
+    throw new Error('A model specification must have a name');
+  }
+
+  primaryKey = spec.primaryKey || 'id';
+
+  if (!spec.definition || !spec.definition[primaryKey]) {
+    throw new Error(
+      'The model specification for ' + spec.name + ' must define its primary key field: ' + primaryKey
+    );
+  }
+
+  for (i in spec.sources) {
+    if (!spec.sources[i].source) {
+      throw new Error(
+        'The source: ' + i + ' on model ' + spec.name + ' does not have a source object'
+      );
+    }
+
+    if (spec.sources[i].is_primary) {
+      hasPrimarySource = true;
+    }
+  }
+
+  if (spec.sources && !hasPrimarySource) {
+    throw new Error('The model specification for ' + spec.name + ' has no primary source');
+  }
+};
+
+/**
+ * Create an AbstractModel subclass from a plain object spec like:
+ *
+ * ```
+ * {
+ *   name: 'Wedding',
+ *   primaryKey: 'id',
+ *   definition: {id: {...}, name: {...}},
+ *   sources: {
+ *     WeddingTable: {relationship: 'one-to-one', is_primary: true, source: weddingTable}
+ *   },
+ *   views: {default: {...}},
+ *   queries: {default: {...}},
+ *   validator: validator,
+ *   connections: registry, // or an array of connection wrappers
+ *   methods: {slug: function () {...}},
+ *   hooks: {beforeCreate: function (instance, next) {...}, afterRead: [...]},
+ *   cache: {adapter: 'memory', ttl: 60000, views: {...}}
+ * }
+ * ```
+ *
+ * Each entry in `sources` holds the source configuration used by `this.sources`
+ * along with the source object itself (an instance or a constructor) which is
+ * attached through addSource().  Each entry in `hooks` is a hook or an array of
+ * hooks added to that lifecycle stage with addHook().  The `cache` is the read
+ * cache configuration of AbstractModel.setupCache().  When the returned class is
+ * instantiated, its connections are added and the model is initialized so it is
+ * immediately ready to use.
+ *
+ * @method createModel
+ * @param {Object} spec The model specification
+ * @returns {Function} A constructor that extends the spec's base (AbstractModel)
+ * @static
+ */
+ModelFactory.createModel = function (spec) {
+  ModelFactory.validateSpec(spec);
+
+  var Base = spec.base || AbstractModel;
+
+  var Model = function (connections) {
+    var i;
+    var sourceSpec;
+    var sourceObjects = {};
+
+    this.name = spec.name;
+    this.primaryKey = spec.primaryKey || 'id';
+    this.updateView = spec.updateView || 'all';
+    this.definition = ModelFactory.cloneSpecValue(spec.definition);
+    this.views = ModelFactory.cloneSpecValue(spec.views || {'default': {}});
+    this.query = ModelFactory.cloneSpecValue(spec.queries || {});
+    this.cache = ModelFactory.cloneSpecValue(spec.cache || null);
+
+    // Strip the source objects out of the source configuration before handing
+    // it to the model, they are attached via addSource() below
+    this.sources = {};
+    for (i in spec.sources) {
+      sourceSpec = ModelFactory.cloneSpecValue(spec.sources[i]);
+      sourceObjects[i] = sourceSpec.source;
+      delete sourceSpec.source;
+      this.sources[i] = sourceSpec;
+    }
+
+    Base.call(this);
+
+    // The validator is property injected like every other model, default to an
+    // empty validator for models without constraints
+    this.validator = spec.validator || {};
+
+    this.addConnections(ModelFactory.resolveConnections(connections || spec.connections));
+
+    for (i in sourceObjects) {
+      this.addSource(ModelFactory.createSource(i, sourceObjects[i], this));
+    }
+
+    ModelFactory.addHooks(this, spec.hooks);
+
+    this.initialize();
+  };
+
+  Model.prototype = new Base();
+  Model.prototype.constructor = Model;
+
+  for (var i in spec.methods) {
+    Model.prototype[i] = spec.methods[i];
+  }
+
+  // Keep the original spec around for introspection
+  Model.spec = spec;
+
+  return Model;
+};
+
+/**
+ * Add the hooks of a spec to a model, each stage can have a single hook or an
+ * array of hooks.
+ *
+ * @method addHooks
+ * @param {AbstractModel} model
+ * @param {Object} hooks Hooks keyed by lifecycle stage
+ * @static
+ */
+ModelFactory.addHooks = function (model, hooks) {
+  var stageHooks;
+
+  for (var stage in hooks) {
+    stageHooks = (hooks[stage] instanceof Array) ? hooks[stage] : [hooks[stage]];
+
+    for (var i = 0; i < stageHooks.length; i++) {
+      model.addHook(stage, stageHooks[i]);
+    }
+  }
+};
+
+/**
+ * Connections can be given as an array of connection wrappers or as a
+ * ConnectionRegistry, in which case every registered connection is made
+ * available and sources pick theirs by name.
+ *
+ * @method resolveConnections
+ * @param {Array|ConnectionRegistry} connections
+ * @returns {Array}
+ * @static
+ */
+ModelFactory.resolveConnections = function (connections) {
+  if (!connections) {
+    return [];
+  }
+
+  if (typeof connections.getAll === 'function') {
+    return connections.getAll();
+  }
+
+  return connections;
+};
+
+/**
+ * Sources can either be given as already constructed objects or as constructors
+ * that should be instantiated for each model.  A constructed object belongs to
+ * the one model built with it, since its connections are added and it is
+ * initialized along with that model, so a spec that is built more than once
+ * must give constructors.
+ *
+ * @method createSource
+ * @param {String} name The name of the source in the spec
+ * @param {Object|Function} source
+ * @param {AbstractModel} model The model the source is created for
+ * @returns {AbstractSource}
+ * @static
+ */
+ModelFactory.createSource = function (name, source, model) {
+  var instance = (typeof source === 'function') ? new source() : source;
+
+  if (instance.ownerModel && instance.ownerModel !== model) {
+    throw new Error(
+      'The source: ' + name + ' is already used by a ' + instance.ownerModel.name +
+      ' model, give its constructor to build the spec more than once'
+    );
+  }
+
+  instance.ownerModel = model;
+
+  // The spec key is the name used by the model to look up the source
+  if (!instance.name || instance.name === 'abstract') {
+    instance.name = name;
+  }
+
+  if (instance.name !== name) {
+    throw new Error(
+      'The source: ' + instance.name + ' must be registered under its own name, got: ' + name
+    );
+  }
+
+  return instance;
+};
+
+module.exports = ModelFactory;
@@ -65,6 +65,21 @@ MongoOdm.prototype.initialize = function (callback) {
   });
 };
 
+/**
+ * Close the mongoose connection, used for graceful shutdowns.
+ *
+ * @method close
+ */
+MongoOdm.prototype.close = function (callback) {
+  if (!this.connection) {
+    callback();
+    return;
+  }
+
+  this.connection.close(callback);
+  this.connection = null;
+};
+
 /**
  * Based on the mongo URI standards, use the options to generate the connection
  * URI.  Will need to add replica set support when it is available.
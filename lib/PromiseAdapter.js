@@ -0,0 +1,110 @@
+/*******************************************************************************
+ *
+ * PromiseAdapter.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+/**
+ * Bridges the node-style callbacks used throughout frankenstein with promises so
+ * that every public operation can be used either way:
+ *
+ * ```
+ * model.list(params, options, function (err, result) {});
+ * model.list(params, options).then(function (result) {});
+ * instance.save().complete(function (err, instance) {});
+ * ```
+ *
+ * @class PromiseAdapter
+ * @static
+ */
+var PromiseAdapter = {};
+
+/**
+ * Used to mark a promise rejection as handled when the caller opted into the
+ * callback style with .complete() or .done()
+ *
+ * @method noop
+ * @static
+ */
+PromiseAdapter.noop = function () {};
+
+/**
+ * Create a deferred result for an operation that accepts an optional callback.
+ * The operation should always report its outcome through `deferred.callback`
+ * and return `deferred.promise`.
+ *
+ * When no callback is given (and promises are supported by the runtime), the
+ * promise is a real Promise.  Otherwise it is a plain object.  In both cases it
+ * exposes the `.complete(cb)` and `.done(cb)` callback setters that instances
+ * have always returned.  A callback set after the operation has already
+ * finished is called immediately with the outcome.
+ *
+ * @method defer
+ * @param {Function} callback An optional node-style callback
+ * @returns {Object} {callback: Function, promise: Promise|Object}
+ * @static
+ */
+PromiseAdapter.defer = function (callback) {
+  var handler = (typeof callback === 'function') ? callback : null;
+  var outcome = null;
+  var resolvePromise = null;
+  var rejectPromise = null;
+  var deferred = {};
+  var setCallback;
+
+  if (!handler && typeof Promise === 'function') {
+    deferred.promise = new Promise(function (resolve, reject) {
+      resolvePromise = resolve;
+      rejectPromise = reject;
+    });
+  } else {
+    deferred.promise = {};
+  }
+
+  setCallback = function (cb) {
+    handler = cb;
+
+    // The caller is handling the outcome through the callback, so an error
+    // should not surface as an unhandled rejection
+    if (rejectPromise) {
+      deferred.promise['catch'](PromiseAdapter.noop);
+    }
+
+    if (outcome) {
+      cb(outcome.err, outcome.result);
+    }
+
+    return deferred.promise;
+  };
+
+  deferred.promise.done = setCallback;
+  deferred.promise.complete = setCallback;
+
+  deferred.callback = function (err, result) {
+    // Only the first outcome of an operation counts
+    if (outcome) {
+      return;
+    }
+
+    outcome = {err: err, result: result};
+
+    if (rejectPromise) {
+      if (err) {
+        rejectPromise(err);
+      } else {
+        resolvePromise(result);
+      }
+    }
+
+    if (handler) {
+      handler(err, result);
+    }
+  };
+
+  return deferred;
+};
+
+module.exports = PromiseAdapter;
@@ -0,0 +1,506 @@
+/*******************************************************************************
+ *
+ * QueryOperators.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+/**
+ * The source-independent operator vocabulary accepted in list parameters and
+ * named queries.  A parameter value can either be a scalar (equality), an array
+ * (IN) or an object of operators that are ANDed together:
+ *
+ * ```
+ * model.list({
+ *   date: {$gte: '2014-06-01', $lt: '2014-07-01'},
+ *   status: {$nin: ['deleted', 'spam']},
+ *   $or: [{name: {$prefix: 'Sm'}}, {venue_id: {$null: true}}]
+ * }, options, callback);
+ * ```
+ *
+ * Keys are translated to their source aliases by the model and every source
+ * renders the operators in its own query language.
+ *
+ * @class QUERY_OPERATORS
+ */
+var QUERY_OPERATORS = {};
+
+/**
+ * Greater than
+ *
+ * @property QUERY_OPERATORS.GT
+ * @type string
+ */
+QUERY_OPERATORS.GT = '$gt';
+
+/**
+ * Greater than or equal to
+ *
+ * @property QUERY_OPERATORS.GTE
+ * @type string
+ */
+QUERY_OPERATORS.GTE = '$gte';
+
+/**
+ * Less than
+ *
+ * @property QUERY_OPERATORS.LT
+ * @type string
+ */
+QUERY_OPERATORS.LT = '$lt';
+
+/**
+ * Less than or equal to
+ *
+ * @property QUERY_OPERATORS.LTE
+ * @type string
+ */
+QUERY_OPERATORS.LTE = '$lte';
+
+/**
+ * Not equal to, a null operand means "is not null"
+ *
+ * @property QUERY_OPERATORS.NE
+ * @type string
+ */
+QUERY_OPERATORS.NE = '$ne';
+
+/**
+ * The value is one of the values in the array operand
+ *
+ * @property QUERY_OPERATORS.IN
+ * @type string
+ */
+QUERY_OPERATORS.IN = '$in';
+
+/**
+ * The value is none of the values in the array operand
+ *
+ * @property QUERY_OPERATORS.NIN
+ * @type string
+ */
+QUERY_OPERATORS.NIN = '$nin';
+
+/**
+ * Pattern match using SQL wildcards, '%' for any run of characters and '_' for
+ * a single character
+ *
+ * @property QUERY_OPERATORS.LIKE
+ * @type string
+ */
+QUERY_OPERATORS.LIKE = '$like';
+
+/**
+ * The string value starts with the operand
+ *
+ * @property QUERY_OPERATORS.PREFIX
+ * @type string
+ */
+QUERY_OPERATORS.PREFIX = '$prefix';
+
+/**
+ * Inclusive range, the operand is a [low, high] pair
+ *
+ * @property QUERY_OPERATORS.BETWEEN
+ * @type string
+ */
+QUERY_OPERATORS.BETWEEN = '$between';
+
+/**
+ * Is null when the operand is true, is not null when it is false
+ *
+ * @property QUERY_OPERATORS.NULL
+ * @type string
+ */
+QUERY_OPERATORS.NULL = '$null';
+
+/**
+ * Top-level key holding an array of parameter objects that must all match
+ *
+ * @property QUERY_OPERATORS.AND
+ * @type string
+ */
+QUERY_OPERATORS.AND = '$and';
+
+/**
+ * Top-level key holding an array of parameter objects of which one must match
+ *
+ * @property QUERY_OPERATORS.OR
+ * @type string
+ */
+QUERY_OPERATORS.OR = '$or';
+
+/**
+ * Determine whether a parameter value is an object of field operators like
+ * {$gt: 5, $lte: 10} as opposed to a scalar, an array or a date.
+ *
+ * @method isOperatorObject
+ * @param {*} value
+ * @returns {Boolean}
+ * @static
+ */
+QUERY_OPERATORS.isOperatorObject = function (value) {
+  var hasKeys = false;
+
+  if (
+    typeof value !== 'object' || value === null ||
+    value instanceof Array || value instanceof Date || value instanceof String
+  ) {
+    return false;
+  }
+
+  for (var i in value) {
+    if (i.charAt(0) !== '$') {
+      return false;
+    }
+
+    hasKeys = true;
+  }
+
+  return hasKeys;
+};
+
+/**
+ * Determine whether a parameter key is a logical group ($and, $or)
+ *
+ * @method isLogicalKey
+ * @param {String} key
+ * @returns {Boolean}
+ * @static
+ */
+QUERY_OPERATORS.isLogicalKey = function (key) {
+  return key === QUERY_OPERATORS.AND || key === QUERY_OPERATORS.OR;
+};
+
+/**
+ * Determine whether a set of parameters uses any operator or logical group,
+ * sources use this to keep their simpler code path for plain equality queries.
+ *
+ * @method hasOperators
+ * @param {Object} params
+ * @returns {Boolean}
+ * @static
+ */
+QUERY_OPERATORS.hasOperators = function (params) {
+  for (var i in params) {
+    if (QUERY_OPERATORS.isLogicalKey(i) || QUERY_OPERATORS.isOperatorObject(params[i])) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Make sure an operator object only contains supported operators with operands
+ * of the right shape.  Throws an error describing the first problem found.
+ *
+ * @method validate
+ * @param {String} key The parameter the operators apply to
+ * @param {Object} operators
+ * @static
+ */
+QUERY_OPERATORS.validate = function (key, operators) {
+  var operand;
+
+  for (var i in operators) {
+    operand = operators[i];
+
+    switch (i) {
+      case QUERY_OPERATORS.GT:
+      case QUERY_OPERATORS.GTE:
+      case QUERY_OPERATORS.LT:
+      case QUERY_OPERATORS.LTE:
+      case QUERY_OPERATORS.NE:
+      case QUERY_OPERATORS.NULL:
+        break;
+      case QUERY_OPERATORS.IN:
+      case QUERY_OPERATORS.NIN:
+        if (!(operand instanceof Array)) {
+          throw new Error('The ' + i + ' operator on ' + key + ' requires an array');
+        }
+        break;
+      case QUERY_OPERATORS.BETWEEN:
+        if (!(operand instanceof Array) || operand.length !== 2) {
+          throw new Error('The ' + i + ' operator on ' + key + ' requires a [low, high] array');
+        }
+        break;
+      case QUERY_OPERATORS.LIKE:
+      case QUERY_OPERATORS.PREFIX:
+        if (typeof operand !== 'string' && !(operand instanceof String)) {
+          throw new Error('The ' + i + ' operator on ' + key + ' requires a string');
+        }
+        break;
+      default:
+        throw new Error('Unsupported query operator ' + i + ' on ' + key);
+    }
+  }
+};
+
+/**
+ * Escape a string so it can be used literally inside a regular expression.
+ *
+ * @method escapeRegExp
+ * @param {String} str
+ * @returns {String}
+ * @static
+ */
+QUERY_OPERATORS.escapeRegExp = function (str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+};
+
+/**
+ * Convert a $like pattern into an anchored regular expression for sources
+ * without a native LIKE.
+ *
+ * @method likeToRegExp
+ * @param {String} pattern
+ * @returns {RegExp}
+ * @static
+ */
+QUERY_OPERATORS.likeToRegExp = function (pattern) {
+  var source = '';
+  var chr;
+
+  pattern = String(pattern);
+
+  for (var i = 0; i < pattern.length; i++) {
+    chr = pattern.charAt(i);
+
+    if (chr === '%') {
+      source += '.*';
+    } else if (chr === '_') {
+      source += '.';
+    } else {
+      source += QUERY_OPERATORS.escapeRegExp(chr);
+    }
+  }
+
+  return new RegExp('^' + source + '$');
+};
+
+/**
+ * Compare two values for sorting and range operators.  Dates are compared by
+ * time, numbers and numeric strings numerically and everything else as strings.
+ * Null and undefined sort before every other value.
+ *
+ * @method compare
+ * @param {*} a
+ * @param {*} b
+ * @returns {Number} Negative if a < b, 0 if they are equal, positive if a > b
+ * @static
+ */
+QUERY_OPERATORS.compare = function (a, b) {
+  var isANull = (typeof a === 'undefined' || a === null);
+  var isBNull = (typeof b === 'undefined' || b === null);
+
+  if (isANull || isBNull) {
+    return (isANull ? 0 : 1) - (isBNull ? 0 : 1);
+  }
+
+  if (a instanceof Date || b instanceof Date) {
+    a = new Date(a).getTime();
+    b = new Date(b).getTime();
+  } else if (typeof a === 'boolean' || typeof b === 'boolean') {
+    a = (a === true || a === 'true' || a === 1 || a === '1') ? 1 : 0;
+    b = (b === true || b === 'true' || b === 1 || b === '1') ? 1 : 0;
+  } else if (a !== '' && b !== '' && !isNaN(a) && !isNaN(b)) {
+    a = Number(a);
+    b = Number(b);
+  } else {
+    a = String(a);
+    b = String(b);
+  }
+
+  return (a < b) ? -1 : ((a > b) ? 1 : 0);
+};
+
+/**
+ * The sort of a list, from the `sortFields` option (a list of {field, order})
+ * or the single `sortField` and `sortOrder` options
+ *
+ * @method getSortFields
+ * @param {Object} options
+ * @param {String} defaultField Sorted on ascending if no sort is given
+ * @returns {Array} [{field, order, source}], the orders are ASC or DESC
+ * @static
+ */
+QUERY_OPERATORS.getSortFields = function (options, defaultField) {
+  var sortFields = [];
+  var source = options.sortFields;
+  var sortField;
+
+  if (!source || !source.length) {
+    source = (options.sortField || defaultField) ? [{field: options.sortField || defaultField, order: options.sortOrder}] : [];
+  }
+
+  for (var i = 0; i < source.length; i++) {
+    sortField = {
+      field: source[i].field,
+      order: (String(source[i].order || 'ASC').toUpperCase() === 'DESC') ? 'DESC' : 'ASC'
+    };
+
+    // Sort fields of another source are sorted on through a join
+    if (source[i].source) {
+      sortField.source = source[i].source;
+    }
+
+    sortFields.push(sortField);
+  }
+
+  return sortFields;
+};
+
+/**
+ * Compare two records on each of the sort fields in turn
+ *
+ * @method compareBySort
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Array} sortFields See getSortFields()
+ * @param {Function} getValue Optional, reads a field of a record
+ * @returns {Number}
+ * @static
+ */
+QUERY_OPERATORS.compareBySort = function (a, b, sortFields, getValue) {
+  var result;
+
+  for (var i = 0; i < sortFields.length; i++) {
+    result = getValue ?
+      QUERY_OPERATORS.compare(getValue(a, sortFields[i].field), getValue(b, sortFields[i].field)) :
+      QUERY_OPERATORS.compare(a[sortFields[i].field], b[sortFields[i].field]);
+
+    if (result !== 0) {
+      return (sortFields[i].order === 'DESC') ? -result : result;
+    }
+  }
+
+  return 0;
+};
+
+/**
+ * Evaluate a single operator against a value
+ *
+ * @method matchesOperator
+ * @param {*} value
+ * @param {String} operator
+ * @param {*} operand
+ * @returns {Boolean}
+ * @static
+ */
+QUERY_OPERATORS.matchesOperator = function (value, operator, operand) {
+  var isNull = (typeof value === 'undefined' || value === null);
+  var i;
+
+  switch (operator) {
+    case QUERY_OPERATORS.GT:
+      return !isNull && QUERY_OPERATORS.compare(value, operand) > 0;
+    case QUERY_OPERATORS.GTE:
+      return !isNull && QUERY_OPERATORS.compare(value, operand) >= 0;
+    case QUERY_OPERATORS.LT:
+      return !isNull && QUERY_OPERATORS.compare(value, operand) < 0;
+    case QUERY_OPERATORS.LTE:
+      return !isNull && QUERY_OPERATORS.compare(value, operand) <= 0;
+    case QUERY_OPERATORS.NE:
+      return (operand === null) ? !isNull : (isNull || QUERY_OPERATORS.compare(value, operand) !== 0);
+    case QUERY_OPERATORS.IN:
+    case QUERY_OPERATORS.NIN:
+      for (i = 0; i < operand.length; i++) {
+        if (!isNull && QUERY_OPERATORS.compare(value, operand[i]) === 0) {
+          return operator === QUERY_OPERATORS.IN;
+        }
+      }
+
+      return operator === QUERY_OPERATORS.NIN;
+    case QUERY_OPERATORS.LIKE:
+      return !isNull && QUERY_OPERATORS.likeToRegExp(operand).test(String(value));
+    case QUERY_OPERATORS.PREFIX:
+      return !isNull && String(value).indexOf(operand) === 0;
+    case QUERY_OPERATORS.BETWEEN:
+      return !isNull &&
+        QUERY_OPERATORS.compare(value, operand[0]) >= 0 &&
+        QUERY_OPERATORS.compare(value, operand[1]) <= 0;
+    case QUERY_OPERATORS.NULL:
+      return operand ? isNull : !isNull;
+  }
+
+  return false;
+};
+
+/**
+ * Determine whether a plain object of data matches a set of list parameters, for
+ * sources that filter records in memory.  Throws like validate() when an operator
+ * object is invalid.
+ *
+ * @method matches
+ * @param {Object} data
+ * @param {Object} params
+ * @returns {Boolean}
+ * @static
+ */
+QUERY_OPERATORS.matches = function (data, params) {
+  var value;
+  var param;
+  var isMatch;
+  var i;
+  var j;
+
+  for (i in params) {
+    param = params[i];
+
+    if (i === QUERY_OPERATORS.AND) {
+      for (j = 0; j < param.length; j++) {
+        if (!QUERY_OPERATORS.matches(data, param[j])) {
+          return false;
+        }
+      }
+
+      continue;
+    }
+
+    if (i === QUERY_OPERATORS.OR) {
+      isMatch = false;
+
+      for (j = 0; j < param.length && !isMatch; j++) {
+        isMatch = QUERY_OPERATORS.matches(data, param[j]);
+      }
+
+      if (!isMatch) {
+        return false;
+      }
+
+      continue;
+    }
+
+    value = data ? data[i] : null;
+
+    if (QUERY_OPERATORS.isOperatorObject(param)) {
+      QUERY_OPERATORS.validate(i, param);
+
+      for (j in param) {
+        if (!QUERY_OPERATORS.matchesOperator(value, j, param[j])) {
+          return false;
+        }
+      }
+    } else if (param instanceof Array) {
+      if (!QUERY_OPERATORS.matchesOperator(value, QUERY_OPERATORS.IN, param)) {
+        return false;
+      }
+    } else if (param === null) {
+      if (typeof value !== 'undefined' && value !== null) {
+        return false;
+      }
+    } else if (
+      typeof value === 'undefined' || value === null ||
+      QUERY_OPERATORS.compare(value, param) !== 0
+    ) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+module.exports = QUERY_OPERATORS;
@@ -0,0 +1,160 @@
+/*******************************************************************************
+ *
+ * Record.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var PromiseAdapter = require('./PromiseAdapter.js');
+
+/**
+ * A plain data record for sources that do not have an ORM/ODM of their own (like
+ * AbstractHash).  It provides the source instance API that Instance expects:
+ * get(), set(), isModified(), flushChanges(), remove() and destroy().
+ *
+ * The source that created the record persists it through its saveRecord(record,
+ * callback, options) and removeRecord(record, callback, options) methods.
+ *
+ * @class Record
+ * @constructor
+ * @param {AbstractSource} source The source the record belongs to
+ * @param {Object} data The initial data
+ * @param {Boolean} isNewRecord Optional, false if the data was read from the source
+ */
+var Record = function (source, data, isNewRecord) {
+  this.__source = source;
+  this.dataValues = {};
+  this.changedFields = {};
+  this.isNewRecord = (isNewRecord !== false);
+
+  for (var i in data) {
+    this.dataValues[i] = data[i];
+
+    if (this.isNewRecord) {
+      this.changedFields[i] = true;
+    }
+  }
+};
+
+/**
+ * Get the value of a field
+ *
+ * @method get
+ * @param {String} key
+ * @returns {*}
+ */
+Record.prototype.get = function (key) {
+  return this.dataValues[key];
+};
+
+/**
+ * Set the value of a field, marking it as changed if the value is different
+ *
+ * @method set
+ * @param {String} key
+ * @param {*} value
+ */
+Record.prototype.set = function (key, value) {
+  var current = this.dataValues[key];
+  var isSame = (current === value) || (
+    current instanceof Date && value instanceof Date && current.getTime() === value.getTime()
+  );
+
+  if (!isSame) {
+    this.dataValues[key] = value;
+    this.changedFields[key] = true;
+  }
+};
+
+/**
+ * Whether any field has changed since the record was read or last saved
+ *
+ * @method isModified
+ * @returns {Boolean}
+ */
+Record.prototype.isModified = function () {
+  return this.changed().length > 0;
+};
+
+/**
+ * List the fields that have changed since the record was read or last saved
+ *
+ * @method changed
+ * @returns {Array}
+ */
+Record.prototype.changed = function () {
+  return Object.keys(this.changedFields);
+};
+
+/**
+ * Forget the changes once the record has been saved
+ *
+ * @method markPersisted
+ */
+Record.prototype.markPersisted = function () {
+  this.changedFields = {};
+  this.isNewRecord = false;
+};
+
+/**
+ * A copy of the data of the record
+ *
+ * @method toObject
+ * @returns {Object}
+ */
+Record.prototype.toObject = function () {
+  var obj = {};
+
+  for (var i in this.dataValues) {
+    obj[i] = this.dataValues[i];
+  }
+
+  return obj;
+};
+
+Record.prototype.toJSON = Record.prototype.toObject;
+
+/**
+ * Save the record to its source
+ *
+ * @method flushChanges
+ * @param {Function} callback Optional, a promise is returned without it
+ * @param {Object} options Optional, passed on to the source
+ * @returns {Promise}
+ */
+Record.prototype.flushChanges = function (callback, options) {
+  var deferred = PromiseAdapter.defer(callback);
+  this.__source.saveRecord(this, deferred.callback, options || {});
+  return deferred.promise;
+};
+
+Record.prototype.save = Record.prototype.flushChanges;
+
+/**
+ * Remove the record from its source
+ *
+ * @method remove
+ * @param {Function} callback Optional, a promise is returned without it
+ * @param {Object} options Optional, passed on to the source
+ * @returns {Promise}
+ */
+Record.prototype.remove = function (callback, options) {
+  var deferred = PromiseAdapter.defer(callback);
+  this.__source.removeRecord(this, deferred.callback, options || {});
+  return deferred.promise;
+};
+
+/**
+ * Remove the record, conforming to the destroy().complete() API of the other
+ * source instances.
+ *
+ * @method destroy
+ * @returns {Promise} Also supports setting the callback with .complete()
+ */
+Record.prototype.destroy = function () {
+  return this.remove();
+};
+
+module.exports = Record;
@@ -0,0 +1,162 @@
+/*******************************************************************************
+ *
+ * RedisCache.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var PromiseAdapter = require('./PromiseAdapter.js');
+
+/**
+ * A cache adapter that stores its entries in redis through a RedisOdm connection
+ * so that they are shared by every process, see MemoryCache for the interface.
+ * Each tag is a set of the keys of its entries.
+ *
+ * The options are:
+ *
+ * - tag_ttl: milliseconds after which an unused tag set expires (one day)
+ *
+ * @class RedisCache
+ * @constructor
+ * @param {RedisOdm} connection
+ * @param {Object} options
+ */
+var RedisCache = function (connection, options) {
+  this.options = {
+    tag_ttl: 86400000
+  };
+
+  for (var i in options) {
+    this.options[i] = options[i];
+  }
+
+  this.connection = connection;
+};
+
+/**
+ * @method getEntryKey
+ * @param {String} key
+ * @returns {String}
+ */
+RedisCache.prototype.getEntryKey = function (key) {
+  return this.connection.key('cache', key);
+};
+
+/**
+ * @method getTagKey
+ * @param {String} tag
+ * @returns {String}
+ */
+RedisCache.prototype.getTagKey = function (tag) {
+  return this.connection.key('cache', 'tag', tag);
+};
+
+/**
+ * @method get
+ * @param {String} key
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+RedisCache.prototype.get = function (key, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
+  this.connection.getClient().get(this.getEntryKey(key), function (err, value) {
+    deferred.callback(err || null, err ? null : (value || null));
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * @method set
+ * @param {String} key
+ * @param {String} value
+ * @param {Object} options ttl and tags
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+RedisCache.prototype.set = function (key, value, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var tags = (options && options.tags) || [];
+  var ttl = options && options.ttl;
+  var entryKey = this.getEntryKey(key);
+  var multi = this.connection.getClient().multi();
+  var tagKey;
+
+  if (ttl > 0) {
+    multi.set(entryKey, value, 'PX', ttl);
+  } else {
+    multi.set(entryKey, value);
+  }
+
+  for (var i = 0; i < tags.length; i++) {
+    tagKey = this.getTagKey(tags[i]);
+    multi.sadd(tagKey, entryKey);
+    multi.pexpire(tagKey, this.options.tag_ttl);
+  }
+
+  multi.exec(function (err) {
+    deferred.callback(err || null);
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * @method invalidateTags
+ * @param {Array} tags
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+RedisCache.prototype.invalidateTags = function (tags, callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+  var client = this.connection.getClient();
+  var count = tags.length;
+  var isFailed = false;
+
+  if (!count) {
+    deferred.callback(null);
+    return deferred.promise;
+  }
+
+  var done = function (err) {
+    if (isFailed) {
+      return;
+    }
+
+    if (err) {
+      isFailed = true;
+      deferred.callback(err);
+      return;
+    }
+
+    count--;
+    if (count === 0) {
+      deferred.callback(null);
+    }
+  };
+
+  var invalidateTag = function (tag) {
+    var tagKey = self.getTagKey(tag);
+
+    client.smembers(tagKey, function (err, keys) {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      client.del.apply(client, (keys || []).concat([tagKey, done]));
+    });
+  };
+
+  for (var i = 0; i < tags.length; i++) {
+    invalidateTag(tags[i]);
+  }
+
+  return deferred.promise;
+};
+
+module.exports = RedisCache;
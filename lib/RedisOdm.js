@@ -8,23 +8,27 @@
  ******************************************************************************/
 
 /**
- * A dependency injection wrapper for Redis to allow redis records to be treated
- * as normal objects
+ * A dependency injection wrapper for the Redis client to make it available as a
+ * configurable service.  Sources store their records through it as hashes, see
+ * AbstractHash.
  *
- * @see http://mongoosejs.com
+ * The injected library only needs to provide createClient(port, host, options)
+ * returning a node_redis compatible client, which allows an in-process fake to
+ * be used in its place.
+ *
+ * @see https://github.com/NodeRedis/node_redis
  * @constructor
  */
 var RedisOdm = function (Redis, options) {
   this.name = 'redis';
 
   this.options = {
-    'user': 'root',
-    'password': null,
-    'host': 'localhost',
-    'port': 27017,
-    'redis_options': {
-
-    }
+    "host": "localhost",
+    "port": 6379,
+    "password": null,
+    "database": 0,
+    "prefix": "", // Prepended to every key, to share a redis database
+    "redis_options": {} // Options to pass to the client
   };
 
   for (var i in options) {
@@ -32,130 +36,100 @@ var RedisOdm = function (Redis, options) {
   }
 
   this.Redis = Redis;
-  this.connection = null;
+  this.client = null;
 };
 
 /**
- * Create a new mongoose mongo connection using createConnection so we can support
- * multiple mongo connections to different databases or servers in the future.
+ * Create the redis client, authenticate and select the configured database.
  *
+ * @method initialize
+ * @param {Function} callback
  */
 RedisOdm.prototype.initialize = function (callback) {
   var self = this;
-  var mongoUri = this.generateUri(this.options);
+  var isCalled = false;
 
-  // Enable logging if the option is set
-  if (this.options.logging) {
-    this.Mongoose.set('debug', console.debug.bind(console));
-  }
+  var done = function (err) {
+    if (isCalled) {
+      return;
+    }
 
-  this.connection = this.Mongoose.createConnection(
-    mongoUri,
-    this.options.mongo_options
-  );
+    isCalled = true;
 
-  // Validate that the connection opened properly before moving on
-  this.connection.on('error', function (err) {
-    callback(err);
-  });
+    if (!err) {
+      console.debug('Redis connection opened successfully: ', self.name);
+    }
 
-  this.connection.once('open', function () {
-    console.debug('Mongo connection opened successfully: ', self.name);
-    callback();
+    callback(err || null);
+  };
+
+  this.client = this.Redis.createClient(
+    this.options.port,
+    this.options.host,
+    this.options.redis_options
+  );
+
+  // Report connection failures instead of letting the client throw
+  this.client.on('error', function (err) {
+    if (!isCalled) {
+      done(err);
+    } else {
+      console.error('Redis connection error: ', self.name, err);
+    }
   });
-};
 
-/**
- * Based on the mongo URI standards, use the options to generate the connection
- * URI.  Will need to add replica set support when it is available.
- *
- * @method method
- */
-RedisOdm.prototype.generateUri = function (options) {
-  var mongoUri = 'mongodb://';
-  mongoUri += options.user + ':' + options.password;
-  mongoUri += '@' + options.host + ':' + options.port;
-
-  var host;
-  for (var i in options.replset_hosts) {
-    host = options.replset_hosts[i];
-    mongoUri += ',' + host.host + ':' + host.port;
-  }
+  var select = function (err) {
+    if (err) {
+      done(err);
+      return;
+    }
 
-  mongoUri += '/' + options.database;
-  return mongoUri;
-};
+    self.client.select(self.options.database, done);
+  };
 
-/**
- * Create a model with the already initialized connection instance.
- *
- * Ensure that any instances confRedisOdm to our instance API
- *
- */
-RedisOdm.prototype.createModel = function (name, definition, options) {
-  // Pre-process schema definition to replace mongoose native types
-  this.translateSchemaTypes(definition);
-
-  // Create the schema and add bridge methods to conform to the frankenstein API
-  var schema = new this.Mongoose.Schema(definition, options);
-  this.conformMongooseInstanceApiToFrankenstein(schema);
-
-  // Create the model and return it
-  var model;
-  if (this.connection) {
-    model = this.connection.model(name, schema);
+  if (this.options.password) {
+    this.client.auth(this.options.password, select);
   } else {
-    console.error('Failed to get connection for model', name);
+    select();
   }
-
-  return model;
 };
 
 /**
- * Rather than passing around the custom type constructors, just transform it here from
- * a string.
+ * Close the redis client, used for graceful shutdowns.
  *
- * Handles ObjectId, and Mixed types
- *
- * @method method
+ * @method close
+ * @param {Function} callback
  */
-RedisOdm.prototype.translateSchemaTypes = function (schema) {
-  var ObjectId = this.Mongoose.Schema.Types.ObjectId;
-  var Mixed = this.Mongoose.Schema.Types.Mixed;
-
-  for (var i in schema) {
-    if (schema[i].type === 'OBJECT_ID') {
-      schema[i].type = ObjectId;
-    } else if (schema[i].type === 'MIXED') {
-      schema[i].type = Mixed;
-    } else if (typeof schema[i] === 'Object' && !schema[i].isField) {
-      this.translateSchemaTypes(schema[i]);
-    }
+RedisOdm.prototype.close = function (callback) {
+  if (!this.client) {
+    callback();
+    return;
   }
+
+  this.client.quit(function (err) {
+    callback(err || null);
+  });
+  this.client = null;
 };
 
 /**
- * Provide pseudo-prototype methods to conform mongoose instances to frankenstein's
- * API to avoid the overhead of generating new functions for every model.
- *
+ * @method getClient
+ * @returns {RedisClient} The redis client created by initialize()
  */
-RedisOdm.bridgeMethods = {
-  flushChanges: function (callback) {
-    this.save(callback);
-  },
-  destroy: function (callback) {
-    callback({code: 500, msg: 'Mongo Instance.destroy() NOT YET IMPLEMENTED'});
-  }
-}
+RedisOdm.prototype.getClient = function () {
+  return this.client;
+};
 
 /**
- * Provides a consistent instance API that is in-line with frankenstein's
+ * Build a key from its parts, prefixed with the configured prefix:
+ * key('wedding', 12) returns 'prefix:wedding:12'
  *
- * @method conformMongooseInstanceApiToFrankenstein
+ * @method key
+ * @returns {String}
  */
-RedisOdm.prototype.conformMongooseInstanceApiToFrankenstein = function (schema) {
-  schema.methods.flushChanges = RedisOdm.bridgeMethods.flushChanges;
-  schema.methods.destroy = RedisOdm.bridgeMethods.destroy;
+RedisOdm.prototype.key = function () {
+  var parts = Array.prototype.slice.call(arguments);
+  return this.options.prefix + parts.join(':');
 };
 
-module.exports = RedisOdm;
\ No newline at end of file
+module.exports = RedisOdm;
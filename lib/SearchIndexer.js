@@ -0,0 +1,326 @@
+/*******************************************************************************
+ *
+ * SearchIndexer.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var PromiseAdapter = require('./PromiseAdapter.js');
+
+/**
+ * Pushes documents to a solr core through a SolrClient, either right away or
+ * queued and sent in batches.  Models create one for every SEARCH source with a
+ * `projection`, see AbstractModel.setupSearchIndexing().
+ *
+ * The options are:
+ *
+ * - core: the core to write to, the client's core by default
+ * - queue: true to queue the changes and send them in batches
+ * - batch_size: the number of queued changes that triggers a flush (100)
+ * - flush_interval: milliseconds after which queued changes are flushed (1000)
+ * - commit_within: milliseconds within which solr commits the changes (1000)
+ *
+ * Queued changes are keyed by document id, so only the last change to a document
+ * is sent.  A flush that fails because solr is unavailable puts its changes back
+ * in the queue unless they have changed since.
+ *
+ * @class SearchIndexer
+ * @constructor
+ * @param {SolrClient} client
+ * @param {Object} options
+ */
+var SearchIndexer = function (client, options) {
+  this.options = {
+    core: null,
+    queue: false,
+    batch_size: 100,
+    flush_interval: 1000,
+    commit_within: 1000
+  };
+
+  for (var i in options) {
+    this.options[i] = options[i];
+  }
+
+  this.client = client;
+
+  // Pending changes keyed by document id, and the order they were queued in
+  this.pending = {};
+  this.pendingIds = [];
+  this.timer = null;
+};
+
+/**
+ * The changes that can be queued
+ *
+ * @property ACTIONS
+ * @type Object
+ * @static
+ */
+SearchIndexer.ACTIONS = {
+  ADD: 'add',
+  REMOVE: 'remove'
+};
+
+/**
+ * Report the failure of a flush that nobody is waiting for
+ *
+ * @method logFlushError
+ * @param {Object} err
+ * @static
+ */
+SearchIndexer.logFlushError = function (err) {
+  if (err) {
+    console.error('Failed to flush changes to the search index', err);
+  }
+};
+
+/**
+ * The uniqueKey of the documents in the core
+ *
+ * @method getUniqueKey
+ * @returns {String}
+ */
+SearchIndexer.prototype.getUniqueKey = function () {
+  var search = this.client.options && this.client.options.search;
+  return (search && search.unique_key) || 'id';
+};
+
+/**
+ * The update options passed to the client
+ *
+ * @method getUpdateOptions
+ * @param {Object} options Extra options, e.g. {commit: true}
+ * @returns {Object}
+ */
+SearchIndexer.prototype.getUpdateOptions = function (options) {
+  var updateOptions = {};
+
+  if (this.options.core) {
+    updateOptions.core = this.options.core;
+  }
+
+  if (this.options.commit_within) {
+    updateOptions.commit_within = this.options.commit_within;
+  }
+
+  if (this.options.batch_size) {
+    updateOptions.batch_size = this.options.batch_size;
+  }
+
+  for (var i in options) {
+    updateOptions[i] = options[i];
+  }
+
+  return updateOptions;
+};
+
+/**
+ * Add or replace a document, queued if the indexer queues its changes
+ *
+ * @method add
+ * @param {Object} doc
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+SearchIndexer.prototype.add = function (doc, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
+  if (this.options.queue) {
+    this.enqueue(SearchIndexer.ACTIONS.ADD, doc[this.getUniqueKey()], doc);
+    deferred.callback(null);
+  } else {
+    this.client.add(doc, this.getUpdateOptions(), deferred.callback);
+  }
+
+  return deferred.promise;
+};
+
+/**
+ * Remove a document by id, queued if the indexer queues its changes
+ *
+ * @method remove
+ * @param {String|Number} id
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+SearchIndexer.prototype.remove = function (id, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
+  if (this.options.queue) {
+    this.enqueue(SearchIndexer.ACTIONS.REMOVE, id, null);
+    deferred.callback(null);
+  } else {
+    this.client.deleteById(id, this.getUpdateOptions(), deferred.callback);
+  }
+
+  return deferred.promise;
+};
+
+/**
+ * Queue a change, replacing any pending change to the same document, and flush
+ * once the batch is full or the flush interval has passed
+ *
+ * @method enqueue
+ * @param {String} action One of ACTIONS
+ * @param {String|Number} id
+ * @param {Object} doc
+ */
+SearchIndexer.prototype.enqueue = function (action, id, doc) {
+  var key = String(id);
+
+  if (!this.pending[key]) {
+    this.pendingIds.push(key);
+  }
+
+  this.pending[key] = {action: action, id: id, doc: doc};
+
+  if (this.pendingIds.length >= this.options.batch_size) {
+    this.flush(SearchIndexer.logFlushError);
+  } else {
+    this.scheduleFlush();
+  }
+};
+
+/**
+ * Flush the queue once the flush interval has passed, unless already scheduled
+ *
+ * @method scheduleFlush
+ */
+SearchIndexer.prototype.scheduleFlush = function () {
+  var self = this;
+
+  if (this.timer) {
+    return;
+  }
+
+  this.timer = setTimeout(function () {
+    self.timer = null;
+    self.flush(SearchIndexer.logFlushError);
+  }, this.options.flush_interval);
+
+  // Do not keep the process alive just to flush
+  if (typeof this.timer.unref === 'function') {
+    this.timer.unref();
+  }
+};
+
+/**
+ * The number of queued changes
+ *
+ * @method getPendingCount
+ * @returns {Number}
+ */
+SearchIndexer.prototype.getPendingCount = function () {
+  return this.pendingIds.length;
+};
+
+/**
+ * Send the queued changes, the additions first and then the removals
+ *
+ * @method flush
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+SearchIndexer.prototype.flush = function (callback) {
+  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
+  var batch = this.pending;
+  var ids = this.pendingIds;
+  var docs = [];
+  var removedIds = [];
+  var change;
+
+  if (this.timer) {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  this.pending = {};
+  this.pendingIds = [];
+
+  if (!ids.length) {
+    deferred.callback(null, {count: 0});
+    return deferred.promise;
+  }
+
+  for (var i = 0; i < ids.length; i++) {
+    change = batch[ids[i]];
+
+    if (change.action === SearchIndexer.ACTIONS.ADD) {
+      docs.push(change.doc);
+    } else {
+      removedIds.push(change.id);
+    }
+  }
+
+  var done = function (err) {
+    if (err) {
+      self.requeue(batch, ids, err);
+    }
+
+    deferred.callback(err || null, err ? null : {count: ids.length});
+  };
+
+  var removeDocs = function (err) {
+    if (err) {
+      done(err);
+    } else {
+      self.client.deleteById(removedIds, self.getUpdateOptions(), done);
+    }
+  };
+
+  if (docs.length) {
+    this.client.add(docs, this.getUpdateOptions(), removeDocs);
+  } else {
+    removeDocs(null);
+  }
+
+  return deferred.promise;
+};
+
+/**
+ * Put the changes of a failed flush back in the queue if solr could not be
+ * reached, keeping the changes queued since, and try again after the flush
+ * interval
+ *
+ * @method requeue
+ * @param {Object} batch
+ * @param {Array} ids
+ * @param {Object} err
+ */
+SearchIndexer.prototype.requeue = function (batch, ids, err) {
+  var isRetryable = (typeof err.code !== 'number' || err.code >= 500);
+  var key;
+
+  if (!isRetryable) {
+    return;
+  }
+
+  for (var i = ids.length - 1; i >= 0; i--) {
+    key = ids[i];
+
+    if (!this.pending[key]) {
+      this.pending[key] = batch[key];
+      this.pendingIds.unshift(key);
+    }
+  }
+
+  this.scheduleFlush();
+};
+
+/**
+ * Stop the flush timer, e.g. for graceful shutdowns after a final flush()
+ *
+ * @method close
+ */
+SearchIndexer.prototype.close = function () {
+  if (this.timer) {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+};
+
+module.exports = SearchIndexer;
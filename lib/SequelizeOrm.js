@@ -58,6 +58,92 @@ SequelizeOrm.prototype.initialize = function (callback) {
     .error(callback);
 };
 
+/**
+ * Close the connection pool, used for graceful shutdowns.
+ *
+ * @method close
+ * @param callback
+ */
+SequelizeOrm.prototype.close = function (callback) {
+  var instance = this.sequelizeInstance;
+
+  if (instance) {
+    if (typeof instance.close === 'function') {
+      instance.close();
+    } else if (instance.connectorManager && typeof instance.connectorManager.disconnect === 'function') {
+      // Older versions of sequelize only expose the connector manager
+      instance.connectorManager.disconnect();
+    }
+  }
+
+  this.sequelizeInstance = null;
+  callback();
+};
+
+/**
+ * Start a transaction.  The callback receives the transaction once it has been
+ * opened, pass it as the `transaction` option to the instance operations.  A
+ * transaction that fails to open, reported through the emitter returned by
+ * sequelize, calls back with the error.
+ *
+ * @method beginTransaction
+ * @param callback function (err, transaction)
+ */
+SequelizeOrm.prototype.beginTransaction = function (callback) {
+  var isDone = false;
+  var started;
+
+  var done = function (err, transaction) {
+    if (isDone) {
+      return;
+    }
+
+    isDone = true;
+    callback(err || null, err ? null : transaction);
+  };
+
+  var fail = function (err) {
+    done(err || {code: 500, msg: 'The transaction could not be started', error: 'Internal Server Error'});
+  };
+
+  try {
+    started = this.sequelizeInstance.transaction(function (transaction) {
+      done(null, transaction);
+    });
+  } catch (e) {
+    fail(e);
+    return;
+  }
+
+  if (started && typeof started.error === 'function') {
+    started.error(fail);
+  } else if (started && typeof started.on === 'function') {
+    started.on('error', fail);
+  }
+};
+
+/**
+ * @method commitTransaction
+ * @param transaction
+ * @param callback
+ */
+SequelizeOrm.prototype.commitTransaction = function (transaction, callback) {
+  transaction.commit().complete(function (err) {
+    callback(err || null);
+  });
+};
+
+/**
+ * @method rollbackTransaction
+ * @param transaction
+ * @param callback
+ */
+SequelizeOrm.prototype.rollbackTransaction = function (transaction, callback) {
+  transaction.rollback().complete(function (err) {
+    callback(err || null);
+  });
+};
+
 /**
  * The three standard arguments for a sequelize model definition.
  *
@@ -8,6 +8,8 @@
  ******************************************************************************/
 
 var AbstractSource = require('./AbstractSource');
+var PromiseAdapter = require('./PromiseAdapter');
+var QUERY_OPERATORS = require('./QueryOperators');
 
 
 /**
@@ -41,7 +43,9 @@ var Client = function (connOptions, searchOptions, http, buffer) {
       format: 'json',    // Default to JSON as the response format
       rows: 25,          // Default page size
       parser: 'lucene',   // Default parser to use 'defType' param
-      facet_mincount: 1
+      facet_mincount: 1,
+      update_handler: 'update', // Handler that documents are sent to
+      unique_key: 'id'          // The uniqueKey field of the schema
     }
   };
 
@@ -79,6 +83,17 @@ Client.prototype.initialize = function () {
   //this.agent.maxSockets = this.options.conn.max_sockets;
 };
 
+/**
+ * Nothing to tear down since connection pooling is disabled, but conform to the
+ * connection API used for graceful shutdowns.
+ *
+ * @method close
+ */
+Client.prototype.close = function (callback) {
+  this.agent = null;
+  callback();
+};
+
 Client.prototype.parseQuery = function (params, queryParserType) {
   queryParserType = queryParserType || 'edismax';
 
@@ -128,22 +143,56 @@ Client.prototype.parse.edismax = function (params) {
 
 /**
  * Accept plain query strings for the lucene parser because the format is too
- * complicated to parse properly.
+ * complicated to parse properly.  Operator objects and $and/$or groups are
+ * rendered as range, wildcard and boolean clauses.
  *
  * @method parse.lucene
  */
 Client.prototype.parse.lucene = function (params) {
-  var query = '';
-  var field;
+  var query = Client.buildLuceneClauses(params).join(' ');
+  return encodeURIComponent(query);
+};
+
+/**
+ * Render each of the query parameters as a lucene clause.
+ *
+ * @method buildLuceneClauses
+ * @param {Object} params
+ * @returns {Array}
+ * @static
+ */
+Client.buildLuceneClauses = function (params) {
+  var clauses = [];
+  var branches;
   var value;
+  var j;
 
   for (var i in params) {
     if (i === 'null') {
       continue;
     }
 
-    field = i;
-    value = params[i] || '';
+    value = params[i];
+
+    if (QUERY_OPERATORS.isLogicalKey(i)) {
+      branches = [];
+      for (j = 0; j < value.length; j++) {
+        branches.push('(' + (Client.buildLuceneClauses(value[j]).join(' AND ') || '*:*') + ')');
+      }
+
+      if (branches.length) {
+        clauses.push('(' + branches.join((i === QUERY_OPERATORS.OR) ? ' OR ' : ' AND ') + ')');
+      }
+
+      continue;
+    }
+
+    if (QUERY_OPERATORS.isOperatorObject(value)) {
+      clauses.push(Client.buildLuceneCondition(i, value));
+      continue;
+    }
+
+    value = value || '';
 
     // Always add double quotes around a value to mark it as a phrase
     if (typeof value === 'string' && value.indexOf(' ') !== -1 && !/\(|\)/.test(value)) {
@@ -152,12 +201,117 @@ Client.prototype.parse.lucene = function (params) {
       value = '[' + value[0] + ' TO ' + value[1] + ']';
     }
 
-    query += i + ':' + value + ' ';
+    clauses.push(i + ':' + value);
   }
 
-  query = query.trim();
+  return clauses;
+};
 
-  return encodeURIComponent(query);
+/**
+ * Render an operator object for a single field as a lucene clause.  Negations
+ * are anchored to *:* so that they also work inside of a group.
+ *
+ * @method buildLuceneCondition
+ * @param {String} field
+ * @param {Object} operators
+ * @returns {String}
+ * @static
+ */
+Client.buildLuceneCondition = function (field, operators) {
+  var clauses = [];
+  var values;
+  var operand;
+  var j;
+
+  for (var i in operators) {
+    operand = operators[i];
+
+    switch (i) {
+      case QUERY_OPERATORS.GT:
+        clauses.push(field + ':{' + Client.formatLuceneValue(operand) + ' TO *}');
+        break;
+      case QUERY_OPERATORS.GTE:
+        clauses.push(field + ':[' + Client.formatLuceneValue(operand) + ' TO *]');
+        break;
+      case QUERY_OPERATORS.LT:
+        clauses.push(field + ':{* TO ' + Client.formatLuceneValue(operand) + '}');
+        break;
+      case QUERY_OPERATORS.LTE:
+        clauses.push(field + ':[* TO ' + Client.formatLuceneValue(operand) + ']');
+        break;
+      case QUERY_OPERATORS.BETWEEN:
+        clauses.push(
+          field + ':[' + Client.formatLuceneValue(operand[0]) + ' TO ' + Client.formatLuceneValue(operand[1]) + ']'
+        );
+        break;
+      case QUERY_OPERATORS.NE:
+        clauses.push(
+          (operand === null) ? field + ':[* TO *]' : '(*:* -' + field + ':' + Client.formatLuceneValue(operand) + ')'
+        );
+        break;
+      case QUERY_OPERATORS.IN:
+      case QUERY_OPERATORS.NIN:
+        values = [];
+        for (j = 0; j < operand.length; j++) {
+          values.push(Client.formatLuceneValue(operand[j]));
+        }
+
+        // An empty list matches nothing for $in and everything for $nin
+        if (!values.length) {
+          clauses.push((i === QUERY_OPERATORS.IN) ? '(*:* -*:*)' : '*:*');
+        } else if (i === QUERY_OPERATORS.IN) {
+          clauses.push(field + ':(' + values.join(' OR ') + ')');
+        } else {
+          clauses.push('(*:* -' + field + ':(' + values.join(' OR ') + '))');
+        }
+        break;
+      case QUERY_OPERATORS.LIKE:
+        clauses.push(field + ':' + Client.escapeLuceneTerm(operand).replace(/%/g, '*').replace(/_/g, '?'));
+        break;
+      case QUERY_OPERATORS.PREFIX:
+        clauses.push(field + ':' + Client.escapeLuceneTerm(operand) + '*');
+        break;
+      case QUERY_OPERATORS.NULL:
+        clauses.push(operand ? '(*:* -' + field + ':[* TO *])' : field + ':[* TO *]');
+        break;
+    }
+  }
+
+  return (clauses.length === 1) ? clauses[0] : '(' + clauses.join(' AND ') + ')';
+};
+
+/**
+ * Format an operand as a lucene term.  Numbers are used as-is, everything else
+ * is quoted so that spaces, colons (dates) and other syntax are taken literally.
+ *
+ * @method formatLuceneValue
+ * @param {*} value
+ * @returns {String}
+ * @static
+ */
+Client.formatLuceneValue = function (value) {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+
+  if (value instanceof Date) {
+    value = value.toISOString();
+  }
+
+  return '"' + String(value).replace(/(["\\])/g, '\\$1') + '"';
+};
+
+/**
+ * Escape the lucene syntax characters in a term that cannot be quoted because
+ * it is used with wildcards.
+ *
+ * @method escapeLuceneTerm
+ * @param {String} term
+ * @returns {String}
+ * @static
+ */
+Client.escapeLuceneTerm = function (term) {
+  return String(term).replace(/[+\-!(){}\[\]^"~*?:\\\/&| ]/g, '\\$&');
 };
 
 /**
@@ -191,7 +345,7 @@ Client.prototype.generateQueryHttpOptions = function (query, filterQuery, option
     queryParams.push('facet.mincount=' + mincount)
 
     // Add the facet sort direction
-    var sort = options.sort || this.options.search.facet_sort;
+    var sort = (typeof options.sort === 'string') ? options.sort : this.options.search.facet_sort;
     if (sort && (sort === 'index' || sort === 'count')) {
       queryParams.push('facet.sort=' + sort);
     }
@@ -199,6 +353,28 @@ Client.prototype.generateQueryHttpOptions = function (query, filterQuery, option
     queryParams.push('rows=' + limit);
   }
 
+  if (options.cursor && options.cursorMark) {
+    queryParams = queryParams.concat(this.generateCursorQueryParams(options));
+  } else if (options.sortFields && options.sortFields.length) {
+    queryParams = queryParams.concat(Client.encodeQueryParams({sort: Client.renderSort(options.sortFields)}));
+  }
+
+  if (options.facetParams) {
+    queryParams = queryParams.concat(this.generateFacetQueryParams(options.facetParams));
+  }
+
+  if (options.highlightParams) {
+    queryParams = queryParams.concat(Client.generateHighlightQueryParams(options.highlightParams));
+  }
+
+  if (options.spellcheck) {
+    queryParams = queryParams.concat(Client.generateSpellcheckQueryParams(options.spellcheck));
+  }
+
+  if (options.suggest) {
+    queryParams = queryParams.concat(Client.generateSuggestQueryParams(options.suggest));
+  }
+
   path += queryParams.join('&');
 
   var httpOptions = {
@@ -216,6 +392,479 @@ Client.prototype.generateQueryHttpOptions = function (query, filterQuery, option
   return httpOptions;
 };
 
+/**
+ * Render sort fields as the `sort` parameter, e.g. `date desc,id asc`
+ *
+ * @method renderSort
+ * @param {Array} sortFields [{field, order}]
+ * @returns {String}
+ * @static
+ */
+Client.renderSort = function (sortFields) {
+  var parts = [];
+
+  for (var i = 0; i < sortFields.length; i++) {
+    parts.push(sortFields[i].field + ' ' + String(sortFields[i].order || 'ASC').toLowerCase());
+  }
+
+  return parts.join(',');
+};
+
+/**
+ * Render the cursorMark of a deep paging scan.  Solr requires a sort that ends
+ * on the uniqueKey, the relevance score is used unless a `sort` or `sort_field`
+ * was given.
+ *
+ * @method generateCursorQueryParams
+ * @param {Object} options
+ * @returns {Array}
+ */
+Client.prototype.generateCursorQueryParams = function (options) {
+  var uniqueKey = this.options.search.unique_key;
+  var sortFields = (options.sortFields && options.sortFields.length) ? options.sortFields : null;
+  var hasKey = false;
+  var sort;
+
+  if (!sortFields && options.sort_field) {
+    sortFields = [{field: options.sortField, order: options.sortOrder}];
+  }
+
+  if (sortFields) {
+    sort = Client.renderSort(sortFields);
+
+    for (var i = 0; i < sortFields.length; i++) {
+      hasKey = hasKey || sortFields[i].field === uniqueKey;
+    }
+  } else {
+    sort = 'score desc';
+  }
+
+  if (!hasKey) {
+    sort += ',' + uniqueKey + ' asc';
+  }
+
+  return Client.encodeQueryParams({cursorMark: options.cursorMark, sort: sort});
+};
+
+/**
+ * Solr continues deep paging scans with a cursorMark
+ *
+ * @method supportsCursor
+ * @returns {Boolean}
+ */
+Client.prototype.supportsCursor = function () {
+  return true;
+};
+
+/**
+ * Render the facets requested alongside a search.  The field names are the
+ * source's (solr) field names:
+ *
+ * ```
+ * {
+ *   fields: ['city_s', 'style_s'],
+ *   ranges: {price_f: {start: 0, end: 10000, gap: 1000, other: 'all'}},
+ *   queries: {cheap: 'price_f:[* TO 1000]'},
+ *   pivots: [['city_s', 'style_s']],
+ *   limit: 10, mincount: 1, sort: 'count'
+ * }
+ * ```
+ *
+ * @method generateFacetQueryParams
+ * @param {Object} facets
+ * @returns {Array} Encoded query string parameters
+ */
+Client.prototype.generateFacetQueryParams = function (facets) {
+  var queryParams = ['facet=true'];
+  var mincount = (typeof facets.mincount !== 'undefined') ? facets.mincount : this.options.search.facet_mincount;
+  var range;
+  var i;
+  var j;
+
+  var addParam = function (name, value) {
+    if (value instanceof Date) {
+      value = value.toISOString();
+    }
+
+    queryParams.push(name + '=' + encodeURIComponent(value));
+  };
+
+  if (typeof facets.limit !== 'undefined') {
+    addParam('facet.limit', facets.limit);
+  }
+
+  if (typeof mincount !== 'undefined') {
+    addParam('facet.mincount', mincount);
+  }
+
+  if (facets.sort === 'index' || facets.sort === 'count') {
+    addParam('facet.sort', facets.sort);
+  }
+
+  for (i = 0; i < (facets.fields || []).length; i++) {
+    addParam('facet.field', facets.fields[i]);
+  }
+
+  for (i in facets.ranges) {
+    range = facets.ranges[i];
+    addParam('facet.range', i);
+
+    for (j in Client.RANGE_FACET_PARAMS) {
+      if (typeof range[j] !== 'undefined' && range[j] !== null) {
+        addParam('f.' + i + '.facet.range.' + Client.RANGE_FACET_PARAMS[j], range[j]);
+      }
+    }
+  }
+
+  // The key names the count of each query in the response
+  for (i in facets.queries) {
+    addParam('facet.query', '{!key=' + i + '}' + facets.queries[i]);
+  }
+
+  for (i = 0; i < (facets.pivots || []).length; i++) {
+    addParam('facet.pivot', [].concat(facets.pivots[i]).join(','));
+  }
+
+  return queryParams;
+};
+
+/**
+ * The options of a range facet and the solr parameters they are sent as
+ *
+ * @property RANGE_FACET_PARAMS
+ * @type Object
+ * @static
+ */
+Client.RANGE_FACET_PARAMS = {
+  start: 'start',
+  end: 'end',
+  gap: 'gap',
+  hard_end: 'hardend',
+  other: 'other',
+  include: 'include'
+};
+
+/**
+ * Turn the `facet_counts` of a solr response into structured facet data, keyed
+ * by the solr field names:
+ *
+ * ```
+ * {
+ *   fields: {city_s: [{value: 'NYC', count: 12}]},
+ *   ranges: {price_f: {counts: [{value: 0, count: 4}], start: 0, end: 10000, gap: 1000, before: 0}},
+ *   queries: {cheap: 4},
+ *   pivots: {'city_s,style_s': [{field: 'city_s', value: 'NYC', count: 12, pivot: [...]}]}
+ * }
+ * ```
+ *
+ * @method parseFacetCounts
+ * @param {Object} facetCounts
+ * @returns {Object}
+ * @static
+ */
+Client.parseFacetCounts = function (facetCounts) {
+  var facets = {fields: {}, ranges: {}, queries: {}, pivots: {}};
+  var range;
+  var i;
+  var j;
+
+  facetCounts = facetCounts || {};
+
+  for (i in facetCounts.facet_fields) {
+    facets.fields[i] = Client.parseFacetValueCounts(facetCounts.facet_fields[i]);
+  }
+
+  for (i in facetCounts.facet_ranges) {
+    range = facetCounts.facet_ranges[i];
+    facets.ranges[i] = {counts: Client.parseFacetValueCounts(range.counts)};
+
+    for (j in range) {
+      if (j !== 'counts') {
+        facets.ranges[i][j] = range[j];
+      }
+    }
+  }
+
+  for (i in facetCounts.facet_queries) {
+    facets.queries[i] = facetCounts.facet_queries[i];
+  }
+
+  for (i in facetCounts.facet_pivot) {
+    facets.pivots[i] = facetCounts.facet_pivot[i];
+  }
+
+  return facets;
+};
+
+/**
+ * Solr returns facet counts as a flat list alternating between the values and
+ * their counts, turn it into a list of {value, count}
+ *
+ * @method parseFacetValueCounts
+ * @param {Array} list
+ * @returns {Array}
+ * @static
+ */
+Client.parseFacetValueCounts = function (list) {
+  var counts = [];
+
+  for (var i = 0; list && i < list.length - 1; i += 2) {
+    counts.push({value: list[i], count: list[i + 1]});
+  }
+
+  return counts;
+};
+
+/**
+ * Encode query string parameters, skipping the ones without a value
+ *
+ * @method encodeQueryParams
+ * @param {Object} params
+ * @returns {Array}
+ * @static
+ */
+Client.encodeQueryParams = function (params) {
+  var queryParams = [];
+
+  for (var i in params) {
+    if (typeof params[i] !== 'undefined' && params[i] !== null) {
+      queryParams.push(i + '=' + encodeURIComponent(params[i]));
+    }
+  }
+
+  return queryParams;
+};
+
+// HIGHLIGHTING, SPELLCHECK AND SUGGESTIONS ====================================
+
+/**
+ * Render the highlighting of a search.  The field names are the source's (solr)
+ * field names:
+ *
+ * ```
+ * {fields: ['name_t'], snippets: 2, fragment_size: 120, pre: '<em>', post: '</em>'}
+ * ```
+ *
+ * @method generateHighlightQueryParams
+ * @param {Object} highlight
+ * @returns {Array}
+ * @static
+ */
+Client.generateHighlightQueryParams = function (highlight) {
+  return Client.encodeQueryParams({
+    'hl': 'true',
+    'hl.fl': (highlight.fields || []).join(','),
+    'hl.snippets': highlight.snippets,
+    'hl.fragsize': highlight.fragment_size,
+    'hl.simple.pre': highlight.pre,
+    'hl.simple.post': highlight.post
+  });
+};
+
+/**
+ * Render the spellcheck of a search, `true` for the defaults of the handler or:
+ *
+ * ```
+ * {query: 'barn weding', count: 5, collate: true, max_collations: 3, dictionary: 'default'}
+ * ```
+ *
+ * Collations are requested by default and are only returned when their query
+ * has hits.
+ *
+ * @method generateSpellcheckQueryParams
+ * @param {Object|Boolean} spellcheck
+ * @returns {Array}
+ * @static
+ */
+Client.generateSpellcheckQueryParams = function (spellcheck) {
+  spellcheck = (typeof spellcheck === 'object') ? spellcheck : {};
+
+  return Client.encodeQueryParams({
+    'spellcheck': 'true',
+    'spellcheck.q': spellcheck.query,
+    'spellcheck.count': spellcheck.count,
+    'spellcheck.dictionary': spellcheck.dictionary,
+    'spellcheck.collate': (spellcheck.collate === false) ? 'false' : 'true',
+    'spellcheck.maxCollations': spellcheck.max_collations,
+    'spellcheck.maxCollationTries': spellcheck.max_collation_tries,
+    'spellcheck.collateExtendedResults': 'true'
+  });
+};
+
+/**
+ * Render the suggester request of a search:
+ *
+ * ```
+ * {query: 'bar', dictionary: 'venueSuggester', count: 5}
+ * ```
+ *
+ * @method generateSuggestQueryParams
+ * @param {Object} suggest
+ * @returns {Array}
+ * @static
+ */
+Client.generateSuggestQueryParams = function (suggest) {
+  return Client.encodeQueryParams({
+    'suggest': 'true',
+    'suggest.q': suggest.query,
+    'suggest.dictionary': suggest.dictionary,
+    'suggest.count': suggest.count
+  });
+};
+
+/**
+ * Read a named list of a response, which solr returns either as an object or as
+ * a flat list alternating between the names and their values
+ *
+ * @method parseNamedList
+ * @param {Object|Array} list
+ * @returns {Array} [{name, value}]
+ * @static
+ */
+Client.parseNamedList = function (list) {
+  var entries = [];
+  var i;
+
+  if (list instanceof Array) {
+    for (i = 0; i < list.length - 1; i += 2) {
+      entries.push({name: list[i], value: list[i + 1]});
+    }
+  } else {
+    for (i in list) {
+      entries.push({name: i, value: list[i]});
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Turn the `spellcheck` section of a solr response into:
+ *
+ * ```
+ * {
+ *   correctly_spelled: false,
+ *   suggestions: {weding: [{word: 'wedding', freq: 120}]},
+ *   collations: [{query: 'barn wedding', hits: 42, corrections: {weding: 'wedding'}}]
+ * }
+ * ```
+ *
+ * @method parseSpellcheck
+ * @param {Object} spellcheck
+ * @returns {Object}
+ * @static
+ */
+Client.parseSpellcheck = function (spellcheck) {
+  var result = {correctly_spelled: null, suggestions: {}, collations: []};
+  var entries;
+  var entry;
+  var words;
+  var i;
+  var j;
+
+  spellcheck = spellcheck || {};
+
+  if (typeof spellcheck.correctlySpelled !== 'undefined') {
+    result.correctly_spelled = spellcheck.correctlySpelled;
+  }
+
+  entries = Client.parseNamedList(spellcheck.suggestions);
+
+  for (i = 0; i < entries.length; i++) {
+    entry = entries[i];
+
+    // Older versions report these among the suggestions
+    if (entry.name === 'correctlySpelled') {
+      result.correctly_spelled = entry.value;
+      continue;
+    }
+
+    if (entry.name === 'collation') {
+      result.collations.push(Client.parseCollation(entry.value));
+      continue;
+    }
+
+    if (!entry.value || typeof entry.value !== 'object') {
+      continue;
+    }
+
+    words = [];
+
+    for (j = 0; j < (entry.value.suggestion || []).length; j++) {
+      words.push(
+        (typeof entry.value.suggestion[j] === 'string') ?
+          {word: entry.value.suggestion[j], freq: null} :
+          {word: entry.value.suggestion[j].word, freq: entry.value.suggestion[j].freq}
+      );
+    }
+
+    result.suggestions[entry.name] = words;
+  }
+
+  entries = Client.parseNamedList(spellcheck.collations);
+
+  for (i = 0; i < entries.length; i++) {
+    result.collations.push(Client.parseCollation(entries[i].value));
+  }
+
+  return result;
+};
+
+/**
+ * @method parseCollation
+ * @param {String|Object} collation A query, or its extended results
+ * @returns {Object} {query, hits, corrections}
+ * @static
+ */
+Client.parseCollation = function (collation) {
+  var corrections = {};
+  var words;
+
+  if (typeof collation === 'string') {
+    return {query: collation, hits: null, corrections: corrections};
+  }
+
+  words = Client.parseNamedList(collation.misspellingsAndCorrections);
+
+  for (var i = 0; i < words.length; i++) {
+    corrections[words[i].name] = words[i].value;
+  }
+
+  return {query: collation.collationQuery, hits: collation.hits, corrections: corrections};
+};
+
+/**
+ * Turn the `suggest` section of a solr response into the suggestions of each
+ * dictionary: {venueSuggester: [{term: 'barn', weight: 12, payload: ''}]}
+ *
+ * @method parseSuggest
+ * @param {Object} suggest
+ * @returns {Object}
+ * @static
+ */
+Client.parseSuggest = function (suggest) {
+  var result = {};
+  var suggestions;
+
+  for (var dictionary in suggest) {
+    result[dictionary] = [];
+
+    for (var query in suggest[dictionary]) {
+      suggestions = suggest[dictionary][query].suggestions || [];
+
+      for (var i = 0; i < suggestions.length; i++) {
+        result[dictionary].push({
+          term: suggestions[i].term,
+          weight: suggestions[i].weight,
+          payload: suggestions[i].payload
+        });
+      }
+    }
+  }
+
+  return result;
+};
+
 /**
  * Generate the http options specifically for a solr import action
  *
@@ -257,7 +906,7 @@ Client.prototype.generateCommandHttpOptions = function (core, command, clean, co
  * @method count
  */
 Client.prototype.count = function (params, options, callback) {
-  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
   var query = this.parseQuery(params, this.options.search.parser);
 
   var optionsCopy = {};
@@ -279,33 +928,9 @@ Client.prototype.count = function (params, options, callback) {
   };
   console.debug("Solr COUNT:", JSON.stringify(debugOptions));
 
-  // Make the HTTP request
-  var request = this.http.request(
-    httpOptions,
-    this.generateRequestCallback(function (err, data) {
-      if (err) {
-        callback(err);
-      } else {
-        self.formatData('count', data, callback);
-      }
-    })
-  );
-
-  // Setup an aggresive socket timeout to prevent node from hanging and varnish
-  // from hanging as well.  This allows the app to specify better behaviors rather
-  // than just going to the 500 page
-  request.on('socket', function (socket) {
-    socket.setTimeout(self.options.conn.socket_timeout);
-    socket.on('timeout', function () {
-      request.abort();
-    });
-  });
-
-  request.on('error', function (err) {
-    callback(err);
-  });
+  this.sendRequest(httpOptions, null, 'count', deferred.callback);
 
-  request.end();
+  return deferred.promise;
 };
 
 /**
@@ -314,7 +939,7 @@ Client.prototype.count = function (params, options, callback) {
  * @method list
  */
 Client.prototype.list = function (params, options, callback) {
-  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
   var query = this.parseQuery(params.q, this.options.search.parser);
 
   var filterQuery = this.parseQuery(params.fq, 'lucene');
@@ -330,33 +955,9 @@ Client.prototype.list = function (params, options, callback) {
   };
   console.debug("Solr LIST:", JSON.stringify(debugOptions));
 
-  // Make the HTTP request
-  var request = this.http.request(
-    httpOptions,
-    this.generateRequestCallback(function (err, data) {
-      if (err) {
-        callback(err);
-      } else {
-        self.formatData('list', data, callback);
-      }
-    })
-  );
-
-  // Setup an aggresive socket timeout to prevent node from hanging and varnish
-  // from hanging as well.  This allows the app to specify better behaviors rather
-  // than just going to the 500 page
-  request.on('socket', function (socket) {
-    socket.setTimeout(self.options.conn.socket_timeout);
-    socket.on('timeout', function () {
-      request.abort();
-    });
-  });
-
-  request.on('error', function (err) {
-    callback(err);
-  });
+  this.sendRequest(httpOptions, null, 'list', deferred.callback);
 
-  request.end();
+  return deferred.promise;
 };
 
 /**
@@ -366,7 +967,7 @@ Client.prototype.list = function (params, options, callback) {
  * @method import
  */
 Client.prototype.import = function (core, command, clean, commit, callback) {
-  var self = this;
+  var deferred = PromiseAdapter.defer(callback);
   var httpOptions = this.generateCommandHttpOptions(core, command, clean, commit);
 
   // Create a nice debugging output
@@ -377,14 +978,48 @@ Client.prototype.import = function (core, command, clean, commit, callback) {
   };
   console.debug("Solr IMPORT:", JSON.stringify(debugOptions));
 
+  this.sendRequest(httpOptions, null, 'import', deferred.callback);
+
+  return deferred.promise;
+};
+
+/**
+ * Make an HTTP request to solr and format the response.  Every request shares the
+ * connection options, auth and socket timeout handling.
+ *
+ * @method sendRequest
+ * @param {Object} httpOptions
+ * @param {String} body Optional, a JSON request body
+ * @param {String} resultType list, count, import or update, see formatData()
+ * @param {Function} callback
+ */
+Client.prototype.sendRequest = function (httpOptions, body, resultType, callback) {
+  var self = this;
+  var isCallbackCalled = false;
+
+  var done = function (err, data) {
+    if (!isCallbackCalled) {
+      isCallbackCalled = true;
+      callback(err, data);
+    }
+  };
+
+  if (body !== null && typeof body !== 'undefined') {
+    httpOptions.method = 'POST';
+    httpOptions.headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': this.Buffer ? this.Buffer.byteLength(body) : body.length
+    };
+  }
+
   // Make the HTTP request
   var request = this.http.request(
     httpOptions,
     this.generateRequestCallback(function (err, data) {
       if (err) {
-        callback(err);
+        done(err);
       } else {
-        self.formatData('import', data, callback);
+        self.formatData(resultType, data, done);
       }
     })
   );
@@ -400,9 +1035,13 @@ Client.prototype.import = function (core, command, clean, commit, callback) {
   });
 
   request.on('error', function (err) {
-    callback(err);
+    done(err);
   });
 
+  if (body !== null && typeof body !== 'undefined') {
+    request.write(body);
+  }
+
   request.end();
 };
 
@@ -439,8 +1078,8 @@ Client.prototype.generateRequestCallback = function (callback) {
       }
 
       if (response.statusCode !== 200) {
-        console.debug('Solr client error ', response.statusCode, data.toString());
-        callback({msg: 'Response was not 200, got: ' + response.statusCode});
+        console.debug('Solr client error ', response.statusCode, data ? data.toString() : '');
+        callback({code: response.statusCode, msg: 'Response was not 200, got: ' + response.statusCode});
       } else {
         callback(null, data);
       }
@@ -478,4 +1117,359 @@ Client.prototype.formatData = function (resultType, buffer, callback) {
   }
 };
 
+// INDEXING ====================================================================
+
+/**
+ * The atomic update operations that can be applied to a field
+ *
+ * @property ATOMIC_OPERATIONS
+ * @type Array
+ * @static
+ */
+Client.ATOMIC_OPERATIONS = ['set', 'add', 'inc', 'remove'];
+
+/**
+ * Generate the http options for a request to the update handler.  The options
+ * control when the changes become visible:
+ *
+ * - commit: hard commit once the request is done
+ * - soft_commit: soft commit (visible to searches, not flushed to disk)
+ * - commit_within: milliseconds within which solr commits on its own
+ * - overwrite: false to skip the uniqueKey check when adding documents
+ * - core: a core other than the configured one
+ *
+ * @method generateUpdateHttpOptions
+ * @param {Object} options
+ * @returns {Object}
+ */
+Client.prototype.generateUpdateHttpOptions = function (options) {
+  var core = options.core || this.options.search.core;
+  var path = '/solr/' + core + '/' + this.options.search.update_handler + '?';
+  var queryParams = ['wt=json'];
+
+  if (options.commit) {
+    queryParams.push('commit=true');
+  } else if (options.soft_commit) {
+    queryParams.push('softCommit=true');
+  }
+
+  if (options.commit_within) {
+    queryParams.push('commitWithin=' + parseInt(options.commit_within, 10));
+  }
+
+  if (options.overwrite === false) {
+    queryParams.push('overwrite=false');
+  }
+
+  path += queryParams.join('&');
+
+  var httpOptions = {
+    host: this.options.conn.host,
+    port: this.options.conn.port,
+    path: path,
+    agent: this.agent
+  };
+
+  // Add basic auth headers if it exists
+  if (this.options.conn.user && this.options.conn.pass) {
+    httpOptions.auth = this.options.conn.user + ':' + this.options.conn.pass;
+  }
+
+  return httpOptions;
+};
+
+/**
+ * Send a JSON body to the update handler
+ *
+ * @method update
+ * @param {String} label Used for the debugging output
+ * @param {Object|Array} body
+ * @param {Object} options See generateUpdateHttpOptions()
+ * @param {Function} callback
+ */
+Client.prototype.update = function (label, body, options, callback) {
+  var httpOptions = this.generateUpdateHttpOptions(options || {});
+
+  // Create a nice debugging output
+  var debugOptions = {
+    host: httpOptions.host,
+    port: httpOptions.port,
+    path: httpOptions.path
+  };
+  console.debug("Solr " + label + ":", JSON.stringify(debugOptions));
+
+  this.sendRequest(httpOptions, JSON.stringify(body), 'update', callback);
+};
+
+/**
+ * Send documents to the update handler in batches of `batch_size` (500 by
+ * default), one batch at a time.  Stops at the first batch that fails.
+ *
+ * @method sendDocuments
+ * @param {String} label
+ * @param {Array} documents
+ * @param {Object} options
+ * @param {Function} callback Called with {count, batches}
+ */
+Client.prototype.sendDocuments = function (label, documents, options, callback) {
+  var self = this;
+  var batchSize = parseInt(options.batch_size, 10) || 500;
+  var batches = Math.ceil(documents.length / batchSize);
+  var index = 0;
+
+  var next = function (err) {
+    var batch;
+
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (index >= batches) {
+      callback(null, {count: documents.length, batches: batches});
+      return;
+    }
+
+    batch = documents.slice(index * batchSize, (index + 1) * batchSize);
+    index++;
+
+    // Only commit once every batch has been sent
+    self.update(label, batch, (index === batches) ? options : Client.withoutCommit(options), next);
+  };
+
+  next();
+};
+
+/**
+ * Copy update options without the commit settings, commitWithin is kept since
+ * solr applies it to every batch anyway
+ *
+ * @method withoutCommit
+ * @param {Object} options
+ * @returns {Object}
+ * @static
+ */
+Client.withoutCommit = function (options) {
+  var copy = {};
+
+  for (var i in options) {
+    if (i !== 'commit' && i !== 'soft_commit') {
+      copy[i] = options[i];
+    }
+  }
+
+  return copy;
+};
+
+/**
+ * Check that every document has a value for the uniqueKey
+ *
+ * @method validateDocuments
+ * @param {Array} documents
+ * @returns {Object} A 400 error for the first invalid document, null if valid
+ */
+Client.prototype.validateDocuments = function (documents) {
+  var uniqueKey = this.options.search.unique_key;
+  var doc;
+
+  for (var i = 0; i < documents.length; i++) {
+    doc = documents[i];
+
+    if (!doc || typeof doc !== 'object' || doc[uniqueKey] === null || typeof doc[uniqueKey] === 'undefined') {
+      return {code: 400, msg: 'Solr document ' + i + ' is missing its ' + uniqueKey, error: 'Bad Request'};
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Add or replace documents in the index
+ *
+ * ```
+ * client.add([{id: 1, title: 'Barn wedding'}], {commit_within: 1000}, callback);
+ * ```
+ *
+ * @method add
+ * @param {Array|Object} documents
+ * @param {Object} options See generateUpdateHttpOptions(), and batch_size
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+Client.prototype.add = function (documents, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var err;
+
+  documents = [].concat(documents || []);
+  err = this.validateDocuments(documents);
+
+  if (err) {
+    deferred.callback(err);
+  } else {
+    this.sendDocuments('ADD', documents, options || {}, deferred.callback);
+  }
+
+  return deferred.promise;
+};
+
+/**
+ * Update fields of indexed documents in place with atomic operations.  Each
+ * document has its uniqueKey and an operation for each field it changes:
+ *
+ * ```
+ * client.atomicUpdate([
+ *   {id: 1, title: {set: 'Barn wedding'}, views: {inc: 1}, tags: {add: 'rustic'}}
+ * ], {soft_commit: true}, callback);
+ * ```
+ *
+ * The fields must be stored in the schema for solr to rebuild the documents.
+ *
+ * @method atomicUpdate
+ * @param {Array|Object} documents
+ * @param {Object} options See generateUpdateHttpOptions(), and batch_size
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+Client.prototype.atomicUpdate = function (documents, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var uniqueKey = this.options.search.unique_key;
+  var operations;
+  var err;
+  var i;
+  var j;
+
+  documents = [].concat(documents || []);
+  err = this.validateDocuments(documents);
+
+  for (i = 0; i < documents.length && !err; i++) {
+    for (j in documents[i]) {
+      if (j === uniqueKey) {
+        continue;
+      }
+
+      operations = documents[i][j];
+
+      if (!Client.isAtomicOperation(operations)) {
+        err = {
+          code: 400,
+          msg: 'Invalid atomic update for ' + j + ', use one of: ' + Client.ATOMIC_OPERATIONS.join(', '),
+          error: 'Bad Request'
+        };
+        break;
+      }
+    }
+  }
+
+  if (err) {
+    deferred.callback(err);
+  } else {
+    this.sendDocuments('ATOMIC UPDATE', documents, options || {}, deferred.callback);
+  }
+
+  return deferred.promise;
+};
+
+/**
+ * Whether a field value is an object of atomic update operations
+ *
+ * @method isAtomicOperation
+ * @param {*} value
+ * @returns {Boolean}
+ * @static
+ */
+Client.isAtomicOperation = function (value) {
+  var keys;
+
+  if (!value || typeof value !== 'object' || value instanceof Array) {
+    return false;
+  }
+
+  keys = Object.keys(value);
+
+  for (var i = 0; i < keys.length; i++) {
+    if (Client.ATOMIC_OPERATIONS.indexOf(keys[i]) === -1) {
+      return false;
+    }
+  }
+
+  return keys.length > 0;
+};
+
+/**
+ * Delete documents by their uniqueKey
+ *
+ * @method deleteById
+ * @param {Array|String} ids
+ * @param {Object} options See generateUpdateHttpOptions()
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+Client.prototype.deleteById = function (ids, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
+  ids = [].concat(ids || []).map(String);
+
+  if (ids.length === 0) {
+    deferred.callback(null, {count: 0});
+    return deferred.promise;
+  }
+
+  this.update('DELETE', {"delete": ids}, options, function (err) {
+    deferred.callback(err, err ? null : {count: ids.length});
+  });
+
+  return deferred.promise;
+};
+
+/**
+ * Delete the documents matching a query.  The query is a lucene query string or
+ * query params rendered like the `fq` of a search.  An empty query is refused so
+ * that the index is not wiped by accident, pass '*:*' to delete everything.
+ *
+ * @method deleteByQuery
+ * @param {String|Object} query
+ * @param {Object} options See generateUpdateHttpOptions()
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+Client.prototype.deleteByQuery = function (query, options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+
+  if (query && typeof query === 'object') {
+    query = Client.buildLuceneClauses(query).join(' AND ');
+  }
+
+  if (!query) {
+    deferred.callback({code: 400, msg: 'Refusing to delete from solr without a query', error: 'Bad Request'});
+    return deferred.promise;
+  }
+
+  this.update('DELETE', {"delete": {"query": query}}, options, deferred.callback);
+
+  return deferred.promise;
+};
+
+/**
+ * Commit the pending changes, a soft commit with `{soft: true}`
+ *
+ * @method commit
+ * @param {Object} options soft, and core
+ * @param {Function} callback Optional, a promise is returned without it
+ * @returns {Promise}
+ */
+Client.prototype.commit = function (options, callback) {
+  var deferred = PromiseAdapter.defer(callback);
+  var opts = {core: options && options.core};
+
+  if (options && options.soft) {
+    opts.soft_commit = true;
+  } else {
+    opts.commit = true;
+  }
+
+  this.update('COMMIT', [], opts, deferred.callback);
+
+  return deferred.promise;
+};
+
 module.exports = Client;
@@ -0,0 +1,598 @@
+/*******************************************************************************
+ *
+ * UnitOfWork.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+/**
+ * Tracks the writes an instance makes across its data sources so that a failure
+ * in any one of them leaves no half-written record behind.
+ *
+ * Sources that support transactions (SQL tables) share one transaction per
+ * connection that is committed once every write succeeded.  Every other source
+ * is journaled: records that were created are removed again and records that were
+ * updated are restored from a snapshot taken before the changes were applied.
+ *
+ * ```
+ * var uow = new UnitOfWork(modelName);
+ * uow.snapshotInstances(meta.instances);
+ * // ... apply the changes to the source instances
+ * uow.begin(sources, function (err) {
+ *   instance.setSourceOpCallback(uow.generateCompletionCallback(callback));
+ *   uow.flush(source, sourceInstance, 'update', instance.handleSourceOpCompletion);
+ * });
+ * ```
+ *
+ * @class UnitOfWork
+ * @constructor
+ * @param {String} modelName Used when logging failures
+ */
+var UnitOfWork = function (modelName) {
+  this.modelName = modelName;
+
+  // Open transactions, keyed by connection name
+  this.transactions = {};
+
+  // Snapshots of the source instances before any change was applied, keyed by
+  // source name
+  this.snapshots = {};
+
+  // The completed writes on sources without transactions, in order
+  this.journal = [];
+
+  // Writes that have been started but have not called back yet
+  this.pending = 0;
+  this.settledCallbacks = [];
+};
+
+/**
+ * The write actions that can be compensated
+ *
+ * @property ACTIONS
+ * @type {Object}
+ * @static
+ */
+UnitOfWork.ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  REMOVE: 'remove'
+};
+
+/**
+ * Copy the current data of a source instance so that it can be restored later.
+ * Works with sequelize instances (dataValues), mongoose documents and
+ * frankenstein records (toObject) and plain objects.
+ *
+ * @method snapshot
+ * @param {Object} instance
+ * @returns {Object}
+ * @static
+ */
+UnitOfWork.snapshot = function (instance) {
+  var data;
+
+  if (instance.dataValues) {
+    data = instance.dataValues;
+  } else if (typeof instance.toObject === 'function') {
+    data = instance.toObject();
+  } else {
+    data = instance;
+  }
+
+  return UnitOfWork.copy(data);
+};
+
+/**
+ * A deep copy that keeps dates and arrays intact and skips functions.
+ *
+ * @method copy
+ * @param {*} value
+ * @returns {*}
+ * @static
+ */
+UnitOfWork.copy = function (value) {
+  var copy;
+
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+
+  copy = (value instanceof Array) ? [] : {};
+
+  for (var i in value) {
+    if (typeof value[i] !== 'function') {
+      copy[i] = UnitOfWork.copy(value[i]);
+    }
+  }
+
+  return copy;
+};
+
+/**
+ * Set the snapshot data back onto a source instance.
+ *
+ * @method restore
+ * @param {Object} instance
+ * @param {Object} snapshot
+ * @static
+ */
+UnitOfWork.restore = function (instance, snapshot) {
+  for (var i in snapshot) {
+    if (typeof instance.set === 'function') {
+      instance.set(i, snapshot[i]);
+    } else {
+      instance[i] = snapshot[i];
+    }
+  }
+};
+
+/**
+ * Remove a source instance.  Instances that only provide the destroy().complete()
+ * API are removed through it, without a transaction.
+ *
+ * @method remove
+ * @param {Object} instance
+ * @param {Function} callback
+ * @param {Object} options Optional, passed on to remove()
+ * @static
+ */
+UnitOfWork.remove = function (instance, callback, options) {
+  if (typeof instance.remove === 'function') {
+    instance.remove(callback, options || {});
+  } else {
+    instance.destroy().complete(callback);
+  }
+};
+
+/**
+ * Snapshot every source instance that is not covered by a transaction before
+ * the pending changes are mapped onto them.
+ *
+ * @method snapshotInstances
+ * @param {Object} instances Source instance wrappers keyed by source name
+ */
+UnitOfWork.prototype.snapshotInstances = function (instances) {
+  var wrapper;
+
+  for (var i in instances) {
+    wrapper = instances[i];
+
+    if (!wrapper.instance || !wrapper.source || !wrapper.source.source) {
+      continue;
+    }
+
+    if (!UnitOfWork.supportsTransactions(wrapper.source.source)) {
+      this.snapshots[wrapper.source.source.name] = UnitOfWork.snapshot(wrapper.instance);
+    }
+  }
+};
+
+/**
+ * Whether writes to a source can be made part of a transaction
+ *
+ * @method supportsTransactions
+ * @param {AbstractSource} source
+ * @returns {Boolean}
+ * @static
+ */
+UnitOfWork.supportsTransactions = function (source) {
+  return !!(source && typeof source.supportsTransactions === 'function' && source.supportsTransactions());
+};
+
+/**
+ * Open a transaction on the connection of every given source that supports them.
+ * Sources sharing a connection share the transaction.  If any transaction fails
+ * to open, the others are rolled back and the callback receives the error.
+ *
+ * @method begin
+ * @param {Array} sources The sources (AbstractSource) that will be written to
+ * @param {Function} callback
+ */
+UnitOfWork.prototype.begin = function (sources, callback) {
+  var self = this;
+  var connections = {};
+  var names = [];
+  var pending;
+  var error = null;
+  var connection;
+  var i;
+
+  for (i = 0; i < sources.length; i++) {
+    if (!UnitOfWork.supportsTransactions(sources[i])) {
+      continue;
+    }
+
+    connection = sources[i].connection;
+
+    if (!connections[connection.name]) {
+      connections[connection.name] = connection;
+      names.push(connection.name);
+    }
+  }
+
+  pending = names.length;
+
+  if (pending === 0) {
+    callback(null);
+    return;
+  }
+
+  var generateCallback = function (name) {
+    return function (err, transaction) {
+      if (err) {
+        error = error || err;
+      } else {
+        self.transactions[name] = {
+          connection: connections[name],
+          transaction: transaction,
+          sources: []
+        };
+      }
+
+      pending--;
+      if (pending > 0) {
+        return;
+      }
+
+      if (!error) {
+        callback(null);
+        return;
+      }
+
+      self.rollbackTransactions(function () {
+        callback(error);
+      });
+    };
+  };
+
+  for (i = 0; i < names.length; i++) {
+    try {
+      connections[names[i]].beginTransaction(generateCallback(names[i]));
+    } catch (e) {
+      generateCallback(names[i])(e);
+    }
+  }
+};
+
+/**
+ * Return the open transaction entry for a source, if any
+ *
+ * @method getTransactionEntry
+ * @param {AbstractSource} source
+ * @returns {Object|null}
+ */
+UnitOfWork.prototype.getTransactionEntry = function (source) {
+  if (!UnitOfWork.supportsTransactions(source)) {
+    return null;
+  }
+
+  return this.transactions[source.connection.name] || null;
+};
+
+/**
+ * Write a source instance as part of this unit of work.  Transactional sources
+ * are written inside of their connection's transaction, every other write is
+ * journaled once it succeeds so it can be compensated.
+ *
+ * @method flush
+ * @param {AbstractSource} source The source the instance belongs to
+ * @param {Object} instance The source instance to write
+ * @param {String} action One of UnitOfWork.ACTIONS
+ * @param {Function} callback Called with the result of the write
+ * @param {Object} snapshot Optional, the data to restore an update from instead
+ *   of the snapshot taken for the source
+ */
+UnitOfWork.prototype.flush = function (source, instance, action, callback, snapshot) {
+  var self = this;
+  var entry = this.getTransactionEntry(source);
+  var options = entry ? {transaction: entry.transaction} : {};
+  var isCalled = false;
+
+  var done = function (err, result) {
+    if (isCalled) {
+      return;
+    }
+
+    isCalled = true;
+    self.pending--;
+
+    if (!err) {
+      if (entry) {
+        entry.sources.push(source.name);
+      } else {
+        self.journal.push({
+          source: source,
+          instance: instance,
+          action: action,
+          snapshot: (action === UnitOfWork.ACTIONS.UPDATE) ? (snapshot || self.snapshots[source.name]) : null
+        });
+      }
+    }
+
+    callback(err, result);
+    self.checkSettled();
+  };
+
+  this.pending++;
+
+  try {
+    if (action === UnitOfWork.ACTIONS.REMOVE) {
+      UnitOfWork.remove(instance, done, options);
+    } else {
+      instance.flushChanges(done, options);
+    }
+  } catch (e) {
+    done(e);
+  }
+};
+
+/**
+ * Call the function once every write that has been started has called back
+ *
+ * @method whenSettled
+ * @param {Function} fn
+ */
+UnitOfWork.prototype.whenSettled = function (fn) {
+  this.settledCallbacks.push(fn);
+  this.checkSettled();
+};
+
+/**
+ * @method checkSettled
+ * @private
+ */
+UnitOfWork.prototype.checkSettled = function () {
+  var callbacks;
+
+  if (this.pending > 0 || !this.settledCallbacks.length) {
+    return;
+  }
+
+  callbacks = this.settledCallbacks;
+  this.settledCallbacks = [];
+
+  for (var i = 0; i < callbacks.length; i++) {
+    callbacks[i]();
+  }
+};
+
+/**
+ * Create the final callback of an instance operation.  A successful operation
+ * is committed, a failed one is rolled back and compensated, and the error is
+ * decorated with the outcome:
+ *
+ * ```
+ * {code: 500, error: 'Internal Server Error', rolled_back: ['WeddingTable', 'WeddingDocument']}
+ * ```
+ *
+ * The `compensation_failed` property lists the sources ({source, error}) that
+ * could not be restored and need manual attention.
+ *
+ * @method generateCompletionCallback
+ * @param {Function} callback
+ * @returns {Function}
+ */
+UnitOfWork.prototype.generateCompletionCallback = function (callback) {
+  var self = this;
+
+  return function (err, result) {
+    self.whenSettled(function () {
+      if (err) {
+        self.rollback(function (report) {
+          callback(UnitOfWork.decorateError(err, report), null);
+        });
+
+        return;
+      }
+
+      self.commit(function (commitErr, report) {
+        if (commitErr) {
+          callback(UnitOfWork.decorateError(commitErr, report), null);
+        } else {
+          callback(null, result);
+        }
+      });
+    });
+  };
+};
+
+/**
+ * Attach a rollback report to an error
+ *
+ * @method decorateError
+ * @param {Object} err
+ * @param {Object} report
+ * @returns {Object}
+ * @static
+ */
+UnitOfWork.decorateError = function (err, report) {
+  if (typeof err !== 'object' || err === null) {
+    err = {code: 500, error: err};
+  }
+
+  err.rolled_back = report.rolled_back;
+
+  if (report.compensation_failed.length) {
+    err.compensation_failed = report.compensation_failed;
+  }
+
+  return err;
+};
+
+/**
+ * Commit every open transaction.  If a commit fails, the remaining transactions
+ * are rolled back and the journaled writes are compensated.
+ *
+ * @method commit
+ * @param {Function} callback function (err, report)
+ */
+UnitOfWork.prototype.commit = function (callback) {
+  var self = this;
+  var names = Object.keys(this.transactions);
+  var committed = [];
+
+  var next = function () {
+    var name = names.shift();
+    var entry;
+
+    if (!name) {
+      self.transactions = {};
+      self.journal = [];
+      callback(null, null);
+      return;
+    }
+
+    entry = self.transactions[name];
+
+    entry.connection.commitTransaction(entry.transaction, function (err) {
+      delete self.transactions[name];
+
+      if (!err) {
+        committed.push(entry);
+        next();
+        return;
+      }
+
+      console.error('Failed to commit the transaction on ' + name + ' for ' + self.modelName, err);
+
+      self.rollback(function (report) {
+        var i, j;
+
+        // Earlier commits cannot be undone anymore
+        for (i = 0; i < committed.length; i++) {
+          for (j = 0; j < committed[i].sources.length; j++) {
+            report.compensation_failed.push({source: committed[i].sources[j], error: 'Already committed'});
+          }
+        }
+
+        callback({code: 500, error: 'Internal Server Error'}, report);
+      });
+    });
+  };
+
+  next();
+};
+
+/**
+ * Roll back the open transactions and compensate the journaled writes in reverse
+ * order.  Never fails, the callback receives a report of the outcome:
+ *
+ * ```
+ * {rolled_back: ['WeddingTable'], compensation_failed: [{source: 'Photos', error: err}]}
+ * ```
+ *
+ * @method rollback
+ * @param {Function} callback function (report)
+ */
+UnitOfWork.prototype.rollback = function (callback) {
+  var self = this;
+  var report = {rolled_back: [], compensation_failed: []};
+
+  this.rollbackTransactions(function (rolledBack, failed) {
+    report.rolled_back = report.rolled_back.concat(rolledBack);
+    report.compensation_failed = report.compensation_failed.concat(failed);
+
+    self.compensate(report, function () {
+      callback(report);
+    });
+  });
+};
+
+/**
+ * Roll back every open transaction in parallel
+ *
+ * @method rollbackTransactions
+ * @param {Function} callback function (rolledBackSources, failedSources)
+ */
+UnitOfWork.prototype.rollbackTransactions = function (callback) {
+  var self = this;
+  var names = Object.keys(this.transactions);
+  var pending = names.length;
+  var rolledBack = [];
+  var failed = [];
+
+  if (pending === 0) {
+    callback(rolledBack, failed);
+    return;
+  }
+
+  var generateCallback = function (entry) {
+    return function (err) {
+      var i;
+
+      for (i = 0; i < entry.sources.length; i++) {
+        if (err) {
+          failed.push({source: entry.sources[i], error: err});
+        } else {
+          rolledBack.push(entry.sources[i]);
+        }
+      }
+
+      pending--;
+      if (pending === 0) {
+        callback(rolledBack, failed);
+      }
+    };
+  };
+
+  for (var i = 0; i < names.length; i++) {
+    var entry = this.transactions[names[i]];
+    delete this.transactions[names[i]];
+
+    try {
+      entry.connection.rollbackTransaction(entry.transaction, generateCallback(entry));
+    } catch (e) {
+      generateCallback(entry)(e);
+    }
+  }
+};
+
+/**
+ * Undo the journaled writes one at a time, newest first.
+ *
+ * @method compensate
+ * @param {Object} report The rollback report to add the outcome to
+ * @param {Function} callback
+ */
+UnitOfWork.prototype.compensate = function (report, callback) {
+  var self = this;
+  var step = this.journal.pop();
+
+  if (!step) {
+    callback();
+    return;
+  }
+
+  var next = function (err) {
+    if (err) {
+      console.error('Failed to compensate a write to ' + step.source.name + ' for ' + self.modelName, err);
+      report.compensation_failed.push({source: step.source.name, error: err});
+    } else if (report.rolled_back.indexOf(step.source.name) === -1) {
+      report.rolled_back.push(step.source.name);
+    }
+
+    self.compensate(report, callback);
+  };
+
+  try {
+    if (step.action === UnitOfWork.ACTIONS.CREATE) {
+      UnitOfWork.remove(step.instance, next);
+    } else if (step.action === UnitOfWork.ACTIONS.UPDATE && step.snapshot) {
+      UnitOfWork.restore(step.instance, step.snapshot);
+      step.instance.flushChanges(next);
+    } else {
+      next({msg: 'Cannot restore the previous state of a ' + step.action + ' on ' + step.source.name});
+    }
+  } catch (e) {
+    next(e);
+  }
+};
+
+module.exports = UnitOfWork;
@@ -0,0 +1,287 @@
+/*******************************************************************************
+ *
+ * AbstractApiClient.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var http = require('http');
+var AbstractApiClient = require('../lib/AbstractApiClient.js');
+
+var Photos = function (port) {
+  this.name = 'Photos';
+  this.http = http;
+  this.conn = {host: '127.0.0.1', port: port, base_path: '/v1', token: 'secret', socket_timeout: 100};
+  this.endpoints = {
+    read: 'GET /photos/{id}',
+    list: 'GET /photos',
+    create: 'POST /photos',
+    update: 'PATCH /photos/{id}',
+    remove: 'DELETE /photos/{id}'
+  };
+  this.paramMap = {user_id: 'owner', 'likes.$gte': 'min_likes'};
+  this.optionMap = {limit: 'per_page', offset: 'skip', sortField: 'sort'};
+  this.responsePaths = {item: 'data', items: 'data', total: 'meta.total'};
+
+  AbstractApiClient.call(this);
+};
+
+Photos.prototype = new AbstractApiClient();
+
+describe('AbstractApiClient', function () {
+  var debug = console.debug;
+  var warn = console.warn;
+  var server;
+  var photos;
+  var requests;
+  var responses;
+
+  // Every request is answered with the next of the queued responses, a
+  // response without a status is never answered
+  var queue = function () {
+    responses = Array.prototype.slice.call(arguments);
+  };
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      var body = '';
+
+      req.setEncoding('utf8');
+
+      req.on('data', function (chunk) {
+        body += chunk;
+      });
+
+      req.on('end', function () {
+        var response = responses.shift() || {status: 404, body: {}};
+
+        requests.push({method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null});
+
+        if (!response.status) {
+          return;
+        }
+
+        res.writeHead(response.status, {'Content-Type': 'application/json'});
+        res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body));
+      });
+    });
+
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  beforeEach(function () {
+    console.debug = function () {};
+    console.warn = function () {};
+
+    requests = [];
+    responses = [];
+    photos = new Photos(server.address().port);
+  });
+
+  afterEach(function () {
+    console.debug = debug;
+    console.warn = warn;
+  });
+
+  describe('request mapping', function () {
+    it('reads through the read endpoint with the token', function (done) {
+      queue({status: 200, body: {data: {id: 4, title: 'Sunset'}}});
+
+      photos.read({id: 4}, {}, function (err, record) {
+        expect(err).to.equal(null);
+        expect(record.get('title')).to.equal('Sunset');
+        expect(record.isNewRecord).to.equal(false);
+        expect(requests[0].method).to.equal('GET');
+        expect(requests[0].url).to.equal('/v1/photos/4');
+        expect(requests[0].headers.authorization).to.equal('Bearer secret');
+        done();
+      });
+    });
+
+    it('maps the params and options of a list to query parameters', function (done) {
+      queue({status: 200, body: {data: [{id: 1}, {id: 2}], meta: {total: 2}}});
+
+      photos.list({user_id: 7, likes: {$gte: 5}}, {limit: 10, offset: 20, sortField: 'likes'}, function (err, records) {
+        expect(err).to.equal(null);
+        expect(records.map(function (record) {
+          return record.get('id');
+        })).to.deep.equal([1, 2]);
+        expect(requests[0].url).to.equal('/v1/photos?owner=7&min_likes=5&per_page=10&skip=20&sort=likes');
+        done();
+      });
+    });
+
+    it('counts with the total of the list endpoint', function (done) {
+      queue({status: 200, body: {data: [{id: 1}], meta: {total: 12}}});
+
+      photos.count({user_id: 7}, {}, function (err, total) {
+        expect(err).to.equal(null);
+        expect(total).to.equal(12);
+        expect(requests[0].url).to.equal('/v1/photos?owner=7&per_page=1&skip=0');
+        done();
+      });
+    });
+
+    it('posts new records and picks up the generated id', function (done) {
+      var record = photos.createInstance({title: 'Beach', likes: 0});
+
+      queue({status: 201, body: {data: {id: 9, title: 'Beach', likes: 0}}});
+
+      photos.saveRecord(record, function (err) {
+        expect(err).to.equal(null);
+        expect(requests[0].method).to.equal('POST');
+        expect(requests[0].url).to.equal('/v1/photos');
+        expect(requests[0].headers['content-type']).to.equal('application/json');
+        expect(requests[0].body).to.deep.equal({title: 'Beach', likes: 0});
+        expect(record.get('id')).to.equal(9);
+        expect(record.isNewRecord).to.equal(false);
+        done();
+      });
+    });
+
+    it('patches only the changed fields', function (done) {
+      queue({status: 200, body: {data: {id: 4, title: 'Sunset', likes: 3}}}, {status: 200, body: {data: {id: 4, likes: 4}}});
+
+      photos.read({id: 4}, {}, function (err, record) {
+        record.set('likes', 4);
+
+        photos.saveRecord(record, function (err) {
+          expect(err).to.equal(null);
+          expect(requests[1].method).to.equal('PATCH');
+          expect(requests[1].url).to.equal('/v1/photos/4');
+          expect(requests[1].body).to.deep.equal({likes: 4});
+          done();
+        });
+      });
+    });
+
+    it('deletes records and treats a 404 as removed', function (done) {
+      var record = photos.createInstance({id: 4});
+
+      queue({status: 404, body: {}});
+
+      photos.removeRecord(record, function (err) {
+        expect(err).to.equal(null);
+        expect(requests[0].method).to.equal('DELETE');
+        expect(requests[0].url).to.equal('/v1/photos/4');
+        done();
+      });
+    });
+  });
+
+  describe('error normalization', function () {
+    it('reads null when the API responds with a 404', function (done) {
+      queue({status: 404, body: {}});
+
+      photos.read({id: 99}, {}, function (err, record) {
+        expect(err).to.equal(null);
+        expect(record).to.equal(null);
+        done();
+      });
+    });
+
+    it('keeps the status and body of client errors', function (done) {
+      queue({status: 422, body: {error: 'title is required'}});
+
+      photos.saveRecord(photos.createInstance({likes: 0}), function (err) {
+        expect(err.code).to.equal(422);
+        expect(err.error).to.equal('Unprocessable Entity');
+        expect(err.response).to.deep.equal({error: 'title is required'});
+        done();
+      });
+    });
+
+    it('turns server errors into a 502', function (done) {
+      queue({status: 500, body: {}});
+
+      photos.list({}, {}, function (err) {
+        expect(err.code).to.equal(502);
+        expect(err.msg).to.equal('Photos API responded with 500');
+        done();
+      });
+    });
+
+    it('turns invalid JSON into a 502', function (done) {
+      queue({status: 200, body: '<html>'});
+
+      photos.list({}, {}, function (err) {
+        expect(err.code).to.equal(502);
+        expect(err.msg).to.equal('Invalid JSON from the Photos API');
+        done();
+      });
+    });
+
+    it('times out with a 504', function (done) {
+      queue({});
+
+      photos.list({}, {}, function (err) {
+        expect(err.code).to.equal(504);
+        expect(err.error).to.equal('Gateway Timeout');
+        done();
+      });
+    });
+
+    it('rejects an operator without a query parameter before any request', function (done) {
+      photos.list({likes: {$lt: 3}}, {}, function (err) {
+        expect(err.code).to.equal(400);
+        expect(err.msg).to.equal('The Photos API does not support $lt on likes');
+        expect(requests).to.have.length(0);
+        done();
+      });
+    });
+  });
+
+  describe('retries', function () {
+    beforeEach(function () {
+      photos.enableResilience({retries: 2, backoff: 1, breaker: false});
+    });
+
+    it('retries reads that fail on the server', function (done) {
+      queue({status: 503, body: {}}, {}, {status: 200, body: {data: [{id: 1}]}});
+
+      photos.list({}, {}, function (err, records) {
+        expect(err).to.equal(null);
+        expect(records).to.have.length(1);
+        expect(requests).to.have.length(3);
+        done();
+      });
+    });
+
+    it('gives up after the last retry', function (done) {
+      queue({status: 500, body: {}}, {status: 500, body: {}}, {status: 500, body: {}});
+
+      photos.read({id: 4}, {}, function (err) {
+        expect(err.code).to.equal(502);
+        expect(requests).to.have.length(3);
+        done();
+      });
+    });
+
+    it('does not retry client errors', function (done) {
+      queue({status: 400, body: {}});
+
+      photos.count({}, {}, function (err) {
+        expect(err.code).to.equal(400);
+        expect(requests).to.have.length(1);
+        done();
+      });
+    });
+
+    it('does not retry writes', function (done) {
+      queue({status: 503, body: {}});
+
+      photos.saveRecord(photos.createInstance({title: 'Beach'}), function (err) {
+        expect(err.code).to.equal(502);
+        expect(requests).to.have.length(1);
+        done();
+      });
+    });
+  });
+});
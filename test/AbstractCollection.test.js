@@ -0,0 +1,70 @@
+/*******************************************************************************
+ *
+ * AbstractCollection.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var AbstractCollection = require('../lib/AbstractCollection.js');
+
+var PhotoCollection = function () {
+  this.name = 'Photos';
+  this.schema = {
+    title: {type: 'String'},
+    views: {type: 'Number'}
+  };
+
+  AbstractCollection.call(this);
+};
+
+PhotoCollection.prototype = new AbstractCollection();
+
+describe('AbstractCollection', function () {
+  var photos;
+
+  beforeEach(function () {
+    photos = new PhotoCollection();
+  });
+
+  describe('buildMongoQuery', function () {
+    it('keeps scalars and renders lists with $in', function () {
+      expect(photos.buildMongoQuery({title: 'a', views: [1, 2]})).to.deep.equal({
+        title: 'a',
+        views: {$in: [1, 2]}
+      });
+    });
+
+    it('keeps the comparison operators', function () {
+      expect(photos.buildMongoQuery({views: {$gt: 1, $lte: 9, $ne: 5, $nin: [3]}})).to.deep.equal({
+        views: {$gt: 1, $lte: 9, $ne: 5, $nin: [3]}
+      });
+    });
+
+    it('renders the range and NULL operators', function () {
+      expect(photos.buildMongoQuery({views: {$between: [1, 5]}, title: {$null: true}})).to.deep.equal({
+        views: {$gte: 1, $lte: 5},
+        title: {$eq: null}
+      });
+
+      expect(photos.buildMongoQuery({title: {$null: false}})).to.deep.equal({title: {$ne: null}});
+    });
+
+    it('renders the pattern operators as anchored expressions', function () {
+      var query = photos.buildMongoQuery({title: {$like: 'a_c%'}, views: {$prefix: '1.5'}});
+
+      expect(query.title.$regex.test('abcdef')).to.equal(true);
+      expect(query.title.$regex.test('xabc')).to.equal(false);
+      expect(query.views.$regex.test('1.50')).to.equal(true);
+      expect(query.views.$regex.test('1x5')).to.equal(false);
+    });
+
+    it('renders every branch of $or and $and', function () {
+      expect(photos.buildMongoQuery({$or: [{title: 'a'}, {$and: [{views: [1]}, {views: {$gt: 0}}]}]})).to.deep.equal({
+        $or: [{title: 'a'}, {$and: [{views: {$in: [1]}}, {views: {$gt: 0}}]}]
+      });
+    });
+  });
+});
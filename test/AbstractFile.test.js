@@ -0,0 +1,214 @@
+/*******************************************************************************
+ *
+ * AbstractFile.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var Readable = require('stream').Readable;
+var AbstractFile = require('../lib/AbstractFile.js');
+var ModelFactory = require('../lib/ModelFactory.js');
+
+// A read only file source over the given rows
+var createFile = function (name, rows) {
+  var File = function () {
+    this.name = name;
+    this.filename = name + '.json';
+    this.filepath = '/' + name + '.json';
+    this.fs = {
+      readFileSync: function () {
+        return JSON.stringify(rows);
+      },
+      readFile: function (path, options, callback) {
+        setImmediate(function () {
+          callback(null, JSON.stringify(rows));
+        });
+      }
+    };
+
+    AbstractFile.call(this);
+  };
+
+  File.prototype = new AbstractFile();
+
+  return File;
+};
+
+// A streamed ndjson file over the given rows that counts the rows it reads
+var createStreamedFile = function (name, rows, options) {
+  var File = function () {
+    var self = this;
+
+    this.name = name;
+    this.filename = name + '.ndjson';
+    this.filepath = '/' + name + '.ndjson';
+    this.read_rows = 0;
+    this.fs = {
+      createReadStream: function () {
+        var lines = rows.map(function (row) {
+          return JSON.stringify(row) + '\n';
+        });
+
+        return new Readable({
+          read: function () {
+            if (lines.length) {
+              self.read_rows++;
+            }
+
+            this.push(lines.length ? lines.shift() : null);
+          }
+        });
+      }
+    };
+
+    AbstractFile.call(this, options);
+  };
+
+  File.prototype = new AbstractFile();
+
+  return File;
+};
+
+describe('AbstractFile', function () {
+  var debug = console.debug;
+  var Photos = createFile('Photos', [{id: 1, title: 'a'}, {id: 2, title: 'b'}]);
+
+  beforeEach(function () {
+    console.debug = function () {};
+  });
+
+  afterEach(function () {
+    console.debug = debug;
+  });
+
+  describe('reading', function () {
+    var photos;
+
+    beforeEach(function () {
+      photos = new Photos();
+      photos.initialize();
+    });
+
+    ['list', 'read', 'count'].forEach(function (method) {
+      it('calls back asynchronously from ' + method + ' once the file is loaded', function (done) {
+        var isReturned = false;
+
+        photos[method]({id: 2}, {}, function (err) {
+          expect(err).to.equal(null);
+          expect(isReturned).to.equal(true);
+          done();
+        });
+
+        isReturned = true;
+      });
+    });
+
+    it('reads the file on the first read when it was not loaded', function (done) {
+      var file = new Photos();
+
+      file.list({}, {sortField: 'title', sortOrder: 'DESC'}, function (err, records) {
+        expect(records.map(function (record) {
+          return record.get('title');
+        })).to.deep.equal(['b', 'a']);
+        done();
+      });
+    });
+  });
+
+  describe('as decorating sources', function () {
+    it('decorates a list with every one-to-one file source', function (done) {
+      var Media = ModelFactory.createModel({
+        name: 'Media',
+        definition: {
+          id: {type: 'INTEGER', views: ['default']},
+          views: {type: 'INTEGER', views: ['default'], mapping: {source: 'Stats'}},
+          caption: {type: 'STRING', views: ['default'], mapping: {source: 'Captions'}}
+        },
+        sources: {
+          Media: {relationship: 'one-to-one', is_primary: true, source: createFile('Media', [{id: 10}])},
+          Stats: {relationship: 'one-to-one', foreign_key: 'media_id', source: createFile('Stats', [{media_id: 10, views: 5}])},
+          Captions: {relationship: 'one-to-one', foreign_key: 'media_id', source: createFile('Captions', [{media_id: 10, caption: 'hi'}])}
+        }
+      });
+      var media = new Media([]);
+      var isReturned = false;
+
+      ['Media', 'Stats', 'Captions'].forEach(function (name) {
+        media.getSource(name).source.initialize();
+      });
+
+      media.list({}, {}, function (err, list) {
+        expect(err).to.equal(null);
+        expect(isReturned).to.equal(true);
+        expect(list[0].toObject()).to.deep.equal({id: 10, views: 5, caption: 'hi'});
+        done();
+      });
+
+      isReturned = true;
+    });
+  });
+
+  describe('incremental lists', function () {
+    var rows = [{id: 3, size: 1}, {id: 1, size: 2}, {id: 4, size: 1}, {id: 2, size: 2}];
+    var Exports = createStreamedFile('Exports', rows, {
+      parse_strategy: 'ndjson',
+      cache_strategy: 'incremental',
+      max_sorted_rows: 3
+    });
+    var exports;
+
+    var ids = function (records) {
+      return records.map(function (record) {
+        return record.get('id');
+      });
+    };
+
+    beforeEach(function () {
+      exports = new Exports();
+      exports.initialize();
+    });
+
+    it('pages a list without a sort in file order and stops at the end of the page', function (done) {
+      exports.list({}, {offset: 1, limit: 1}, function (err, records) {
+        expect(err).to.equal(null);
+        expect(ids(records)).to.deep.equal([1]);
+        expect(exports.read_rows).to.be.below(rows.length);
+        done();
+      });
+    });
+
+    it('lists every row without a sort or a limit', function (done) {
+      exports.list({size: 2}, {}, function (err, records) {
+        expect(err).to.equal(null);
+        expect(ids(records)).to.deep.equal([1, 2]);
+        done();
+      });
+    });
+
+    it('sorts a page', function (done) {
+      exports.list({}, {sortField: 'id', sortOrder: 'DESC', offset: 1, limit: 2}, function (err, records) {
+        expect(err).to.equal(null);
+        expect(ids(records)).to.deep.equal([3, 2]);
+        done();
+      });
+    });
+
+    it('sorts every row without a limit that stay under the maximum', function (done) {
+      exports.list({size: 1}, {sortField: 'id'}, function (err, records) {
+        expect(err).to.equal(null);
+        expect(ids(records)).to.deep.equal([3, 4]);
+        done();
+      });
+    });
+
+    it('fails to sort more rows than the maximum', function (done) {
+      exports.list({}, {sortField: 'id'}, function (err) {
+        expect(err.code).to.equal(400);
+        done();
+      });
+    });
+  });
+});
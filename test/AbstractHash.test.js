@@ -0,0 +1,213 @@
+/*******************************************************************************
+ *
+ * AbstractHash.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var AbstractHash = require('../lib/AbstractHash.js');
+var RedisOdm = require('../lib/RedisOdm.js');
+var FakeRedis = require('./support/FakeRedis.js');
+
+var StatsHash = function () {
+  this.database = 'redis';
+  this.name = 'stats';
+  this.schema = {
+    id: {type: 'INTEGER'},
+    title: {type: 'STRING'},
+    views: {type: 'INTEGER'},
+    live: {type: 'BOOLEAN'},
+    at: {type: 'DATE'},
+    tags: {type: 'ARRAY'}
+  };
+  this.indexes = ['views'];
+
+  AbstractHash.call(this);
+};
+
+StatsHash.prototype = new AbstractHash();
+
+describe('AbstractHash', function () {
+  var debug = console.debug;
+  var conn;
+  var stats;
+
+  var titles = function (records) {
+    return records.map(function (record) {
+      return record.get('title');
+    });
+  };
+
+  beforeEach(function (done) {
+    console.debug = function () {};
+
+    conn = new RedisOdm(FakeRedis, {prefix: 'test:'});
+    conn.initialize(function (err) {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      stats = new StatsHash();
+      stats.addConnections([conn]);
+      stats.initialize();
+
+      var rows = [['a', 5, true], ['b', 1, false], ['c', 9, true]];
+      var pending = rows.length;
+
+      rows.forEach(function (row, i) {
+        var record = stats.createInstance({
+          title: row[0],
+          views: row[1],
+          live: row[2],
+          at: new Date(Date.UTC(2020, 0, i + 1)),
+          tags: ['x']
+        });
+
+        stats.saveRecord(record, function (err) {
+          pending--;
+
+          if (err || pending === 0) {
+            done(err || undefined);
+          }
+        });
+      });
+    });
+  });
+
+  afterEach(function () {
+    console.debug = debug;
+  });
+
+  describe('writing', function () {
+    it('assigns ids from the sequence and stores typed fields as strings', function () {
+      var client = conn.getClient();
+
+      expect(client.data['test:stats:seq']).to.equal(3);
+      expect(client.data['test:stats:2']).to.deep.equal({
+        title: 'b',
+        views: '1',
+        live: '0',
+        at: '2020-01-02T00:00:00.000Z',
+        tags: '["x"]',
+        id: '2'
+      });
+      expect(client.data['test:stats:idx:views']).to.deep.equal({1: 5, 2: 1, 3: 9});
+    });
+
+    it('removes null fields and updates the index', function (done) {
+      stats.read({id: 2}, {}, function (err, record) {
+        record.set('views', 100);
+        record.set('title', null);
+
+        stats.saveRecord(record, function (err) {
+          var client = conn.getClient();
+
+          expect(err).to.equal(null);
+          expect(client.data['test:stats:2']).to.not.have.property('title');
+          expect(client.data['test:stats:idx:views']['2']).to.equal(100);
+          done();
+        });
+      });
+    });
+
+    it('removes the hash, the id and the index entries', function (done) {
+      stats.read({id: 1}, {}, function (err, record) {
+        stats.removeRecord(record, function (err) {
+          var client = conn.getClient();
+
+          expect(err).to.equal(null);
+          expect(client.data).to.not.have.property('test:stats:1');
+          expect(client.data['test:stats:ids']).to.not.have.property('1');
+          expect(client.data['test:stats:idx:views']).to.not.have.property('1');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('reading', function () {
+    it('reads a record with its typed values', function (done) {
+      stats.read({id: 3}, {}, function (err, record) {
+        expect(err).to.equal(null);
+        expect(record.get('views')).to.equal(9);
+        expect(record.get('live')).to.equal(true);
+        expect(record.get('at').getTime()).to.equal(Date.UTC(2020, 0, 3));
+        expect(record.get('tags')).to.deep.equal(['x']);
+        expect(record.isModified()).to.equal(false);
+        done();
+      });
+    });
+
+    it('reads null for a missing record', function (done) {
+      stats.read({id: 99}, {}, function (err, record) {
+        expect(err).to.equal(null);
+        expect(record).to.equal(null);
+        done();
+      });
+    });
+
+    it('lists records by id', function (done) {
+      stats.list({id: [3, 1, 99]}, {}, function (err, records) {
+        expect(titles(records)).to.deep.equal(['a', 'c']);
+        done();
+      });
+    });
+
+    it('pages through an index in redis', function (done) {
+      stats.list({}, {sortField: 'views', sortOrder: 'DESC', limit: 2, offset: 1}, function (err, records) {
+        expect(titles(records)).to.deep.equal(['a', 'b']);
+        expect(conn.getClient().calls).to.deep.include(['zrevrange', 'test:stats:idx:views', 1, 2]);
+        done();
+      });
+    });
+
+    it('filters on a range of an indexed field', function (done) {
+      stats.list({views: {$gte: 5}}, {sortField: 'views'}, function (err, records) {
+        expect(titles(records)).to.deep.equal(['a', 'c']);
+        done();
+      });
+    });
+
+    it('filters other fields in memory', function (done) {
+      stats.list({live: true, title: {$ne: 'a'}}, {}, function (err, records) {
+        expect(titles(records)).to.deep.equal(['c']);
+        done();
+      });
+    });
+
+    it('rejects a sort on an unknown field', function (done) {
+      stats.list({}, {sortField: 'nope'}, function (err) {
+        expect(err.code).to.equal(400);
+        done();
+      });
+    });
+
+    it('counts every record, a range and a filter', function (done) {
+      stats.count({}, {}, function (err, total) {
+        stats.count({views: {$lt: 5}}, {}, function (err, below) {
+          stats.count({live: false}, {}, function (err, hidden) {
+            expect([total, below, hidden]).to.deep.equal([3, 1, 1]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('initialize', function () {
+    it('rejects an index on a field that cannot be scored', function () {
+      var hash = new StatsHash();
+
+      hash.indexes = ['title'];
+      hash.addConnections([conn]);
+
+      expect(function () {
+        hash.initialize();
+      }).to.throw('must be on a numeric, boolean or date field');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/*******************************************************************************
+ *
+ * AbstractModel.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var AbstractFile = require('../lib/AbstractFile.js');
+var ModelFactory = require('../lib/ModelFactory.js');
+
+var createFile = function (name) {
+  var File = function () {
+    this.name = name;
+    this.filename = name + '.json';
+    this.filepath = '/' + name + '.json';
+    this.fs = {
+      readFileSync: function () {
+        return '[]';
+      }
+    };
+
+    AbstractFile.call(this);
+  };
+
+  File.prototype = new AbstractFile();
+
+  return File;
+};
+
+var Weddings = ModelFactory.createModel({
+  name: 'Wedding',
+  definition: {
+    id: {type: 'INTEGER', views: ['default']},
+    name: {type: 'STRING', views: ['default']},
+    city: {type: 'STRING', views: ['default'], mapping: {source: 'Places', alias: 'city_name'}}
+  },
+  sources: {
+    Weddings: {relationship: 'one-to-one', is_primary: true, source: createFile('Weddings')},
+    Places: {relationship: 'one-to-one', foreign_key: 'wedding_id', source: createFile('Places')}
+  }
+});
+
+describe('AbstractModel', function () {
+  var weddings;
+
+  beforeEach(function () {
+    weddings = new Weddings([]);
+  });
+
+  describe('transformQueryToAliases', function () {
+    var transform = function (query, sourceName, isPrimary) {
+      return weddings.transformQueryToAliases(query, sourceName, isPrimary, false);
+    };
+
+    it('keeps the $or branches that only use fields of the source', function () {
+      expect(transform({$or: [{name: 'a'}, {id: {$gt: 5}}]}, 'Weddings', true)).to.deep.equal({
+        $or: [{name: 'a'}, {id: {$gt: 5}}]
+      });
+
+      expect(transform({$or: [{city: 'Austin'}, {city: {$prefix: 'New'}}]}, 'Places', false)).to.deep.equal({
+        $or: [{city_name: 'Austin'}, {city_name: {$prefix: 'New'}}]
+      });
+    });
+
+    it('refuses an $or branch that loses any key on the primary source', function () {
+      expect(function () {
+        transform({$or: [{name: 'a'}, {name: 'b', city: 'Austin'}]}, 'Weddings', true);
+      }).to.throw('not: city');
+
+      expect(function () {
+        transform({$or: [{name: 'a'}, {$and: [{id: 1}, {city: 'Austin'}]}]}, 'Weddings', true);
+      }).to.throw('not: city');
+    });
+
+    it('drops the whole $or group on other sources when a branch loses a key', function () {
+      expect(transform({$or: [{city: 'Austin'}, {city: 'Boston', name: 'b'}], city: 'Dallas'}, 'Places', false)).to.deep.equal({
+        city_name: 'Dallas'
+      });
+    });
+
+    it('drops the keys of other sources from $and groups', function () {
+      expect(transform({$and: [{name: 'a'}, {city: 'Austin'}]}, 'Weddings', true)).to.deep.equal({
+        $and: [{name: 'a'}]
+      });
+    });
+
+    it('refuses an operator that is not an array of parameter objects', function () {
+      expect(function () {
+        transform({$or: {name: 'a'}}, 'Weddings', true);
+      }).to.throw('requires an array');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/*******************************************************************************
+ *
+ * AbstractTable.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var AbstractTable = require('../lib/AbstractTable.js');
+
+var ImageTable = function () {
+  this.name = 'Images';
+  this.schema = {
+    id: {type: 'INTEGER', primaryKey: true},
+    title: {type: 'STRING'},
+    published_at: {type: 'DATE', allowNull: true}
+  };
+
+  AbstractTable.call(this);
+};
+
+ImageTable.prototype = new AbstractTable();
+ImageTable.prototype.baseQuery = 'SELECT * FROM images';
+
+describe('AbstractTable', function () {
+  var table;
+
+  beforeEach(function () {
+    table = new ImageTable();
+  });
+
+  describe('buildSeekCondition', function () {
+    var build = function (order, after) {
+      var replacements = [];
+      var sql = table.buildSeekCondition({
+        sortField: 'published_at',
+        sortOrder: order,
+        cursorKey: 'id',
+        cursorAfter: after
+      }, null, replacements);
+
+      return [sql, replacements];
+    };
+
+    it('continues after the sort value and then the key', function () {
+      expect(build('DESC', ['2026-01-01', 5])).to.deep.equal([
+        '((published_at < ? OR published_at IS NULL) OR (published_at = ? AND id < ?))',
+        ['2026-01-01', '2026-01-01', 5]
+      ]);
+    });
+
+    it('continues after the NULLs that sort first in ascending order', function () {
+      expect(build('ASC', [null, 5])).to.deep.equal([
+        '(published_at IS NOT NULL OR (published_at IS NULL AND id > ?))',
+        [5]
+      ]);
+    });
+
+    it('continues within the NULLs that sort last in descending order', function () {
+      expect(build('DESC', [null, 5])).to.deep.equal(['(published_at IS NULL AND id < ?)', [5]]);
+    });
+
+    it('does not add a condition on the first page', function () {
+      expect(build('ASC', null)).to.deep.equal(['', []]);
+    });
+
+    it('refuses a cursor for another sort', function () {
+      expect(function () {
+        build('ASC', [5]);
+      }).to.throw('Invalid cursor');
+    });
+  });
+
+  describe('buildWhereClause', function () {
+    var where = function (params) {
+      var clause = table.buildWhereClause(params);
+      return [clause.sql, clause.replacements];
+    };
+
+    it('binds scalars, lists and NULLs', function () {
+      expect(where({id: 1, title: ['a', 'b'], published_at: null})).to.deep.equal([
+        'id = ? AND title IN (?,?) AND published_at IS NULL',
+        [1, 'a', 'b']
+      ]);
+    });
+
+    it('renders the comparison operators', function () {
+      expect(where({id: {$gt: 1, $lte: 9}, title: {$ne: 'a'}, published_at: {$ne: null}})).to.deep.equal([
+        '(id > ? AND id <= ?) AND title <> ? AND published_at IS NOT NULL',
+        [1, 9, 'a']
+      ]);
+    });
+
+    it('renders empty lists as conditions that match nothing or everything', function () {
+      expect(where({id: {$in: []}, title: {$nin: []}})).to.deep.equal(['1 = 0 AND 1 = 1', []]);
+    });
+
+    it('renders the pattern, range and NULL operators', function () {
+      expect(where({
+        title: {$prefix: '50%_off'},
+        id: {$between: [1, 5], $nin: [3]},
+        published_at: {$null: false}
+      })).to.deep.equal([
+        'title LIKE ? AND (id BETWEEN ? AND ? AND id NOT IN (?)) AND published_at IS NOT NULL',
+        ['50\\%\\_off%', 1, 5, 3]
+      ]);
+    });
+
+    it('groups the branches of $or and $and', function () {
+      expect(where({$or: [{id: 1}, {title: {$like: 'a%'}, id: {$gte: 2}}]})).to.deep.equal([
+        '((id = ?) OR (title LIKE ? AND id >= ?))',
+        [1, 'a%', 2]
+      ]);
+    });
+
+    it('refuses columns that are not identifiers', function () {
+      expect(function () {
+        where({'id = 1 OR 1': 1});
+      }).to.throw('Invalid where field');
+    });
+  });
+
+  describe('buildQuery', function () {
+    it('binds every value and only renders validated identifiers and integers', function () {
+      expect(table.buildQuery({title: "a' OR '1' = '1"}, {
+        sortField: 'title',
+        sortOrder: 'DESC',
+        limit: '10',
+        offset: 20
+      })).to.deep.equal({
+        sql: 'SELECT * FROM images WHERE title = ? ORDER BY title DESC LIMIT 10 OFFSET 20',
+        replacements: ["a' OR '1' = '1"]
+      });
+    });
+
+    it('refuses a sort field that is not a column', function () {
+      expect(function () {
+        table.buildQuery({}, {sortField: 'title; DROP TABLE images', sortOrder: 'ASC'});
+      }).to.throw('Invalid sort field');
+    });
+
+    it('renders the random seed as an integer', function () {
+      expect(table.buildQuery({}, {randomSeed: '7) OR (1', limit: null}).sql).to.equal(
+        'SELECT * FROM images ORDER BY rand(7)'
+      );
+
+      expect(function () {
+        table.buildQuery({}, {randomSeed: 'rand()'});
+      }).to.throw('Invalid random seed');
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/*******************************************************************************
+ *
+ * BatchContext.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var AbstractFile = require('../lib/AbstractFile.js');
+var BatchContext = require('../lib/BatchContext.js');
+var ModelFactory = require('../lib/ModelFactory.js');
+
+// A read only file source over the given rows that records its lists
+var createFile = function (name, rows) {
+  var File = function () {
+    this.name = name;
+    this.filename = name + '.json';
+    this.filepath = '/' + name + '.json';
+    this.fs = {
+      readFileSync: function () {
+        return JSON.stringify(rows);
+      }
+    };
+    this.lists = [];
+
+    AbstractFile.call(this);
+  };
+
+  File.prototype = new AbstractFile();
+
+  File.prototype.list = function (params, options, callback) {
+    this.lists.push(params);
+    return AbstractFile.prototype.list.call(this, params, options, callback);
+  };
+
+  return File;
+};
+
+var Users = ModelFactory.createModel({
+  name: 'User',
+  definition: {
+    id: {type: 'INTEGER', views: ['default']},
+    name: {type: 'STRING', views: ['default']}
+  },
+  sources: {
+    Users: {relationship: 'one-to-one', is_primary: true, source: createFile('Users', [{id: 1, name: 'ann'}, {id: 2, name: 'bob'}])}
+  }
+});
+
+var Images = ModelFactory.createModel({
+  name: 'Image',
+  definition: {
+    id: {type: 'INTEGER', views: ['default']},
+    title: {type: 'STRING', views: ['default']}
+  },
+  sources: {
+    Images: {relationship: 'one-to-one', is_primary: true, source: createFile('Images', [{id: 1, title: 'a'}, {id: 2, title: 'b'}])}
+  }
+});
+
+describe('BatchContext', function () {
+  var debug = console.debug;
+  var afterReads;
+  var images;
+  var users;
+  var posts;
+
+  var getSource = function (model) {
+    return model.getSource(model.primarySource.source.name).source;
+  };
+
+  beforeEach(function () {
+    var Posts;
+
+    console.debug = function () {};
+
+    afterReads = 0;
+    images = new Images([]);
+    users = new Users([]);
+
+    Posts = ModelFactory.createModel({
+      name: 'Post',
+      definition: {
+        id: {type: 'INTEGER', views: ['default']},
+        image_id: {type: 'INTEGER', views: ['default']},
+        editor_id: {type: 'INTEGER', views: ['default']},
+        image: {type: 'OBJECT', views: ['default'], mapping: {source: 'Image', type: 'model_reference'}},
+        editor: {type: 'OBJECT', views: ['default'], mapping: {source: 'User', type: 'model_reference'}}
+      },
+      sources: {
+        Posts: {relationship: 'one-to-one', is_primary: true, source: createFile('Posts', [
+          {id: 1, image_id: 1, editor_id: 2},
+          {id: 2, image_id: 2, editor_id: 1}
+        ])},
+        Image: {relationship: 'one-to-one-ref', local_key: 'image_id', foreign_key: 'id', source: images},
+        User: {relationship: 'one-to-one-ref', local_key: 'editor_id', foreign_key: 'id', source: users}
+      },
+      hooks: {
+        afterRead: function (instance, next) {
+          afterReads++;
+          next();
+        }
+      }
+    });
+
+    posts = new Posts([]);
+
+    [images, users, posts].forEach(function (model) {
+      getSource(model).initialize();
+    });
+  });
+
+  afterEach(function () {
+    console.debug = debug;
+  });
+
+  describe('read', function () {
+    it('lists the reads of the same turn together', function (done) {
+      var context = new BatchContext();
+      var pending = 3;
+      var titles = {};
+
+      [1, 2, 1].forEach(function (id, i) {
+        images.read({id: id}, {batch_context: context}, function (err, image) {
+          titles[i] = image.get('title');
+          pending--;
+
+          if (pending === 0) {
+            expect(titles).to.deep.equal({0: 'a', 1: 'b', 2: 'a'});
+            expect(getSource(images).lists).to.deep.equal([{id: [1, 2]}]);
+            done();
+          }
+        });
+      });
+    });
+
+    it('calls back with a 404 for a missing id', function (done) {
+      images.read({id: 9}, {batch_context: new BatchContext()}, function (err) {
+        expect(err.code).to.equal(404);
+        done();
+      });
+    });
+
+    it('calls back asynchronously with a cached instance', function (done) {
+      var context = new BatchContext();
+
+      images.read({id: 1}, {batch_context: context}, function () {
+        var isReturned = false;
+
+        images.read({id: 1}, {batch_context: context}, function (err, image) {
+          expect(isReturned).to.equal(true);
+          expect(image.get('title')).to.equal('a');
+          expect(getSource(images).lists).to.have.length(1);
+          done();
+        });
+
+        isReturned = true;
+      });
+    });
+
+    it('gives every caller its own instance', function (done) {
+      var context = new BatchContext();
+
+      images.read({id: 1}, {batch_context: context}, function (err, first) {
+        first.set('title', 'changed');
+
+        images.read({id: 1}, {batch_context: context}, function (err, second) {
+          expect(second).to.not.equal(first);
+          expect(second.get('title')).to.equal('a');
+          expect(second.isModified()).to.equal(false);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('model references', function () {
+    var summarize = function (list) {
+      return list.map(function (post) {
+        return [post.get('id'), post.get('image').title, post.get('editor').name];
+      });
+    };
+
+    it('reads the references of separate lists together', function (done) {
+      var context = new BatchContext();
+      var pending = 2;
+
+      var check = function (err) {
+        expect(err).to.equal(null);
+        pending--;
+
+        if (pending === 0) {
+          expect(getSource(images).lists).to.deep.equal([{id: [1, 2]}]);
+          expect(getSource(users).lists).to.deep.equal([{id: [1, 2]}]);
+          done();
+        }
+      };
+
+      posts.read({id: 1, image_id: 1}, {batch_context: context}, check);
+      posts.read({id: 2, image_id: 2}, {batch_context: context}, check);
+    });
+
+    it('decorates every reference from a warmed context once', function (done) {
+      var context = new BatchContext();
+
+      posts.list({}, {batch_context: context}, function (err) {
+        expect(err).to.equal(null);
+        afterReads = 0;
+
+        posts.list({}, {batch_context: context}, function (err, list) {
+          expect(err).to.equal(null);
+          expect(summarize(list)).to.deep.equal([[1, 'a', 'bob'], [2, 'b', 'ann']]);
+          expect(afterReads).to.equal(2);
+          expect(getSource(images).lists).to.have.length(1);
+          expect(getSource(users).lists).to.have.length(1);
+          done();
+        });
+      });
+    });
+  });
+});
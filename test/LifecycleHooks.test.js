@@ -0,0 +1,71 @@
+/*******************************************************************************
+ *
+ * LifecycleHooks.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var LifecycleHooks = require('../lib/LifecycleHooks.js');
+
+describe('LifecycleHooks', function () {
+  describe('invoke', function () {
+    var invoke = function (hook) {
+      var results = [];
+
+      LifecycleHooks.invoke(hook, {}, function (err) {
+        results.push(err);
+      });
+
+      return results;
+    };
+
+    it('calls back once a hook calls next', function () {
+      expect(invoke(function (instance, next) {
+        next();
+      })).to.deep.equal([null]);
+    });
+
+    it('calls back with the error a hook throws', function () {
+      var failure = new Error('boom');
+
+      expect(invoke(function (instance, next) {
+        throw failure;
+      })).to.deep.equal([failure]);
+    });
+
+    it('keeps the first outcome of a hook', function () {
+      expect(invoke(function (instance, next) {
+        next({code: 400});
+        throw new Error('later');
+      })).to.deep.equal([{code: 400}]);
+    });
+
+    it('calls back when a hook without next returns', function () {
+      expect(invoke(function (instance) {
+        return true;
+      })).to.deep.equal([null]);
+    });
+
+    it('calls back when the promise of a hook rejects', function (done) {
+      LifecycleHooks.invoke(function (instance) {
+        return Promise.reject({code: 409});
+      }, {}, function (err) {
+        expect(err).to.deep.equal({code: 409});
+        done();
+      });
+    });
+
+    it('does not catch what the callback throws', function () {
+      expect(function () {
+        LifecycleHooks.invoke(function (instance, next) {
+          next();
+        }, {}, function () {
+          throw new Error('downstream');
+        });
+      }).to.throw('downstream');
+    });
+  });
+});
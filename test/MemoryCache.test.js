@@ -0,0 +1,73 @@
+/*******************************************************************************
+ *
+ * MemoryCache.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var MemoryCache = require('../lib/MemoryCache.js');
+
+describe('MemoryCache', function () {
+  var cache;
+
+  beforeEach(function () {
+    cache = new MemoryCache({max_entries: 2});
+  });
+
+  describe('get', function () {
+    it('calls back asynchronously with a hit', function (done) {
+      var isReturned = false;
+
+      cache.set('a', '1', {}, function () {
+        cache.get('a', function (err, value) {
+          expect(err).to.equal(null);
+          expect(value).to.equal('1');
+          expect(isReturned).to.equal(true);
+          done();
+        });
+
+        isReturned = true;
+      });
+    });
+
+    it('calls back with null for an expired entry', function (done) {
+      cache.set('a', '1', {ttl: 1}, function () {
+        setTimeout(function () {
+          cache.get('a', function (err, value) {
+            expect(value).to.equal(null);
+            done();
+          });
+        }, 5);
+      });
+    });
+  });
+
+  describe('set', function () {
+    it('evicts the least recently used entry', function (done) {
+      cache.set('a', '1', {});
+      cache.set('b', '2', {});
+
+      cache.get('a', function () {
+        cache.set('c', '3', {});
+
+        expect(Object.keys(cache.entries)).to.deep.equal(['a', 'c']);
+        done();
+      });
+    });
+  });
+
+  describe('invalidateTags', function () {
+    it('removes the entries with any of the tags', function (done) {
+      cache.set('a', '1', {tags: ['x']});
+      cache.set('b', '2', {tags: ['y']});
+
+      cache.invalidateTags(['x'], function () {
+        expect(Object.keys(cache.entries)).to.deep.equal(['b']);
+        done();
+      });
+    });
+  });
+});
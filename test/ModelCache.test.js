@@ -0,0 +1,222 @@
+/*******************************************************************************
+ *
+ * ModelCache.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var AbstractFile = require('../lib/AbstractFile.js');
+var ModelFactory = require('../lib/ModelFactory.js');
+
+var filepath = path.join(os.tmpdir(), 'model-cache-' + process.pid + '.json');
+
+var ImageFile = function () {
+  this.name = 'Images';
+  this.filename = path.basename(filepath);
+  this.filepath = filepath;
+  this.fs = fs;
+
+  AbstractFile.call(this);
+};
+
+ImageFile.prototype = new AbstractFile();
+
+var Images = ModelFactory.createModel({
+  name: 'Image',
+  cache: {ttl: 60000},
+  definition: {
+    id: {type: 'INTEGER', views: ['default']},
+    title: {type: 'STRING', views: ['default']},
+    likes: {type: 'INTEGER', views: ['default']}
+  },
+  sources: {
+    Images: {relationship: 'one-to-one', is_primary: true, source: ImageFile}
+  }
+});
+
+// A file over the same records whose lists are counted, with an optional
+// decorating source that is down
+var RatedImageFile = function () {
+  this.name = 'RatedImages';
+  this.filename = path.basename(filepath);
+  this.filepath = filepath;
+  this.fs = fs;
+  this.lists = 0;
+
+  AbstractFile.call(this);
+};
+
+RatedImageFile.prototype = new AbstractFile();
+
+RatedImageFile.prototype.list = function (params, options, callback) {
+  this.lists++;
+  return AbstractFile.prototype.list.call(this, params, options, callback);
+};
+
+var RatingFile = function () {
+  this.name = 'Ratings';
+  this.filename = 'ratings.json';
+  this.filepath = '/ratings.json';
+  this.fs = {
+    readFileSync: function () {
+      return '[]';
+    }
+  };
+
+  AbstractFile.call(this);
+};
+
+RatingFile.prototype = new AbstractFile();
+
+RatingFile.prototype.list = function (params, options, callback) {
+  setImmediate(function () {
+    callback({code: 503, msg: 'Ratings are down'});
+  });
+};
+
+var RatedImages = ModelFactory.createModel({
+  name: 'RatedImage',
+  cache: {ttl: 60000},
+  definition: {
+    id: {type: 'INTEGER', views: ['default']},
+    title: {type: 'STRING', views: ['default']},
+    rating: {type: 'INTEGER', views: ['default'], mapping: {source: 'Ratings'}}
+  },
+  sources: {
+    RatedImages: {relationship: 'one-to-one', is_primary: true, source: RatedImageFile},
+    Ratings: {relationship: 'one-to-one', foreign_key: 'image_id', optional: true, source: RatingFile}
+  }
+});
+
+describe('ModelCache', function () {
+  var debug = console.debug;
+  var warn = console.warn;
+  var images;
+
+  var readFile = function () {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  };
+
+  // Reads the record through the cache, the second read is a hit
+  var readCached = function (id, callback) {
+    images.read({id: id}, {}, function (err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      images.read({id: id}, {}, callback);
+    });
+  };
+
+  beforeEach(function () {
+    console.debug = function () {};
+    console.warn = function () {};
+
+    fs.writeFileSync(filepath, JSON.stringify([{id: 1, title: 'a', likes: 0}, {id: 2, title: 'b', likes: 0}]));
+
+    images = new Images([]);
+    images.getSource('Images').source.initialize();
+  });
+
+  afterEach(function () {
+    console.debug = debug;
+    console.warn = warn;
+    fs.unlinkSync(filepath);
+  });
+
+  it('restores reads from the cache as cached instances', function (done) {
+    readCached(1, function (err, image) {
+      expect(err).to.equal(null);
+      expect(image.get('title')).to.equal('a');
+      expect(image.isCached()).to.equal(true);
+      done();
+    });
+  });
+
+  it('updates the record of a cached instance instead of creating one', function (done) {
+    readCached(1, function (err, image) {
+      image.set('title', 'z');
+
+      image.save(function (err) {
+        expect(err).to.equal(null);
+        expect(image.isCached()).to.equal(false);
+        expect(readFile()).to.deep.equal([{id: 1, title: 'z', likes: 0}, {id: 2, title: 'b', likes: 0}]);
+
+        images.read({id: 1}, {}, function (err, read) {
+          expect(read.get('title')).to.equal('z');
+          done();
+        });
+      });
+    });
+  });
+
+  it('only writes the changes made to a cached instance', function (done) {
+    readCached(2, function (err, image) {
+      var records = readFile();
+
+      // Changed by another process after the read was cached
+      records[1].title = 'c';
+      fs.writeFileSync(filepath, JSON.stringify(records));
+      images.getSource('Images').source.initialize();
+
+      image.set('likes', 5);
+
+      image.save(function (err) {
+        expect(err).to.equal(null);
+        expect(readFile()[1]).to.deep.equal({id: 2, title: 'c', likes: 5});
+        done();
+      });
+    });
+  });
+
+  it('removes the record of a cached instance', function (done) {
+    readCached(2, function (err, image) {
+      image.remove(function (err) {
+        expect(err).to.equal(null);
+        expect(readFile()).to.deep.equal([{id: 1, title: 'a', likes: 0}]);
+        done();
+      });
+    });
+  });
+
+  it('fails to write a cached instance whose record is gone', function (done) {
+    readCached(2, function (err, image) {
+      fs.writeFileSync(filepath, JSON.stringify([{id: 1, title: 'a', likes: 0}]));
+      images.getSource('Images').source.initialize();
+
+      image.set('title', 'z');
+
+      image.save(function (err) {
+        expect(err.code).to.equal(404);
+        expect(readFile()).to.deep.equal([{id: 1, title: 'a', likes: 0}]);
+        done();
+      });
+    });
+  });
+
+  it('does not store a degraded list', function (done) {
+    var rated = new RatedImages([]);
+    var source = rated.getSource('RatedImages').source;
+
+    source.initialize();
+
+    rated.read({id: 1}, {}, function (err, image) {
+      expect(err).to.equal(null);
+      expect(image.isDegraded()).to.equal(true);
+
+      rated.read({id: 1}, {}, function (err, image) {
+        expect(err).to.equal(null);
+        expect(image.isCached()).to.equal(false);
+        expect(source.lists).to.equal(2);
+        done();
+      });
+    });
+  });
+});
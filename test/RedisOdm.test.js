@@ -0,0 +1,92 @@
+/*******************************************************************************
+ *
+ * RedisOdm.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var RedisOdm = require('../lib/RedisOdm.js');
+var FakeRedis = require('./support/FakeRedis.js');
+
+describe('RedisOdm', function () {
+  var debug = console.debug;
+  var error = console.error;
+
+  beforeEach(function () {
+    console.debug = function () {};
+    console.error = function () {};
+  });
+
+  afterEach(function () {
+    console.debug = debug;
+    console.error = error;
+  });
+
+  describe('initialize', function () {
+    it('creates a client and selects the database', function (done) {
+      var conn = new RedisOdm(FakeRedis, {host: 'cache.local', port: 6380, database: 3});
+
+      conn.initialize(function (err) {
+        var client = conn.getClient();
+
+        expect(err).to.equal(null);
+        expect(client.host).to.equal('cache.local');
+        expect(client.port).to.equal(6380);
+        expect(client.calls).to.deep.equal([['select', 3]]);
+        done();
+      });
+    });
+
+    it('authenticates before selecting the database', function (done) {
+      var conn = new RedisOdm(FakeRedis, {password: 'secret'});
+
+      conn.initialize(function (err) {
+        expect(err).to.equal(null);
+        expect(conn.getClient().calls).to.deep.equal([['auth', 'secret'], ['select', 0]]);
+        done();
+      });
+    });
+
+    it('calls back with a connection error', function (done) {
+      var failure = new Error('connect ECONNREFUSED');
+      var conn = new RedisOdm(FakeRedis, {redis_options: {error: failure}});
+
+      conn.initialize(function (err) {
+        expect(err).to.equal(failure);
+        done();
+      });
+    });
+  });
+
+  describe('key', function () {
+    it('joins the parts after the prefix', function () {
+      var conn = new RedisOdm(FakeRedis, {prefix: 'app:'});
+
+      expect(conn.key('wedding', 12)).to.equal('app:wedding:12');
+    });
+  });
+
+  describe('close', function () {
+    it('quits the client', function (done) {
+      var conn = new RedisOdm(FakeRedis, {});
+
+      conn.initialize(function () {
+        var client = conn.getClient();
+
+        conn.close(function (err) {
+          expect(err).to.equal(null);
+          expect(client.isClosed).to.equal(true);
+          expect(conn.getClient()).to.equal(null);
+          done();
+        });
+      });
+    });
+
+    it('does nothing without a client', function (done) {
+      new RedisOdm(FakeRedis, {}).close(done);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/*******************************************************************************
+ *
+ * SearchIndexing.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var AbstractFile = require('../lib/AbstractFile.js');
+var ModelFactory = require('../lib/ModelFactory.js');
+
+// A file source over a fake file system that keeps the written contents
+var createFile = function (name, rows) {
+  var File = function () {
+    var files = {};
+
+    files['/' + name + '.json'] = JSON.stringify(rows);
+
+    this.name = name;
+    this.filename = name + '.json';
+    this.filepath = '/' + name + '.json';
+    this.fs = {
+      readFileSync: function (path) {
+        return files[path];
+      },
+      writeFile: function (path, contents, options, callback) {
+        files[path] = contents;
+        setImmediate(callback);
+      },
+      rename: function (from, to, callback) {
+        files[to] = files[from];
+        delete files[from];
+        setImmediate(callback);
+      }
+    };
+
+    AbstractFile.call(this);
+  };
+
+  File.prototype = new AbstractFile();
+
+  return File;
+};
+
+// A solr client that records its updates
+var createClient = function () {
+  var client = {
+    name: 'search',
+    options: {},
+    added: [],
+    deleted: [],
+    add: function (docs, options, callback) {
+      client.added = client.added.concat(docs);
+      setImmediate(callback, null);
+    },
+    deleteById: function (ids, options, callback) {
+      setImmediate(callback, null);
+    },
+    deleteByQuery: function (query, options, callback) {
+      client.deleted.push(query);
+      setImmediate(callback, null);
+    },
+    commit: function (options, callback) {
+      setImmediate(callback, null);
+    }
+  };
+
+  return client;
+};
+
+describe('search indexing', function () {
+  var debug = console.debug;
+  var client;
+  var weddings;
+
+  beforeEach(function () {
+    var Weddings = ModelFactory.createModel({
+      name: 'Wedding',
+      definition: {
+        id: {type: 'INTEGER', views: ['default', 'search']},
+        name: {type: 'STRING', views: ['default', 'search']},
+        city: {type: 'STRING', views: ['search'], mapping: {source: 'Places'}}
+      },
+      sources: {
+        Weddings: {relationship: 'one-to-one', is_primary: true, source: createFile('Weddings', [
+          {id: 1, name: 'a'},
+          {id: 2, name: 'b'}
+        ])},
+        Places: {relationship: 'one-to-one', foreign_key: 'wedding_id', source: createFile('Places', [
+          {wedding_id: 1, city: 'Austin'},
+          {wedding_id: 2, city: 'Boston'}
+        ])},
+        WeddingSearch: {relationship: 'search', projection: {view: 'search'}, source: createFile('WeddingSearch', [])}
+      }
+    });
+
+    console.debug = function () {};
+
+    client = createClient();
+    weddings = new Weddings([client]);
+  });
+
+  afterEach(function () {
+    console.debug = debug;
+  });
+
+  it('indexes the projected fields that the saved instance was not read with', function (done) {
+    weddings.read({id: 1}, {}, function (err, wedding) {
+      expect(err).to.equal(null);
+      wedding.set('name', 'z');
+
+      wedding.save(function (err) {
+        expect(err).to.equal(null);
+
+        setTimeout(function () {
+          expect(client.added).to.deep.equal([{id: 1, name: 'z', city: 'Austin'}]);
+          done();
+        }, 10);
+      });
+    });
+  });
+
+  describe('reindex', function () {
+    it('adds the documents of every instance', function (done) {
+      weddings.reindex({}, {clean: true}, function (err, result) {
+        expect(err).to.equal(null);
+        expect(result.count).to.equal(2);
+        expect(client.deleted).to.deep.equal(['*:*']);
+        expect(client.added).to.deep.equal([
+          {id: 1, name: 'a', city: 'Austin'},
+          {id: 2, name: 'b', city: 'Boston'}
+        ]);
+        done();
+      });
+    });
+
+    it('refuses to clean the core while reindexing some of the instances', function (done) {
+      weddings.reindex({city: 'Austin'}, {clean: true}, function (err) {
+        expect(err.code).to.equal(400);
+        expect(client.deleted).to.deep.equal([]);
+        expect(client.added).to.deep.equal([]);
+        done();
+      });
+    });
+
+    it('calls back with an error without a projected source', function (done) {
+      weddings.reindex({}, {source: 'Weddings'}, function (err) {
+        expect(err.code).to.equal(400);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/*******************************************************************************
+ *
+ * SolrClient.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var SolrClient = require('../lib/SolrClient.js');
+
+describe('SolrClient', function () {
+  describe('buildLuceneClauses', function () {
+    var fq = function (params) {
+      return SolrClient.buildLuceneClauses(params).join(' ');
+    };
+
+    it('renders the range operators', function () {
+      expect(fq({views: {$gt: 1, $lte: 9}, rating: {$between: [2, 4]}})).to.equal(
+        '(views:{1 TO *} AND views:[* TO 9]) rating:[2 TO 4]'
+      );
+    });
+
+    it('quotes the operands that are not numbers', function () {
+      expect(fq({date: {$gte: new Date(Date.UTC(2026, 0, 1))}, city: {$ne: 'New "York"'}})).to.equal(
+        'date:["2026-01-01T00:00:00.000Z" TO *] (*:* -city:"New \\"York\\"")'
+      );
+    });
+
+    it('renders lists and empty lists', function () {
+      expect(fq({id: {$in: [1, 2]}, tag: {$nin: ['a']}, style: {$in: []}})).to.equal(
+        'id:(1 OR 2) (*:* -tag:("a")) (*:* -*:*)'
+      );
+    });
+
+    it('renders the pattern and NULL operators with escaped terms', function () {
+      expect(fq({name: {$like: 'Sm_th%'}, city: {$prefix: 'New Y'}, venue: {$null: true}, photo: {$ne: null}})).to.equal(
+        'name:Sm?th* city:New\\ Y* (*:* -venue:[* TO *]) photo:[* TO *]'
+      );
+    });
+
+    it('groups the branches of $or and $and', function () {
+      expect(fq({$or: [{city: 'Austin'}, {views: {$gt: 5}, state: 'TX'}], style: 'rustic'})).to.equal(
+        '((city:Austin) OR (views:{5 TO *} AND state:TX)) style:rustic'
+      );
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/*******************************************************************************
+ *
+ * UnitOfWork.test.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+var expect = require('chai').expect;
+var UnitOfWork = require('../lib/UnitOfWork.js');
+
+// A connection that records what happens to its transactions
+var createConnection = function (name) {
+  var connection = {
+    name: name,
+    calls: [],
+    beginTransaction: function (callback) {
+      connection.calls.push('begin');
+      setImmediate(callback, null, {connection: name});
+    },
+    commitTransaction: function (transaction, callback) {
+      connection.calls.push('commit');
+      setImmediate(callback, connection.commitError || null);
+    },
+    rollbackTransaction: function (transaction, callback) {
+      connection.calls.push('rollback');
+      setImmediate(callback, null);
+    }
+  };
+
+  return connection;
+};
+
+var createSource = function (name, connection) {
+  return {
+    name: name,
+    connection: connection || null,
+    supportsTransactions: function () {
+      return !!connection;
+    }
+  };
+};
+
+// A source instance whose writes fail with the given error
+var createInstance = function (data, error) {
+  var instance = {
+    data: data,
+    writes: [],
+    set: function (field, value) {
+      instance.data[field] = value;
+    },
+    toObject: function () {
+      return instance.data;
+    },
+    flushChanges: function (callback, options) {
+      instance.writes.push({action: 'flush', data: UnitOfWork.copy(instance.data), options: options});
+      setImmediate(callback, instance.error || null);
+    },
+    remove: function (callback, options) {
+      instance.writes.push({action: 'remove', options: options});
+      setImmediate(callback, instance.error || null);
+    },
+    error: error || null
+  };
+
+  return instance;
+};
+
+describe('UnitOfWork', function () {
+  var error = console.error;
+  var connection;
+  var table;
+  var photos;
+  var uow;
+
+  // Flush the writes one after the other, then complete with the first error
+  var run = function (writes, callback) {
+    var complete = uow.generateCompletionCallback(callback);
+
+    uow.begin([table, photos], function (err) {
+      var next = function (i) {
+        if (i === writes.length) {
+          complete(null, 'done');
+          return;
+        }
+
+        uow.flush(writes[i][0], writes[i][1], writes[i][2], function (err) {
+          if (err) {
+            complete(err);
+            return;
+          }
+
+          next(i + 1);
+        });
+      };
+
+      expect(err).to.equal(null);
+      next(0);
+    });
+  };
+
+  beforeEach(function () {
+    console.error = function () {};
+
+    connection = createConnection('mysql');
+    table = createSource('WeddingTable', connection);
+    photos = createSource('Photos');
+    uow = new UnitOfWork('Wedding');
+  });
+
+  afterEach(function () {
+    console.error = error;
+  });
+
+  it('commits the transactions once every write succeeded', function (done) {
+    var row = createInstance({id: 1});
+    var photo = createInstance({id: 2});
+
+    run([[table, row, 'update'], [photos, photo, 'create']], function (err, result) {
+      expect(err).to.equal(null);
+      expect(result).to.equal('done');
+      expect(row.writes[0].options.transaction).to.deep.equal({connection: 'mysql'});
+      expect(connection.calls).to.deep.equal(['begin', 'commit']);
+      expect(photo.writes).to.have.length(1);
+      done();
+    });
+  });
+
+  it('rolls back the transactions and restores the snapshots of updates', function (done) {
+    var row = createInstance({id: 1});
+    var photo = createInstance({id: 2, title: 'old'});
+    var failing = createInstance({id: 3}, {code: 503});
+
+    uow.snapshotInstances({
+      WeddingTable: {instance: row, source: {source: table}},
+      Photos: {instance: photo, source: {source: photos}}
+    });
+    photo.set('title', 'new');
+
+    run([[table, row, 'update'], [photos, photo, 'update'], [photos, failing, 'create']], function (err) {
+      expect(err.code).to.equal(503);
+      expect(err.rolled_back).to.deep.equal(['WeddingTable', 'Photos']);
+      expect(err.compensation_failed).to.equal(undefined);
+      expect(connection.calls).to.deep.equal(['begin', 'rollback']);
+      expect(photo.writes.map(function (write) {
+        return write.data.title;
+      })).to.deep.equal(['new', 'old']);
+      expect(failing.writes).to.deep.equal([{action: 'flush', data: {id: 3}, options: {}}]);
+      done();
+    });
+  });
+
+  it('removes the records that were created', function (done) {
+    var photo = createInstance({id: 2});
+
+    run([[photos, photo, 'create'], [photos, createInstance({id: 3}, {code: 500}), 'update']], function (err) {
+      expect(err.rolled_back).to.deep.equal(['Photos']);
+      expect(photo.writes.map(function (write) {
+        return write.action;
+      })).to.deep.equal(['flush', 'remove']);
+      done();
+    });
+  });
+
+  it('reports the removes that cannot be compensated', function (done) {
+    var photo = createInstance({id: 2});
+
+    run([[photos, photo, 'remove'], [table, createInstance({id: 1}, {code: 500}), 'update']], function (err) {
+      expect(err.rolled_back).to.deep.equal([]);
+      expect(err.compensation_failed).to.have.length(1);
+      expect(err.compensation_failed[0].source).to.equal('Photos');
+      expect(err.compensation_failed[0].error.msg).to.equal('Cannot restore the previous state of a remove on Photos');
+      done();
+    });
+  });
+
+  it('reports the compensations that fail', function (done) {
+    var photo = createInstance({id: 2});
+
+    photo.remove = function (callback) {
+      setImmediate(callback, {code: 409});
+    };
+
+    run([[photos, photo, 'create'], [photos, createInstance({id: 3}, {code: 500}), 'create']], function (err) {
+      expect(err.rolled_back).to.deep.equal([]);
+      expect(err.compensation_failed).to.deep.equal([{source: 'Photos', error: {code: 409}}]);
+      done();
+    });
+  });
+
+  it('rolls back the journaled writes when a commit fails', function (done) {
+    var photo = createInstance({id: 2});
+
+    connection.commitError = {code: 500};
+
+    run([[table, createInstance({id: 1}), 'update'], [photos, photo, 'create']], function (err) {
+      expect(err.code).to.equal(500);
+      expect(err.rolled_back).to.deep.equal(['Photos']);
+      expect(photo.writes[1].action).to.equal('remove');
+      done();
+    });
+  });
+});
@@ -0,0 +1,284 @@
+/*******************************************************************************
+ *
+ * FakeRedis.js
+ *
+ * Date:   October 2026
+ * Author: Lover.ly Team <http://dev.lover.ly/>
+ *
+ ******************************************************************************/
+
+/**
+ * An in-process stand-in for the redis library injected into RedisOdm.  Its
+ * clients keep their data in memory and implement the commands used by
+ * RedisOdm and AbstractHash.  Every client records the commands it was sent in
+ * `calls`, and `options.error` makes the client fail to connect.
+ *
+ * @class FakeRedis
+ */
+var FakeRedis = {};
+
+/**
+ * Parse a sorted set bound, '(' marks an exclusive bound
+ *
+ * @method parseBound
+ * @param {String|Number} bound
+ * @returns {Object} {value, isExclusive}
+ * @private
+ */
+var parseBound = function (bound) {
+  bound = String(bound);
+
+  if (bound === '-inf') {
+    return {value: -Infinity, isExclusive: false};
+  }
+
+  if (bound === '+inf') {
+    return {value: Infinity, isExclusive: false};
+  }
+
+  if (bound[0] === '(') {
+    return {value: Number(bound.slice(1)), isExclusive: true};
+  }
+
+  return {value: Number(bound), isExclusive: false};
+};
+
+var isInRange = function (score, min, max) {
+  min = parseBound(min);
+  max = parseBound(max);
+
+  return (min.isExclusive ? score > min.value : score >= min.value) &&
+    (max.isExclusive ? score < max.value : score <= max.value);
+};
+
+/**
+ * @class FakeRedisClient
+ * @constructor
+ * @param {Object} options The options given to createClient()
+ */
+var FakeRedisClient = function (options) {
+  this.options = options || {};
+  this.data = {};
+  this.calls = [];
+  this.database = 0;
+  this.password = null;
+  this.isClosed = false;
+  this.listeners = {};
+};
+
+FakeRedisClient.prototype.on = function (event, listener) {
+  var self = this;
+
+  this.listeners[event] = listener;
+
+  // Connection failures are emitted once the listener is registered
+  if (event === 'error' && this.options.error) {
+    setImmediate(function () {
+      listener(self.options.error);
+    });
+  }
+};
+
+FakeRedisClient.prototype.respond = function (callback, err, result) {
+  if (typeof callback === 'function') {
+    setImmediate(function () {
+      callback(err, result);
+    });
+  }
+};
+
+FakeRedisClient.prototype.getSortedSet = function (key) {
+  this.data[key] = this.data[key] || {};
+  return this.data[key];
+};
+
+FakeRedisClient.prototype.getSortedMembers = function (key) {
+  var set = this.getSortedSet(key);
+
+  return Object.keys(set).sort(function (a, b) {
+    return (set[a] - set[b]) || (a < b ? -1 : 1);
+  });
+};
+
+FakeRedisClient.prototype.auth = function (password, callback) {
+  this.calls.push(['auth', password]);
+  this.password = password;
+  this.respond(callback, null, 'OK');
+};
+
+FakeRedisClient.prototype.select = function (database, callback) {
+  this.calls.push(['select', database]);
+  this.database = database;
+  this.respond(callback, null, 'OK');
+};
+
+FakeRedisClient.prototype.quit = function (callback) {
+  this.calls.push(['quit']);
+  this.isClosed = true;
+  this.respond(callback, null, 'OK');
+};
+
+FakeRedisClient.prototype.incr = function (key, callback) {
+  this.data[key] = (this.data[key] || 0) + 1;
+  this.respond(callback, null, this.data[key]);
+};
+
+FakeRedisClient.prototype.zcard = function (key, callback) {
+  this.respond(callback, null, Object.keys(this.getSortedSet(key)).length);
+};
+
+FakeRedisClient.prototype.zcount = function (key, min, max, callback) {
+  var set = this.getSortedSet(key);
+
+  this.respond(callback, null, Object.keys(set).filter(function (member) {
+    return isInRange(set[member], min, max);
+  }).length);
+};
+
+FakeRedisClient.prototype.zrange = function (key, start, stop, callback) {
+  var members = this.getSortedMembers(key);
+
+  this.calls.push(['zrange', key, start, stop]);
+  this.respond(callback, null, members.slice(start, (stop === -1) ? undefined : stop + 1));
+};
+
+FakeRedisClient.prototype.zrevrange = function (key, start, stop, callback) {
+  var members = this.getSortedMembers(key).reverse();
+
+  this.calls.push(['zrevrange', key, start, stop]);
+  this.respond(callback, null, members.slice(start, (stop === -1) ? undefined : stop + 1));
+};
+
+FakeRedisClient.prototype.rangeByScore = function (args, isReversed) {
+  var callback = args.pop();
+  var set = this.getSortedSet(args[0]);
+  var min = isReversed ? args[2] : args[1];
+  var max = isReversed ? args[1] : args[2];
+  var members = this.getSortedMembers(args[0]);
+
+  if (isReversed) {
+    members.reverse();
+  }
+
+  members = members.filter(function (member) {
+    return isInRange(set[member], min, max);
+  });
+
+  if (args[3] === 'LIMIT') {
+    members = members.slice(args[4], args[4] + args[5]);
+  }
+
+  this.respond(callback, null, members);
+};
+
+FakeRedisClient.prototype.zrangebyscore = function () {
+  this.rangeByScore(Array.prototype.slice.call(arguments), false);
+};
+
+FakeRedisClient.prototype.zrevrangebyscore = function () {
+  this.rangeByScore(Array.prototype.slice.call(arguments), true);
+};
+
+/**
+ * Queue the commands and run them together on exec()
+ *
+ * @method multi
+ * @returns {Object}
+ */
+FakeRedisClient.prototype.multi = function () {
+  var self = this;
+  var commands = [];
+  var multi = {};
+
+  var queue = function (name, run) {
+    multi[name] = function () {
+      var args = Array.prototype.slice.call(arguments);
+
+      commands.push(function () {
+        self.calls.push([name].concat(args));
+        return run.apply(null, args);
+      });
+
+      return multi;
+    };
+  };
+
+  queue('hgetall', function (key) {
+    var hash = self.data[key];
+    var copy = {};
+
+    if (!hash) {
+      return null;
+    }
+
+    for (var i in hash) {
+      copy[i] = hash[i];
+    }
+
+    return copy;
+  });
+
+  queue('hmset', function (key, fields) {
+    self.data[key] = self.data[key] || {};
+
+    for (var i in fields) {
+      self.data[key][i] = fields[i];
+    }
+
+    return 'OK';
+  });
+
+  queue('hdel', function (key) {
+    var fields = Array.prototype.slice.call(arguments, 1);
+
+    for (var i = 0; i < fields.length; i++) {
+      if (self.data[key]) {
+        delete self.data[key][fields[i]];
+      }
+    }
+
+    return fields.length;
+  });
+
+  queue('del', function (key) {
+    delete self.data[key];
+    return 1;
+  });
+
+  queue('zadd', function (key, score, member) {
+    self.getSortedSet(key)[String(member)] = Number(score);
+    return 1;
+  });
+
+  queue('zrem', function (key, member) {
+    delete self.getSortedSet(key)[String(member)];
+    return 1;
+  });
+
+  multi.exec = function (callback) {
+    var results = commands.map(function (command) {
+      return command();
+    });
+
+    self.respond(callback, null, results);
+  };
+
+  return multi;
+};
+
+/**
+ * @method createClient
+ * @param {Number} port
+ * @param {String} host
+ * @param {Object} options
+ * @returns {FakeRedisClient}
+ */
+FakeRedis.createClient = function (port, host, options) {
+  var client = new FakeRedisClient(options);
+
+  client.port = port;
+  client.host = host;
+  return client;
+};
+
+module.exports = FakeRedis;